@@ -2,13 +2,208 @@ require 'sinatra'
 require 'sinatra/json'
 require 'json'
 require 'sequel'
+require 'open3'
 
 set :public_folder, 'public'
+mime_type :mjs, 'text/javascript' # ES module entry points (shared/api-client.mjs)
+
+# Game manifest, shared with the game selector on the landing page
+GAMES = JSON.parse(File.read(File.join(__dir__, 'public', 'games.json')))['games']
+
+# Achievement definitions, shared with AchievementManager in the games
+ACHIEVEMENTS = JSON.parse(File.read(File.join(__dir__, 'public', 'achievements.json')))['achievements']
+PLAYER_ID_FORMAT = /\A[A-Za-z0-9-]{1,64}\z/
+
+# Leaderboard name rules, shared with NameSanitizer in the games (public/shared/name-sanitizer.js)
+NAME_RULES = JSON.parse(File.read(File.join(__dir__, 'public', 'name-rules.json')))
+DISALLOWED_NAME_CHARACTERS = Regexp.new("[^#{NAME_RULES['allowedCharacters']}]")
+AVATAR_COLOR_FORMAT = /\A#[0-9a-fA-F]{6}\z/
+
+# Leaderboard windows (seconds of history each one covers; nil = all time)
+LEADERBOARD_WINDOWS = {
+  'all' => nil,
+  'weekly' => 7 * 24 * 60 * 60,
+  'daily' => 24 * 60 * 60
+}.freeze
+DEFAULT_PAGE_SIZE = 10
+MAX_PAGE_SIZE = 50
+
+# Columns returned for leaderboard entries (client_id and player_id stay private)
+SCORE_COLUMNS = [:id, :name, :score, :timestamp, :game_type, :color].freeze
+
+# Games whose scores must come with a replay; scripts/verify-replay.js re-simulates it in Node
+REPLAY_VERIFIED_GAMES = ['flappy-gator'].freeze
+# Flappy Gator scores are submitted and stored as whole tenths of a point, since combo
+# multipliers earn half points (see FlappyGatorSimulation.toStoredScore())
+FLAPPY_SCORE_SCALE = 10
+REPLAY_VERIFIER = File.join(__dir__, 'scripts', 'verify-replay.js')
+REPLAY_VERIFIER_TIMEOUT = 10 # seconds before a verification is abandoned
+# Verifications allowed to run at once (each is a node process); submissions over the cap get 503
+REPLAY_VERIFIER_MAX_RUNNING = Integer(ENV.fetch('REPLAY_VERIFIER_MAX_RUNNING', 2))
+REPLAY_VERIFIER_SLOTS = Thread::Queue.new(Array.new(REPLAY_VERIFIER_MAX_RUNNING, :slot))
+# Set REPLAY_VERIFICATION=off to save scores unverified where Node can't be installed
+REPLAY_VERIFICATION_ENABLED = ENV['REPLAY_VERIFICATION'] != 'off'
+
+helpers do
+  # Best scores first: highest for 'points' games, lowest for 'time' games
+  def lower_score_wins?(game_type)
+    game = GAMES.find { |g| g['id'] == game_type }
+    !game.nil? && game['scoreType'] == 'time'
+  end
+
+  def score_order(game_type)
+    lower_score_wins?(game_type) ? Sequel.asc(:score) : Sequel.desc(:score)
+  end
+
+  # Leaderboard order: best score first, earlier entries first on a tie
+  def leaderboard_order(game_type)
+    [score_order(game_type), Sequel.asc(:id)]
+  end
+
+  # Scores for a game type (all games if blank) inside a leaderboard window
+  def leaderboard_scores(game_type, window)
+    query = DB[:high_scores]
+    query = query.where(game_type: game_type) if game_type && !game_type.empty?
+
+    seconds = LEADERBOARD_WINDOWS[window]
+    query = query.where(Sequel[:timestamp] >= Time.now.to_i - seconds) if seconds
+    query
+  end
+
+  # A player's unlocked achievements, oldest first
+  def player_achievements(player_id)
+    DB[:achievements]
+      .where(player_id: player_id)
+      .select(:achievement_id, :game_type, :unlocked_at)
+      .order(:unlocked_at, :id)
+      .all
+  end
+
+  def validate_player_id(player_id)
+    halt 400, json({ success: false, error: 'player_id is required' }) unless player_id.is_a?(String) && player_id.match?(PLAYER_ID_FORMAT)
+  end
+
+  # Answer a repeated submission with the score saved the first time
+  def halt_duplicate_score(client_id)
+    existing = DB[:high_scores].where(client_id: client_id).first
+    halt json(success: true, isNewHighScore: false, id: existing[:id], duplicate: true)
+  end
+
+  # A name as the leaderboards show it: accents dropped, disallowed characters removed,
+  # spaces collapsed, cut to the length limit (the same steps as NameSanitizer#clean)
+  def clean_name(name)
+    return '' unless name.is_a?(String)
+
+    name.unicode_normalize(:nfkd)
+      .gsub(/\p{Mn}/, '')
+      .gsub(DISALLOWED_NAME_CHARACTERS, '')
+      .gsub(/ +/, ' ')
+      .strip[0, NAME_RULES['maxLength']]
+      .strip
+  end
+
+  # Whether a blocklisted word appears inside any word of a cleaned name (see blocklist_words),
+  # skipping allowlisted words like "Scunthorpe" (same as NameSanitizer#isBlocked)
+  def name_blocked?(name)
+    blocked = NAME_RULES['blocklist'].flat_map { |word| blocklist_words(word) }
+    allowed = NAME_RULES.fetch('allowlist', []).flat_map { |word| blocklist_words(word) }
+    blocklist_words(name).any? do |word|
+      unexcused = allowed.reduce(word) { |rest, allowed_word| rest.gsub(allowed_word, ' ') }
+      blocked.any? { |blocked_word| unexcused.include?(blocked_word) }
+    end
+  end
+
+  # The words of a name as the blocklist sees them: lowercase, look-alikes substituted,
+  # split on anything but letters, with runs of single letters ("f.u.c.k") joined up
+  # (same as NameSanitizer.blocklistWords())
+  def blocklist_words(text)
+    parts = text.downcase.chars.map { |char| NAME_RULES['substitutions'].fetch(char, char) }.join
+                .split(/[^a-z]+/).reject(&:empty?)
+    parts.chunk_while { |a, b| a.length == 1 && b.length == 1 }
+         .map { |run| run.first.length == 1 ? run.join : run }
+         .flatten
+  end
+
+  # The name to save: cleaned, or the default name if it ends up empty or blocked
+  def sanitize_name(name)
+    cleaned = clean_name(name)
+    cleaned.empty? || name_blocked?(cleaned) ? NAME_RULES['defaultName'] : cleaned
+  end
+
+  # A profile's avatar colour, or nil if it isn't a #rrggbb colour
+  def avatar_color(color)
+    color.is_a?(String) && color.match?(AVATAR_COLOR_FORMAT) ? color.downcase : nil
+  end
+
+  # The ?window= parameter ('all' when missing)
+  def window_param
+    window = params['window'] || 'all'
+    unless LEADERBOARD_WINDOWS.key?(window)
+      halt 400, json({ error: "window must be one of: #{LEADERBOARD_WINDOWS.keys.join(', ')}" })
+    end
+    window
+  end
+
+  # A non-negative integer query parameter
+  def integer_param(name, default)
+    value = params[name]
+    return default if value.nil? || value.empty?
+
+    halt 400, json({ error: "#{name} must be a non-negative integer" }) unless value.match?(/\A\d+\z/)
+    value.to_i
+  end
+
+  # Re-simulate a run and check it earns the submitted score.
+  # Answers 422 if the verifier can't run: retrying wouldn't help, so clients don't queue the score.
+  # Answers 503 while REPLAY_VERIFIER_MAX_RUNNING verifications are already running (clients retry later).
+  def verify_replay(replay, score)
+    return { 'valid' => false, 'reason' => 'replay is required' } unless replay.is_a?(Hash)
+
+    slot = take_replay_verifier_slot
+    begin
+      JSON.parse(run_replay_verifier(JSON.generate(replay: replay, score: score)))
+    rescue StandardError => e
+      logger.error "Replay verification failed: #{e.message}"
+      halt 422, json({ success: false, error: 'Score verification is unavailable' })
+    ensure
+      REPLAY_VERIFIER_SLOTS.push(slot)
+    end
+  end
+
+  def take_replay_verifier_slot
+    REPLAY_VERIFIER_SLOTS.pop(true)
+  rescue ThreadError
+    headers 'Retry-After' => REPLAY_VERIFIER_TIMEOUT.to_s
+    halt 503, json({ success: false, error: 'Too many scores are being verified, try again shortly' })
+  end
+
+  # Run scripts/verify-replay.js on the input, killing it after REPLAY_VERIFIER_TIMEOUT
+  def run_replay_verifier(input)
+    Open3.popen2('node', REPLAY_VERIFIER) do |stdin, stdout, wait_thread|
+      reader = Thread.new { stdout.read }
+      stdin.write(input)
+      stdin.close
+
+      unless wait_thread.join(REPLAY_VERIFIER_TIMEOUT)
+        Process.kill('KILL', wait_thread.pid)
+        wait_thread.join
+        reader.join # Let it reach EOF before the pipe is closed
+        raise "verifier timed out after #{REPLAY_VERIFIER_TIMEOUT}s"
+      end
+      raise "verifier exited with #{wait_thread.value.exitstatus}" unless wait_thread.value.success?
+
+      reader.value
+    end
+  end
+end
 
 # Database setup
 DB = if ENV['RACK_ENV'] == 'production'
   # Production: Use SQLite with production database name
   Sequel.sqlite('game_scores_production.db')
+elsif ENV['RACK_ENV'] == 'test'
+  # Tests: In-memory database, fresh for every run
+  Sequel.sqlite
 else
   # Development: Use SQLite with development database name
   Sequel.sqlite('game_scores_development.db')
@@ -21,9 +216,11 @@ DB.create_table? :high_scores do
   Integer :score, null: false
   Integer :timestamp, null: false
   String :game_type, null: false # Required field - no default
+  String :client_id # Client-generated id so retried submissions aren't saved twice
   index :score
   index :timestamp
   index :game_type
+  index :client_id, unique: true
 end
 
 # Migration: Add game_type column if it doesn't exist
@@ -86,43 +283,131 @@ if has_default || allows_null
   puts "✓ Successfully migrated game_type column: removed default, made required"
 end
 
-get '/' do
-  send_file File.join(settings.public_folder, 'index.html')
+# Achievements unlocked by each player (player ids are generated by the browser)
+DB.create_table? :achievements do
+  primary_key :id
+  String :player_id, null: false
+  String :achievement_id, null: false
+  String :game_type, null: false
+  Integer :unlocked_at, null: false
+  index [:player_id, :achievement_id], unique: true
 end
 
-get '/pac-gator' do
-  send_file File.join(settings.public_folder, 'pac-gator', 'pac-gator.html')
+# Migration: Add client_id column if it doesn't exist
+unless DB[:high_scores].columns.include?(:client_id)
+  DB.alter_table :high_scores do
+    add_column :client_id, String
+  end
+
+  DB.add_index :high_scores, :client_id
+
+  puts "✓ Added client_id column to high_scores table"
+end
+
+# Migration: Add player profile columns (id and avatar colour) if they don't exist
+unless DB[:high_scores].columns.include?(:player_id)
+  DB.alter_table :high_scores do
+    add_column :player_id, String
+    add_column :color, String
+  end
+
+  puts "✓ Added player_id and color columns to high_scores table"
+end
+
+# Migration: Make the client_id index unique, so a repeated submission can't be saved twice
+unless DB.indexes(:high_scores).values.any? { |index| index[:columns] == [:client_id] && index[:unique] }
+  DB.transaction do
+    # Keep the first copy of any submission that was saved more than once
+    first_ids = DB[:high_scores].exclude(client_id: nil).group(:client_id).select { min(:id) }
+    DB[:high_scores].exclude(client_id: nil).exclude(id: first_ids).delete
+    DB.drop_index :high_scores, :client_id, if_exists: true
+    DB.add_index :high_scores, :client_id, unique: true
+  end
+
+  puts "✓ Made the high_scores client_id index unique"
+end
+
+# Migrations that change data rather than columns, by name, so each runs once
+DB.create_table? :data_migrations do
+  String :name, primary_key: true
 end
 
-get '/flappy-gator' do
-  send_file File.join(settings.public_folder, 'flappy-gator', 'flappy-gator.html')
+# Migration: Store Flappy Gator scores in tenths of a point (they were whole points)
+unless DB[:data_migrations].where(name: 'flappy_scores_in_tenths').count > 0
+  DB.transaction do
+    DB[:high_scores].where(game_type: 'flappy-gator').update(score: Sequel[:score] * FLAPPY_SCORE_SCALE)
+    DB[:data_migrations].insert(name: 'flappy_scores_in_tenths')
+  end
+
+  puts "✓ Converted Flappy Gator scores to tenths of a point"
+end
+
+get '/' do
+  send_file File.join(settings.public_folder, 'index.html')
+end
+
+# Serve each game's entry page at /<id>
+GAMES.each do |game|
+  get "/#{game['id']}" do
+    send_file File.join(settings.public_folder, game['entry'])
+  end
 end
 
 # Get game history (all sessions sorted by score descending)
 get '/api/history' do
   history = DB[:high_scores]
+    .select(*SCORE_COLUMNS)
     .order(Sequel.desc(:timestamp))
     .limit(20)
     .all
   json history
 end
 
-# Get top 10 high scores (optionally filtered by game type)
+# Get a page of high scores (optionally filtered by game type)
+#   offset - Entries to skip (default 0)
+#   limit  - Page size (default 10, at most 50)
+#   window - 'all', 'weekly' (last 7 days) or 'daily' (last 24 hours)
+# Each entry includes its rank; the X-Total-Count header has the number of entries in the window
 get '/api/highscores' do
   game_type = params['game_type']
+  window = window_param
+  offset = integer_param('offset', 0)
+  limit = integer_param('limit', DEFAULT_PAGE_SIZE).clamp(1, MAX_PAGE_SIZE)
   
-  query = DB[:high_scores]
-  
-  # Filter by game type if provided
-  if game_type && !game_type.empty?
-    query = query.where(game_type: game_type)
-  end
+  query = leaderboard_scores(game_type, window)
+  headers 'X-Total-Count' => query.count.to_s
   
   scores = query
-    .order(Sequel.desc(:score))
-    .limit(10)
+    .select(*SCORE_COLUMNS)
+    .order(*leaderboard_order(game_type))
+    .limit(limit, offset)
     .all
-  json scores
+  json scores.each_with_index.map { |entry, index| entry.merge(rank: offset + index + 1) }
+end
+
+# Get the leaderboard rank of a score within a window (rank is null if the score is outside it)
+get '/api/highscores/:id/rank' do
+  entry = DB[:high_scores].where(id: params['id'].to_i).first
+  halt 404, json({ success: false, error: 'Score not found' }) unless entry
+  
+  window = window_param
+  query = leaderboard_scores(entry[:game_type], window)
+  
+  rank = nil
+  if query.where(id: entry[:id]).count > 0
+    better = lower_score_wins?(entry[:game_type]) ? Sequel[:score] < entry[:score] : Sequel[:score] > entry[:score]
+    ahead = query.where(better).count + query.where(score: entry[:score]).where(Sequel[:id] < entry[:id]).count
+    rank = ahead + 1
+  end
+  
+  json({
+    id: entry[:id],
+    game_type: entry[:game_type],
+    score: entry[:score],
+    rank: rank,
+    total: query.count,
+    window: window
+  })
 end
 
 # Get all scores for stats calculation (no limit)
@@ -185,29 +470,101 @@ post '/api/highscores' do
   end
   
   # Validate game type is one of the supported games
-  valid_game_types = ['pac-gator', 'flappy-gator']
+  valid_game_types = GAMES.map { |game| game['id'] }
   unless valid_game_types.include?(game_type)
     halt 400, json({ success: false, error: "game_type must be one of: #{valid_game_types.join(', ')}" })
   end
   
-  # Insert into database and get the ID
-  score_id = DB[:high_scores].insert(
-    name: data['name'] || 'Player',
-    score: score_int,
-    timestamp: Time.now.to_i,
-    game_type: game_type
-  )
+  # Clients retry submissions that failed; answer a repeat with the score already saved
+  client_id = data['client_id']
+  if client_id.is_a?(String) && !client_id.empty?
+    halt_duplicate_score(client_id) if DB[:high_scores].where(client_id: client_id).count > 0
+  else
+    client_id = nil
+  end
+  
+  # Scores from a player profile carry its id; older clients only send a name
+  player_id = data['player_id']
+  validate_player_id(player_id) unless player_id.nil?
+  
+  # Only save scores the submitted replay reproduces
+  if REPLAY_VERIFICATION_ENABLED && REPLAY_VERIFIED_GAMES.include?(game_type)
+    verdict = verify_replay(data['replay'], score_int)
+    unless verdict['valid']
+      halt 400, json({ success: false, error: "Score could not be verified: #{verdict['reason']}" })
+    end
+  end
+  
+  # Insert into database and get the ID (a repeat that arrives while the first copy is
+  # being saved is caught by the unique client_id index)
+  begin
+    score_id = DB[:high_scores].insert(
+      name: sanitize_name(data['name']),
+      score: score_int,
+      timestamp: Time.now.to_i,
+      game_type: game_type,
+      client_id: client_id,
+      player_id: player_id,
+      color: avatar_color(data['color'])
+    )
+  rescue Sequel::UniqueConstraintViolation
+    halt_duplicate_score(client_id)
+  end
   
   # Check if it's a new high score for this game type
   top_score = DB[:high_scores]
     .where(game_type: game_type)
-    .order(Sequel.desc(:score))
+    .order(score_order(game_type))
     .first
-  is_new_high_score = top_score && score_int >= top_score[:score]
+  is_new_high_score = top_score && (lower_score_wins?(game_type) ? score_int <= top_score[:score] : score_int >= top_score[:score])
   
   json success: true, isNewHighScore: is_new_high_score, id: score_id
 end
 
+# Get the achievements a player has unlocked
+get '/api/achievements' do
+  player_id = params['player_id']
+  validate_player_id(player_id)
+  json player_achievements(player_id)
+end
+
+# Save a player's newly unlocked achievements (JSON body: {player_id, achievements: [{id, unlocked_at}]})
+# Ones already saved are skipped and unknown ids are left out (listed in `rejected`, so one
+# achievement removed from achievements.json doesn't stop the rest syncing); answers with
+# everything the player has unlocked
+post '/api/achievements' do
+  data = JSON.parse(request.body.read)
+  player_id = data['player_id']
+  validate_player_id(player_id)
+
+  unlocks = data['achievements']
+  halt 400, json({ success: false, error: 'achievements must be a list' }) unless unlocks.is_a?(Array)
+
+  now = Time.now.to_i
+  rejected = []
+  rows = unlocks.filter_map do |unlock|
+    definition = unlock.is_a?(Hash) && ACHIEVEMENTS.find { |a| a['id'] == unlock['id'] }
+    unless definition
+      rejected << (unlock.is_a?(Hash) ? unlock['id'] : unlock)
+      next
+    end
+
+    # Unlock times come from the client; future ones are clamped to now
+    unlocked_at = unlock['unlocked_at'].is_a?(Integer) ? [unlock['unlocked_at'], now].min : now
+    { player_id: player_id, achievement_id: definition['id'], game_type: definition['game'], unlocked_at: unlocked_at }
+  end
+
+  DB.transaction do
+    rows.each do |row|
+      next if DB[:achievements].where(player_id: player_id, achievement_id: row[:achievement_id]).count > 0
+
+      DB[:achievements].insert(row)
+    end
+  end
+
+  json success: true, achievements: player_achievements(player_id), rejected: rejected
+end
+
 # Test endpoint to verify deployment
 get '/api/test-deployment' do
   json({ status: "deployed", rack_env: ENV['RACK_ENV'], timestamp: Time.now.to_i })
@@ -222,8 +579,8 @@ end
 get '/api/reset-flappy-scores-preview' do
   flappy_scores = DB[:high_scores].where(game_type: 'flappy-gator')
   count = flappy_scores.count
-  high_score = count > 0 ? flappy_scores.max(:score) : 0
-  avg_score = count > 0 ? flappy_scores.avg(:score).round(1) : 0
+  high_score = count > 0 ? flappy_scores.max(:score).fdiv(FLAPPY_SCORE_SCALE) : 0
+  avg_score = count > 0 ? flappy_scores.avg(:score).fdiv(FLAPPY_SCORE_SCALE).round(1) : 0
   
   json({ 
     message: "Preview - would delete #{count} scores",
@@ -258,8 +615,8 @@ delete '/api/reset-flappy-scores' do
   # Get stats before deletion
   flappy_scores = DB[:high_scores].where(game_type: 'flappy-gator')
   count = flappy_scores.count
-  high_score = count > 0 ? flappy_scores.max(:score) : 0
-  avg_score = count > 0 ? flappy_scores.avg(:score).round(1) : 0
+  high_score = count > 0 ? flappy_scores.max(:score).fdiv(FLAPPY_SCORE_SCALE) : 0
+  avg_score = count > 0 ? flappy_scores.avg(:score).fdiv(FLAPPY_SCORE_SCALE).round(1) : 0
   
   # Delete all flappy-gator scores
   deleted_count = DB[:high_scores].where(game_type: 'flappy-gator').delete
@@ -312,9 +669,17 @@ put '/api/highscores/:id' do
     halt 404, json({ success: false, error: 'Score not found' })
   end
   
-  # Update only the name
-  new_name = data['name'] || 'Player'
-  DB[:high_scores].where(id: score_id).update(name: new_name)
+  # Renames are answered so the player can pick another name (new scores just fall back to the default)
+  new_name = clean_name(data['name'])
+  if !new_name.empty? && name_blocked?(new_name)
+    halt 400, json({ success: false, error: 'That name is not allowed' })
+  end
+  
+  # Update only the name (and the avatar colour, if one is sent)
+  changes = { name: new_name.empty? ? NAME_RULES['defaultName'] : new_name }
+  color = avatar_color(data['color'])
+  changes[:color] = color if color
+  DB[:high_scores].where(id: score_id).update(changes)
   
   json success: true
 end
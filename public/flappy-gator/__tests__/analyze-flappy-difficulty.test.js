@@ -0,0 +1,60 @@
+/**
+ * Unit tests for the difficulty-curve analyzer's impossible-gap check
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FlappyGatorSimulation = require('../flappy-gator-simulation.js');
+const config = require('../config.js');
+
+const script = path.join(__dirname, '..', '..', '..', 'scripts', 'analyze-flappy-difficulty.js');
+const { runAnalysis, checkGapSequence } = require(script);
+
+// Gaps narrower than the gator's hitbox can't be flown through
+const TOO_NARROW = { INITIAL_PIPE_GAP: 30, MIN_PIPE_GAP: 30 };
+
+describe('analyze-flappy-difficulty', () => {
+    test('a gap smaller than the hitbox is flagged as impossible', () => {
+        expect(TOO_NARROW.MIN_PIPE_GAP).toBeLessThan(config.GATOR_HITBOX_RADIUS * 2);
+
+        const analysis = runAnalysis({ runs: 1, maxPipes: 10, config: TOO_NARROW });
+
+        expect(analysis.impossible).toHaveLength(1);
+        expect(analysis.impossible[0]).toMatchObject({ seed: 1, pipe: 1, gapHeight: 30 });
+    });
+
+    test('the default config has no impossible gaps', () => {
+        // 70 pipes reaches the smallest gap
+        const analysis = runAnalysis({ runs: 2, maxPipes: 70 });
+
+        expect(analysis.impossible).toEqual([]);
+        expect(analysis.curve[analysis.curve.length - 1].gapHeight).toBe(config.MIN_PIPE_GAP);
+    });
+
+    test('with no pipe ahead there is nothing to get through', () => {
+        expect(checkGapSequence(new FlappyGatorSimulation({ seed: 1 }), [])).toEqual({
+            possible: true,
+            pipe: null,
+            previousPipe: null
+        });
+    });
+
+    test('the script exits with status 1 when it finds an impossible gap', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flappy-difficulty-'));
+        const overrides = path.join(dir, 'overrides.json');
+        fs.writeFileSync(overrides, JSON.stringify(TOO_NARROW));
+        const run = args => spawnSync('node', [script, '--runs=2', '--max-pipes=10', ...args], { encoding: 'utf8' });
+
+        try {
+            const narrow = run([`--config=${overrides}`]);
+            expect(narrow.status).toBe(1);
+            expect(narrow.stdout).toContain('2 impossible gap sequences');
+
+            expect(run([]).status).toBe(0);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for FlappyGatorBot (physics model, perfect and noisy play)
+ */
+
+const FlappyGatorSimulation = require('../flappy-gator-simulation.js');
+const FlappyGatorBot = require('../flappy-gator-bot.js');
+const SeededRandom = require('../../shared/seeded-random.js');
+
+function noisyBot(seed) {
+    const simulation = new FlappyGatorSimulation({ seed });
+    return new FlappyGatorBot(simulation, { aimError: 40, reactionTicks: 3, random: new SeededRandom(seed) });
+}
+
+describe('FlappyGatorBot', () => {
+    test('stepGator moves the gator exactly like the simulation', () => {
+        const simulation = new FlappyGatorSimulation({ seed: 3 });
+        const rng = new SeededRandom(3);
+        let model = { y: simulation.gator.y, velocity: simulation.gator.velocity };
+
+        for (let i = 0; i < 300 && !simulation.gameOver; i++) {
+            const flap = rng.next() < 0.1;
+            model = FlappyGatorBot.stepGator(model, flap, simulation.physicsEngine);
+            simulation.step({ flap });
+
+            expect(model.y).toBe(simulation.gator.y);
+            expect(model.velocity).toBe(simulation.gator.velocity);
+        }
+    });
+
+    test('plays through the default difficulty curve without crashing', () => {
+        [1, 2, 3].forEach(seed => {
+            const result = new FlappyGatorBot(new FlappyGatorSimulation({ seed })).playToEnd({ maxPipes: 40 });
+
+            expect(result).toMatchObject({ pipes: 40, collision: null });
+        });
+    });
+
+    test('stops at the frame limit', () => {
+        const result = new FlappyGatorBot(new FlappyGatorSimulation({ seed: 1 })).playToEnd({ maxFrames: 50 });
+
+        expect(result).toEqual({ score: 0, pipes: 0, frames: 50, collision: null });
+    });
+
+    test('noisy play flaps a reaction time late', () => {
+        const bot = noisyBot(1);
+        bot.simulation.gator.y = 625;
+
+        expect([bot.decide(), bot.decide(), bot.decide(), bot.decide()]).toEqual([false, false, false, true]);
+    });
+
+    test('noisy play is the same for a seed and crashes sooner than perfect play', () => {
+        const first = noisyBot(5).playToEnd({ maxPipes: 100 });
+
+        expect(noisyBot(5).playToEnd({ maxPipes: 100 })).toEqual(first);
+        expect(first.collision).not.toBeNull();
+        expect(first.pipes).toBeLessThan(100);
+    });
+});
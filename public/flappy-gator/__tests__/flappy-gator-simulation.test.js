@@ -0,0 +1,103 @@
+/**
+ * Unit tests for the headless Flappy Gator simulation
+ */
+
+const fc = require('fast-check');
+const FlappyGatorSimulation = require('../flappy-gator-simulation.js');
+
+/**
+ * Flap whenever the gator sinks below the middle of the next gap
+ */
+function steerThroughGaps(state) {
+    const next = state.pipes.find(pipe => pipe.x + pipe.width > state.gator.x - 20);
+    const target = next ? next.gapY + 25 : state.height / 2;
+    return state.gator.y > target && state.gator.velocity > -1;
+}
+
+/**
+ * Run until game over (or a frame limit), returning every event
+ */
+function play(simulation, decide, maxFrames = 5000) {
+    const events = [];
+    while (!simulation.gameOver && simulation.frame < maxFrames) {
+        events.push(...simulation.step({ flap: decide(simulation.getState()) }));
+    }
+    return events;
+}
+
+describe('FlappyGatorSimulation', () => {
+    test('starts with the gator mid-screen and no pipes', () => {
+        const state = new FlappyGatorSimulation({ seed: 1 }).getState();
+
+        expect(state).toMatchObject({ frame: 0, seed: 1, score: 0, scoreMultiplier: 1, gameOver: false, collision: null });
+        expect(state.gator).toEqual({ x: 100, y: 320, velocity: 0, rotation: 0 });
+        expect(state.pipes).toEqual([]);
+    });
+
+    test('without flapping the gator falls and hits the ground', () => {
+        const simulation = new FlappyGatorSimulation({ seed: 1 });
+        const events = play(simulation, () => false);
+
+        expect(simulation.gameOver).toBe(true);
+        expect(simulation.collision).toBe('ground');
+        expect(events).toEqual([{ type: 'collision', collision: expect.objectContaining({ type: 'ground' }) }]);
+        expect(simulation.step({ flap: true })).toEqual([]);
+    });
+
+    test('flaps are reported and push the gator up', () => {
+        const simulation = new FlappyGatorSimulation({ seed: 1 });
+        const events = simulation.step({ flaps: 2 });
+
+        expect(events).toEqual([{ type: 'flap' }, { type: 'flap' }]);
+        expect(simulation.getState().gator.velocity).toBeLessThan(0);
+    });
+
+    test('passing pipes scores, and three in a row raise the multiplier', () => {
+        const simulation = new FlappyGatorSimulation({ seed: 1234 });
+        const scores = play(simulation, steerThroughGaps, 2000).filter(event => event.type === 'score');
+
+        expect(scores.length).toBeGreaterThanOrEqual(4);
+        expect(scores.slice(0, 4).map(event => event.points)).toEqual([1, 1, 1, 1.5]);
+        expect(scores[2].multiplier).toBe(1.5);
+        expect(simulation.score).toBe(scores.reduce((sum, event) => sum + event.points, 0));
+    });
+
+    test('the same seed and inputs always produce the same run', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 0, max: 0xFFFFFFFF }),
+                fc.array(fc.boolean(), { minLength: 50, maxLength: 300 }),
+                (seed, inputs) => {
+                    const runs = [0, 1].map(() => {
+                        const simulation = new FlappyGatorSimulation({ seed });
+                        inputs.forEach(flap => simulation.step({ flap }));
+                        return simulation.getState();
+                    });
+                    expect(runs[0]).toEqual(runs[1]);
+                }
+            ),
+            { numRuns: 30 }
+        );
+    });
+
+    test('reset starts a new run with the given seed', () => {
+        const simulation = new FlappyGatorSimulation({ seed: 5 });
+        play(simulation, () => false);
+
+        simulation.reset(6);
+
+        expect(new FlappyGatorSimulation({ seed: 6 }).getState()).toEqual(simulation.getState());
+    });
+
+    test('getState returns a copy', () => {
+        const simulation = new FlappyGatorSimulation({ seed: 1 });
+        for (let i = 0; i < 150; i++) simulation.step({ flap: i % 20 === 0 });
+
+        const state = simulation.getState();
+        state.gator.y = -100;
+        state.pipes[0].x = -100;
+
+        expect(simulation.gator.y).not.toBe(-100);
+        expect(simulation.pipes[0].x).not.toBe(-100);
+    });
+});
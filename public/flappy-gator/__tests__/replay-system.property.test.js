@@ -0,0 +1,77 @@
+/**
+ * Property-Based Tests for Flappy Gator Replay System
+ * Feature: game-enhancements, input replay recording and playback
+ */
+
+const fc = require('fast-check');
+const { ReplayRecorder, ReplayPlayer } = require('../replay-system.js');
+
+describe('Replay System Property-Based Tests', () => {
+    /**
+     * Property: Exported replays play back every flap on its original frame
+     * For any sorted list of flap frames, recording then exporting then playing back
+     * should yield exactly the same flaps per frame
+     */
+    test('recorded flaps are played back on the same frames', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 0, max: 0xFFFFFFFF }),
+                fc.array(fc.integer({ min: 0, max: 2000 }), { maxLength: 100 }),
+                (seed, frames) => {
+                    const flapFrames = [...frames].sort((a, b) => a - b);
+                    const length = (flapFrames[flapFrames.length - 1] || 0) + 10;
+
+                    const recorder = new ReplayRecorder();
+                    recorder.start(seed);
+                    flapFrames.forEach(frame => recorder.recordFlap(frame));
+                    recorder.finish(length, 3);
+
+                    const player = new ReplayPlayer(recorder.export());
+                    if (player.seed !== seed || player.length !== length) return false;
+
+                    const playedFrames = [];
+                    for (let frame = 0; frame <= length; frame++) {
+                        const count = player.getFlapsAt(frame);
+                        for (let i = 0; i < count; i++) playedFrames.push(frame);
+                    }
+
+                    return player.isFinished(length) &&
+                        playedFrames.length === flapFrames.length &&
+                        playedFrames.every((frame, i) => frame === flapFrames[i]);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('flaps are delta-encoded in the exported replay', () => {
+        const recorder = new ReplayRecorder();
+        recorder.start(42);
+        [10, 25, 25, 40].forEach(frame => recorder.recordFlap(frame));
+        recorder.finish(60, 2);
+
+        expect(recorder.toJSON()).toEqual({
+            v: 1,
+            game: 'flappy-gator',
+            seed: 42,
+            length: 60,
+            score: 2,
+            flaps: [10, 15, 0, 15]
+        });
+    });
+
+    test('reset() rewinds playback', () => {
+        const player = new ReplayPlayer({ v: 1, game: 'flappy-gator', seed: 1, length: 20, score: 0, flaps: [5] });
+        expect(player.getFlapsAt(5)).toBe(1);
+        player.reset();
+        expect(player.getFlapsAt(5)).toBe(1);
+    });
+
+    test('invalid replays are rejected', () => {
+        expect(() => new ReplayPlayer('not json')).toThrow();
+        expect(() => new ReplayPlayer({ v: 99, game: 'flappy-gator', seed: 1, flaps: [] })).toThrow('Unsupported replay version');
+        expect(() => new ReplayPlayer({ v: 1, game: 'pac-gator', seed: 1, flaps: [] })).toThrow('different game');
+        expect(() => new ReplayPlayer({ v: 1, game: 'flappy-gator', flaps: [] })).toThrow('missing its seed');
+        expect(() => new ReplayPlayer({ v: 1, game: 'flappy-gator', seed: 1, flaps: [-1] })).toThrow('non-negative');
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for server-side replay verification
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const ReplayVerifier = require('../replay-verifier.js');
+
+// A run recorded in the browser game (seed 1234): 9.5 points (submitted as 95 tenths),
+// crashed on frame 1044
+const RECORDED_RUN = {
+    v: 1,
+    game: 'flappy-gator',
+    seed: 1234,
+    length: 1044,
+    score: 9.5,
+    flaps: [1, 30, 28, 28, 29, 26, 29, 28, 29, 28, 28, 29, 28, 29, 28, 31, 28, 28, 29, 13,
+        30, 29, 28, 22, 29, 28, 32, 28, 28, 30, 28, 29, 25, 24, 29, 28]
+};
+
+describe('ReplayVerifier', () => {
+    let verifier;
+
+    beforeEach(() => {
+        verifier = new ReplayVerifier();
+    });
+
+    test('a run recorded in the game reproduces its score', () => {
+        expect(verifier.verify(RECORDED_RUN, 95)).toEqual({
+            valid: true,
+            score: 9.5,
+            frames: 1044,
+            crashed: true,
+            reason: null
+        });
+        expect(verifier.verify(JSON.stringify(RECORDED_RUN), 95).valid).toBe(true);
+    });
+
+    test('a score the run did not earn is rejected', () => {
+        const result = verifier.verify(RECORDED_RUN, 999999);
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('Replay scores 95, not 999999');
+    });
+
+    test('claimed scores are whole tenths of a point, so half points from combos match', () => {
+        expect(RECORDED_RUN.score % 1).not.toBe(0);
+        expect(verifier.verify(RECORDED_RUN, 95).valid).toBe(true);
+        expect(verifier.verify(RECORDED_RUN, 9.5)).toMatchObject({ valid: false, reason: 'Replay scores 95, not 9.5' });
+        expect(verifier.verify(RECORDED_RUN, 9)).toMatchObject({ valid: false, reason: 'Replay scores 95, not 9' });
+    });
+
+    test('a replay claiming to last longer than the run is rejected', () => {
+        const result = verifier.verify({ ...RECORDED_RUN, length: 5000 }, 95);
+        expect(result.valid).toBe(false);
+        expect(result.reason).toBe('Run ended at frame 1044, replay says 5000');
+    });
+
+    test('changing the flaps changes the outcome', () => {
+        const flaps = [...RECORDED_RUN.flaps];
+        flaps[10] += 6;
+        expect(verifier.verify({ ...RECORDED_RUN, flaps }, 95).valid).toBe(false);
+    });
+
+    test('a run still going at the frame limit is rejected', () => {
+        const limited = new ReplayVerifier({ maxFrames: 500 });
+        expect(limited.verify({ ...RECORDED_RUN, length: 500 }, 0)).toMatchObject({
+            valid: false,
+            frames: 500,
+            reason: 'Run was still going after 500 frames'
+        });
+        expect(limited.verify(RECORDED_RUN, 95).reason).toBe('Replay is longer than 500 frames');
+    });
+
+    test.each([
+        [null, 'Invalid replay: Replay must be an object'],
+        ['{not json', expect.stringMatching(/^Invalid replay: /)],
+        [{ ...RECORDED_RUN, game: 'pac-gator' }, 'Invalid replay: Replay is for a different game: pac-gator'],
+        [{ ...RECORDED_RUN, flaps: [1, -3] }, 'Invalid replay: Replay flaps must be non-negative integers'],
+        [{ ...RECORDED_RUN, length: 10.5 }, 'Replay length must be a positive integer']
+    ])('malformed replay %# is rejected', (replay, reason) => {
+        expect(verifier.verify(replay, 0)).toEqual({ valid: false, score: null, frames: null, reason });
+    });
+});
+
+describe('verify-replay script', () => {
+    const script = path.join(__dirname, '..', '..', '..', 'scripts', 'verify-replay.js');
+    const run = input => JSON.parse(execFileSync('node', [script], { input, encoding: 'utf8', stdio: ['pipe', 'pipe', 'ignore'] }));
+
+    test('writes the verdict for the replay on stdin', () => {
+        expect(run(JSON.stringify({ replay: RECORDED_RUN, score: 95 }))).toMatchObject({ valid: true, score: 9.5 });
+        expect(run(JSON.stringify({ replay: RECORDED_RUN, score: 100 }))).toMatchObject({ valid: false });
+    });
+
+    test('input that is not JSON is an invalid replay', () => {
+        expect(run('nope')).toEqual({ valid: false, score: null, frames: null, reason: 'Input is not JSON' });
+    });
+});
@@ -0,0 +1,285 @@
+/**
+ * Collision Detector
+ * Enhanced collision detection with precise hitboxes, boundaries, and collision response
+ */
+class CollisionDetector {
+    constructor(canvasHeight, canvasWidth = 480) {
+        this.canvasHeight = canvasHeight;
+        this.canvasWidth = canvasWidth;
+        
+        // Precise hitbox definitions
+        this.gatorHitboxRadius = 15;        // Circular hitbox radius for gator
+        this.gatorHitboxOffsetX = 0;        // X offset from center
+        this.gatorHitboxOffsetY = 0;        // Y offset from center
+        
+        // Boundary definitions
+        this.ceilingBoundary = 0;           // Top boundary (ceiling)
+        this.groundBoundary = canvasHeight; // Bottom boundary (ground)
+        this.leftBoundary = -50;            // Left boundary (off-screen)
+        this.rightBoundary = canvasWidth;   // Right boundary
+        
+        // Collision tolerance (for more forgiving gameplay)
+        this.hitboxTolerance = 2;           // Pixels to shrink hitbox by
+        
+        // Invincibility frames system
+        this.invincibilityEnabled = false;  // Enable/disable invincibility
+        this.invincibilityFrames = 0;       // Current invincibility frame count
+        this.invincibilityDuration = 60;    // Frames of invincibility (1 second at 60fps)
+        
+        // Collision response tracking
+        this.lastCollisionType = null;      // 'pipe', 'ceiling', 'ground', null
+        this.lastCollisionTime = 0;         // Frame when last collision occurred
+        this.collisionFlashFrames = 0;      // Frames remaining for flash animation
+        this.collisionFlashDuration = 10;   // Flash duration in frames
+    }
+
+    /**
+     * Get gator hitbox with precise dimensions and tolerance
+     * @param {number} gatorX - Gator X position
+     * @param {number} gatorY - Gator Y position
+     * @param {number} gatorRotation - Gator rotation angle (for advanced hitbox)
+     * @returns {Object} Hitbox with x, y, and radius
+     */
+    getGatorHitbox(gatorX, gatorY, gatorRotation = 0) {
+        // Apply tolerance to make gameplay more forgiving
+        const effectiveRadius = this.gatorHitboxRadius - this.hitboxTolerance;
+        
+        return {
+            x: gatorX + this.gatorHitboxOffsetX,
+            y: gatorY + this.gatorHitboxOffsetY,
+            radius: effectiveRadius,
+            rotation: gatorRotation
+        };
+    }
+
+    /**
+     * Check collision between gator and pipes with detailed detection
+     * @param {number} gatorX - Gator X position
+     * @param {number} gatorY - Gator Y position
+     * @param {Array} pipes - Array of pipe objects
+     * @param {number} gatorRotation - Gator rotation angle
+     * @returns {Object} Collision result with type and details
+     */
+    checkPipeCollision(gatorX, gatorY, pipes, gatorRotation = 0) {
+        // Skip if invincible
+        if (this.isInvincible()) {
+            return { collision: false, type: null };
+        }
+        
+        const hitbox = this.getGatorHitbox(gatorX, gatorY, gatorRotation);
+        
+        for (const pipe of pipes) {
+            // Check if gator is horizontally aligned with pipe
+            if (gatorX + hitbox.radius > pipe.x && gatorX - hitbox.radius < pipe.x + pipe.width) {
+                // Calculate top and bottom pipe boundaries
+                const topPipeBottom = pipe.gapY - pipe.gapHeight / 2;
+                const bottomPipeTop = pipe.gapY + pipe.gapHeight / 2;
+                
+                // Check if gator collides with top pipe
+                if (gatorY - hitbox.radius < topPipeBottom) {
+                    this.registerCollision('pipe-top', pipe);
+                    return { 
+                        collision: true, 
+                        type: 'pipe-top',
+                        pipe: pipe,
+                        impactPoint: { x: gatorX, y: topPipeBottom }
+                    };
+                }
+                
+                // Check if gator collides with bottom pipe
+                if (gatorY + hitbox.radius > bottomPipeTop) {
+                    this.registerCollision('pipe-bottom', pipe);
+                    return { 
+                        collision: true, 
+                        type: 'pipe-bottom',
+                        pipe: pipe,
+                        impactPoint: { x: gatorX, y: bottomPipeTop }
+                    };
+                }
+            }
+        }
+        
+        return { collision: false, type: null };
+    }
+
+    /**
+     * Check collision with ceiling (top boundary)
+     * @param {number} gatorY - Gator Y position
+     * @param {number} gatorRotation - Gator rotation angle
+     * @returns {Object} Collision result
+     */
+    checkCeilingCollision(gatorY, gatorRotation = 0) {
+        // Skip if invincible
+        if (this.isInvincible()) {
+            return { collision: false, type: null };
+        }
+        
+        const hitbox = this.getGatorHitbox(0, gatorY, gatorRotation);
+        
+        // Check top boundary (ceiling)
+        if (gatorY - hitbox.radius < this.ceilingBoundary) {
+            this.registerCollision('ceiling');
+            return { 
+                collision: true, 
+                type: 'ceiling',
+                impactPoint: { x: 0, y: this.ceilingBoundary }
+            };
+        }
+        
+        return { collision: false, type: null };
+    }
+
+    /**
+     * Check collision with ground (bottom boundary)
+     * @param {number} gatorY - Gator Y position
+     * @param {number} gatorRotation - Gator rotation angle
+     * @returns {Object} Collision result
+     */
+    checkGroundCollision(gatorY, gatorRotation = 0) {
+        // Skip if invincible
+        if (this.isInvincible()) {
+            return { collision: false, type: null };
+        }
+        
+        const hitbox = this.getGatorHitbox(0, gatorY, gatorRotation);
+        
+        // Check bottom boundary (ground)
+        if (gatorY + hitbox.radius > this.groundBoundary) {
+            this.registerCollision('ground');
+            return { 
+                collision: true, 
+                type: 'ground',
+                impactPoint: { x: 0, y: this.groundBoundary }
+            };
+        }
+        
+        return { collision: false, type: null };
+    }
+
+    /**
+     * Check collision with top and bottom boundaries (combined)
+     * @param {number} gatorY - Gator Y position
+     * @param {number} gatorRotation - Gator rotation angle
+     * @returns {boolean} True if collision detected
+     */
+    checkBoundaryCollision(gatorY, gatorRotation = 0) {
+        const ceilingResult = this.checkCeilingCollision(gatorY, gatorRotation);
+        if (ceilingResult.collision) return true;
+        
+        const groundResult = this.checkGroundCollision(gatorY, gatorRotation);
+        if (groundResult.collision) return true;
+        
+        return false;
+    }
+
+    /**
+     * Register a collision and trigger response animations
+     * @param {string} type - Type of collision
+     * @param {Object} data - Additional collision data
+     */
+    registerCollision(type, data = null) {
+        this.lastCollisionType = type;
+        this.lastCollisionTime = Date.now();
+        this.collisionFlashFrames = this.collisionFlashDuration;
+    }
+
+    /**
+     * Update collision detector state (call each frame)
+     */
+    update() {
+        // Update invincibility frames
+        if (this.invincibilityFrames > 0) {
+            this.invincibilityFrames--;
+        }
+        
+        // Update collision flash animation
+        if (this.collisionFlashFrames > 0) {
+            this.collisionFlashFrames--;
+        }
+    }
+
+    /**
+     * Activate invincibility frames
+     * @param {number} duration - Duration in frames (default: 60)
+     */
+    activateInvincibility(duration = null) {
+        this.invincibilityEnabled = true;
+        this.invincibilityFrames = duration !== null ? duration : this.invincibilityDuration;
+    }
+
+    /**
+     * Check if currently invincible
+     * @returns {boolean} True if invincible
+     */
+    isInvincible() {
+        return this.invincibilityEnabled && this.invincibilityFrames > 0;
+    }
+
+    /**
+     * Check if collision flash animation is active
+     * @returns {boolean} True if flashing
+     */
+    isFlashing() {
+        return this.collisionFlashFrames > 0;
+    }
+
+    /**
+     * Get flash opacity for animation (0-1)
+     * @returns {number} Opacity value
+     */
+    getFlashOpacity() {
+        if (!this.isFlashing()) return 0;
+        
+        // Oscillate between 0 and 1 for flash effect
+        const progress = this.collisionFlashFrames / this.collisionFlashDuration;
+        return Math.sin(progress * Math.PI * 4) * 0.5 + 0.5;
+    }
+
+    /**
+     * Get invincibility flash state (for visual feedback)
+     * @returns {boolean} True if should render invincibility flash
+     */
+    shouldRenderInvincibilityFlash() {
+        if (!this.isInvincible()) return false;
+        
+        // Flash every 5 frames
+        return Math.floor(this.invincibilityFrames / 5) % 2 === 0;
+    }
+
+    /**
+     * Reset collision detector state
+     */
+    reset() {
+        this.invincibilityFrames = 0;
+        this.lastCollisionType = null;
+        this.lastCollisionTime = 0;
+        this.collisionFlashFrames = 0;
+    }
+
+    /**
+     * Set hitbox tolerance (for difficulty adjustment)
+     * @param {number} tolerance - Pixels to shrink hitbox by
+     */
+    setHitboxTolerance(tolerance) {
+        this.hitboxTolerance = Math.max(0, tolerance);
+    }
+
+    /**
+     * Get collision statistics
+     * @returns {Object} Collision stats
+     */
+    getCollisionStats() {
+        return {
+            lastCollisionType: this.lastCollisionType,
+            isInvincible: this.isInvincible(),
+            invincibilityFramesRemaining: this.invincibilityFrames,
+            isFlashing: this.isFlashing(),
+            hitboxRadius: this.gatorHitboxRadius - this.hitboxTolerance
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollisionDetector;
+}
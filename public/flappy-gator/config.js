@@ -51,6 +51,7 @@ const FLAPPY_CONFIG = {
   COMBO_THRESHOLD: 3, // Pipes needed to start multiplier
   MAX_MULTIPLIER: 10, // Maximum score multiplier (10x)
   MULTIPLIER_INCREMENT: 0.5, // Multiplier increases by 0.5x every 3 pipes
+  COMBO_TIMEOUT: 180, // frames without scoring before the combo resets (3 seconds at 60fps)
 
   // Visual effects
   PARTICLE_COUNT: 15,
@@ -62,6 +63,13 @@ const FLAPPY_CONFIG = {
   SOUND_ENABLED: true,
   MUSIC_ENABLED: false,
 
+  // Controls
+  KEY_BINDINGS_STORAGE_KEY: 'flappyGatorKeyBindings', // player's remapped keys (see shared/input-manager.js)
+
+  // Simulation timing (fixed timestep, independent of display refresh rate)
+  SIMULATION_TICK_RATE: 60, // simulation ticks per second (all frame-based values are per tick)
+  MAX_FRAME_TIME: 250, // ms - longest frame simulated at once (avoids catch-up spirals after tab switches)
+
   // Performance optimization
   TARGET_FPS: 60,
   ENABLE_OBJECT_POOLING: true,
@@ -0,0 +1,198 @@
+/**
+ * Flappy Gator Bot
+ * Plays a FlappyGatorSimulation on its own. Each tick it checks whether it can skip a
+ * flap: it plays the next ticks forward with a copy of the gator's physics against the
+ * pipes on screen (flapping as late as possible) and only flaps if not flapping would
+ * end the run. With no noise it is a perfect player for the pipes it can see; aim error
+ * and reaction time make it play more like a person. Used by the difficulty analyzer
+ * (scripts/analyze-flappy-difficulty.js).
+ */
+
+const BOT_SAFETY_MARGIN = 4;      // px kept between the hitbox and the bottom of a gap
+const BOT_LOOKAHEAD = 150;        // ticks played forward when deciding whether to flap
+
+class FlappyGatorBot {
+    /**
+     * @param {FlappyGatorSimulation} simulation - Simulation to play
+     * @param {Object} options
+     * @param {number} options.aimError - How far off (px, ±aimError) the bot aims from a line
+     *                                    aimError above the bottom of each gap; 0 plays perfectly
+     * @param {number} options.reactionTicks - Ticks between deciding to flap and flapping
+     * @param {Object} options.random - Random source for the noise ({ next() }, e.g. SeededRandom)
+     */
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.aimError = options.aimError || 0;
+        this.reactionTicks = options.reactionTicks || 0;
+        this.random = options.random || { next: Math.random };
+
+        this.pendingFlaps = [];           // Decisions waiting out the reaction time
+        this.aimOffsets = new WeakMap();  // Pipe -> aim offset (one per gap, like a person)
+    }
+
+    /**
+     * Decide whether to flap this tick (after the reaction time, if any)
+     * @returns {boolean}
+     */
+    decide() {
+        const flap = this.shouldFlap();
+        if (this.reactionTicks === 0) return flap;
+
+        this.pendingFlaps.push(flap);
+        return this.pendingFlaps.length > this.reactionTicks ? this.pendingFlaps.shift() : false;
+    }
+
+    /**
+     * Whether the gator needs to flap now to get through the pipes on screen
+     * @returns {boolean}
+     */
+    shouldFlap() {
+        const sim = this.simulation;
+
+        // Decide for the tick this decision will be carried out on
+        let gator = { y: sim.gator.y, velocity: sim.gator.velocity };
+        this.pendingFlaps.forEach(flap => {
+            gator = FlappyGatorBot.stepGator(gator, flap, sim.physicsEngine);
+        });
+        const startTick = this.pendingFlaps.length + 1;
+
+        // Noisy play doesn't look ahead: it flaps whenever it's about to drop below its aim
+        if (this.aimError > 0 || this.reactionTicks > 0) {
+            const next = FlappyGatorBot.stepGator(gator, false, sim.physicsEngine);
+            return next.y > this.getAimLine(startTick, sim.pipeGenerator.currentScrollSpeed, this.getHitboxRadius());
+        }
+
+        const skip = this.playForward(FlappyGatorBot.stepGator(gator, false, sim.physicsEngine), startTick);
+        if (skip >= BOT_LOOKAHEAD) return false;
+
+        // Flap if that survives longer (a perfect bot only flaps when it has to)
+        const flap = this.playForward(FlappyGatorBot.stepGator(gator, true, sim.physicsEngine), startTick);
+        return flap > skip;
+    }
+
+    /**
+     * Play the next ticks forward from a gator state, flapping only when about to drop
+     * below the gap ahead
+     * @param {Object} gator - { y, velocity } after the first tick
+     * @param {number} startTick - Ticks from now that state is at
+     * @returns {number} Ticks survived (BOT_LOOKAHEAD if it got through)
+     */
+    playForward(gator, startTick = 1) {
+        const sim = this.simulation;
+        const speed = sim.pipeGenerator.currentScrollSpeed;
+        const radius = this.getHitboxRadius();
+        let state = gator;
+
+        for (let tick = startTick; tick < startTick + BOT_LOOKAHEAD; tick++) {
+            if (this.collides(state.y, tick, speed, radius)) return tick - startTick;
+
+            const next = FlappyGatorBot.stepGator(state, false, sim.physicsEngine);
+            state = next.y > this.getAimLine(tick + 1, speed, radius) ?
+                FlappyGatorBot.stepGator(state, true, sim.physicsEngine) : next;
+        }
+        return BOT_LOOKAHEAD;
+    }
+
+    /**
+     * Lowest y the bot lets the gator fall to at a future tick: just above the bottom
+     * of the next gap it still has to get through
+     * @param {number} tick - Ticks from now
+     * @param {number} speed - Pipe scroll speed
+     * @param {number} radius - Hitbox radius
+     * @returns {number}
+     */
+    getAimLine(tick, speed, radius) {
+        const sim = this.simulation;
+        const pipe = sim.pipes.find(p => p.x - speed * tick + p.width > sim.gator.x - radius);
+        if (!pipe) {
+            return sim.collisionDetector.groundBoundary - radius - BOT_SAFETY_MARGIN;
+        }
+        return pipe.gapY + pipe.gapHeight / 2 - radius - BOT_SAFETY_MARGIN - this.getAimOffset(pipe);
+    }
+
+    // How far above the lowest safe line a noisy bot aims (0 to 2 × aimError), drawn once per pipe
+    getAimOffset(pipe) {
+        if (this.aimError === 0) return 0;
+        if (!this.aimOffsets.has(pipe)) {
+            this.aimOffsets.set(pipe, this.random.next() * 2 * this.aimError);
+        }
+        return this.aimOffsets.get(pipe);
+    }
+
+    /**
+     * Same checks as CollisionDetector, against where the pipes will be after some ticks
+     * @returns {boolean}
+     */
+    collides(y, tick, speed, radius) {
+        const sim = this.simulation;
+        const detector = sim.collisionDetector;
+        if (y - radius < detector.ceilingBoundary || y + radius > detector.groundBoundary) return true;
+
+        const x = sim.gator.x;
+        return sim.pipes.some(pipe => {
+            const pipeX = pipe.x - speed * tick;
+            if (x + radius <= pipeX || x - radius >= pipeX + pipe.width) return false;
+            return y - radius < pipe.gapY - pipe.gapHeight / 2 || y + radius > pipe.gapY + pipe.gapHeight / 2;
+        });
+    }
+
+    getHitboxRadius() {
+        return this.simulation.collisionDetector.getGatorHitbox(0, 0).radius;
+    }
+
+    /**
+     * Play until the gator crashes or a limit is reached
+     * @param {Object} options
+     * @param {number} options.maxPipes - Stop after passing this many pipes
+     * @param {number} options.maxFrames - Stop after this many ticks
+     * @param {Function} options.onStep - Called with each tick's events
+     * @returns {Object} { score, pipes, frames, collision } (collision is null if a limit was hit)
+     */
+    playToEnd(options = {}) {
+        const sim = this.simulation;
+        const maxPipes = options.maxPipes || Infinity;
+        const maxFrames = options.maxFrames || Infinity;
+
+        while (!sim.gameOver && sim.pipeGenerator.pipesPassed < maxPipes && sim.frame < maxFrames) {
+            const events = sim.step({ flap: this.decide() });
+            if (options.onStep) options.onStep(events);
+        }
+
+        return {
+            score: sim.score,
+            pipes: sim.pipeGenerator.pipesPassed,
+            frames: sim.frame,
+            collision: sim.collision
+        };
+    }
+
+    /**
+     * One tick of the gator's vertical movement, as PhysicsEngine moves it in the simulation
+     * (flap, then gravity and air resistance, then the smoothed position update)
+     * @param {Object} gator - { y, velocity }
+     * @param {boolean} flap - Flap this tick
+     * @param {PhysicsEngine} physics - Engine whose constants to use
+     * @returns {Object} New { y, velocity }
+     */
+    static stepGator(gator, flap, physics) {
+        let velocity = gator.velocity;
+        if (flap) {
+            const momentum = velocity > 0 ?
+                velocity * (1 - physics.MOMENTUM_CONSERVATION) :
+                velocity * physics.MOMENTUM_CONSERVATION;
+            velocity = Math.max(physics.TERMINAL_VELOCITY_UP, physics.FLAP_STRENGTH + momentum);
+        }
+
+        velocity += physics.GRAVITY;
+        velocity *= physics.AIR_RESISTANCE;
+        velocity = Math.max(physics.TERMINAL_VELOCITY_UP, Math.min(physics.TERMINAL_VELOCITY_DOWN, velocity));
+
+        const targetY = gator.y + velocity;
+        return { y: gator.y + (targetY - gator.y) * (1 - physics.INTERPOLATION_SMOOTHING), velocity };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlappyGatorBot;
+}
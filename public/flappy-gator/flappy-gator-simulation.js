@@ -0,0 +1,256 @@
+/**
+ * Flappy Gator Simulation
+ * The game rules without a canvas, DOM or audio: gator physics, pipes, scoring, combo
+ * multiplier and collisions, advanced one fixed tick at a time. FlappyGatorGame draws it
+ * and plays sounds for the events step() returns; the replay verifier, bots and tests
+ * run it directly in Node.
+ *
+ * Loads as a browser <script> (defines the global FlappyGatorSimulation; load config.js,
+ * seeded-random.js, physics-engine.js, pipe-generator.js and collision-detector.js first)
+ * or as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory({
+            config: require('./config.js'),
+            SeededRandom: require('../shared/seeded-random.js'),
+            PhysicsEngine: require('./physics-engine.js'),
+            PipeGenerator: require('./pipe-generator.js'),
+            CollisionDetector: require('./collision-detector.js')
+        });
+    } else {
+        root.FlappyGatorSimulation = factory({
+            config: FLAPPY_CONFIG,
+            SeededRandom,
+            PhysicsEngine,
+            PipeGenerator,
+            CollisionDetector
+        });
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    const { config, SeededRandom, PhysicsEngine, PipeGenerator, CollisionDetector } = deps;
+
+    // Logical world size (the canvas is scaled to fit the screen, the world never changes)
+    const WORLD_WIDTH = 480;
+    const WORLD_HEIGHT = 640;
+    const GATOR_X = 100;
+    // Combo multipliers make scores like 4.5; they're submitted and stored as whole tenths
+    const STORED_SCORE_SCALE = 10;
+
+    class FlappyGatorSimulation {
+        /**
+         * @param {Object} options
+         * @param {number|string} options.seed - Seed for the pipe sequence (random when omitted)
+         * @param {Object} options.config - Game configuration (defaults to config.js)
+         */
+        constructor(options = {}) {
+            this.config = options.config || config;
+            this.width = WORLD_WIDTH;
+            this.height = WORLD_HEIGHT;
+
+            this.physicsEngine = new PhysicsEngine();
+            this.pipeGenerator = new PipeGenerator(this.width, this.height, null, this.config);
+            this.collisionDetector = new CollisionDetector(this.height, this.width);
+
+            this.gator = {
+                x: GATOR_X,
+                y: this.height / 2,
+                velocity: 0,
+                rotation: 0,
+                prevY: this.height / 2,     // Position at the previous tick (for interpolated rendering)
+                prevRotation: 0,
+                width: 40,
+                height: 30
+            };
+
+            this.reset(options.seed);
+        }
+
+        /**
+         * Start a new run
+         * @param {number|string} seed - Seed for the pipe sequence (random when omitted)
+         */
+        reset(seed) {
+            this.rng = new SeededRandom(seed === undefined || seed === null ? SeededRandom.randomSeed() : seed);
+            this.seed = this.rng.getSeed();
+
+            this.frame = 0;
+            this.score = 0;
+            this.scoreMultiplier = 1;
+            this.comboCounter = 0;
+            this.lastScoreFrame = 0;
+            this.gameOver = false;
+            this.collision = null;  // What ended the run ('pipe-top', 'pipe-bottom', 'ceiling' or 'ground')
+
+            this.gator.y = this.height / 2;
+            this.gator.velocity = 0;
+            this.gator.rotation = 0;
+            this.gator.prevY = this.gator.y;
+            this.gator.prevRotation = 0;
+
+            this.physicsEngine.resetAll();
+            this.pipeGenerator.reset();
+            this.pipeGenerator.setRandom(this.rng.fork('pipes'));
+            this.collisionDetector.reset();
+        }
+
+        get pipes() {
+            return this.pipeGenerator.getPipes();
+        }
+
+        /**
+         * Advance one tick
+         * @param {Object} inputs
+         * @param {boolean} inputs.flap - Flap before this tick
+         * @param {number} inputs.flaps - Number of flaps before this tick (replays can hold
+         *                                several on one frame); overrides inputs.flap
+         * @returns {Array<Object>} What happened this tick, in order:
+         *   { type: 'flap' }, { type: 'score', points, multiplier } and { type: 'collision', collision }
+         */
+        step(inputs = {}) {
+            if (this.gameOver) return [];
+
+            const events = [];
+            const flaps = inputs.flaps !== undefined ? inputs.flaps : (inputs.flap ? 1 : 0);
+            for (let i = 0; i < flaps; i++) {
+                this.physicsEngine.applyFlap(this.gator, 'gator');
+                events.push({ type: 'flap' });
+            }
+
+            this.frame++;
+
+            this.gator.prevY = this.gator.y;
+            this.gator.prevRotation = this.gator.rotation;
+            this.updateGator();
+
+            this.pipeGenerator.updatePipes();
+            this.updateScore(events);
+            this.checkCollisions(events);
+
+            return events;
+        }
+
+        /**
+         * Apply gravity and tilt the gator with its velocity
+         */
+        updateGator() {
+            this.physicsEngine.applyGravity(this.gator);
+            this.physicsEngine.updatePosition(this.gator, 'gator');
+
+            // velocity * 3 degrees, clamped to ±45
+            let rotation = this.gator.velocity * 3;
+            if (isNaN(rotation)) {
+                rotation = 0;
+            }
+            this.gator.rotation = Math.max(-45, Math.min(45, rotation));
+        }
+
+        /**
+         * Score pipes the gator has passed, with the combo multiplier
+         * @param {Array<Object>} events - Tick events to add to
+         */
+        updateScore(events) {
+            // Counted in frames (not wall-clock time) so replays score identically
+            if (this.frame - this.lastScoreFrame > this.config.COMBO_TIMEOUT && this.comboCounter > 0) {
+                this.comboCounter = 0;
+                this.scoreMultiplier = 1;
+            }
+
+            this.pipes.forEach(pipe => {
+                if (!pipe.scored && this.gator.x > pipe.x + pipe.width) {
+                    // Keep one decimal of precision
+                    const points = Math.round(this.config.POINTS_PER_PIPE * this.scoreMultiplier * 10) / 10;
+                    this.score += points;
+                    this.pipeGenerator.updateDifficulty(this.score);
+
+                    // Multiplier rises every 3 consecutive pipes: 1x -> 1.5x -> 2x ... -> 10x
+                    this.comboCounter++;
+                    this.lastScoreFrame = this.frame;
+                    if (this.comboCounter >= 3) {
+                        const multiplierLevel = Math.min(Math.floor(this.comboCounter / 3), 18);
+                        this.scoreMultiplier = Math.min(10, 1 + (multiplierLevel * 0.5));
+                    }
+
+                    pipe.scored = true;
+                    this.pipeGenerator.increaseDifficulty();
+                    events.push({ type: 'score', points, multiplier: this.scoreMultiplier });
+                }
+            });
+        }
+
+        /**
+         * End the run on hitting a pipe, the ceiling or the ground
+         * @param {Array<Object>} events - Tick events to add to
+         */
+        checkCollisions(events) {
+            this.collisionDetector.update();
+
+            let collision = this.collisionDetector.checkPipeCollision(this.gator.x, this.gator.y, this.pipes, this.gator.rotation);
+            if (!collision.collision) {
+                collision = this.collisionDetector.checkCeilingCollision(this.gator.y, this.gator.rotation);
+            }
+            if (!collision.collision) {
+                collision = this.collisionDetector.checkGroundCollision(this.gator.y, this.gator.rotation);
+            }
+
+            if (collision.collision) {
+                this.gameOver = true;
+                this.collision = collision.type;
+                events.push({ type: 'collision', collision });
+            }
+        }
+
+        /**
+         * Get a copy of the simulation state
+         * @returns {Object} { frame, seed, score, scoreMultiplier, comboCounter, gameOver, collision,
+         *                   width, height, gator, pipes, difficulty }
+         */
+        getState() {
+            return {
+                frame: this.frame,
+                seed: this.seed,
+                score: this.score,
+                scoreMultiplier: this.scoreMultiplier,
+                comboCounter: this.comboCounter,
+                gameOver: this.gameOver,
+                collision: this.collision,
+                width: this.width,
+                height: this.height,
+                gator: {
+                    x: this.gator.x,
+                    y: this.gator.y,
+                    velocity: this.gator.velocity,
+                    rotation: this.gator.rotation
+                },
+                pipes: this.pipes.map(pipe => ({
+                    x: pipe.x,
+                    width: pipe.width,
+                    gapY: pipe.gapY,
+                    gapHeight: pipe.gapHeight,
+                    scored: pipe.scored
+                })),
+                difficulty: this.pipeGenerator.getDifficultyStats()
+            };
+        }
+
+        /**
+         * A score as the server takes and stores it: an integer number of tenths of a point
+         * @param {number} score - Score in points (e.g. 4.5)
+         * @returns {number} Tenths (e.g. 45)
+         */
+        static toStoredScore(score) {
+            return Math.round(score * STORED_SCORE_SCALE);
+        }
+
+        /**
+         * A stored score back in points
+         * @param {number} storedScore - Tenths of a point
+         * @returns {number} Points
+         */
+        static fromStoredScore(storedScore) {
+            return storedScore / STORED_SCORE_SCALE;
+        }
+    }
+
+    return FlappyGatorSimulation;
+});
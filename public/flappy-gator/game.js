@@ -1,520 +1,3 @@
-/**
- * Pipe Generator
- * Manages pipe creation, movement, and removal with progressive difficulty
- */
-class PipeGenerator {
-    constructor(canvasWidth, canvasHeight) {
-        this.canvasWidth = canvasWidth;
-        this.canvasHeight = canvasHeight;
-        
-        // Wall pair configuration
-        this.pipeWidth = 60;                    // Width of each pipe/wall
-        
-        // Gap size configuration (using config values)
-        this.initialGapHeight = FLAPPY_CONFIG.INITIAL_PIPE_GAP;
-        this.minGapHeight = FLAPPY_CONFIG.MIN_PIPE_GAP;
-        this.currentGapHeight = this.initialGapHeight;
-        this.gapReductionRate = FLAPPY_CONFIG.GAP_REDUCTION_RATE;
-        
-        // Gap positioning boundaries
-        this.minGapY = 100;                     // Minimum Y position for gap center
-        this.maxGapY = canvasHeight - 250;      // Maximum Y position for gap center
-        this.gapVariation = 0.7;                // How much gap position can vary (0-1)
-        
-        // Wall pair spacing
-        this.initialSpawnInterval = 120;        // Starting frames between pipes (easier)
-        this.minSpawnInterval = 80;             // Minimum frames between pipes (harder)
-        this.currentSpawnInterval = this.initialSpawnInterval;
-        this.spacingDecreaseRate = 1;           // Frames to decrease per pipe passed
-        
-        // Wall movement speed (using config values)
-        this.initialScrollSpeed = FLAPPY_CONFIG.INITIAL_PIPE_SPEED;
-        this.maxScrollSpeed = FLAPPY_CONFIG.MAX_PIPE_SPEED;
-        this.currentScrollSpeed = this.initialScrollSpeed;
-        this.speedIncreaseRate = FLAPPY_CONFIG.SPEED_INCREASE_RATE;
-        
-        // Progressive difficulty tracking
-        this.pipesPassed = 0;                   // Total pipes passed (for difficulty scaling)
-        this.difficultyEnabled = true;          // Enable/disable progressive difficulty
-        
-        // Pipe tracking
-        this.pipes = [];
-        this.framesSinceLastSpawn = 0;
-        
-        // Random gap positioning strategy
-        this.lastGapY = (this.minGapY + this.maxGapY) / 2;  // Start in middle
-    }
-
-    /**
-     * Generate a new pipe with random gap position
-     * Uses smooth variation to avoid extreme jumps
-     */
-    generatePipe() {
-        // Calculate gap position with smooth variation
-        const gapY = this.calculateGapPosition();
-        
-        const pipe = {
-            x: this.canvasWidth,
-            width: this.pipeWidth,
-            gapY: gapY,
-            gapHeight: this.currentGapHeight,
-            scored: false,
-            topHeight: gapY - this.currentGapHeight / 2,
-            bottomY: gapY + this.currentGapHeight / 2,
-            speed: this.currentScrollSpeed  // Store speed for this pipe
-        };
-        
-        this.pipes.push(pipe);
-        return pipe;
-    }
-
-    /**
-     * Calculate gap position with smooth random variation
-     * Prevents extreme jumps between consecutive pipes
-     */
-    calculateGapPosition() {
-        // Calculate available range
-        const range = this.maxGapY - this.minGapY;
-        
-        // Maximum variation from last position (based on gapVariation setting)
-        const maxVariation = range * this.gapVariation * 0.3;
-        
-        // Generate new position near last position
-        const variation = (Math.random() - 0.5) * 2 * maxVariation;
-        let newGapY = this.lastGapY + variation;
-        
-        // Clamp to boundaries
-        newGapY = Math.max(this.minGapY, Math.min(this.maxGapY, newGapY));
-        
-        // Store for next calculation
-        this.lastGapY = newGapY;
-        
-        return newGapY;
-    }
-
-    /**
-     * Update all pipes - move them left and handle spawning/removal
-     * Applies current scroll speed to all pipes
-     */
-    updatePipes(customScrollSpeed = null) {
-        // Use custom speed if provided, otherwise use current speed
-        const speed = customScrollSpeed !== null ? customScrollSpeed : this.currentScrollSpeed;
-        
-        // Move all pipes left at their respective speeds
-        this.pipes.forEach(pipe => {
-            pipe.x -= speed;
-        });
-        
-        // Remove off-screen pipes
-        this.pipes = this.pipes.filter(pipe => {
-            if (pipe.x + pipe.width < 0) {
-                // Pipe is off-screen, remove it
-                return false;
-            }
-            return true;
-        });
-        
-        // Check if we should spawn a new pipe
-        this.framesSinceLastSpawn++;
-        if (this.framesSinceLastSpawn >= this.currentSpawnInterval) {
-            this.generatePipe();
-            this.framesSinceLastSpawn = 0;
-        }
-    }
-
-    /**
-     * Update difficulty based on current score
-     * Called when player's score changes
-     */
-    updateDifficulty(currentScore) {
-        if (!this.difficultyEnabled) return;
-        
-        const oldSpeed = this.currentScrollSpeed;
-        const oldGap = this.currentGapHeight;
-        const oldInterval = this.currentSpawnInterval;
-        
-        // Calculate new gap height based on score
-        const gapReduction = currentScore * this.gapReductionRate;
-        this.currentGapHeight = Math.max(
-            this.minGapHeight,
-            this.initialGapHeight - gapReduction
-        );
-        
-        // Calculate new speed based on score
-        const speedIncrease = currentScore * this.speedIncreaseRate;
-        this.currentScrollSpeed = Math.min(
-            this.maxScrollSpeed,
-            this.initialScrollSpeed + speedIncrease
-        );
-        
-        // Keep spawn interval constant (don't change horizontal spacing)
-        this.currentSpawnInterval = this.initialSpawnInterval;
-        
-        // Debug logging for difficulty changes
-        if (Math.abs(oldSpeed - this.currentScrollSpeed) > 0.01 || Math.abs(oldGap - this.currentGapHeight) > 0.5) {
-            console.log(`Difficulty Update - Score: ${currentScore}, Speed: ${oldSpeed.toFixed(2)} → ${this.currentScrollSpeed.toFixed(2)}, Gap: ${Math.round(oldGap)} → ${Math.round(this.currentGapHeight)}, Interval: ${this.currentSpawnInterval}`);
-        }
-    }
-
-    /**
-     * Legacy method for backward compatibility
-     * Now calls updateDifficulty with pipes passed as score approximation
-     */
-    increaseDifficulty() {
-        if (!this.difficultyEnabled) return;
-        this.pipesPassed++;
-        // Use pipes passed as a rough score approximation for legacy calls
-        this.updateDifficulty(this.pipesPassed);
-    }
-
-    /**
-     * Get current difficulty stats
-     * @returns {Object} Current difficulty parameters
-     */
-    getDifficultyStats() {
-        // Calculate difficulty percentage based on gap reduction
-        const gapReduction = this.initialGapHeight - this.currentGapHeight;
-        const maxGapReduction = this.initialGapHeight - this.minGapHeight;
-        const difficultyPercent = Math.min(100, (gapReduction / maxGapReduction) * 100);
-        
-        return {
-            pipesPassed: this.pipesPassed,
-            gapHeight: this.currentGapHeight,
-            spawnInterval: this.currentSpawnInterval,
-            scrollSpeed: this.currentScrollSpeed,
-            difficultyPercent: difficultyPercent,
-            gapReduction: gapReduction,
-            maxGapReduction: maxGapReduction
-        };
-    }
-
-    /**
-     * Remove a specific pipe
-     */
-    removePipe(pipe) {
-        const index = this.pipes.indexOf(pipe);
-        if (index > -1) {
-            this.pipes.splice(index, 1);
-        }
-    }
-
-    /**
-     * Set difficulty configuration
-     * @param {Object} config - Difficulty configuration object
-     */
-    setDifficultyConfig(config) {
-        if (config.gapShrinkRate !== undefined) this.gapShrinkRate = config.gapShrinkRate;
-        if (config.spacingDecreaseRate !== undefined) this.spacingDecreaseRate = config.spacingDecreaseRate;
-        if (config.speedIncreaseRate !== undefined) this.speedIncreaseRate = config.speedIncreaseRate;
-        if (config.minGapHeight !== undefined) this.minGapHeight = config.minGapHeight;
-        if (config.minSpawnInterval !== undefined) this.minSpawnInterval = config.minSpawnInterval;
-        if (config.maxScrollSpeed !== undefined) this.maxScrollSpeed = config.maxScrollSpeed;
-        if (config.difficultyEnabled !== undefined) this.difficultyEnabled = config.difficultyEnabled;
-    }
-
-    /**
-     * Get all pipes
-     */
-    getPipes() {
-        return this.pipes;
-    }
-
-    /**
-     * Reset pipe generator
-     */
-    reset() {
-        this.pipes = [];
-        this.framesSinceLastSpawn = 0;
-        
-        // Reset difficulty to initial values
-        this.currentGapHeight = this.initialGapHeight;
-        this.currentScrollSpeed = this.initialScrollSpeed;
-        this.currentSpawnInterval = this.initialSpawnInterval;
-        this.pipesPassed = 0;
-    }
-}
-
-/**
- * Collision Detector
- * Enhanced collision detection with precise hitboxes, boundaries, and collision response
- */
-class CollisionDetector {
-    constructor(canvasHeight, canvasWidth = 480) {
-        this.canvasHeight = canvasHeight;
-        this.canvasWidth = canvasWidth;
-        
-        // Precise hitbox definitions
-        this.gatorHitboxRadius = 15;        // Circular hitbox radius for gator
-        this.gatorHitboxOffsetX = 0;        // X offset from center
-        this.gatorHitboxOffsetY = 0;        // Y offset from center
-        
-        // Boundary definitions
-        this.ceilingBoundary = 0;           // Top boundary (ceiling)
-        this.groundBoundary = canvasHeight; // Bottom boundary (ground)
-        this.leftBoundary = -50;            // Left boundary (off-screen)
-        this.rightBoundary = canvasWidth;   // Right boundary
-        
-        // Collision tolerance (for more forgiving gameplay)
-        this.hitboxTolerance = 2;           // Pixels to shrink hitbox by
-        
-        // Invincibility frames system
-        this.invincibilityEnabled = false;  // Enable/disable invincibility
-        this.invincibilityFrames = 0;       // Current invincibility frame count
-        this.invincibilityDuration = 60;    // Frames of invincibility (1 second at 60fps)
-        
-        // Collision response tracking
-        this.lastCollisionType = null;      // 'pipe', 'ceiling', 'ground', null
-        this.lastCollisionTime = 0;         // Frame when last collision occurred
-        this.collisionFlashFrames = 0;      // Frames remaining for flash animation
-        this.collisionFlashDuration = 10;   // Flash duration in frames
-    }
-
-    /**
-     * Get gator hitbox with precise dimensions and tolerance
-     * @param {number} gatorX - Gator X position
-     * @param {number} gatorY - Gator Y position
-     * @param {number} gatorRotation - Gator rotation angle (for advanced hitbox)
-     * @returns {Object} Hitbox with x, y, and radius
-     */
-    getGatorHitbox(gatorX, gatorY, gatorRotation = 0) {
-        // Apply tolerance to make gameplay more forgiving
-        const effectiveRadius = this.gatorHitboxRadius - this.hitboxTolerance;
-        
-        return {
-            x: gatorX + this.gatorHitboxOffsetX,
-            y: gatorY + this.gatorHitboxOffsetY,
-            radius: effectiveRadius,
-            rotation: gatorRotation
-        };
-    }
-
-    /**
-     * Check collision between gator and pipes with detailed detection
-     * @param {number} gatorX - Gator X position
-     * @param {number} gatorY - Gator Y position
-     * @param {Array} pipes - Array of pipe objects
-     * @param {number} gatorRotation - Gator rotation angle
-     * @returns {Object} Collision result with type and details
-     */
-    checkPipeCollision(gatorX, gatorY, pipes, gatorRotation = 0) {
-        // Skip if invincible
-        if (this.isInvincible()) {
-            return { collision: false, type: null };
-        }
-        
-        const hitbox = this.getGatorHitbox(gatorX, gatorY, gatorRotation);
-        
-        for (const pipe of pipes) {
-            // Check if gator is horizontally aligned with pipe
-            if (gatorX + hitbox.radius > pipe.x && gatorX - hitbox.radius < pipe.x + pipe.width) {
-                // Calculate top and bottom pipe boundaries
-                const topPipeBottom = pipe.gapY - pipe.gapHeight / 2;
-                const bottomPipeTop = pipe.gapY + pipe.gapHeight / 2;
-                
-                // Check if gator collides with top pipe
-                if (gatorY - hitbox.radius < topPipeBottom) {
-                    this.registerCollision('pipe-top', pipe);
-                    return { 
-                        collision: true, 
-                        type: 'pipe-top',
-                        pipe: pipe,
-                        impactPoint: { x: gatorX, y: topPipeBottom }
-                    };
-                }
-                
-                // Check if gator collides with bottom pipe
-                if (gatorY + hitbox.radius > bottomPipeTop) {
-                    this.registerCollision('pipe-bottom', pipe);
-                    return { 
-                        collision: true, 
-                        type: 'pipe-bottom',
-                        pipe: pipe,
-                        impactPoint: { x: gatorX, y: bottomPipeTop }
-                    };
-                }
-            }
-        }
-        
-        return { collision: false, type: null };
-    }
-
-    /**
-     * Check collision with ceiling (top boundary)
-     * @param {number} gatorY - Gator Y position
-     * @param {number} gatorRotation - Gator rotation angle
-     * @returns {Object} Collision result
-     */
-    checkCeilingCollision(gatorY, gatorRotation = 0) {
-        // Skip if invincible
-        if (this.isInvincible()) {
-            return { collision: false, type: null };
-        }
-        
-        const hitbox = this.getGatorHitbox(0, gatorY, gatorRotation);
-        
-        // Check top boundary (ceiling)
-        if (gatorY - hitbox.radius < this.ceilingBoundary) {
-            this.registerCollision('ceiling');
-            return { 
-                collision: true, 
-                type: 'ceiling',
-                impactPoint: { x: 0, y: this.ceilingBoundary }
-            };
-        }
-        
-        return { collision: false, type: null };
-    }
-
-    /**
-     * Check collision with ground (bottom boundary)
-     * @param {number} gatorY - Gator Y position
-     * @param {number} gatorRotation - Gator rotation angle
-     * @returns {Object} Collision result
-     */
-    checkGroundCollision(gatorY, gatorRotation = 0) {
-        // Skip if invincible
-        if (this.isInvincible()) {
-            return { collision: false, type: null };
-        }
-        
-        const hitbox = this.getGatorHitbox(0, gatorY, gatorRotation);
-        
-        // Check bottom boundary (ground)
-        if (gatorY + hitbox.radius > this.groundBoundary) {
-            this.registerCollision('ground');
-            return { 
-                collision: true, 
-                type: 'ground',
-                impactPoint: { x: 0, y: this.groundBoundary }
-            };
-        }
-        
-        return { collision: false, type: null };
-    }
-
-    /**
-     * Check collision with top and bottom boundaries (combined)
-     * @param {number} gatorY - Gator Y position
-     * @param {number} gatorRotation - Gator rotation angle
-     * @returns {boolean} True if collision detected
-     */
-    checkBoundaryCollision(gatorY, gatorRotation = 0) {
-        const ceilingResult = this.checkCeilingCollision(gatorY, gatorRotation);
-        if (ceilingResult.collision) return true;
-        
-        const groundResult = this.checkGroundCollision(gatorY, gatorRotation);
-        if (groundResult.collision) return true;
-        
-        return false;
-    }
-
-    /**
-     * Register a collision and trigger response animations
-     * @param {string} type - Type of collision
-     * @param {Object} data - Additional collision data
-     */
-    registerCollision(type, data = null) {
-        this.lastCollisionType = type;
-        this.lastCollisionTime = Date.now();
-        this.collisionFlashFrames = this.collisionFlashDuration;
-    }
-
-    /**
-     * Update collision detector state (call each frame)
-     */
-    update() {
-        // Update invincibility frames
-        if (this.invincibilityFrames > 0) {
-            this.invincibilityFrames--;
-        }
-        
-        // Update collision flash animation
-        if (this.collisionFlashFrames > 0) {
-            this.collisionFlashFrames--;
-        }
-    }
-
-    /**
-     * Activate invincibility frames
-     * @param {number} duration - Duration in frames (default: 60)
-     */
-    activateInvincibility(duration = null) {
-        this.invincibilityEnabled = true;
-        this.invincibilityFrames = duration !== null ? duration : this.invincibilityDuration;
-    }
-
-    /**
-     * Check if currently invincible
-     * @returns {boolean} True if invincible
-     */
-    isInvincible() {
-        return this.invincibilityEnabled && this.invincibilityFrames > 0;
-    }
-
-    /**
-     * Check if collision flash animation is active
-     * @returns {boolean} True if flashing
-     */
-    isFlashing() {
-        return this.collisionFlashFrames > 0;
-    }
-
-    /**
-     * Get flash opacity for animation (0-1)
-     * @returns {number} Opacity value
-     */
-    getFlashOpacity() {
-        if (!this.isFlashing()) return 0;
-        
-        // Oscillate between 0 and 1 for flash effect
-        const progress = this.collisionFlashFrames / this.collisionFlashDuration;
-        return Math.sin(progress * Math.PI * 4) * 0.5 + 0.5;
-    }
-
-    /**
-     * Get invincibility flash state (for visual feedback)
-     * @returns {boolean} True if should render invincibility flash
-     */
-    shouldRenderInvincibilityFlash() {
-        if (!this.isInvincible()) return false;
-        
-        // Flash every 5 frames
-        return Math.floor(this.invincibilityFrames / 5) % 2 === 0;
-    }
-
-    /**
-     * Reset collision detector state
-     */
-    reset() {
-        this.invincibilityFrames = 0;
-        this.lastCollisionType = null;
-        this.lastCollisionTime = 0;
-        this.collisionFlashFrames = 0;
-    }
-
-    /**
-     * Set hitbox tolerance (for difficulty adjustment)
-     * @param {number} tolerance - Pixels to shrink hitbox by
-     */
-    setHitboxTolerance(tolerance) {
-        this.hitboxTolerance = Math.max(0, tolerance);
-    }
-
-    /**
-     * Get collision statistics
-     * @returns {Object} Collision stats
-     */
-    getCollisionStats() {
-        return {
-            lastCollisionType: this.lastCollisionType,
-            isInvincible: this.isInvincible(),
-            invincibilityFramesRemaining: this.invincibilityFrames,
-            isFlashing: this.isFlashing(),
-            hitboxRadius: this.gatorHitboxRadius - this.hitboxTolerance
-        };
-    }
-}
-
 /**
  * Game State Manager
  * Manages game states, transitions, and persistent data
@@ -624,7 +107,13 @@ class GameStateManager {
             
             const stats = await response.json();
             console.log('Received stats:', stats);
-            return stats;
+            // The server keeps scores in tenths of a point (see FlappyGatorSimulation.toStoredScore())
+            return {
+                ...stats,
+                highScore: FlappyGatorSimulation.fromStoredScore(stats.highScore),
+                totalScore: FlappyGatorSimulation.fromStoredScore(stats.totalScore),
+                averageScore: FlappyGatorSimulation.fromStoredScore(Math.round(stats.averageScore))
+            };
         } catch (error) {
             console.error('Error getting stats from database:', error);
             return {
@@ -666,7 +155,14 @@ class GameStateManager {
  */
 
 class FlappyGatorGame {
-    constructor(canvasElement) {
+    /**
+     * @param {HTMLCanvasElement} canvasElement - Game canvas
+     * @param {Object} options - Optional settings
+     * @param {number|string} options.seed - Fixed seed so every run replays the same pipe sequence
+     * @param {AchievementManager} options.achievements - Where played runs' events are counted
+     * @param {PlayerProfile} options.profile - Player the scores are submitted as (default 'Player')
+     */
+    constructor(canvasElement, options = {}) {
         this.canvas = canvasElement;
         this.ctx = this.canvas.getContext('2d');
         
@@ -687,48 +183,33 @@ class FlappyGatorGame {
         
         // Legacy state property (for backward compatibility)
         this.state = 'start'; // 'start', 'playing', 'paused', 'gameOver'
-        this.score = 0;
         this.highScore = 0;
-        this.frameCount = 0;
-        
-        // Real-time scoring
-        this.scoreMultiplier = 1;
-        this.comboCounter = 0;
-        this.lastScoreTime = 0;
-        
-        // Gator entity
-        this.gator = {
-            x: 100,
-            y: this.canvas.height / 2,
-            velocity: 0,
-            rotation: 0,
-            width: 40,
-            height: 30,
-            isFlapping: false
-        };
         
-        // Pipes array
-        this.pipes = [];
+        // Gator, pipes, scoring and collisions (this class draws the simulation and plays its sounds)
+        this.simulation = new FlappyGatorSimulation();
+        this.pendingFlaps = 0;      // Flaps since the last tick, applied at the start of the next one
+        this.isFlapping = false;    // Wings-up frame of the gator sprite
         
         // Animation frame ID
         this.animationFrameId = null;
         
-        // Physics engine
-        this.physicsEngine = new PhysicsEngine();
-        
-        // Pipe generator
-        this.pipeGenerator = new PipeGenerator(this.canvas.width, this.canvas.height);
-        
-        // Collision detector with enhanced features
-        this.collisionDetector = new CollisionDetector(this.canvas.height, this.canvas.width);
+        // Fixed-timestep simulation (identical gameplay speed on any refresh rate)
+        this.tickDuration = 1000 / FLAPPY_CONFIG.SIMULATION_TICK_RATE;  // ms per simulation tick
+        this.maxFrameTime = FLAPPY_CONFIG.MAX_FRAME_TIME;                 // Clamp long frames (tab switches, hitches)
+        this.accumulator = 0;
+        this.lastFrameTime = 0;
         
         // Screen shake state
         this.screenShakeFrames = 0;
         this.screenShakeIntensity = 5;
         
-        // API client and audio manager
-        this.apiClient = new APIClient();
+        // API client (shared with the leaderboard so one client retries queued scores) and audio manager
+        this.apiClient = apiClient;
+        this.requestController = new AbortController(); // Cancels this game's requests on destroy
+        this.pendingClientId = null; // Client id of a score queued while offline
         this.audioManager = new AudioManager();
+        this.achievements = options.achievements || null;
+        this.profile = options.profile || null;
         
         // Particle system for visual effects
         this.particleSystem = new ParticleSystem(this.ctx);
@@ -736,6 +217,19 @@ class FlappyGatorGame {
         // Score indicator system
         this.scoreIndicatorSystem = new ScoreIndicatorSystem(this.ctx);
         
+        // Replay recording and playback
+        this.replayRecorder = new ReplayRecorder();
+        this.replayPlayer = null;       // Set while a recorded run is being played back
+        this.lastReplay = null;         // Replay of the most recently finished run
+        this.lastRunWasReplay = false;
+        
+        // Seeded randomness (fixed seed from options, otherwise a fresh seed per run)
+        this.fixedSeed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : null;
+        this.seed = null;
+        this.seedRandom();
+        
         // Load sounds
         this.loadSounds();
         
@@ -748,6 +242,39 @@ class FlappyGatorGame {
         this.setupResponsive();
     }
     
+    // Read-only views of the simulation for rendering, UI and stats
+    get gator() {
+        return this.simulation.gator;
+    }
+
+    get pipes() {
+        return this.simulation.pipes;
+    }
+
+    get score() {
+        return this.simulation.score;
+    }
+
+    get frameCount() {
+        return this.simulation.frame;
+    }
+
+    get scoreMultiplier() {
+        return this.simulation.scoreMultiplier;
+    }
+
+    get comboCounter() {
+        return this.simulation.comboCounter;
+    }
+
+    get pipeGenerator() {
+        return this.simulation.pipeGenerator;
+    }
+
+    get collisionDetector() {
+        return this.simulation.collisionDetector;
+    }
+
     /**
      * Set up responsive canvas scaling
      */
@@ -808,6 +335,30 @@ class FlappyGatorGame {
         }
     }
 
+    /**
+     * Reset the simulation for a new run and seed the random sources
+     * Pipes and particles draw from separate streams so visual effects never shift the pipe sequence
+     */
+    seedRandom() {
+        let seed;
+        if (this.replayPlayer) {
+            seed = this.replayPlayer.seed;
+            this.replayPlayer.reset();
+        } else {
+            seed = this.fixedSeed !== null ? this.fixedSeed : SeededRandom.randomSeed();
+        }
+        
+        this.simulation.reset(seed);
+        this.seed = this.simulation.seed;
+        this.pendingFlaps = 0;
+        this.isFlapping = false;
+        
+        this.particleSystem.setRandom(this.simulation.rng.fork('particles'));
+        
+        // Every run is recorded so it can be exported when it ends
+        this.replayRecorder.start(this.seed);
+    }
+
     /**
      * Initialize game state
      */
@@ -817,27 +368,12 @@ class FlappyGatorGame {
         
         // Reset game state
         this.state = 'start';
-        this.score = 0;
-        this.frameCount = 0;
         
-        // Reset scoring system
-        this.scoreMultiplier = 1;
-        this.comboCounter = 0;
-        this.lastScoreTime = 0;
+        // Leave playback mode
+        this.replayPlayer = null;
         
-        // Reset gator
-        this.gator.x = 100;
-        this.gator.y = this.canvas.height / 2;
-        this.gator.velocity = 0;
-        this.gator.rotation = 0;
-        this.gator.isFlapping = false;
-        
-        // Reset physics engine state
-        this.physicsEngine.resetAll();
-        
-        // Clear pipes
-        this.pipes = [];
-        this.pipeGenerator.reset();
+        // Reset gator, pipes and score, and reseed for the next run
+        this.seedRandom();
         
         // Clear particles and score indicators
         if (this.particleSystem) {
@@ -847,19 +383,12 @@ class FlappyGatorGame {
             this.scoreIndicatorSystem.clear();
         }
         
-        // Reset collision detector
-        if (this.collisionDetector) {
-            this.collisionDetector.reset();
-        }
-        
-
-        
         // Set up UI
         await this.updateUI();
         
         // Start the game loop for rendering (even in start state)
         if (!this.animationFrameId) {
-            this.gameLoop();
+            this.startLoop();
         }
     }
 
@@ -873,7 +402,7 @@ class FlappyGatorGame {
             
             // Start game loop if not already running
             if (!this.animationFrameId) {
-                this.gameLoop();
+                this.startLoop();
             }
         }
     }
@@ -885,28 +414,8 @@ class FlappyGatorGame {
         // Clean up dynamically created elements
         this.cleanupDynamicElements();
         
-        // Reset game state
-        this.score = 0;
-        this.frameCount = 0;
-        
-        // Reset scoring system
-        this.scoreMultiplier = 1;
-        this.comboCounter = 0;
-        this.lastScoreTime = 0;
-        
-        // Reset gator position and velocity
-        this.gator.x = 100;
-        this.gator.y = this.canvas.height / 2;
-        this.gator.velocity = 0;
-        this.gator.rotation = 0;
-        this.gator.isFlapping = false;
-        
-        // Reset physics engine state for gator
-        this.physicsEngine.resetEntity('gator');
-        
-        // Clear pipes and reset generator
-        this.pipes = [];
-        this.pipeGenerator.reset();
+        // Reset gator, pipes and score, and reseed for the new run
+        this.seedRandom();
         
         // Clear particles and score indicators
         if (this.particleSystem) {
@@ -916,11 +425,6 @@ class FlappyGatorGame {
             this.scoreIndicatorSystem.clear();
         }
         
-        // Reset collision detector
-        if (this.collisionDetector) {
-            this.collisionDetector.reset();
-        }
-        
         // Transition to playing state
         this.state = 'playing';
         await this.updateUI();
@@ -930,56 +434,131 @@ class FlappyGatorGame {
         
         // Start game loop if not already running
         if (!this.animationFrameId) {
-            this.gameLoop();
+            this.startLoop();
         }
     }
 
+    /**
+     * Play back a recorded run
+     * @param {Object|string} replay - Replay object or JSON string from ReplayRecorder
+     * @throws {Error} If the replay is invalid
+     */
+    async playReplay(replay) {
+        this.replayPlayer = new ReplayPlayer(replay);
+        await this.restart();
+    }
+
+    /**
+     * Start (or restart) the game loop with fresh frame timing
+     * Prevents time spent paused or stopped from being simulated as one long frame
+     */
+    startLoop() {
+        this.lastFrameTime = performance.now();
+        this.accumulator = 0;
+        this.gameLoop(this.lastFrameTime);
+    }
+
     /**
      * Main game loop with enhanced visual effects
+     * Simulation advances in fixed ticks; rendering runs at the display refresh rate
+     * @param {number} timestamp - Frame timestamp from requestAnimationFrame (ms)
      */
-    gameLoop() {
+    gameLoop(timestamp = performance.now()) {
         // Clear canvas
         this.ctx.fillStyle = '#87CEEB'; // Sky blue background
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         
         // Update game state
         if (this.state === 'playing') {
-            this.frameCount++;
-            
-            // Update physics
-            this.updatePhysics();
-            
-            // Update pipes
-            this.pipeGenerator.updatePipes();
-            this.pipes = this.pipeGenerator.getPipes();
-            
-            // Update score
-            this.updateScore();
-            
-            // Check collisions
-            this.checkCollisions();
-            
-            // Update particle system
-            this.particleSystem.update();
-            
-            // Update score indicators
-            this.scoreIndicatorSystem.update();
+            this.accumulator += Math.min(timestamp - this.lastFrameTime, this.maxFrameTime);
             
-            // Create particle trail for gator
-            this.particleSystem.createTrail(this.gator.x, this.gator.y, this.gator.velocity);
+            // Run as many fixed ticks as the elapsed time covers (stop early on game over)
+            while (this.accumulator >= this.tickDuration && this.state === 'playing') {
+                this.update();
+                this.accumulator -= this.tickDuration;
+            }
+        } else {
+            this.accumulator = 0;
         }
+        this.lastFrameTime = timestamp;
         
         // Render game objects (always render, even in start state)
-        this.render();
+        // Blend between the last two ticks by how far we are into the next one
+        const alpha = this.state === 'playing' ? Math.min(1, this.accumulator / this.tickDuration) : 1;
+        this.render(alpha);
         
         // Continue loop
         this.animationFrameId = requestAnimationFrame(this.gameLoop);
     }
 
+    /**
+     * Advance the simulation by one fixed tick
+     */
+    update() {
+        // Flaps since the last tick, or the ones recorded for this frame during playback
+        const flaps = this.replayPlayer ? this.replayPlayer.getFlapsAt(this.frameCount) : this.pendingFlaps;
+        this.pendingFlaps = 0;
+        
+        // Advance gator, pipes, score and collisions, then show what happened
+        const events = this.simulation.step({ flaps });
+        events.forEach(event => this.handleSimulationEvent(event));
+        
+        // Update particle system
+        this.particleSystem.update();
+        
+        // Update score indicators
+        this.scoreIndicatorSystem.update();
+        
+        // Create particle trail for gator
+        this.particleSystem.createTrail(this.gator.x, this.gator.y, this.gator.velocity);
+    }
+
+    /**
+     * Play the sound and effects for something that happened in the simulation
+     * @param {Object} event - Event from FlappyGatorSimulation.step()
+     */
+    handleSimulationEvent(event) {
+        if (event.type === 'flap') {
+            this.flap();
+        } else if (event.type === 'score') {
+            this.showScore(event.points);
+            this.recordAchievement('pipePassed', { score: this.score });
+            if (event.multiplier > 1) {
+                this.recordAchievement('comboReached', { multiplier: event.multiplier });
+            }
+        } else if (event.type === 'collision') {
+            this.handleCollision(event.collision);
+        }
+    }
+
+    /**
+     * Count an event towards the Flappy Gator achievements (replays being watched don't count)
+     * @param {string} name - Achievement event name
+     * @param {Object} data - Event details
+     */
+    recordAchievement(name, data) {
+        if (this.achievements && !this.replayPlayer) {
+            this.achievements.emit(name, data);
+        }
+    }
+
+    /**
+     * Linear interpolation between the previous and current tick
+     * @param {number} previous - Value at the previous tick
+     * @param {number} current - Value at the current tick
+     * @param {number} alpha - Blend factor (0 = previous, 1 = current)
+     * @returns {number} Interpolated value
+     */
+    interpolate(previous, current, alpha) {
+        if (previous === undefined) return current;
+        return previous + (current - previous) * alpha;
+    }
+
     /**
      * Render all game objects with collision effects and particles
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks
      */
-    render() {
+    render(alpha = 1) {
         // Apply screen shake if active
         const isShaking = this.applyScreenShake();
         
@@ -987,7 +566,7 @@ class FlappyGatorGame {
         if (this.state === 'playing' || this.state === 'start') {
             // Render pipes (only when playing)
             if (this.state === 'playing') {
-                this.renderPipes();
+                this.renderPipes(alpha);
                 
                 // Render particles behind gator
                 this.particleSystem.render();
@@ -1003,11 +582,14 @@ class FlappyGatorGame {
                 this.ctx.globalAlpha = 0.5;
             }
             
+            const gatorY = this.interpolate(this.gator.prevY, this.gator.y, alpha);
+            const gatorRotation = this.interpolate(this.gator.prevRotation, this.gator.rotation, alpha);
+            
             this.gatorRenderer.drawGator(
                 this.gator.x,
-                this.gator.y,
-                this.gator.rotation,
-                this.gator.isFlapping
+                gatorY,
+                gatorRotation,
+                this.isFlapping
             );
             
             // Reset alpha
@@ -1025,7 +607,7 @@ class FlappyGatorGame {
             
             // Render invincibility indicator
             if (this.collisionDetector.isInvincible()) {
-                this.renderInvincibilityIndicator();
+                this.renderInvincibilityIndicator(gatorY);
             }
         }
         
@@ -1049,8 +631,9 @@ class FlappyGatorGame {
 
     /**
      * Render invincibility indicator around gator
+     * @param {number} gatorY - Interpolated gator Y position
      */
-    renderInvincibilityIndicator() {
+    renderInvincibilityIndicator(gatorY = this.gator.y) {
         const stats = this.collisionDetector.getCollisionStats();
         
         this.ctx.save();
@@ -1063,7 +646,7 @@ class FlappyGatorGame {
         const radius = (this.collisionDetector.gatorHitboxRadius + 5) * pulseScale;
         
         this.ctx.beginPath();
-        this.ctx.arc(this.gator.x, this.gator.y, radius, 0, Math.PI * 2);
+        this.ctx.arc(this.gator.x, gatorY, radius, 0, Math.PI * 2);
         this.ctx.stroke();
         
         this.ctx.restore();
@@ -1071,8 +654,9 @@ class FlappyGatorGame {
 
     /**
      * Render pipes with caps for visual polish
+     * @param {number} alpha - Interpolation factor between the last two simulation ticks
      */
-    renderPipes() {
+    renderPipes(alpha = 1) {
         const pipeColor = '#5CB54D'; // Kiro brand green
         const capHeight = 25;
         const capWidth = this.pipeGenerator.pipeWidth + 8;
@@ -1080,17 +664,20 @@ class FlappyGatorGame {
         this.pipes.forEach(pipe => {
             this.ctx.fillStyle = pipeColor;
             
+            // Interpolated horizontal position
+            const pipeX = this.interpolate(pipe.prevX, pipe.x, alpha);
+            
             // Calculate pipe sections
             const topPipeHeight = pipe.gapY - pipe.gapHeight / 2;
             const bottomPipeY = pipe.gapY + pipe.gapHeight / 2;
             const bottomPipeHeight = this.canvas.height - bottomPipeY;
             
             // Draw top pipe body
-            this.ctx.fillRect(pipe.x, 0, pipe.width, topPipeHeight);
+            this.ctx.fillRect(pipeX, 0, pipe.width, topPipeHeight);
             
             // Draw top pipe cap
             this.ctx.fillRect(
-                pipe.x - (capWidth - pipe.width) / 2,
+                pipeX - (capWidth - pipe.width) / 2,
                 topPipeHeight - capHeight,
                 capWidth,
                 capHeight
@@ -1098,7 +685,7 @@ class FlappyGatorGame {
             
             // Draw bottom pipe body
             this.ctx.fillRect(
-                pipe.x,
+                pipeX,
                 bottomPipeY,
                 pipe.width,
                 bottomPipeHeight
@@ -1106,7 +693,7 @@ class FlappyGatorGame {
             
             // Draw bottom pipe cap
             this.ctx.fillRect(
-                pipe.x - (capWidth - pipe.width) / 2,
+                pipeX - (capWidth - pipe.width) / 2,
                 bottomPipeY,
                 capWidth,
                 capHeight
@@ -1114,75 +701,6 @@ class FlappyGatorGame {
         });
     }
 
-    /**
-     * Update physics for gator
-     */
-    updatePhysics() {
-        // Apply gravity with air resistance
-        this.physicsEngine.applyGravity(this.gator);
-        
-        // Update position with smooth interpolation
-        this.physicsEngine.updatePosition(this.gator, 'gator');
-        
-        // Update rotation based on velocity
-        // Calculate rotation angle: velocity * 3 degrees
-        let rotation = this.gator.velocity * 3;
-        
-        // Handle NaN or invalid values
-        if (isNaN(rotation)) {
-            rotation = 0;
-        }
-        
-        // Clamp rotation to ±45 degrees
-        rotation = Math.max(-45, Math.min(45, rotation));
-        
-        this.gator.rotation = rotation;
-    }
-
-    /**
-     * Check for collisions with pipes and boundaries
-     * Enhanced with detailed collision detection and response
-     */
-    checkCollisions() {
-        // Update collision detector state
-        this.collisionDetector.update();
-        
-        // Check pipe collisions with detailed response
-        const pipeCollision = this.collisionDetector.checkPipeCollision(
-            this.gator.x, 
-            this.gator.y, 
-            this.pipes,
-            this.gator.rotation
-        );
-        
-        if (pipeCollision.collision) {
-            this.handleCollision(pipeCollision);
-            return;
-        }
-        
-        // Check ceiling collision
-        const ceilingCollision = this.collisionDetector.checkCeilingCollision(
-            this.gator.y,
-            this.gator.rotation
-        );
-        
-        if (ceilingCollision.collision) {
-            this.handleCollision(ceilingCollision);
-            return;
-        }
-        
-        // Check ground collision
-        const groundCollision = this.collisionDetector.checkGroundCollision(
-            this.gator.y,
-            this.gator.rotation
-        );
-        
-        if (groundCollision.collision) {
-            this.handleCollision(groundCollision);
-            return;
-        }
-    }
-
     /**
      * Handle collision with enhanced animation and response
      * @param {Object} collisionData - Collision details
@@ -1245,46 +763,31 @@ class FlappyGatorGame {
     }
 
     /**
-     * Update score by checking for pipe passages with enhanced scoring
+     * Handle a flap input
+     * @param {string} inputType - Device the flap came from ('keyboard', 'mouse', 'touch' or 'gamepad')
      */
-    updateScore() {
-        // Update combo system
-        this.updateComboSystem();
-        
-        // Check each pipe to see if gator has passed through it
-        this.pipes.forEach(pipe => {
-            // Detect pipe passage: gator X > pipe X + width
-            if (!pipe.scored && this.gator.x > pipe.x + pipe.width) {
-                // Add score with multiplier system
-                this.addScore(1);
-                
-                // Mark pipe as scored to prevent double-counting
-                pipe.scored = true;
-                
-                // Increase difficulty progressively
-                this.pipeGenerator.increaseDifficulty();
-            }
-        });
+    handleInput(inputType) {
+        // Only accept input during playing state (replays supply their own flaps)
+        if (this.state === 'playing' && !this.replayPlayer) {
+            // Applied at the start of the next tick, the frame it is recorded against
+            this.replayRecorder.recordFlap(this.frameCount);
+            this.pendingFlaps++;
+        }
     }
 
     /**
-     * Handle input events
+     * Show a flap: wings up and the flap sound
      */
-    handleInput(inputType) {
-        // Only accept input during playing state
-        if (this.state === 'playing') {
-            // Apply flap using physics engine with momentum conservation
-            this.physicsEngine.applyFlap(this.gator, 'gator');
-            this.gator.isFlapping = true;
-            
-            // Play flap sound effect with custom volume
-            this.audioManager.playSound('flap', this.soundVolumes?.flap || 0.5);
-            
-            // Reset flapping state after a few frames
-            setTimeout(() => {
-                this.gator.isFlapping = false;
-            }, 100);
-        }
+    flap() {
+        this.isFlapping = true;
+        
+        // Play flap sound effect with custom volume
+        this.audioManager.playSound('flap', this.soundVolumes?.flap || 0.5);
+        
+        // Reset flapping state after a few frames
+        setTimeout(() => {
+            this.isFlapping = false;
+        }, 100);
     }
 
     /**
@@ -1323,6 +826,25 @@ class FlappyGatorGame {
             gameOverScreen.classList.remove('hidden');
             scoreDisplay.style.display = 'none';
             
+            // Replays are not saved to the leaderboard
+            const nameInputSection = document.getElementById('name-input-section');
+            if (nameInputSection) {
+                nameInputSection.style.display = this.lastRunWasReplay ? 'none' : '';
+            }
+            const playerNameInput = document.getElementById('player-name-input');
+            if (playerNameInput && this.profile) {
+                playerNameInput.value = this.profile.name;
+            }
+            const nameError = document.getElementById('name-error');
+            if (nameError) {
+                nameError.classList.add('hidden');
+            }
+            
+            const replayButtons = document.getElementById('replay-buttons');
+            if (replayButtons) {
+                replayButtons.classList.toggle('hidden', !this.lastReplay);
+            }
+            
             // Update game over screen scores
             const finalScoreElement = document.getElementById('final-score-value');
             if (finalScoreElement) {
@@ -1406,6 +928,10 @@ class FlappyGatorGame {
                 <span>Total Games:</span>
                 <span>${stats.totalGamesPlayed}</span>
             </div>
+            <div class="stat-row">
+                <span>Seed:</span>
+                <span>${this.seed}</span>
+            </div>
         `;
     }
 
@@ -1525,7 +1051,7 @@ class FlappyGatorGame {
             
             // Restart game loop
             if (!this.animationFrameId) {
-                this.gameLoop();
+                this.startLoop();
             }
         }
     }
@@ -1633,8 +1159,20 @@ class FlappyGatorGame {
             pipesPassed: this.pipeGenerator.pipesPassed
         });
         
+        // Finished playing back a replay: show the result without saving it
+        if (this.replayPlayer) {
+            this.finishReplay();
+            return;
+        }
+        
+        // Keep the recorded run so it can be watched or exported
+        this.replayRecorder.finish(this.frameCount, this.score);
+        this.lastReplay = this.replayRecorder.toJSON();
+        this.lastRunWasReplay = false;
+        
         // Update session streak
         this.stateManager.updateSessionStreak(this.score);
+        this.recordAchievement('gameOver', { score: this.score });
         
         // Play collision sound effect with custom volume
         this.audioManager.playSound('collision', this.soundVolumes?.collision || 0.7);
@@ -1643,16 +1181,57 @@ class FlappyGatorGame {
         this.saveGameSession().then(async (saveResult) => {
             const isNewHighScore = saveResult && saveResult.isNewHighScore;
             await this.updateUI(isNewHighScore);
-            loadLeaderboard('game-over-leaderboard-list');
+            loadLeaderboard('game-over-leaderboard-view');
         });
     }
 
+    /**
+     * End replay playback and show the game over screen
+     */
+    finishReplay() {
+        if (this.frameCount !== this.replayPlayer.length) {
+            console.warn(`Replay diverged: ended at frame ${this.frameCount}, recorded length ${this.replayPlayer.length}`);
+        }
+        
+        this.replayPlayer = null;
+        this.lastRunWasReplay = true;
+        
+        this.audioManager.playSound('collision', this.soundVolumes?.collision || 0.7);
+        
+        this.updateUI().then(() => {
+            loadLeaderboard('game-over-leaderboard-view');
+        });
+    }
+
+    /**
+     * Export the most recently finished run as a compact JSON replay
+     * @returns {string|null} Replay JSON, or null if no run has finished yet
+     */
+    exportReplay() {
+        return this.lastReplay ? JSON.stringify(this.lastReplay) : null;
+    }
+
     /**
      * Save game session (copied from pac-gator pattern)
      */
     async saveGameSession() {
         // Always save game session on game over
-        const data = await this.apiClient.submitScore('flappy-gator', 'Player', this.score);
+        let data;
+        try {
+            // The server re-simulates the replay and only saves scores it reproduces.
+            // Scores go over as whole tenths of a point (a combo can earn half points)
+            const storedScore = FlappyGatorSimulation.toStoredScore(this.score);
+            data = await this.apiClient.submitScore('flappy-gator', this.profile || 'Player', storedScore, {
+                signal: this.requestController.signal,
+                replay: this.lastReplay
+            });
+        } catch (error) {
+            // Rejected by the server (offline and server errors are queued instead)
+            console.error('Error saving score:', error);
+            return null;
+        }
+        this.pendingClientId = data && data.pending ? data.clientId : null;
+        this.setSyncStatus(this.pendingClientId ? 'pending' : null);
         if (data && data.success) {
             // Store the score ID for potential updates
             this.currentScoreId = data.id;
@@ -1665,28 +1244,36 @@ class FlappyGatorGame {
     }
 
     /**
-     * Update score with real-time multiplier, combo system, and feedback
-     * @param {number} points - Base points to add
+     * Show whether the last score is still waiting to reach the server
+     * @param {string|null} status - 'pending', 'synced', or null to hide the message
      */
-    addScore(points = 1) {
-        // Calculate score with multiplier (keep decimal precision)
-        const earnedPoints = Math.round(points * this.scoreMultiplier * 10) / 10; // Round to 1 decimal
-        this.score += earnedPoints;
-        
-        // Update difficulty based on new score
-        this.pipeGenerator.updateDifficulty(this.score);
-        
-        // Update combo counter
-        this.comboCounter++;
-        this.lastScoreTime = Date.now();
-        
-        // Increase multiplier for combos (max 10x)
-        // Multiplier increases every 3 consecutive pipes: 1x -> 1.5x -> 2x -> 2.5x ... -> 10x
-        if (this.comboCounter >= 3) {
-            const multiplierLevel = Math.min(Math.floor(this.comboCounter / 3), 18); // Max 18 levels (10x)
-            this.scoreMultiplier = Math.min(10, 1 + (multiplierLevel * 0.5));
-        }
+    setSyncStatus(status) {
+        const syncStatus = document.getElementById('sync-status');
+        if (!syncStatus) return;
         
+        syncStatus.classList.toggle('hidden', !status);
+        syncStatus.classList.toggle('synced', status === 'synced');
+        syncStatus.textContent = status === 'pending' ? '📡 Offline - score saved, pending sync' :
+            status === 'synced' ? '✓ Score synced' : '';
+    }
+
+    /**
+     * A queued score reached the server
+     * @param {string} clientId - Client id of the score
+     * @param {Object} data - Server response
+     */
+    handleScoreSynced(clientId, data) {
+        if (clientId !== this.pendingClientId) return;
+        this.pendingClientId = null;
+        this.currentScoreId = data.id;
+        this.setSyncStatus('synced');
+    }
+
+    /**
+     * Show points the simulation just scored: sound, popup and particles
+     * @param {number} earnedPoints - Points scored, multiplier included
+     */
+    showScore(earnedPoints) {
         // Audio feedback - higher pitch for multipliers
         this.playScoreSound();
         
@@ -1720,19 +1307,6 @@ class FlappyGatorGame {
 
     }
 
-    /**
-     * Reset combo if too much time has passed
-     */
-    updateComboSystem() {
-        const timeSinceLastScore = Date.now() - this.lastScoreTime;
-        
-        // Reset combo after 3 seconds of no scoring
-        if (timeSinceLastScore > 3000 && this.comboCounter > 0) {
-            this.comboCounter = 0;
-            this.scoreMultiplier = 1;
-        }
-    }
-
     /**
      * Destroy game instance and clean up all resources
      * Call this before navigating away or creating a new instance
@@ -1757,16 +1331,11 @@ class FlappyGatorGame {
             this.scoreIndicatorSystem.clear();
         }
         
-        // Reset collision detector
-        if (this.collisionDetector) {
-            this.collisionDetector.reset();
-        }
+        // Clear pipes and collision state
+        this.simulation.reset();
         
-        // Clear pipes
-        this.pipes = [];
-        if (this.pipeGenerator) {
-            this.pipeGenerator.reset();
-        }
+        // Cancel this game's requests (a score still being sent is queued for retry)
+        this.requestController.abort();
         
         // Note: Event listeners are handled by the browser when navigating away
         // If we need to remove them manually, we'd need to store references
@@ -1778,10 +1347,37 @@ class FlappyGatorGame {
 // Global game instance to prevent duplicates
 let gameInstance = null;
 
-// Global API client for leaderboard functions
-const apiClient = new APIClient();
+// Global API client for leaderboard functions and score saving
+const apiClient = new APIClient('', {
+    onSync: (clientId, data) => {
+        if (gameInstance) {
+            gameInstance.handleScoreSynced(clientId, data);
+        }
+    }
+});
+
+// Leaderboard name rules (length, characters, blocklist; see name-sanitizer.js)
+const nameSanitizer = new NameSanitizer();
+
+// This browser's player: name and avatar colour shown with their scores (see player-profile.js)
+const playerProfile = PlayerProfile.load({ sanitizer: nameSanitizer });
 
-// Leaderboard helper function
+// Achievements (defined in /achievements.json; unlocks pop up a toast and sync under the player's id)
+const achievements = new AchievementManager({ gameType: 'flappy-gator', apiClient, playerId: playerProfile.id });
+
+// Paged leaderboards for the menu and the game over screen, created on first use
+// Scores are stored in tenths of a point (see FlappyGatorSimulation.toStoredScore())
+const formatStoredScore = storedScore => FlappyGatorSimulation.fromStoredScore(storedScore);
+const LEADERBOARD_VIEW_OPTIONS = {
+    'leaderboard-view': { medals: true, formatScore: formatStoredScore },
+    'game-over-leaderboard-view': { medals: true, pageSize: 5, showWindows: false, formatScore: formatStoredScore }
+};
+const leaderboardViews = {};
+
+/**
+ * Show a leaderboard; the game over one opens on the page with the player's score
+ * @param {string} containerId - 'leaderboard-view' or 'game-over-leaderboard-view'
+ */
 async function loadLeaderboard(containerId) {
     const container = document.getElementById(containerId);
     if (!container) {
@@ -1789,32 +1385,13 @@ async function loadLeaderboard(containerId) {
         return;
     }
     
-    try {
-        container.innerHTML = '<p style="text-align: center; padding: 20px;">Loading...</p>';
-        const scores = await apiClient.getHighScores('flappy-gator');
-        
-        if (scores.length === 0) {
-            container.innerHTML = '<p style="text-align: center; padding: 20px; color: #888;">No scores yet. Be the first!</p>';
-            return;
-        }
-        
-        container.innerHTML = scores.map((entry, index) => {
-            const rank = index + 1;
-            const isTop3 = rank <= 3;
-            const medal = rank === 1 ? '🥇' : rank === 2 ? '🥈' : rank === 3 ? '🥉' : '';
-            
-            return `
-                <div class="leaderboard-entry ${isTop3 ? 'top-3' : ''}">
-                    <span class="leaderboard-rank">${medal} #${rank}</span>
-                    <span class="leaderboard-name">${entry.name}</span>
-                    <span class="leaderboard-score">${entry.score}</span>
-                </div>
-            `;
-        }).join('');
-    } catch (error) {
-        console.error('Failed to load leaderboard:', error);
-        container.innerHTML = '<p style="text-align: center; padding: 20px; color: #ff6b6b;">Failed to load leaderboard</p>';
+    if (!leaderboardViews[containerId]) {
+        leaderboardViews[containerId] = new LeaderboardView(container, apiClient, 'flappy-gator', LEADERBOARD_VIEW_OPTIONS[containerId]);
     }
+    
+    const view = leaderboardViews[containerId];
+    view.setPlayerScore(gameInstance ? gameInstance.currentScoreId : null);
+    await view.show({ jumpToPlayer: containerId === 'game-over-leaderboard-view' });
 }
 
 // Clean up before page unload
@@ -1840,12 +1417,35 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
     }
     
-    gameInstance = new FlappyGatorGame(canvas);
+    // Optional seed (/flappy-gator?seed=...) or shared replay (?replay=<json>) from the URL
+    const urlParams = new URLSearchParams(window.location.search);
+    gameInstance = new FlappyGatorGame(canvas, { seed: urlParams.get('seed'), achievements, profile: playerProfile });
     const game = gameInstance;
     
+    NameSanitizer.loadRules().then(rules => {
+        nameSanitizer.setRules(rules);
+    }).catch(error => {
+        console.warn('Could not load name rules:', error);
+    });
+    AchievementManager.loadDefinitions().then(definitions => {
+        achievements.setDefinitions(definitions);
+        achievements.sync(); // Send unlocks an earlier visit couldn't
+    }).catch(error => {
+        console.warn('Could not load achievements:', error);
+    });
+    
     // Initialize game
     await game.init();
     
+    const replayParam = urlParams.get('replay');
+    if (replayParam) {
+        try {
+            await game.playReplay(replayParam);
+        } catch (error) {
+            console.error('Invalid replay:', error);
+        }
+    }
+    
     // Render gator preview on start screen
     const previewCanvas = document.getElementById('gatorPreviewCanvas');
     if (previewCanvas) {
@@ -1902,6 +1502,36 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
     
+    // Replay buttons (game over screen)
+    const watchReplayButton = document.getElementById('watch-replay-button');
+    const copyReplayButton = document.getElementById('copy-replay-button');
+    
+    if (watchReplayButton) {
+        watchReplayButton.addEventListener('click', async () => {
+            if (gameInstance && gameInstance.lastReplay) {
+                await gameInstance.playReplay(gameInstance.lastReplay);
+            }
+        });
+    }
+    
+    if (copyReplayButton) {
+        copyReplayButton.addEventListener('click', async () => {
+            const replayJson = gameInstance ? gameInstance.exportReplay() : null;
+            if (!replayJson) return;
+            
+            try {
+                await navigator.clipboard.writeText(replayJson);
+                copyReplayButton.textContent = 'Copied!';
+            } catch (error) {
+                // Clipboard API unavailable (e.g. insecure context) - let the player copy manually
+                window.prompt('Copy your replay:', replayJson);
+            }
+            setTimeout(() => {
+                copyReplayButton.textContent = 'Copy Replay';
+            }, 2000);
+        });
+    }
+    
     if (backToMenuButton) {
         backToMenuButton.addEventListener('click', async () => {
             // Return to game's start screen
@@ -1940,6 +1570,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     if (closeSettingsButton) {
         closeSettingsButton.addEventListener('click', () => {
+            controlsSettings.cancel();
             document.getElementById('settings-screen').classList.add('hidden');
             document.getElementById('start-screen').classList.remove('hidden');
         });
@@ -1974,7 +1605,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         leaderboardButton.addEventListener('click', async () => {
             document.getElementById('start-screen').classList.add('hidden');
             document.getElementById('leaderboard-screen').classList.remove('hidden');
-            await loadLeaderboard('leaderboard-list');
+            await loadLeaderboard('leaderboard-view');
         });
     }
     
@@ -1988,14 +1619,54 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Save name button
     const saveNameButton = document.getElementById('save-name-button');
     const playerNameInput = document.getElementById('player-name-input');
+    const nameError = document.getElementById('name-error');
     
 
     
+    // Avatar colour swatches under the name input; a new colour shows on the score right away
+    const avatarColors = document.getElementById('avatar-colors');
+    if (avatarColors) {
+        const avatarColorPicker = new AvatarColorPicker(avatarColors, playerProfile, async () => {
+            if (!gameInstance || gameInstance.state !== 'gameOver' || gameInstance.lastRunWasReplay) return;
+            if (gameInstance.pendingClientId) {
+                apiClient.updateQueuedScoreName(gameInstance.pendingClientId, playerProfile);
+            } else if (gameInstance.currentScoreId) {
+                try {
+                    await apiClient.updateScoreName(gameInstance.currentScoreId, playerProfile);
+                    await loadLeaderboard('game-over-leaderboard-view');
+                } catch (error) {
+                    console.error('Error updating avatar colour:', error);
+                }
+            }
+        });
+        avatarColorPicker.render();
+    }
+    
     if (saveNameButton && playerNameInput) {
         saveNameButton.addEventListener('click', async (e) => {
             e.preventDefault();
             
-            const playerName = playerNameInput.value.trim() || 'Player';
+            // Names the leaderboard won't take are sent back to the player
+            const { name, error } = nameSanitizer.check(playerNameInput.value);
+            if (nameError) {
+                nameError.classList.toggle('hidden', error !== 'blocked');
+                nameError.textContent = error === 'blocked' ? "That name isn't allowed. Try another one." : '';
+            }
+            if (error === 'blocked') return;
+            
+            // The name is remembered for the next runs too
+            playerProfile.setName(name);
+            playerNameInput.value = playerProfile.name;
+            
+            // Not on the server yet; the queued score will be sent with the new name
+            if (gameInstance && gameInstance.pendingClientId) {
+                apiClient.updateQueuedScoreName(gameInstance.pendingClientId, playerProfile);
+                saveNameButton.textContent = 'Saved!';
+                setTimeout(() => {
+                    saveNameButton.textContent = 'Save to Leaderboard';
+                }, 2000);
+                return;
+            }
             
             if (!gameInstance || !gameInstance.currentScoreId) {
                 console.warn('No score ID available');
@@ -2007,11 +1678,10 @@ document.addEventListener('DOMContentLoaded', async () => {
             
             try {
                 // Update the existing score's name (copied from pac-gator pattern)
-                await apiClient.updateScoreName(gameInstance.currentScoreId, playerName);
+                await apiClient.updateScoreName(gameInstance.currentScoreId, playerProfile);
                 
                 // Reload leaderboard to show updated name
-                await loadLeaderboard('game-over-leaderboard-list');
-                playerNameInput.value = '';
+                await loadLeaderboard('game-over-leaderboard-view');
                 saveNameButton.textContent = 'Saved!';
                 setTimeout(() => {
                     saveNameButton.textContent = 'Save to Leaderboard';
@@ -2069,34 +1739,42 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
     
-    // Input handlers
-    canvas.addEventListener('click', () => {
+    // Input handlers (keyboard, mouse, touch and gamepads, see shared/input-manager.js)
+    const inputManager = new InputManager({
+        actions: ['flap', 'pause', 'confirm'],
+        storageKey: FLAPPY_CONFIG.KEY_BINDINGS_STORAGE_KEY
+    });
+    inputManager.bindButton(canvas, 'flap');
+    const controlsSettings = new ControlsSettings(document.getElementById('controls-settings'), inputManager);
+
+    inputManager.on('flap', ({ source }) => {
         if (gameInstance) {
-            gameInstance.handleInput('click');
+            gameInstance.handleInput(source);
         }
     });
-    
-    document.addEventListener('keydown', (e) => {
+
+    inputManager.on('pause', () => {
         if (!gameInstance) return;
-        
-        if (e.code === 'Space') {
-            e.preventDefault();
-            gameInstance.handleInput('spacebar');
-        } else if (e.code === 'Escape' || e.code === 'KeyP') {
-            e.preventDefault();
-            // Toggle pause
-            if (gameInstance.state === 'playing') {
-                gameInstance.pause();
-            } else if (gameInstance.state === 'paused') {
-                gameInstance.resume();
-            }
+
+        // Toggle pause
+        if (gameInstance.state === 'playing') {
+            gameInstance.pause();
+        } else if (gameInstance.state === 'paused') {
+            gameInstance.resume();
         }
     });
-    
-    canvas.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        if (gameInstance) {
-            gameInstance.handleInput('touch');
+
+    // Confirm (Enter / gamepad A) starts, restarts or resumes without a mouse
+    inputManager.on('confirm', () => {
+        if (!gameInstance) return;
+
+        const modalOpen = document.querySelector('.modal-screen:not(.hidden):not(#game-over-screen)');
+        if (gameInstance.state === 'start' && !modalOpen) {
+            startButton.click();
+        } else if (gameInstance.state === 'gameOver') {
+            restartButton.click();
+        } else if (gameInstance.state === 'paused') {
+            gameInstance.resume();
         }
     });
 });
@@ -36,10 +36,23 @@ class Particle {
 }
 
 class ParticleSystem {
-    constructor(ctx) {
+    /**
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render into
+     * @param {SeededRandom} rng - Random source for particle spread (defaults to Math.random)
+     */
+    constructor(ctx, rng = null) {
         this.ctx = ctx;
         this.particles = [];
         this.maxParticles = 500;
+        this.rng = rng || { next: Math.random };
+    }
+
+    /**
+     * Replace the random source (e.g. when a new seed is chosen)
+     * @param {SeededRandom} rng - Random source for particle spread
+     */
+    setRandom(rng) {
+        this.rng = rng || { next: Math.random };
     }
 
     /**
@@ -53,18 +66,18 @@ class ParticleSystem {
         if (Math.abs(velocity) < 0.5) return;
 
         // Create 1-2 particles per frame
-        const particleCount = Math.random() > 0.5 ? 1 : 2;
+        const particleCount = this.rng.next() > 0.5 ? 1 : 2;
 
         for (let i = 0; i < particleCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = Math.random() * 0.5 + 0.5;
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = this.rng.next() * 0.5 + 0.5;
             const vx = Math.cos(angle) * speed - 1; // Drift left
             const vy = Math.sin(angle) * speed;
 
             // Green trail particles
-            const color = `rgba(92, 181, 77, ${Math.random() * 0.5 + 0.5})`;
-            const size = Math.random() * 3 + 2;
-            const lifetime = Math.random() * 20 + 10;
+            const color = `rgba(92, 181, 77, ${this.rng.next() * 0.5 + 0.5})`;
+            const size = this.rng.next() * 3 + 2;
+            const lifetime = this.rng.next() * 20 + 10;
 
             this.addParticle(x - 15, y, vx, vy, color, size, lifetime);
         }
@@ -80,12 +93,12 @@ class ParticleSystem {
     createExplosion(x, y, color = '#ff0000', count = 20) {
         for (let i = 0; i < count; i++) {
             const angle = (Math.PI * 2 * i) / count;
-            const speed = Math.random() * 3 + 2;
+            const speed = this.rng.next() * 3 + 2;
             const vx = Math.cos(angle) * speed;
             const vy = Math.sin(angle) * speed;
 
-            const size = Math.random() * 4 + 2;
-            const lifetime = Math.random() * 30 + 20;
+            const size = this.rng.next() * 4 + 2;
+            const lifetime = this.rng.next() * 30 + 20;
 
             this.addParticle(x, y, vx, vy, color, size, lifetime);
         }
@@ -100,11 +113,11 @@ class ParticleSystem {
     createScorePopup(x, y, points) {
         // Create upward-floating particles
         for (let i = 0; i < 5; i++) {
-            const vx = (Math.random() - 0.5) * 2;
-            const vy = -Math.random() * 2 - 1;
+            const vx = (this.rng.next() - 0.5) * 2;
+            const vy = -this.rng.next() * 2 - 1;
 
             const color = '#fbbf24'; // Golden color
-            const size = Math.random() * 3 + 2;
+            const size = this.rng.next() * 3 + 2;
             const lifetime = 30;
 
             this.addParticle(x, y, vx, vy, color, size, lifetime);
@@ -119,12 +132,12 @@ class ParticleSystem {
     createSparkle(x, y) {
         for (let i = 0; i < 8; i++) {
             const angle = (Math.PI * 2 * i) / 8;
-            const speed = Math.random() * 2 + 1;
+            const speed = this.rng.next() * 2 + 1;
             const vx = Math.cos(angle) * speed;
             const vy = Math.sin(angle) * speed;
 
             const color = '#ffffff';
-            const size = Math.random() * 2 + 1;
+            const size = this.rng.next() * 2 + 1;
             const lifetime = 15;
 
             this.addParticle(x, y, vx, vy, color, size, lifetime);
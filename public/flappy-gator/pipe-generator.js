@@ -0,0 +1,252 @@
+/**
+ * Pipe Generator
+ * Manages pipe creation, movement, and removal with progressive difficulty
+ */
+class PipeGenerator {
+    /**
+     * @param {number} canvasWidth - Logical canvas width
+     * @param {number} canvasHeight - Logical canvas height
+     * @param {SeededRandom} rng - Random source for gap positions (defaults to Math.random)
+     * @param {Object} config - Game configuration (defaults to the FLAPPY_CONFIG page global;
+     *                          pass require('./config.js') in Node)
+     */
+    constructor(canvasWidth, canvasHeight, rng = null, config = FLAPPY_CONFIG) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        
+        // Random source (seeded for reproducible pipe sequences)
+        this.rng = rng || { next: Math.random };
+        
+        // Wall pair configuration
+        this.pipeWidth = 60;                    // Width of each pipe/wall
+        
+        // Gap size configuration (using config values)
+        this.initialGapHeight = config.INITIAL_PIPE_GAP;
+        this.minGapHeight = config.MIN_PIPE_GAP;
+        this.currentGapHeight = this.initialGapHeight;
+        this.gapReductionRate = config.GAP_REDUCTION_RATE;
+        
+        // Gap positioning boundaries
+        this.minGapY = 100;                     // Minimum Y position for gap center
+        this.maxGapY = canvasHeight - 250;      // Maximum Y position for gap center
+        this.gapVariation = 0.7;                // How much gap position can vary (0-1)
+        
+        // Wall pair spacing
+        this.initialSpawnInterval = 120;        // Starting frames between pipes (easier)
+        this.minSpawnInterval = 80;             // Minimum frames between pipes (harder)
+        this.currentSpawnInterval = this.initialSpawnInterval;
+        this.spacingDecreaseRate = 1;           // Frames to decrease per pipe passed
+        
+        // Wall movement speed (using config values)
+        this.initialScrollSpeed = config.INITIAL_PIPE_SPEED;
+        this.maxScrollSpeed = config.MAX_PIPE_SPEED;
+        this.currentScrollSpeed = this.initialScrollSpeed;
+        this.speedIncreaseRate = config.SPEED_INCREASE_RATE;
+        
+        // Progressive difficulty tracking
+        this.pipesPassed = 0;                   // Total pipes passed (for difficulty scaling)
+        this.difficultyEnabled = true;          // Enable/disable progressive difficulty
+        
+        // Pipe tracking
+        this.pipes = [];
+        this.framesSinceLastSpawn = 0;
+        
+        // Random gap positioning strategy
+        this.lastGapY = (this.minGapY + this.maxGapY) / 2;  // Start in middle
+    }
+
+    /**
+     * Generate a new pipe with random gap position
+     * Uses smooth variation to avoid extreme jumps
+     */
+    generatePipe() {
+        // Calculate gap position with smooth variation
+        const gapY = this.calculateGapPosition();
+        
+        const pipe = {
+            x: this.canvasWidth,
+            prevX: this.canvasWidth,    // Position at the previous tick (for interpolated rendering)
+            width: this.pipeWidth,
+            gapY: gapY,
+            gapHeight: this.currentGapHeight,
+            scored: false,
+            topHeight: gapY - this.currentGapHeight / 2,
+            bottomY: gapY + this.currentGapHeight / 2,
+            speed: this.currentScrollSpeed  // Store speed for this pipe
+        };
+        
+        this.pipes.push(pipe);
+        return pipe;
+    }
+
+    /**
+     * Calculate gap position with smooth random variation
+     * Prevents extreme jumps between consecutive pipes
+     */
+    calculateGapPosition() {
+        // Calculate available range
+        const range = this.maxGapY - this.minGapY;
+        
+        // Maximum variation from last position (based on gapVariation setting)
+        const maxVariation = range * this.gapVariation * 0.3;
+        
+        // Generate new position near last position
+        const variation = (this.rng.next() - 0.5) * 2 * maxVariation;
+        let newGapY = this.lastGapY + variation;
+        
+        // Clamp to boundaries
+        newGapY = Math.max(this.minGapY, Math.min(this.maxGapY, newGapY));
+        
+        // Store for next calculation
+        this.lastGapY = newGapY;
+        
+        return newGapY;
+    }
+
+    /**
+     * Update all pipes - move them left and handle spawning/removal
+     * Applies current scroll speed to all pipes
+     */
+    updatePipes(customScrollSpeed = null) {
+        // Use custom speed if provided, otherwise use current speed
+        const speed = customScrollSpeed !== null ? customScrollSpeed : this.currentScrollSpeed;
+        
+        // Move all pipes left at their respective speeds
+        this.pipes.forEach(pipe => {
+            pipe.prevX = pipe.x;
+            pipe.x -= speed;
+        });
+        
+        // Remove off-screen pipes
+        this.pipes = this.pipes.filter(pipe => {
+            if (pipe.x + pipe.width < 0) {
+                // Pipe is off-screen, remove it
+                return false;
+            }
+            return true;
+        });
+        
+        // Check if we should spawn a new pipe
+        this.framesSinceLastSpawn++;
+        if (this.framesSinceLastSpawn >= this.currentSpawnInterval) {
+            this.generatePipe();
+            this.framesSinceLastSpawn = 0;
+        }
+    }
+
+    /**
+     * Update difficulty based on current score
+     * Called when player's score changes
+     */
+    updateDifficulty(currentScore) {
+        if (!this.difficultyEnabled) return;
+        
+        // Calculate new gap height based on score
+        const gapReduction = currentScore * this.gapReductionRate;
+        this.currentGapHeight = Math.max(
+            this.minGapHeight,
+            this.initialGapHeight - gapReduction
+        );
+        
+        // Calculate new speed based on score
+        const speedIncrease = currentScore * this.speedIncreaseRate;
+        this.currentScrollSpeed = Math.min(
+            this.maxScrollSpeed,
+            this.initialScrollSpeed + speedIncrease
+        );
+        
+        // Keep spawn interval constant (don't change horizontal spacing)
+        this.currentSpawnInterval = this.initialSpawnInterval;
+    }
+
+    /**
+     * Legacy method for backward compatibility
+     * Now calls updateDifficulty with pipes passed as score approximation
+     */
+    increaseDifficulty() {
+        if (!this.difficultyEnabled) return;
+        this.pipesPassed++;
+        // Use pipes passed as a rough score approximation for legacy calls
+        this.updateDifficulty(this.pipesPassed);
+    }
+
+    /**
+     * Get current difficulty stats
+     * @returns {Object} Current difficulty parameters
+     */
+    getDifficultyStats() {
+        // Calculate difficulty percentage based on gap reduction
+        const gapReduction = this.initialGapHeight - this.currentGapHeight;
+        const maxGapReduction = this.initialGapHeight - this.minGapHeight;
+        const difficultyPercent = Math.min(100, (gapReduction / maxGapReduction) * 100);
+        
+        return {
+            pipesPassed: this.pipesPassed,
+            gapHeight: this.currentGapHeight,
+            spawnInterval: this.currentSpawnInterval,
+            scrollSpeed: this.currentScrollSpeed,
+            difficultyPercent: difficultyPercent,
+            gapReduction: gapReduction,
+            maxGapReduction: maxGapReduction
+        };
+    }
+
+    /**
+     * Remove a specific pipe
+     */
+    removePipe(pipe) {
+        const index = this.pipes.indexOf(pipe);
+        if (index > -1) {
+            this.pipes.splice(index, 1);
+        }
+    }
+
+    /**
+     * Set difficulty configuration
+     * @param {Object} config - Difficulty configuration object
+     */
+    setDifficultyConfig(config) {
+        if (config.gapShrinkRate !== undefined) this.gapShrinkRate = config.gapShrinkRate;
+        if (config.spacingDecreaseRate !== undefined) this.spacingDecreaseRate = config.spacingDecreaseRate;
+        if (config.speedIncreaseRate !== undefined) this.speedIncreaseRate = config.speedIncreaseRate;
+        if (config.minGapHeight !== undefined) this.minGapHeight = config.minGapHeight;
+        if (config.minSpawnInterval !== undefined) this.minSpawnInterval = config.minSpawnInterval;
+        if (config.maxScrollSpeed !== undefined) this.maxScrollSpeed = config.maxScrollSpeed;
+        if (config.difficultyEnabled !== undefined) this.difficultyEnabled = config.difficultyEnabled;
+    }
+
+    /**
+     * Get all pipes
+     */
+    getPipes() {
+        return this.pipes;
+    }
+
+    /**
+     * Replace the random source (e.g. when a new seed is chosen)
+     * @param {SeededRandom} rng - Random source for gap positions
+     */
+    setRandom(rng) {
+        this.rng = rng || { next: Math.random };
+    }
+
+    /**
+     * Reset pipe generator
+     */
+    reset() {
+        this.pipes = [];
+        this.framesSinceLastSpawn = 0;
+        this.lastGapY = (this.minGapY + this.maxGapY) / 2;
+        
+        // Reset difficulty to initial values
+        this.currentGapHeight = this.initialGapHeight;
+        this.currentScrollSpeed = this.initialScrollSpeed;
+        this.currentSpawnInterval = this.initialSpawnInterval;
+        this.pipesPassed = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipeGenerator;
+}
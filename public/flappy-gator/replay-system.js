@@ -0,0 +1,173 @@
+/**
+ * Replay System for Flappy Gator
+ * Records flap inputs with their frame numbers so a run can be exported and played back frame-for-frame
+ *
+ * Replay format (compact JSON):
+ * {
+ *   v: 1,                  // Format version
+ *   game: 'flappy-gator',
+ *   seed: 123456,          // Seed used for pipe generation
+ *   length: 842,           // Frames simulated before the run ended
+ *   score: 12.5,           // Final score (for reference only)
+ *   flaps: [31, 24, 0, 18] // Flap frames, delta-encoded (each entry is frames since the previous flap)
+ * }
+ */
+
+const REPLAY_FORMAT_VERSION = 1;
+const REPLAY_GAME_TYPE = 'flappy-gator';
+
+class ReplayRecorder {
+    constructor() {
+        this.seed = null;
+        this.flapFrames = [];
+        this.length = 0;
+        this.score = 0;
+    }
+
+    /**
+     * Begin recording a new run
+     * @param {number} seed - Seed the run was started with
+     */
+    start(seed) {
+        this.seed = seed;
+        this.flapFrames = [];
+        this.length = 0;
+        this.score = 0;
+    }
+
+    /**
+     * Record a flap
+     * @param {number} frame - Number of frames simulated when the flap was applied
+     */
+    recordFlap(frame) {
+        this.flapFrames.push(frame);
+    }
+
+    /**
+     * Mark the run as finished
+     * @param {number} frame - Total frames simulated
+     * @param {number} score - Final score
+     */
+    finish(frame, score) {
+        this.length = frame;
+        this.score = score;
+    }
+
+    /**
+     * Get the replay as a plain object
+     * @returns {Object} Replay data
+     */
+    toJSON() {
+        let previousFrame = 0;
+        const flaps = this.flapFrames.map(frame => {
+            const delta = frame - previousFrame;
+            previousFrame = frame;
+            return delta;
+        });
+
+        return {
+            v: REPLAY_FORMAT_VERSION,
+            game: REPLAY_GAME_TYPE,
+            seed: this.seed,
+            length: this.length,
+            score: this.score,
+            flaps: flaps
+        };
+    }
+
+    /**
+     * Export the replay as a JSON string
+     * @returns {string} Compact JSON replay
+     */
+    export() {
+        return JSON.stringify(this.toJSON());
+    }
+}
+
+class ReplayPlayer {
+    /**
+     * @param {Object|string} replay - Replay object or JSON string produced by ReplayRecorder
+     */
+    constructor(replay) {
+        const data = ReplayPlayer.parse(replay);
+
+        this.seed = data.seed;
+        this.length = data.length;
+        this.score = data.score;
+
+        // Decode delta-encoded flaps into absolute frame numbers
+        let frame = 0;
+        this.flapFrames = data.flaps.map(delta => {
+            frame += delta;
+            return frame;
+        });
+
+        this.cursor = 0;
+    }
+
+    /**
+     * Parse and validate replay data
+     * @param {Object|string} replay - Replay object or JSON string
+     * @returns {Object} Validated replay data
+     * @throws {Error} If the replay is malformed or from an unsupported version
+     */
+    static parse(replay) {
+        const data = typeof replay === 'string' ? JSON.parse(replay) : replay;
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+        if (data.v !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version: ${data.v}`);
+        }
+        if (data.game !== REPLAY_GAME_TYPE) {
+            throw new Error(`Replay is for a different game: ${data.game}`);
+        }
+        if (data.seed === null || data.seed === undefined) {
+            throw new Error('Replay is missing its seed');
+        }
+        if (!Array.isArray(data.flaps) || !data.flaps.every(delta => Number.isInteger(delta) && delta >= 0)) {
+            throw new Error('Replay flaps must be non-negative integers');
+        }
+
+        return data;
+    }
+
+    /**
+     * Get how many flaps should be applied at a frame
+     * Frames must be requested in increasing order
+     * @param {number} frame - Number of frames simulated so far
+     * @returns {number} Number of flaps recorded at this frame
+     */
+    getFlapsAt(frame) {
+        let count = 0;
+        while (this.cursor < this.flapFrames.length && this.flapFrames[this.cursor] <= frame) {
+            if (this.flapFrames[this.cursor] === frame) {
+                count++;
+            }
+            this.cursor++;
+        }
+        return count;
+    }
+
+    /**
+     * Check whether every recorded frame has been played
+     * @param {number} frame - Number of frames simulated so far
+     * @returns {boolean} True if playback has reached the recorded length
+     */
+    isFinished(frame) {
+        return this.cursor >= this.flapFrames.length && frame >= this.length;
+    }
+
+    /**
+     * Rewind playback to the first frame
+     */
+    reset() {
+        this.cursor = 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReplayRecorder, ReplayPlayer };
+}
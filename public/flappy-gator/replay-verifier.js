@@ -0,0 +1,92 @@
+/**
+ * Replay Verifier for Flappy Gator
+ * Re-simulates a recorded run (seed + flap frames) without a canvas, DOM or audio and
+ * checks that it reproduces the claimed score. The server runs it in Node
+ * (scripts/verify-replay.js) before saving a Flappy Gator score.
+ *
+ * Loads as a browser <script> (defines the global ReplayVerifier; load
+ * flappy-gator-simulation.js and replay-system.js first) or as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory({
+            config: require('./config.js'),
+            FlappyGatorSimulation: require('./flappy-gator-simulation.js'),
+            ReplayPlayer: require('./replay-system.js').ReplayPlayer
+        });
+    } else {
+        root.ReplayVerifier = factory({
+            config: FLAPPY_CONFIG,
+            FlappyGatorSimulation,
+            ReplayPlayer
+        });
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    const { config, FlappyGatorSimulation, ReplayPlayer } = deps;
+
+    const DEFAULT_MAX_FRAMES = 60 * 60 * config.SIMULATION_TICK_RATE; // An hour of play
+
+    class ReplayVerifier {
+        /**
+         * @param {Object} options
+         * @param {number} options.maxFrames - Longest run accepted (bounds the work per verification)
+         */
+        constructor(options = {}) {
+            this.maxFrames = options.maxFrames || DEFAULT_MAX_FRAMES;
+        }
+
+        /**
+         * Check that a replay reproduces a score
+         * @param {Object|string} replay - Replay object or JSON string from ReplayRecorder
+         * @param {number} claimedScore - Score submitted with the replay, in tenths of a point
+         *                                (see FlappyGatorSimulation.toStoredScore())
+         * @returns {Object} { valid, score, frames, reason }; score and frames are what the
+         *                   re-simulation produced, reason says why an invalid replay failed
+         */
+        verify(replay, claimedScore) {
+            let player;
+            try {
+                player = new ReplayPlayer(replay);
+            } catch (error) {
+                return { valid: false, score: null, frames: null, reason: `Invalid replay: ${error.message}` };
+            }
+
+            if (!Number.isInteger(player.length) || player.length <= 0) {
+                return { valid: false, score: null, frames: null, reason: 'Replay length must be a positive integer' };
+            }
+            if (player.length > this.maxFrames || player.flapFrames.length > this.maxFrames) {
+                return { valid: false, score: null, frames: null, reason: `Replay is longer than ${this.maxFrames} frames` };
+            }
+
+            const result = this.simulate(player);
+
+            if (!result.crashed) {
+                return { ...result, valid: false, reason: `Run was still going after ${result.frames} frames` };
+            }
+            if (result.frames !== player.length) {
+                return { ...result, valid: false, reason: `Run ended at frame ${result.frames}, replay says ${player.length}` };
+            }
+            const storedScore = FlappyGatorSimulation.toStoredScore(result.score);
+            if (storedScore !== claimedScore) {
+                return { ...result, valid: false, reason: `Replay scores ${storedScore}, not ${claimedScore}` };
+            }
+            return { ...result, valid: true, reason: null };
+        }
+
+        /**
+         * Play a replay from its seed until the gator crashes (or maxFrames pass)
+         * @param {ReplayPlayer} player - Replay to play
+         * @returns {Object} { score, frames, crashed }
+         */
+        simulate(player) {
+            const simulation = new FlappyGatorSimulation({ seed: player.seed, config });
+            while (!simulation.gameOver && simulation.frame < this.maxFrames) {
+                // Flaps recorded at a frame are applied before the tick, as in play
+                simulation.step({ flaps: player.getFlapsAt(simulation.frame) });
+            }
+            return { score: simulation.score, frames: simulation.frame, crashed: simulation.gameOver };
+        }
+    }
+
+    return ReplayVerifier;
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for GhostAI (ghost personalities and scatter/chase schedule)
+ */
+
+const { GhostAI, GHOST_PERSONALITIES } = require('../ghost-ai.js');
+
+describe('GhostAI', () => {
+    let ghostAI;
+
+    beforeEach(() => {
+        ghostAI = new GhostAI({ cols: 28, rows: 31, scatterDuration: 3, chaseDuration: 5, scatterWaves: 2 });
+    });
+
+    describe('scatter/chase schedule', () => {
+        test('starts in scatter mode', () => {
+            expect(ghostAI.getMode()).toBe('scatter');
+        });
+
+        test('alternates phases and reports each change', () => {
+            const changes = [];
+            for (let tick = 1; tick <= 16; tick++) {
+                if (ghostAI.tick()) changes.push({ tick, mode: ghostAI.getMode() });
+            }
+
+            expect(changes).toEqual([
+                { tick: 3, mode: 'chase' },
+                { tick: 8, mode: 'scatter' },
+                { tick: 11, mode: 'chase' }
+            ]);
+        });
+
+        test('chases indefinitely after the last scatter wave', () => {
+            for (let tick = 0; tick < 11; tick++) ghostAI.tick();
+            for (let tick = 0; tick < 1000; tick++) {
+                expect(ghostAI.tick()).toBe(false);
+            }
+            expect(ghostAI.getMode()).toBe('chase');
+        });
+
+        test('resetSchedule() returns to the first scatter phase', () => {
+            for (let tick = 0; tick < 4; tick++) ghostAI.tick();
+            expect(ghostAI.getMode()).toBe('chase');
+
+            ghostAI.resetSchedule();
+            expect(ghostAI.getMode()).toBe('scatter');
+            expect(ghostAI.phaseTimer).toBe(3);
+        });
+    });
+
+    describe('chase targets', () => {
+        const kiro = { x: 10, y: 20, direction: 'up' };
+        const chase = () => { for (let tick = 0; tick < 3; tick++) ghostAI.tick(); };
+
+        test('Blinky targets Kiro directly', () => {
+            chase();
+            expect(ghostAI.getTargetTile({ x: 1, y: 1, personality: 'blinky' }, kiro)).toEqual({ x: 10, y: 20 });
+        });
+
+        test('Pinky ambushes 4 tiles ahead of Kiro', () => {
+            chase();
+            expect(ghostAI.getTargetTile({ x: 1, y: 1, personality: 'pinky' }, kiro)).toEqual({ x: 10, y: 16 });
+            expect(ghostAI.getTargetTile({ x: 1, y: 1, personality: 'pinky' }, { ...kiro, direction: 'left' })).toEqual({ x: 6, y: 20 });
+        });
+
+        test('Inky doubles the vector from Blinky to 2 tiles ahead of Kiro', () => {
+            chase();
+            const blinky = { x: 8, y: 15 };
+            // Pivot is (10, 18); vector from Blinky is (2, 3)
+            expect(ghostAI.getTargetTile({ x: 1, y: 1, personality: 'inky' }, kiro, blinky)).toEqual({ x: 12, y: 21 });
+        });
+
+        test('Clyde chases from afar and retreats when close', () => {
+            chase();
+            expect(ghostAI.getTargetTile({ x: 10, y: 5, personality: 'clyde' }, kiro)).toEqual({ x: 10, y: 20 });
+            expect(ghostAI.getTargetTile({ x: 10, y: 16, personality: 'clyde' }, kiro)).toEqual({ x: 0, y: 31 });
+        });
+
+        test('every ghost heads for its own corner while scattering', () => {
+            const targets = GHOST_PERSONALITIES.map(personality =>
+                ghostAI.getTargetTile({ x: 14, y: 14, personality }, kiro));
+            const unique = new Set(targets.map(t => `${t.x},${t.y}`));
+            expect(unique.size).toBe(4);
+        });
+    });
+
+    describe('chooseMove', () => {
+        test('picks the move closest to the target', () => {
+            const moves = [
+                { dir: 'left', x: 4, y: 5 },
+                { dir: 'right', x: 6, y: 5 },
+                { dir: 'down', x: 5, y: 6 }
+            ];
+            expect(GhostAI.chooseMove(moves, { x: 20, y: 5 }).dir).toBe('right');
+        });
+
+        test('breaks ties in up, left, down, right order', () => {
+            const moves = [
+                { dir: 'right', x: 6, y: 5 },
+                { dir: 'down', x: 5, y: 6 },
+                { dir: 'left', x: 4, y: 5 }
+            ];
+            expect(GhostAI.chooseMove(moves, { x: 5, y: 5 }).dir).toBe('left');
+        });
+
+        test('uses a custom distance (e.g. walking distance) when given one', () => {
+            const moves = [
+                { dir: 'left', x: 4, y: 5 },
+                { dir: 'right', x: 6, y: 5 }
+            ];
+            const walking = { left: 3, right: Infinity };
+            expect(GhostAI.chooseMove(moves, { x: 20, y: 5 }, move => walking[move.dir]).dir).toBe('left');
+            expect(GhostAI.chooseMove(moves, { x: 20, y: 5 }, () => Infinity)).toBeNull();
+        });
+
+        test('returns null when there are no moves', () => {
+            expect(GhostAI.chooseMove([], { x: 0, y: 0 })).toBeNull();
+        });
+    });
+});
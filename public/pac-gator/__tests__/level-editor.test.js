@@ -0,0 +1,169 @@
+/**
+ * Unit tests for LevelEditor (maze painting, validation and import/export)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// The editor uses these as browser globals
+global.LevelLoader = require('../level-loader.js').LevelLoader;
+global.Pathfinder = require('../pathfinding.js').Pathfinder;
+const { LevelEditor } = require('../level-editor.js');
+
+const readLevel = (file) => fs.readFileSync(path.join(__dirname, '..', 'levels', file), 'utf8');
+
+describe('LevelEditor', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new LevelEditor({ cols: 28, rows: 31, ghostCount: 4 });
+    });
+
+    // Fill the open area of a new level with dots
+    const fillWithDots = () => {
+        editor.setTool('dot');
+        for (let y = 1; y < 30; y++) {
+            for (let x = 1; x < 27; x++) {
+                if (editor.level.tiles[y][x] === 0 && !LevelLoader.isInHouse(editor.level.house, x, y)) {
+                    editor.applyTool(x, y);
+                }
+            }
+        }
+    };
+
+    describe('new level', () => {
+        test('has border walls, a ghost house and a gator spawn', () => {
+            const { tiles, house, spawns } = editor.level;
+
+            expect(tiles[0].every(tile => tile === 1)).toBe(true);
+            expect(tiles[30].every(tile => tile === 1)).toBe(true);
+            expect(house).toEqual(expect.objectContaining({ width: 8, height: 5 }));
+            expect(spawns.ghosts).toHaveLength(4);
+            expect(tiles[spawns.kiro.y][spawns.kiro.x]).not.toBe(1);
+        });
+
+        test('needs at least one dot', () => {
+            const result = editor.validate();
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('Add at least one dot');
+        });
+
+        test('is valid once it has dots', () => {
+            fillWithDots();
+            expect(editor.validate()).toEqual({ valid: true, errors: [], unreachable: [] });
+        });
+    });
+
+    describe('tools', () => {
+        test('brushes paint tiles', () => {
+            ['wall', 'dot', 'pellet', 'empty'].forEach((tool, i) => {
+                editor.setTool(tool);
+                expect(editor.applyTool(3, 3)).toBe(true);
+                expect(editor.level.tiles[3][3]).toBe([1, 2, 3, 0][i]);
+            });
+        });
+
+        test('painting a tile with what it already holds reports no change', () => {
+            editor.setTool('wall');
+            expect(editor.applyTool(0, 0)).toBe(false);
+            expect(editor.applyTool(-1, 5)).toBe(false);
+        });
+
+        test('rejects unknown tools', () => {
+            expect(() => editor.setTool('lava')).toThrow('Unknown tool');
+        });
+
+        test('gator spawn clears the wall under it', () => {
+            editor.setTool('kiro');
+            editor.applyTool(5, 0);
+            expect(editor.level.spawns.kiro).toEqual({ x: 5, y: 0 });
+            expect(editor.level.tiles[0][5]).toBe(0);
+        });
+
+        test('ghost house moves, keeping it inside the maze', () => {
+            const oldHouse = editor.level.house;
+            editor.setTool('house');
+            editor.applyTool(27, 0);
+
+            const { house, spawns, tiles } = editor.level;
+            expect(house).toEqual(expect.objectContaining({ x: 19, y: 1 }));
+            expect(house.door).toEqual([{ x: 22, y: 1 }, { x: 23, y: 1 }]);
+            house.door.forEach(door => expect(tiles[door.y][door.x]).toBe(0));
+            spawns.ghosts.forEach(spawn => expect(LevelLoader.isInHouse(house, spawn.x, spawn.y)).toBe(true));
+            expect(tiles[oldHouse.y + oldHouse.height - 1][oldHouse.x]).toBe(0);
+        });
+
+        test('tunnel rows open and close both edges', () => {
+            editor.setTool('tunnel');
+            editor.applyTool(10, 14);
+            expect(editor.level.tunnels).toEqual([14]);
+            expect(editor.level.tiles[14][0]).toBe(0);
+            expect(editor.level.tiles[14][27]).toBe(0);
+
+            editor.applyTool(3, 14);
+            expect(editor.level.tunnels).toEqual([]);
+            expect(editor.level.tiles[14][0]).toBe(1);
+            expect(editor.level.tiles[14][27]).toBe(1);
+        });
+    });
+
+    describe('validate', () => {
+        test('flags dots walled off from the gator', () => {
+            fillWithDots();
+            editor.setTool('wall');
+            [[1, 2], [2, 2], [2, 1]].forEach(([x, y]) => editor.applyTool(x, y));
+
+            const result = editor.validate();
+            expect(result.valid).toBe(false);
+            expect(result.unreachable).toEqual([{ x: 1, y: 1 }]);
+            expect(result.errors).toContain('1 dot can\'t be reached from the gator\'s spawn');
+        });
+
+        test('counts dots reachable through a tunnel', () => {
+            fillWithDots();
+            editor.setTool('wall');
+            for (let y = 1; y < 30; y++) editor.applyTool(2, y);
+            editor.setTool('tunnel');
+            editor.applyTool(0, 5);
+
+            expect(editor.validate().valid).toBe(true);
+        });
+
+        test('reports level format errors', () => {
+            fillWithDots();
+            editor.setTool('wall');
+            editor.applyTool(editor.level.spawns.ghosts[0].x, editor.level.spawns.ghosts[0].y);
+
+            expect(editor.validate().errors).toContain('Level needs 4 ghost spawns on open tiles');
+        });
+    });
+
+    describe('import/export', () => {
+        test('exports JSON the level loader accepts', () => {
+            fillWithDots();
+            editor.setTool('pellet');
+            editor.applyTool(1, 1);
+            editor.level.name = 'Test Maze';
+
+            const level = new LevelLoader().parse(editor.exportJSON());
+            expect(level.name).toBe('Test Maze');
+            expect(level.powerPellets).toEqual([{ x: 1, y: 1 }]);
+            expect(level.tiles).toEqual(editor.level.tiles);
+        });
+
+        test('imports shipped levels unchanged', () => {
+            const json = readLevel('level-1.json');
+            editor.importJSON(json);
+
+            expect(editor.level.name).toBe('Classic');
+            expect(JSON.parse(editor.exportJSON())).toEqual(JSON.parse(json));
+            expect(editor.validate().valid).toBe(true);
+        });
+
+        test('rejects invalid JSON and leaves the level alone', () => {
+            const before = editor.exportJSON();
+            expect(() => editor.importJSON('{"version": 2}')).toThrow('Unsupported level version');
+            expect(editor.exportJSON()).toBe(before);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for LevelLoader (JSON level format)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LevelLoader } = require('../level-loader.js');
+const { Pathfinder } = require('../pathfinding.js');
+
+const LEVELS_DIR = path.join(__dirname, '..', 'levels');
+const readLevel = (file) => JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, file), 'utf8'));
+const LEVEL_FILES = fs.readdirSync(LEVELS_DIR).filter(file => file.endsWith('.json'));
+
+describe('LevelLoader', () => {
+    let loader;
+
+    beforeEach(() => {
+        loader = new LevelLoader({ cols: 28, rows: 31, ghostCount: 4 });
+    });
+
+    describe('shipped levels', () => {
+        test.each(LEVEL_FILES)('%s parses', (file) => {
+            const level = loader.parse(readLevel(file));
+
+            expect(level.tiles).toHaveLength(31);
+            level.tiles.forEach(row => expect(row).toHaveLength(28));
+            level.powerPellets.forEach(pellet => expect(level.tiles[pellet.y][pellet.x]).toBe(3));
+        });
+
+        test.each(LEVEL_FILES)('%s has every dot reachable from Kiro\'s spawn', (file) => {
+            const level = loader.parse(readLevel(file));
+            const pathfinder = new Pathfinder({ cols: 28, rows: 31, tunnelRows: level.tunnels });
+            const distances = pathfinder.distanceMap(level.spawns.kiro, (x, y) => level.tiles[y][x] !== 1);
+
+            level.tiles.forEach((row, y) => row.forEach((tile, x) => {
+                if (tile === 2 || tile === 3) {
+                    expect(pathfinder.distanceAt(distances, x, y)).toBeLessThan(Infinity);
+                }
+            }));
+        });
+    });
+
+    test('converts tile characters to maze values', () => {
+        const level = loader.parse(readLevel('level-1.json'));
+
+        expect(level.tiles[0][0]).toBe(1);
+        expect(level.tiles[1][1]).toBe(2);
+        expect(level.tiles[14][0]).toBe(0);
+        expect(level.tiles[3][1]).toBe(3);
+    });
+
+    test('accepts JSON strings', () => {
+        const json = fs.readFileSync(path.join(LEVELS_DIR, 'level-1.json'), 'utf8');
+        expect(loader.parse(json).name).toBe('Classic');
+    });
+
+    test.each(LEVEL_FILES)('serialize() round-trips %s', (file) => {
+        const data = readLevel(file);
+        expect(LevelLoader.serialize(loader.parse(data))).toEqual(data);
+    });
+
+    test('isInHouse() covers the house rectangle', () => {
+        const { house } = loader.parse(readLevel('level-1.json'));
+
+        expect(LevelLoader.isInHouse(house, 10, 12)).toBe(true);
+        expect(LevelLoader.isInHouse(house, 17, 16)).toBe(true);
+        expect(LevelLoader.isInHouse(house, 18, 14)).toBe(false);
+        expect(LevelLoader.isInHouse(house, 13, 11)).toBe(false);
+    });
+
+    describe('validation', () => {
+        const withChanges = (change) => {
+            const level = readLevel('level-1.json');
+            change(level);
+            return level;
+        };
+
+        test('rejects unknown versions', () => {
+            expect(() => loader.parse(withChanges(l => { l.version = 2; }))).toThrow('Unsupported level version');
+        });
+
+        test('rejects mazes of the wrong size', () => {
+            expect(() => loader.parse(withChanges(l => { l.tiles.pop(); }))).toThrow('31 rows');
+            expect(() => loader.parse(withChanges(l => { l.tiles[0] += '#'; }))).toThrow('28 characters');
+        });
+
+        test('rejects unknown tiles', () => {
+            expect(() => loader.parse(withChanges(l => { l.tiles[1] = '#X' + l.tiles[1].slice(2); }))).toThrow("Unknown tile 'X'");
+        });
+
+        test('rejects spawns inside walls', () => {
+            expect(() => loader.parse(withChanges(l => { l.spawns.kiro = { x: 0, y: 0 }; }))).toThrow('Kiro spawn');
+            expect(() => loader.parse(withChanges(l => { l.spawns.ghosts.pop(); }))).toThrow('4 ghost spawns');
+            expect(() => loader.parse(withChanges(l => { l.spawns.ghosts[0] = { x: 1, y: 1 }; }))).toThrow('inside the ghost house');
+        });
+
+        test('rejects a house without a valid door', () => {
+            expect(() => loader.parse(withChanges(l => { l.house.door = []; }))).toThrow('needs a door');
+            expect(() => loader.parse(withChanges(l => { l.house.door = [{ x: 12, y: 12 }]; }))).toThrow('door must be an open tile');
+        });
+
+        test('rejects tunnels that end in walls', () => {
+            expect(() => loader.parse(withChanges(l => { l.tunnels = [1]; }))).toThrow('Tunnel row 1');
+        });
+
+        test('rejects power pellets on walls', () => {
+            expect(() => loader.parse(withChanges(l => { l.powerPellets.push({ x: 0, y: 0 }); }))).toThrow('Power pellet');
+        });
+    });
+});
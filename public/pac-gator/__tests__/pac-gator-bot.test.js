@@ -0,0 +1,147 @@
+/**
+ * Unit tests for PacGatorBot (dot routes, ghost evasion and headless play)
+ */
+
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const PacGatorGame = require('../pac-gator-game.js');
+const { PacGatorBot } = require('../pac-gator-bot.js');
+const { LevelLoader } = require('../level-loader.js');
+const SeededRandom = require('../../shared/seeded-random.js');
+
+const LEVELS_DIR = path.join(__dirname, '..', 'levels');
+const loader = new LevelLoader({ cols: 28, rows: 31, ghostCount: 4 });
+const LEVELS = ['level-1.json', 'level-2.json', 'level-3.json']
+    .map(file => loader.parse(JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, file), 'utf8'))));
+
+/**
+ * A game on level 1, already playing
+ */
+function newGame(options = {}) {
+    const game = new PacGatorGame({ levels: LEVELS, ...options });
+    game.reset();
+    game.state = 'playing';
+    return game;
+}
+
+// Put a ghost out in the maze
+function placeGhost(ghost, x, y, scared) {
+    Object.assign(ghost, { x, y, scared, inHouse: false, isEyes: false });
+}
+
+describe('PacGatorBot', () => {
+    test('heads for the nearest dot', () => {
+        const game = newGame();
+        game.ghosts = [];
+        game.maze = game.maze.map(row => row.map(tile => (tile === 2 || tile === 3 ? 0 : tile)));
+        game.maze[23][9] = 2;
+        game.maze[20][26] = 2;
+
+        expect(new PacGatorBot(game).decide()).toBe('left');
+    });
+
+    test('runs from a ghost that gets too close', () => {
+        const game = newGame();
+        game.ghosts = [game.ghosts[0]];
+        placeGhost(game.ghosts[0], 16, 23, false);
+
+        expect(new PacGatorBot(game).decide()).toBe('left');
+    });
+
+    test('ignores eaten ghosts on their way home', () => {
+        const game = newGame();
+        game.ghosts = [game.ghosts[0]];
+        placeGhost(game.ghosts[0], 16, 23, false);
+        game.ghosts[0].isEyes = true;
+
+        // The dot to the right is the nearest one
+        expect(new PacGatorBot(game).decide()).toBe('right');
+    });
+
+    test('chases frightened ghosts while there is time to catch them', () => {
+        const game = newGame();
+        game.ghosts = [game.ghosts[0]];
+        placeGhost(game.ghosts[0], 9, 23, true);
+        game.powerPelletActive = true;
+        game.powerPelletTimer = 200;
+
+        const bot = new PacGatorBot(game);
+        expect(bot.decide()).toBe('left');
+
+        // Almost out of power: the ghost is dangerous again
+        game.powerPelletTimer = 10;
+        placeGhost(game.ghosts[0], 11, 23, true);
+        expect(bot.decide()).toBe('right');
+    });
+
+    test('update steers only when the gator is ready to move', () => {
+        const game = newGame();
+        const bot = new PacGatorBot(game);
+
+        game.kiro.moveTimer = 3;
+        bot.update();
+        expect(game.kiro.nextDirection).toBeNull();
+
+        game.kiro.moveTimer = 0;
+        bot.update();
+        expect(game.kiro.nextDirection).toBe('right');
+    });
+
+    test('carries on after a lost life and a finished level', () => {
+        const game = newGame();
+        const bot = new PacGatorBot(game);
+
+        game.waitingForRespawn = true;
+        bot.update();
+        expect(game.waitingForRespawn).toBe(false);
+
+        game.state = 'levelComplete';
+        bot.update();
+        expect(game.getState()).toMatchObject({ state: 'playing', level: 2 });
+    });
+
+    test('steers the second gator in co-op', () => {
+        const game = newGame({ playerCount: 2 });
+        game.ghosts = [];
+        new PacGatorBot(game, { playerIndex: 1 }).update();
+
+        expect(game.players[1].nextDirection).toBe('left');
+        expect(game.kiro.nextDirection).toBeNull();
+    });
+
+    describe('playToEnd', () => {
+        function play(seed, maxTicks) {
+            const rng = new SeededRandom(seed);
+            const game = newGame({ random: () => rng.next() });
+            return new PacGatorBot(game).playToEnd(maxTicks);
+        }
+
+        test('plays a seeded game the same way every time', () => {
+            const result = play(7, 3600);
+
+            expect(result.score).toBeGreaterThan(1000);
+            expect(result.ticks).toBeLessThanOrEqual(3600);
+            expect(play(7, 3600)).toEqual(result);
+        });
+
+        test('stops at the tick limit', () => {
+            expect(play(3, 100)).toMatchObject({ ticks: 100, gameOver: false, level: 1 });
+        });
+    });
+});
+
+describe('benchmark-pac-gator script', () => {
+    const script = path.join(__dirname, '..', '..', '..', 'scripts', 'benchmark-pac-gator.js');
+    const { runBenchmark } = require(script);
+
+    test('an unknown difficulty is a usage error, not a crash', () => {
+        const result = spawnSync('node', [script, '--runs=1', '--difficulty=normal,bogus'], { encoding: 'utf8' });
+
+        expect(result.status).toBe(1);
+        expect(result.stdout).toBe('');
+        expect(result.stderr).toContain('Unknown difficulty: bogus (expected easy, normal, hard)');
+        expect(result.stderr).toContain('Usage: node scripts/benchmark-pac-gator.js');
+        expect(() => runBenchmark({ runs: 1, difficulty: 'bogus', levels: LEVELS })).toThrow('Unknown difficulty: bogus');
+    });
+});
@@ -0,0 +1,421 @@
+/**
+ * Unit and property tests for PacGatorGame (headless maze movement, collisions and scoring)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fc = require('fast-check');
+const PacGatorGame = require('../pac-gator-game.js');
+const { LevelLoader } = require('../level-loader.js');
+const SeededRandom = require('../../shared/seeded-random.js');
+const APIClient = require('../../shared/api-client.js');
+const { LeaderboardView } = require('../../shared/leaderboard-view.js');
+
+const LEVELS_DIR = path.join(__dirname, '..', 'levels');
+const loader = new LevelLoader({ cols: 28, rows: 31, ghostCount: 4 });
+const LEVELS = ['level-1.json', 'level-2.json', 'level-3.json']
+    .map(file => loader.parse(JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, file), 'utf8'))));
+
+/**
+ * A game on level 1, already playing
+ */
+function newGame(options = {}) {
+    const game = new PacGatorGame({ levels: LEVELS, ...options });
+    game.reset();
+    game.state = 'playing';
+    return game;
+}
+
+/**
+ * Run some ticks, returning every event
+ */
+function run(game, ticks) {
+    const events = [];
+    for (let i = 0; i < ticks; i++) {
+        events.push(...game.tick());
+    }
+    return events;
+}
+
+// Hold a ghost on a tile for the next tick
+function placeGhost(ghost, x, y, scared) {
+    Object.assign(ghost, { x, y, scared, inHouse: false, isEyes: false, moveTimer: 50 });
+}
+
+describe('PacGatorGame', () => {
+    test('reset starts level 1 with Kiro and the ghosts at their spawns', () => {
+        const game = newGame();
+
+        expect(game.getState()).toMatchObject({ score: 0, lives: 3, level: 1, endlessMode: false, frameCount: 0 });
+        expect(game.kiro).toMatchObject({ x: 14, y: 23, direction: null });
+        expect(game.ghosts.map(ghost => ghost.personality)).toEqual(['blinky', 'pinky', 'inky', 'clyde']);
+        expect(game.ghosts.every(ghost => ghost.inHouse && !ghost.scared)).toBe(true);
+    });
+
+    test('the world only ticks while playing and not paused', () => {
+        const game = newGame();
+        game.state = 'start';
+        expect(game.tick()).toEqual([]);
+        expect(game.frameCount).toBe(0);
+
+        game.state = 'playing';
+        game.pause();
+        run(game, 10);
+        expect(game.frameCount).toBe(0);
+
+        game.resume();
+        run(game, 10);
+        expect(game.frameCount).toBe(10);
+    });
+
+    describe('movement', () => {
+        let game;
+
+        beforeEach(() => {
+            game = newGame();
+            game.ghosts = [];
+        });
+
+        test('Kiro moves one tile per move and waits getSpeed ticks between moves', () => {
+            game.steer('left');
+
+            game.tick();
+            expect(game.kiro).toMatchObject({ x: 13, y: 23, direction: 'left' });
+
+            run(game, game.getSpeed('kiro'));
+            expect(game.kiro.x).toBe(13);
+
+            game.tick();
+            expect(game.kiro.x).toBe(12);
+        });
+
+        test('Kiro does not turn into a wall but keeps the turn queued', () => {
+            game.steer('up');
+            run(game, 20);
+
+            expect(game.kiro).toMatchObject({ x: 14, y: 23, direction: null, nextDirection: 'up' });
+        });
+
+        test('a queued turn is taken at the next opening', () => {
+            game.steer('right');
+            game.tick();
+            game.steer('up');
+            run(game, game.getSpeed('kiro') + 1);
+
+            expect(game.kiro).toMatchObject({ x: 15, y: 22, direction: 'up', nextDirection: null });
+        });
+
+        test('the tunnel wraps Kiro to the other side', () => {
+            Object.assign(game.kiro, { x: 0, y: 14, direction: 'left' });
+            game.tick();
+
+            expect(game.kiro).toMatchObject({ x: 27, y: 14 });
+        });
+
+        test('steering is ignored while paused', () => {
+            game.pause();
+            game.steer('left');
+            expect(game.kiro.nextDirection).toBeNull();
+        });
+    });
+
+    describe('scoring', () => {
+        test('eating a dot scores and clears the tile', () => {
+            const game = newGame();
+            game.ghosts = [];
+            game.steer('right');
+
+            expect(game.tick()).toEqual([{ type: 'dot', player: 0, x: 15, y: 23 }]);
+            expect(game.score).toBe(10);
+            expect(game.maze[23][15]).toBe(0);
+        });
+
+        test('a power pellet scores and frightens the ghosts', () => {
+            const game = newGame();
+            Object.assign(game.kiro, { x: 2, y: 23, direction: 'left' });
+
+            expect(game.tick()).toContainEqual({ type: 'powerPellet', player: 0, x: 1, y: 23 });
+            expect(game.score).toBe(50);
+            expect(game.powerPelletActive).toBe(true);
+            expect(game.ghosts.every(ghost => ghost.scared)).toBe(true);
+        });
+
+        test('frightened ghosts eaten in a row score 200, 400, 800...', () => {
+            const game = newGame();
+            game.kiro.moveTimer = 50;
+            game.powerPelletActive = true;
+            game.powerPelletTimer = 100;
+            placeGhost(game.ghosts[0], 14, 23, true);
+            placeGhost(game.ghosts[1], 14, 23, true);
+
+            const events = game.tick();
+
+            expect(events.map(event => [event.type, event.points, event.combo])).toEqual([
+                ['ghostEaten', 200, 1],
+                ['ghostEaten', 400, 2]
+            ]);
+            expect(game.score).toBe(600);
+            expect(game.ghosts[0].isEyes).toBe(true);
+        });
+
+        test('clearing the last dot completes the level', () => {
+            const game = newGame();
+            game.ghosts = [];
+            game.maze = game.maze.map(row => row.map(tile => (tile === 2 ? 0 : tile)));
+            game.maze[23][15] = 2;
+            game.steer('right');
+
+            expect(game.tick()).toContainEqual({ type: 'levelComplete', level: 1, endless: false, deaths: 0 });
+            expect(game.state).toBe('levelComplete');
+
+            game.advanceLevel();
+            expect(game.getState()).toMatchObject({ state: 'playing', level: 2, score: 10 });
+            expect(game.checkWin()).toBe(false);
+        });
+
+        test('counts the lives lost on each level', () => {
+            const game = newGame();
+            Object.assign(game.kiro, { x: 6, y: 23, moveTimer: 50 });
+            placeGhost(game.ghosts[0], 6, 23, false);
+            game.tick();
+            expect(game.levelDeaths).toBe(1);
+
+            game.advanceLevel();
+            expect(game.levelDeaths).toBe(0);
+        });
+    });
+
+    describe('collisions', () => {
+        test('touching a ghost costs a life, then everyone goes back to their spawn', () => {
+            const game = newGame();
+            Object.assign(game.kiro, { x: 6, y: 23, moveTimer: 50 });
+            placeGhost(game.ghosts[0], 6, 23, false);
+
+            expect(game.tick()).toEqual([{ type: 'death', player: 0, x: 6, y: 23, lives: 2 }]);
+            expect(game.isWorldTicking()).toBe(false);
+
+            expect(run(game, 60)).toEqual([{ type: 'respawn' }]);
+            expect(game.waitingForRespawn).toBe(true);
+            expect(game.kiro).toMatchObject({ x: 14, y: 23 });
+            expect(game.ghosts[0].inHouse).toBe(true);
+
+            const frameCount = game.frameCount;
+            run(game, 10);
+            expect(game.frameCount).toBe(frameCount);
+        });
+
+        test('losing the last life ends the game once the death animation is over', () => {
+            const game = newGame();
+            Object.assign(game.kiro, { lives: 1, score: 120 });
+            game.kiro.moveTimer = 50;
+            placeGhost(game.ghosts[0], 14, 23, false);
+
+            game.tick();
+            expect(game.state).toBe('gameOver');
+
+            expect(run(game, 60)).toEqual([{ type: 'gameOver', score: 120 }]);
+        });
+
+        test('eaten ghosts (eyes) pass through Kiro', () => {
+            const game = newGame();
+            game.kiro.moveTimer = 50;
+            placeGhost(game.ghosts[0], 14, 23, false);
+            game.ghosts[0].isEyes = true;
+
+            expect(game.tick()).toEqual([]);
+            expect(game.lives).toBe(3);
+        });
+    });
+
+    describe('two-player co-op', () => {
+        let game;
+
+        beforeEach(() => {
+            game = newGame({ playerCount: 2 });
+        });
+
+        test('the second gator starts beside Kiro with their own score and lives', () => {
+            expect(game.players.map(({ x, y, score, lives }) => ({ x, y, score, lives }))).toEqual([
+                { x: 14, y: 23, score: 0, lives: 3 },
+                { x: 13, y: 23, score: 0, lives: 3 }
+            ]);
+            expect(game.getState()).toMatchObject({ score: 0, lives: 6 });
+        });
+
+        test('each gator is steered separately and scores for themselves', () => {
+            game.ghosts = [];
+            game.steer('right', 0);
+            game.steer('left', 1);
+
+            expect(game.tick()).toEqual([
+                { type: 'dot', player: 0, x: 15, y: 23 },
+                { type: 'dot', player: 1, x: 12, y: 23 }
+            ]);
+            expect(game.players.map(player => player.score)).toEqual([10, 10]);
+            expect(game.score).toBe(20);
+        });
+
+        test('ghosts chase whichever gator is nearer', () => {
+            Object.assign(game.players[1], { x: 6, y: 5 });
+            expect(game.nearestPlayer({ x: 6, y: 8 })).toBe(game.players[1]);
+            expect(game.nearestPlayer({ x: 14, y: 20 })).toBe(game.kiro);
+
+            game.ghosts = [game.ghosts[0]];
+            placeGhost(game.ghosts[0], 6, 8, false);
+            game.ghosts[0].moveTimer = 0;
+            game.ghostAI.mode = 'chase';
+            game.tick();
+
+            expect(game.ghosts[0]).toMatchObject({ x: 6, y: 7 });
+        });
+
+        test('a gator out of lives sits out while the other plays on', () => {
+            game.players.forEach(player => { player.moveTimer = 50; });
+            game.players[1].lives = 1;
+            placeGhost(game.ghosts[0], 13, 23, false);
+
+            expect(game.tick()).toEqual([{ type: 'death', player: 1, x: 13, y: 23, lives: 0 }]);
+            expect(game.state).toBe('playing');
+            expect(run(game, 60)).toEqual([{ type: 'respawn' }]);
+
+            expect(game.activePlayers()).toEqual([game.kiro]);
+            game.waitingForRespawn = false;
+            game.steer('left', 1);
+            expect(game.players[1].nextDirection).toBeNull();
+        });
+
+        test('the game is over once both gators are out of lives', () => {
+            game.players.forEach(player => Object.assign(player, { lives: 1, moveTimer: 50 }));
+            game.players[1].score = 30;
+            placeGhost(game.ghosts[0], 14, 23, false);
+            placeGhost(game.ghosts[1], 13, 23, false);
+
+            expect(game.tick().map(event => [event.type, event.player])).toEqual([['death', 0], ['death', 1]]);
+            expect(game.state).toBe('gameOver');
+            expect(run(game, 60)).toEqual([{ type: 'gameOver', score: 30 }]);
+        });
+    });
+
+    describe('properties', () => {
+        const inputs = fc.array(fc.constantFrom(null, 'up', 'down', 'left', 'right'), { minLength: 20, maxLength: 60 });
+
+        // Steer with one input every 10 ticks, carrying on after lost lives
+        function play(game, directions) {
+            directions.forEach(direction => {
+                game.waitingForRespawn = false;
+                game.steer(direction);
+                run(game, 10);
+            });
+        }
+
+        test('Kiro stays on open tiles and the score only grows in whole points', () => {
+            fc.assert(
+                fc.property(fc.integer(), inputs, (seed, directions) => {
+                    const rng = new SeededRandom(seed);
+                    const game = newGame({ random: () => rng.next() });
+                    let lastScore = 0;
+
+                    directions.forEach(direction => {
+                        game.waitingForRespawn = false;
+                        game.steer(direction);
+                        for (let i = 0; i < 10; i++) {
+                            game.tick();
+                            expect(game.level.tiles[game.kiro.y][game.kiro.x]).not.toBe(1);
+                            expect(game.score).toBeGreaterThanOrEqual(lastScore);
+                            expect(game.score % 10).toBe(0);
+                            lastScore = game.score;
+                        }
+                    });
+                    expect(game.lives).toBeGreaterThanOrEqual(0);
+                }),
+                { numRuns: 20 }
+            );
+        });
+
+        test('the same random seed and inputs always play out the same', () => {
+            fc.assert(
+                fc.property(fc.integer(), inputs, (seed, directions) => {
+                    const runs = [0, 1].map(() => {
+                        const rng = new SeededRandom(seed);
+                        const game = newGame({ random: () => rng.next() });
+                        play(game, directions);
+                        return game.getState();
+                    });
+                    expect(runs[0]).toEqual(runs[1]);
+                }),
+                { numRuns: 15 }
+            );
+        });
+    });
+
+    describe('lifecycle', () => {
+        let now;
+
+        beforeEach(() => {
+            now = 1000;
+            global.requestAnimationFrame = jest.fn(() => 7);
+            global.cancelAnimationFrame = jest.fn();
+            jest.spyOn(performance, 'now').mockImplementation(() => now);
+        });
+
+        afterEach(() => {
+            delete global.requestAnimationFrame;
+            delete global.cancelAnimationFrame;
+            performance.now.mockRestore();
+        });
+
+        test('start draws every frame and runs fixed ticks for the time that passed', () => {
+            const onTick = jest.fn();
+            const onFrame = jest.fn();
+            const game = newGame({ onTick, onFrame });
+
+            game.start();
+            expect(onFrame).toHaveBeenCalledWith(0, 0);
+            expect(requestAnimationFrame).toHaveBeenCalledWith(game.gameLoop);
+
+            game.gameLoop(1000 + game.tickDuration * 3.5);
+            expect(onTick).toHaveBeenCalledTimes(3);
+            expect(game.frameCount).toBe(3);
+        });
+
+        test('destroy stops the loop', () => {
+            const onFrame = jest.fn();
+            const game = newGame({ onFrame });
+            game.start();
+
+            game.destroy();
+            game.gameLoop(2000);
+
+            expect(cancelAnimationFrame).toHaveBeenCalledWith(7);
+            expect(onFrame).toHaveBeenCalledTimes(1);
+            expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+        });
+
+        test("destroy tears down the page's requests once", async () => {
+            const signals = [];
+            const apiClient = new APIClient('', {
+                scoreQueue: null,
+                fetch: jest.fn((url, options) => {
+                    signals.push(options.signal);
+                    return new Promise(() => {});
+                })
+            });
+            const leaderboardView = new LeaderboardView(document.createElement('div'), apiClient, 'pac-gator');
+            const onDestroy = jest.fn(() => {
+                leaderboardView.destroy();
+                apiClient.destroy();
+            });
+            const game = newGame({ onDestroy });
+
+            leaderboardView.show();
+            const highScores = apiClient.getHighScores('pac-gator');
+            game.destroy();
+            game.destroy();
+
+            expect(onDestroy).toHaveBeenCalledTimes(1);
+            expect(signals).toHaveLength(2);
+            expect(signals.every(signal => signal.aborted)).toBe(true);
+            await expect(highScores).rejects.toBeInstanceOf(APIClient.CancelledError);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for Pathfinder (BFS over the tile maze)
+ */
+
+const { Pathfinder } = require('../pathfinding.js');
+
+// 0 = open, 1 = wall. Row 2 is a tunnel row.
+const MAZE = [
+    [1, 1, 1, 1, 1, 1, 1],
+    [1, 0, 0, 0, 1, 0, 1],
+    [0, 0, 1, 0, 1, 0, 0],
+    [1, 0, 1, 0, 0, 0, 1],
+    [1, 1, 1, 1, 1, 1, 1]
+];
+
+const isWalkable = (x, y) => MAZE[y][x] !== 1;
+
+describe('Pathfinder', () => {
+    let pathfinder;
+
+    beforeEach(() => {
+        pathfinder = new Pathfinder({ cols: 7, rows: 5, tunnelRows: [2] });
+    });
+
+    describe('findPath', () => {
+        test('finds the shortest path around walls', () => {
+            const path = pathfinder.findPath({ x: 1, y: 3 }, { x: 5, y: 1 }, (x, y) => isWalkable(x, y) && !(x === 0 || x === 6));
+
+            expect(path.map(step => `${step.x},${step.y}`)).toEqual([
+                '1,2', '1,1', '2,1', '3,1', '3,2', '3,3', '4,3', '5,3', '5,2', '5,1'
+            ]);
+            expect(path[0].dir).toBe('up');
+        });
+
+        test('uses tunnels when they are shorter', () => {
+            const path = pathfinder.findPath({ x: 1, y: 2 }, { x: 5, y: 2 }, isWalkable);
+
+            expect(path.map(step => `${step.x},${step.y}`)).toEqual(['0,2', '6,2', '5,2']);
+            expect(path[1].dir).toBe('left');
+        });
+
+        test('returns an empty path when already at the goal', () => {
+            expect(pathfinder.findPath({ x: 1, y: 1 }, { x: 1, y: 1 }, isWalkable)).toEqual([]);
+        });
+
+        test('returns null when the goal is unreachable', () => {
+            const blocked = (x, y) => isWalkable(x, y) && !(x === 3 && y === 1) && !(x === 1 && y === 2);
+            expect(pathfinder.findPath({ x: 1, y: 1 }, { x: 5, y: 1 }, blocked)).toBeNull();
+        });
+    });
+
+    test('nextDirection() gives the first step of the shortest path', () => {
+        expect(pathfinder.nextDirection({ x: 3, y: 3 }, { x: 5, y: 3 }, isWalkable)).toBe('right');
+        expect(pathfinder.nextDirection({ x: 3, y: 3 }, { x: 3, y: 3 }, isWalkable)).toBeNull();
+    });
+
+    test('distanceMap() measures walking distance, not straight-line distance', () => {
+        const distances = pathfinder.distanceMap({ x: 3, y: 1 }, isWalkable);
+
+        expect(pathfinder.distanceAt(distances, 3, 1)).toBe(0);
+        expect(pathfinder.distanceAt(distances, 1, 1)).toBe(2);
+        // (5, 1) is two tiles away in a straight line but the wall forces a detour
+        expect(pathfinder.distanceAt(distances, 5, 1)).toBe(6);
+        expect(pathfinder.distanceAt(distances, 0, 0)).toBe(Infinity);
+        expect(pathfinder.distanceAt(distances, -1, 2)).toBe(Infinity);
+    });
+
+    test('nearestWalkable() snaps walls and off-maze targets to the closest open tile', () => {
+        expect(pathfinder.nearestWalkable({ x: 3, y: 1 }, isWalkable)).toEqual({ x: 3, y: 1 });
+        expect(pathfinder.nearestWalkable({ x: 4, y: 2 }, isWalkable)).toEqual({ x: 3, y: 2 });
+        expect(pathfinder.nearestWalkable({ x: 5, y: -3 }, isWalkable)).toEqual({ x: 5, y: 1 });
+    });
+});
@@ -9,6 +9,11 @@ const PAC_CONFIG = {
   COLS: 28,
   ROWS: 31,
 
+  // Game loop timing
+  // All frame counts in this file are logic ticks, run at a fixed rate regardless of display refresh
+  TICK_RATE: 60, // ticks per second
+  MAX_FRAME_TIME: 250, // ms - clamp long frames (e.g. tab switches) to avoid a burst of catch-up ticks
+
   // Movement speeds (frames between moves)
   GATOR_SPEED: 8,
   GHOST_SPEED_NORMAL: 12,
@@ -21,6 +26,25 @@ const PAC_CONFIG = {
   RESPAWN_DELAY: 120, // frames (2 seconds)
   LEVEL_START_DELAY: 180, // frames (3 seconds)
 
+  // Levels (played in order, then repeated)
+  LEVEL_FILES: [
+    '/pac-gator/levels/level-1.json',
+    '/pac-gator/levels/level-2.json',
+    '/pac-gator/levels/level-3.json'
+  ],
+  EDITOR_LEVEL_STORAGE_KEY: 'pacGatorEditorLevel', // level editor draft, also used for play-testing
+
+  // Controls
+  KEY_BINDINGS_STORAGE_KEY: 'pacGatorKeyBindings', // player's remapped keys (see shared/input-manager.js)
+  // Player 2 in co-op; in co-op these keys only steer player 2
+  PLAYER_TWO_KEY_BINDINGS: {
+    up: ['KeyW'],
+    down: ['KeyS'],
+    left: ['KeyA'],
+    right: ['KeyD']
+  },
+  PLAYER_TWO_KEY_BINDINGS_STORAGE_KEY: 'pacGatorPlayerTwoKeyBindings',
+
   // Scoring
   DOT_POINTS: 10,
   POWER_PELLET_POINTS: 50,
@@ -30,6 +54,7 @@ const PAC_CONFIG = {
   // Ghost AI
   SCATTER_DURATION: 420, // frames (7 seconds)
   CHASE_DURATION: 1200, // frames (20 seconds)
+  SCATTER_WAVES: 4, // scatter phases before ghosts chase permanently
   GHOST_HOUSE_EXIT_DELAY: 180, // frames
 
   // Difficulty progression
@@ -55,6 +80,7 @@ const PAC_CONFIG = {
   DOT_COLOR: '#FFD700',
   POWER_PELLET_COLOR: '#FFD700',
   BACKGROUND_COLOR: '#000000',
+  PLAYER_TWO_COLOR: '#F2A93B', // second gator in co-op
   
   // Ghost colors
   GHOST_COLORS: {
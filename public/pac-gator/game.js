@@ -4,11 +4,23 @@ const minimapCanvas = document.getElementById('minimapCanvas');
 const minimapCtx = minimapCanvas ? minimapCanvas.getContext('2d') : null;
 const scoreEl = document.getElementById('score');
 const livesEl = document.getElementById('lives');
+const playerTwoStatsEl = document.getElementById('playerTwoStats');
+const playerTwoScoreEl = document.getElementById('playerTwoScore');
+const playerTwoLivesEl = document.getElementById('playerTwoLives');
 const highScoreEl = document.getElementById('highScore');
 const messageEl = document.getElementById('message');
 
-// Initialize shared API client
-const apiClient = new APIClient();
+// Initialize shared API client (scores that can't be sent are queued and retried)
+const apiClient = new APIClient('', { onSync: handleScoreSynced });
+
+// Leaderboard name rules (length, characters, blocklist; see name-sanitizer.js)
+const nameSanitizer = new NameSanitizer();
+
+// This browser's player: name and avatar colour shown with their scores (see player-profile.js)
+const playerProfile = PlayerProfile.load({ sanitizer: nameSanitizer });
+
+// Achievements (defined in /achievements.json; unlocks pop up a toast and sync under the player's id)
+const achievements = new AchievementManager({ gameType: 'pac-gator', apiClient, playerId: playerProfile.id });
 
 // Mobile zoom settings
 let isMobile = window.innerWidth <= 768;
@@ -23,110 +35,30 @@ window.addEventListener('resize', () => {
     isMobile = window.innerWidth <= 768;
 });
 
-// Game constants
+// Board size in tiles (levels are validated against it, see level-loader.js)
 const TILE_SIZE = 25;
 const COLS = 28;
 const ROWS = 31;
+const TICK_DURATION = 1000 / PAC_CONFIG.TICK_RATE; // ms per logic tick
+const PLAYER_COLORS = [PAC_CONFIG.PRIMARY_COLOR, PAC_CONFIG.PLAYER_TWO_COLOR]; // Kiro, then the co-op gator
 
-// Movement timing
-const KIRO_SPEED = 8; // frames between moves
-const GHOST_SPEED = 18; // frames between moves (slower)
-const SCARED_GHOST_SPEED = 24; // slower when scared
-
-// Game state
-let gameState = 'menu'; // Changed from 'start' to 'menu'
-let score = 0;
-let lives = 3;
-let highScore = 0;
-let frameCount = 0;
-let powerPelletActive = false;
-let powerPelletTimer = 0;
-let isPaused = false;
-let waitingForRespawn = false;
-let deathAnimationTimer = 0;
+// Page state (the game itself is `game` below, see pac-gator-game.js)
 let gameOverTransition = false; // Flag to prevent input during game over transition
 let soundEnabled = true;
 let musicEnabled = true;
-let difficulty = 'normal';
-let currentLevel = 1;
-let endlessMode = false;
-let randomDotTimer = 0;
-let ghostComboCount = 0;
-let playerName = 'Player';
-let currentScoreId = null; // Track the ID of the saved score
-const POWER_PELLET_DURATION = 300; // frames
-const POWER_PELLET_RESPAWN_TIME = 600; // frames (10 seconds at 60fps)
-const MAX_POWER_PELLETS = 4;
-const DEATH_ANIMATION_DELAY = 60; // frames (~1 second at 60fps)
-const RANDOM_DOT_SPAWN_INTERVAL = 120; // frames (2 seconds at 60fps)
-const ENDLESS_MODE_LEVEL = 4; // Switch to endless mode after level 3
-const GHOST_RESPAWN_DELAY = 180; // frames (3 seconds at 60fps)
-
-// Power pellet positions (from original maze)
-const powerPelletPositions = [
-    { x: 1, y: 3 },
-    { x: 26, y: 3 },
-    { x: 1, y: 23 },
-    { x: 26, y: 23 }
-];
-let powerPelletRespawnTimers = [0, 0, 0, 0];
-
-// Original maze template (never modified)
-const originalMaze = [
-    [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1],
-    [1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1],
-    [1,2,1,1,1,1,2,1,1,1,1,1,2,1,1,2,1,1,1,1,1,2,1,1,1,1,2,1],
-    [1,3,1,1,1,1,2,1,1,1,1,1,2,1,1,2,1,1,1,1,1,2,1,1,1,1,3,1],
-    [1,2,1,1,1,1,2,1,1,1,1,1,2,1,1,2,1,1,1,1,1,2,1,1,1,1,2,1],
-    [1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1],
-    [1,2,1,1,1,1,2,1,1,2,1,1,1,1,1,1,1,1,2,1,1,2,1,1,1,1,2,1],
-    [1,2,1,1,1,1,2,1,1,2,1,1,1,1,1,1,1,1,2,1,1,2,1,1,1,1,2,1],
-    [1,2,2,2,2,2,2,1,1,2,2,2,2,1,1,2,2,2,2,1,1,2,2,2,2,2,2,1],
-    [1,1,1,1,1,1,2,1,1,1,1,1,0,1,1,0,1,1,1,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,1,1,1,0,1,1,0,1,1,1,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,0,0,0,0,0,0,0,0,0,0,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,0,1,1,1,0,0,1,1,1,0,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,0,1,0,0,0,0,0,0,1,0,1,1,2,1,1,1,1,1,1],
-    [0,0,0,0,0,0,2,0,0,0,1,0,0,0,0,0,0,1,0,0,0,2,0,0,0,0,0,0],
-    [1,1,1,1,1,1,2,1,1,0,1,0,0,0,0,0,0,1,0,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,0,1,1,1,1,1,1,1,1,0,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,0,0,0,0,0,0,0,0,0,0,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,0,1,1,1,1,1,1,1,1,0,1,1,2,1,1,1,1,1,1],
-    [1,1,1,1,1,1,2,1,1,0,1,1,1,1,1,1,1,1,0,1,1,2,1,1,1,1,1,1],
-    [1,2,2,2,2,2,2,2,2,2,2,2,2,1,1,2,2,2,2,2,2,2,2,2,2,2,2,1],
-    [1,2,1,1,1,1,2,1,1,1,1,1,2,1,1,2,1,1,1,1,1,2,1,1,1,1,2,1],
-    [1,2,1,1,1,1,2,1,1,1,1,1,2,1,1,2,1,1,1,1,1,2,1,1,1,1,2,1],
-    [1,3,2,2,1,1,2,2,2,2,2,2,2,0,0,2,2,2,2,2,2,2,1,1,2,2,3,1],
-    [1,1,1,2,1,1,2,1,1,2,1,1,1,1,1,1,1,1,2,1,1,2,1,1,2,1,1,1],
-    [1,1,1,2,1,1,2,1,1,2,1,1,1,1,1,1,1,1,2,1,1,2,1,1,2,1,1,1],
-    [1,2,2,2,2,2,2,1,1,2,2,2,2,1,1,2,2,2,2,1,1,2,2,2,2,2,2,1],
-    [1,2,1,1,1,1,1,1,1,1,1,1,2,1,1,2,1,1,1,1,1,1,1,1,1,1,2,1],
-    [1,2,1,1,1,1,1,1,1,1,1,1,2,1,1,2,1,1,1,1,1,1,1,1,1,1,2,1],
-    [1,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,2,1],
-    [1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1,1]
+let highScore = 0;
+// Each gator's leaderboard entry: name, the ID of the saved score and the client id of a
+// score queued while offline (the second is only used in co-op). Kiro plays as the browser's
+// profile; the co-op partner is a guest with just a name.
+const playerSessions = [
+    { name: playerProfile.name, profile: playerProfile, scoreId: null, pendingClientId: null },
+    { name: 'Player 2', profile: null, scoreId: null, pendingClientId: null }
 ];
 
-// Working maze (gets modified during gameplay)
-let maze = [];
-
-// Kiro character
-let kiro = {
-    x: 14,
-    y: 23,
-    direction: null,
-    nextDirection: null,
-    moveTimer: 0,
-    renderX: 14,
-    renderY: 23,
-    prevX: 14,
-    prevY: 23
-};
-
-// Ghosts
-let ghosts = [];
+// Levels (loaded from PAC_CONFIG.LEVEL_FILES, see level-loader.js for the format)
+const levelLoader = new LevelLoader({ cols: COLS, rows: ROWS, ghostCount: GHOST_PERSONALITIES.length });
 
-// Ghost colors using Kiro brand palette
-const ghostColors = ['#FF0000', '#FFB8FF', '#00FFFF', '#FFB852'];
+const playtestMode = new URLSearchParams(window.location.search).has('playtest'); // Opened from the level editor
 
 // Particle system
 const particleSystem = new ParticleSystem();
@@ -134,6 +66,13 @@ const particleSystem = new ParticleSystem();
 // Initialize shared Audio Manager
 const audioManager = new AudioManager();
 
+// Maze, Kiro, ghosts, scoring and lives; this page draws it and plays the sounds for its events
+const game = new PacGatorGame({ onTick: handleTick, onFrame: draw, onDestroy: cancelPageRequests });
+
+// Attract mode: the bot plays a demo game behind the start screen (see pac-gator-bot.js)
+let attractMode = false;
+const attractBot = new PacGatorBot(game);
+
 // Load Pac-Gator sounds
 async function initAudio() {
     const soundFiles = {
@@ -153,102 +92,141 @@ async function initAudio() {
     await Promise.all(loadPromises);
 }
 
-// Difficulty settings
-const difficultySettings = {
-    easy: { kiroSpeed: 6, ghostSpeed: 20, scaredSpeed: 28 },
-    normal: { kiroSpeed: 8, ghostSpeed: 18, scaredSpeed: 24 },
-    hard: { kiroSpeed: 10, ghostSpeed: 14, scaredSpeed: 18 }
-};
-
-function getSpeed(type) {
-    const settings = difficultySettings[difficulty];
-    let speed;
-    
-    if (type === 'kiro') {
-        speed = settings.kiroSpeed;
-    } else if (type === 'ghost') {
-        speed = settings.ghostSpeed;
-    } else if (type === 'scared') {
-        speed = settings.scaredSpeed;
-    } else {
-        return KIRO_SPEED;
-    }
-    
-    // Apply level-based speed increase (ghosts get faster each level)
-    if (type === 'ghost' || type === 'scared') {
-        const levelMultiplier = Math.max(0.5, 1 - ((currentLevel - 1) * 0.08)); // Max 50% faster
-        speed = Math.floor(speed * levelMultiplier);
+// Fetch every level listed in PAC_CONFIG.LEVEL_FILES
+// When play-testing from the level editor, only the editor's level is played
+async function loadLevels() {
+    if (playtestMode) {
+        game.levels = [levelLoader.parse(localStorage.getItem(PAC_CONFIG.EDITOR_LEVEL_STORAGE_KEY))];
+        return;
     }
-    
-    return speed;
-}
-
-function initGhosts() {
-    // Spawn all ghosts in the same row inside the ghost house
-    ghosts = [
-        { x: 12, y: 14, direction: 'up', moveTimer: 0, color: ghostColors[0], scared: false, startX: 12, startY: 14, inHouse: true, respawnTimer: 0, isRespawning: false, renderX: 12, renderY: 14, prevX: 12, prevY: 14 },
-        { x: 13, y: 14, direction: 'up', moveTimer: 40, color: ghostColors[1], scared: false, startX: 13, startY: 14, inHouse: true, respawnTimer: 0, isRespawning: false, renderX: 13, renderY: 14, prevX: 13, prevY: 14 },
-        { x: 14, y: 14, direction: 'up', moveTimer: 80, color: ghostColors[2], scared: false, startX: 14, startY: 14, inHouse: true, respawnTimer: 0, isRespawning: false, renderX: 14, renderY: 14, prevX: 14, prevY: 14 },
-        { x: 15, y: 14, direction: 'up', moveTimer: 120, color: ghostColors[3], scared: false, startX: 15, startY: 14, inHouse: true, respawnTimer: 0, isRespawning: false, renderX: 15, renderY: 14, prevX: 15, prevY: 14 }
-    ];
-}
-
-function copyMaze() {
-    maze = originalMaze.map(row => [...row]);
+    game.levels = await Promise.all(PAC_CONFIG.LEVEL_FILES.map(url => levelLoader.load(url)));
 }
 
 function init() {
-    copyMaze();
-    kiro.x = 14;
-    kiro.y = 23;
-    kiro.direction = null;
-    kiro.nextDirection = null;
-    kiro.moveTimer = 0;
-    initGhosts();
-    score = 0;
-    lives = 3;
-    frameCount = 0;
-    powerPelletActive = false;
-    powerPelletTimer = 0;
-    currentLevel = 1;
-    endlessMode = false;
-    randomDotTimer = 0;
-    currentScoreId = null; // Reset score ID for new game
+    game.reset();
+    playerSessions.forEach(session => {
+        session.scoreId = null; // Reset score IDs for new game
+        session.pendingClientId = null;
+    });
     gameOverTransition = false; // Reset game over transition flag
     updateUI();
     loadHighScore();
 }
 
-function spawnRandomDot() {
-    // Find all empty spaces in the maze
-    const emptySpaces = [];
-    for (let y = 0; y < ROWS; y++) {
-        for (let x = 0; x < COLS; x++) {
-            // Only spawn in empty spaces (not walls, not existing dots/pellets)
-            if (maze[y][x] === 0) {
-                // Don't spawn too close to Kiro or ghosts
-                const tooCloseToKiro = Math.abs(x - kiro.x) < 3 && Math.abs(y - kiro.y) < 3;
-                const tooCloseToGhost = ghosts.some(g => Math.abs(x - g.x) < 2 && Math.abs(y - g.y) < 2);
-                
-                if (!tooCloseToKiro && !tooCloseToGhost) {
-                    emptySpaces.push({ x, y });
-                }
-            }
+// Let the bot play a one-player demo behind the (see-through) start screen
+function startAttractMode() {
+    game.playerCount = 1;
+    init();
+    particleSystem.clear();
+    attractMode = true;
+    game.state = 'playing';
+    document.getElementById('startScreen').classList.add('attract');
+}
+
+function stopAttractMode() {
+    attractMode = false;
+    particleSystem.clear();
+    document.getElementById('startScreen').classList.remove('attract');
+}
+
+// Effects, sounds and messages for what happened during a tick
+function handleTick(events) {
+    // Always update particles even during death animation
+    particleSystem.updateParticles();
+
+    // Create power effect particles around the gators when powered
+    if (game.isWorldTicking() && game.powerPelletActive && game.frameCount % 5 === 0) {
+        game.activePlayers().forEach(player => particleSystem.createPowerEffect(player.x, player.y, TILE_SIZE));
+    }
+
+    if (attractMode) {
+        // Demo game: no sounds, messages or scores, and another one once it's over
+        attractBot.update();
+        if (events.some(event => event.type === 'gameOver')) {
+            startAttractMode();
         }
+        return;
     }
-    
-    // Spawn a dot in a random empty space
-    if (emptySpaces.length > 0) {
-        const randomSpace = emptySpaces[Math.floor(Math.random() * emptySpaces.length)];
-        maze[randomSpace.y][randomSpace.x] = 2; // Spawn a regular dot
-        
-        // Create particle effect at spawn location
-        particleSystem.createPowerEffect(randomSpace.x, randomSpace.y, TILE_SIZE);
+
+    events.forEach(handleGameEvent);
+    if (events.length > 0) {
+        updateUI();
+    }
+    // Play-test runs of editor levels don't count towards achievements
+    if (!playtestMode) {
+        events.forEach(recordAchievements);
+    }
+}
+
+/**
+ * Count an event from PacGatorGame.tick() towards the Pac-Gator achievements
+ * @param {Object} event - Tick event
+ */
+function recordAchievements(event) {
+    if (event.type === 'ghostEaten') {
+        achievements.emit('ghostEaten', { combo: event.combo, points: event.points });
+    } else if (event.type === 'levelComplete') {
+        achievements.emit('levelCleared', { level: event.level });
+        if (event.deaths === 0) {
+            achievements.emit('noDeathLevel', { level: event.level });
+        }
+    } else if (event.type === 'gameOver') {
+        achievements.emit('gameOver', { score: event.score });
+    }
+}
+
+/**
+ * Play the sound and effects for one event from PacGatorGame.tick()
+ * @param {Object} event - Tick event
+ */
+function handleGameEvent(event) {
+    if (event.type === 'dot') {
+        audioManager.playSound('dot');
+    } else if (event.type === 'powerPellet') {
+        audioManager.playSound('powerPellet');
+    } else if (event.type === 'dotSpawned') {
+        particleSystem.createPowerEffect(event.x, event.y, TILE_SIZE);
+    } else if (event.type === 'levelComplete') {
+        messageEl.textContent = event.endless ?
+            'Entering Endless Mode! Dots will respawn randomly!' :
+            `Level ${event.level} Complete! Press any arrow key to continue`;
+    } else if (event.type === 'ghostEaten') {
+        // Show combo text
+        messageEl.textContent = `${event.points} pts! ${event.combo > 1 ? 'x' + event.combo + ' COMBO!' : ''}`;
+        setTimeout(() => {
+            if (game.state === 'playing' && !game.waitingForRespawn) messageEl.textContent = '';
+        }, 1000);
+        audioManager.playSound('eatGhost');
+        particleSystem.createExplosion(event.x, event.y, 15, TILE_SIZE);
+    } else if (event.type === 'death') {
+        particleSystem.createExplosion(event.x, event.y, 20, TILE_SIZE);
+        audioManager.playSound('death');
+        screenShake(10, 300);
+        if (game.state === 'gameOver') {
+            gameOverTransition = true; // Prevent input until the game over screen is up
+        } else if (game.playerCount > 1 && event.lives <= 0) {
+            messageEl.textContent = `${playerSessions[event.player].name} is out of lives!`;
+        }
+    } else if (event.type === 'respawn') {
+        messageEl.textContent = game.playerCount > 1 ?
+            'Press any direction key to continue' :
+            'Press any arrow key to continue';
+    } else if (event.type === 'gameOver') {
+        // Save session first, then show game over screen with updated leaderboard
+        saveGameSession().then(() => {
+            showGameOver();
+        });
     }
 }
 
 async function loadHighScore() {
-    const scores = await apiClient.getHighScores('pac-gator');
+    let scores;
+    try {
+        scores = await apiClient.getHighScores('pac-gator');
+    } catch (error) {
+        console.warn('Could not load high score:', error);
+        return;
+    }
     if (scores.length > 0) {
         highScore = scores[0].score;
         highScoreEl.textContent = highScore;
@@ -279,388 +257,116 @@ function screenShake(intensity, duration) {
 }
 
 async function saveGameSession() {
-    // Always save game session on game over
-    const data = await apiClient.submitScore('pac-gator', playerName, score);
-    if (data && data.success) {
-        // Store the score ID for potential updates
-        currentScoreId = data.id;
-        
-        if (data.isNewHighScore) {
-            // Trigger confetti for new high score
-            particleSystem.createConfetti(50, canvas.width);
-            highScore = score;
-            highScoreEl.textContent = highScore;
-        }
-    }
-    return data;
-}
+    // Play-test runs of editor levels don't go on the leaderboard
+    if (playtestMode) return null;
 
-function updateUI() {
-    scoreEl.textContent = score;
-    livesEl.textContent = lives;
-    const levelEl = document.getElementById('level');
-    if (levelEl) {
-        levelEl.textContent = endlessMode ? '∞' : currentLevel;
+    // Always save game session on game over, one score per gator
+    const results = [];
+    for (const player of game.players) {
+        results.push(await submitPlayerScore(playerSessions[player.index], player.score));
     }
-}
 
-function canMove(x, y, isGhost = false, ghostObj = null) {
-    if (x < 0 || x >= COLS || y < 0 || y >= ROWS) return false;
-    const tile = maze[y][x];
-    
-    // Kiro cannot move through walls
-    if (!isGhost) {
-        return tile !== 1;
-    }
-    
-    // Ghosts can move anywhere except walls
-    if (tile === 1) return false;
-    
-    // Prevent ghosts from re-entering the ghost house once they've exited
-    if (ghostObj && !ghostObj.inHouse) {
-        // Ghost house area is roughly x: 10-17, y: 12-16
-        if (x >= 10 && x <= 17 && y >= 12 && y <= 16) {
-            return false; // Can't go back into ghost house
-        }
-    }
-    
-    return true;
-}
-
-function moveKiro() {
-    if (kiro.moveTimer > 0) {
-        kiro.moveTimer--;
-        return;
-    }
-
-    // Try to change direction
-    if (kiro.nextDirection) {
-        const { dx, dy } = getDirectionDelta(kiro.nextDirection);
-        if (canMove(kiro.x + dx, kiro.y + dy)) {
-            kiro.direction = kiro.nextDirection;
-            kiro.nextDirection = null;
-        }
-    }
+    const sessions = playerSessions.slice(0, game.players.length);
+    setSyncStatus(sessions.some(session => session.pendingClientId) ? 'pending' : null);
+    leaderboardView.setPlayerScore(getBestScoreId());
 
-    // Move in current direction
-    if (kiro.direction) {
-        const { dx, dy } = getDirectionDelta(kiro.direction);
-        let newX = kiro.x + dx;
-        let newY = kiro.y + dy;
-
-        // Wraparound tunnel on row 14 (center horizontal lane)
-        if (newY === 14 || kiro.y === 14) {
-            if (newX < 0) {
-                newX = COLS - 1; // Wrap to right side
-            } else if (newX >= COLS) {
-                newX = 0; // Wrap to left side
-            }
-        }
-
-        if (canMove(newX, newY)) {
-            kiro.prevX = kiro.x;
-            kiro.prevY = kiro.y;
-            kiro.x = newX;
-            kiro.y = newY;
-            kiro.moveTimer = getSpeed('kiro');
-
-            // Collect dots
-            const tile = maze[kiro.y][kiro.x];
-            if (tile === 2) {
-                maze[kiro.y][kiro.x] = 0;
-                score += 10;
-                audioManager.playSound('dot');
-                updateUI();
-            } else if (tile === 3) { // Power pellet
-                maze[kiro.y][kiro.x] = 0;
-                score += 50;
-                powerPelletActive = true;
-                powerPelletTimer = POWER_PELLET_DURATION;
-                ghostComboCount = 0; // Reset combo for new power pellet
-                ghosts.forEach(g => g.scared = true);
-                audioManager.playSound('powerPellet');
-                
-                // Start respawn timer for this pellet
-                powerPelletPositions.forEach((pos, index) => {
-                    if (pos.x === kiro.x && pos.y === kiro.y) {
-                        powerPelletRespawnTimers[index] = 0;
-                    }
-                });
-                
-                updateUI();
-            }
-
-            // Check win condition
-            if (checkWin()) {
-                if (currentLevel < ENDLESS_MODE_LEVEL) {
-                    // Structured levels 1-3
-                    gameState = 'levelComplete';
-                    messageEl.textContent = `Level ${currentLevel} Complete! Press any arrow key to continue`;
-                } else if (currentLevel === ENDLESS_MODE_LEVEL && !endlessMode) {
-                    // Transition to endless mode
-                    gameState = 'levelComplete';
-                    messageEl.textContent = 'Entering Endless Mode! Dots will respawn randomly!';
-                } else {
-                    // Already in endless mode, shouldn't happen but just in case
-                    endlessMode = true;
-                }
-            }
-        }
+    if (results.some(data => data && data.success && data.isNewHighScore)) {
+        // Trigger confetti for new high score
+        particleSystem.createConfetti(50, canvas.width);
+        highScore = Math.max(...game.players.map(player => player.score));
+        highScoreEl.textContent = highScore;
     }
+    return results;
 }
 
-function getDirectionDelta(dir) {
-    switch(dir) {
-        case 'up': return { dx: 0, dy: -1 };
-        case 'down': return { dx: 0, dy: 1 };
-        case 'left': return { dx: -1, dy: 0 };
-        case 'right': return { dx: 1, dy: 0 };
-        default: return { dx: 0, dy: 0 };
+/**
+ * Submit one gator's score under their session's profile (or name, for a guest)
+ * @param {Object} session - Entry in playerSessions
+ * @param {number} score - Final score
+ * @returns {Promise<Object|null>} Server response, or null if it was rejected
+ */
+async function submitPlayerScore(session, score) {
+    let data;
+    try {
+        data = await apiClient.submitScore('pac-gator', session.profile || session.name, score);
+    } catch (error) {
+        // Rejected by the server (offline and server errors are queued instead)
+        console.error('Error saving score:', error);
+        return null;
     }
+    session.pendingClientId = data && data.pending ? data.clientId : null;
+    if (data && data.success) {
+        // Store the score ID for potential updates
+        session.scoreId = data.id;
+    }
+    return data;
 }
 
-function isGhostAt(x, y, excludeIndex) {
-    return ghosts.some((g, i) => i !== excludeIndex && g.x === x && g.y === y);
+// The saved score the leaderboards highlight: the best one in co-op
+function getBestScoreId() {
+    const saved = game.players.filter(player => playerSessions[player.index].scoreId);
+    if (saved.length === 0) return null;
+    const best = saved.reduce((a, b) => (b.score > a.score ? b : a));
+    return playerSessions[best.index].scoreId;
 }
 
-function moveGhosts() {
-    ghosts.forEach((ghost, index) => {
-        // Handle respawn timer
-        if (ghost.isRespawning) {
-            ghost.respawnTimer--;
-            if (ghost.respawnTimer <= 0) {
-                // Respawn ghost at starting position
-                ghost.x = ghost.startX;
-                ghost.y = ghost.startY;
-                ghost.scared = false;
-                ghost.inHouse = true;
-                ghost.direction = 'up';
-                ghost.isRespawning = false;
-                ghost.respawnTimer = 0;
-            }
-            return; // Don't move while respawning
-        }
-        
-        // Always decrement timer
-        if (ghost.moveTimer > 0) {
-            ghost.moveTimer--;
-        }
-        
-        // Only move when timer reaches 0
-        if (ghost.moveTimer > 0) {
-            return;
-        }
-
-        const speed = ghost.scared ? getSpeed('scared') : getSpeed('ghost');
-        
-        // Special logic for exiting ghost house
-        if (ghost.inHouse) {
-            // Step 1: Move horizontally to center columns (x=13 or x=14)
-            if (ghost.x < 13) {
-                ghost.prevX = ghost.x;
-                ghost.prevY = ghost.y;
-                ghost.x++;
-                ghost.direction = 'right';
-                ghost.moveTimer = speed;
-                return;
-            } else if (ghost.x > 14) {
-                ghost.prevX = ghost.x;
-                ghost.prevY = ghost.y;
-                ghost.x--;
-                ghost.direction = 'left';
-                ghost.moveTimer = speed;
-                return;
-            }
-            
-            // Step 2: Now at center column (x=13 or x=14), move up to exit
-            if (ghost.y <= 11) {
-                // Successfully exited the house
-                ghost.inHouse = false;
-                // Don't return, let normal AI take over
-            } else {
-                // Still inside, move up
-                ghost.prevX = ghost.x;
-                ghost.prevY = ghost.y;
-                ghost.y--;
-                ghost.direction = 'up';
-                ghost.moveTimer = speed;
-                return;
-            }
-        }
-        
-        // Get opposite direction to avoid immediate backtracking
-        const oppositeDir = {
-            'up': 'down',
-            'down': 'up',
-            'left': 'right',
-            'right': 'left'
-        }[ghost.direction];
-        
-        // Try all directions
-        const directions = ['up', 'down', 'left', 'right'];
-        const validMoves = [];
-        
-        directions.forEach(dir => {
-            // Skip going backwards unless it's the only option
-            if (dir === oppositeDir) return;
-            
-            const { dx, dy } = getDirectionDelta(dir);
-            const newX = ghost.x + dx;
-            const newY = ghost.y + dy;
-
-            // Check if move is valid
-            if (canMove(newX, newY, true, ghost)) {
-                const dist = Math.abs(newX - kiro.x) + Math.abs(newY - kiro.y);
-                const hasGhost = isGhostAt(newX, newY, index);
-                
-                validMoves.push({
-                    dir: dir,
-                    x: newX,
-                    y: newY,
-                    dist: dist,
-                    hasGhost: hasGhost
-                });
-            }
-        });
-        
-        // If no valid moves (dead end), allow going backwards
-        if (validMoves.length === 0) {
-            const { dx, dy } = getDirectionDelta(oppositeDir);
-            const newX = ghost.x + dx;
-            const newY = ghost.y + dy;
-            if (canMove(newX, newY, true, ghost)) {
-                validMoves.push({
-                    dir: oppositeDir,
-                    x: newX,
-                    y: newY,
-                    dist: Math.abs(newX - kiro.x) + Math.abs(newY - kiro.y),
-                    hasGhost: isGhostAt(newX, newY, index)
-                });
-            }
-        }
-        
-        if (validMoves.length > 0) {
-            // Prefer moves without other ghosts
-            let movesWithoutGhosts = validMoves.filter(m => !m.hasGhost);
-            if (movesWithoutGhosts.length === 0) {
-                movesWithoutGhosts = validMoves; // Use all moves if all have ghosts
-            }
-            
-            // Sort by distance (closest for chase, farthest for scared)
-            movesWithoutGhosts.sort((a, b) => {
-                if (ghost.scared) {
-                    return b.dist - a.dist; // Farthest first when scared
-                } else {
-                    return a.dist - b.dist; // Closest first when chasing
-                }
-            });
-            
-            // Add some randomness: 80% best move, 20% random valid move
-            let chosenMove;
-            if (Math.random() < 0.8) {
-                chosenMove = movesWithoutGhosts[0]; // Best move
-            } else {
-                chosenMove = movesWithoutGhosts[Math.floor(Math.random() * movesWithoutGhosts.length)]; // Random
-            }
-            
-            // Double-check the move is still valid with ghost house restriction
-            if (canMove(chosenMove.x, chosenMove.y, true, ghost)) {
-                ghost.direction = chosenMove.dir;
-                let finalX = chosenMove.x;
-                let finalY = chosenMove.y;
-                
-                // Wraparound tunnel on row 14 (center horizontal lane)
-                if (finalY === 14 || ghost.y === 14) {
-                    if (finalX < 0) {
-                        finalX = COLS - 1; // Wrap to right side
-                    } else if (finalX >= COLS) {
-                        finalX = 0; // Wrap to left side
-                    }
-                }
-                
-                ghost.prevX = ghost.x;
-                ghost.prevY = ghost.y;
-                ghost.x = finalX;
-                ghost.y = finalY;
-                ghost.moveTimer = speed;
-            }
-        }
-    });
+/**
+ * Show whether the last score is still waiting to reach the server
+ * @param {string|null} status - 'pending', 'synced', or null to hide the message
+ */
+function setSyncStatus(status) {
+    const syncStatusEl = document.getElementById('syncStatus');
+    syncStatusEl.classList.toggle('hidden', !status);
+    syncStatusEl.classList.toggle('synced', status === 'synced');
+    syncStatusEl.textContent = status === 'pending' ? '📡 Offline - score saved, pending sync' :
+        status === 'synced' ? '✓ Score synced' : '';
 }
 
-function checkCollisions() {
-    ghosts.forEach((ghost) => {
-        // Skip collision check if ghost is respawning
-        if (ghost.isRespawning) return;
-        
-        if (ghost.x === kiro.x && ghost.y === kiro.y) {
-            if (powerPelletActive && ghost.scared) {
-                // Combo system: 200, 400, 800, 1600
-                ghostComboCount++;
-                const comboPoints = 200 * Math.pow(2, ghostComboCount - 1);
-                score += comboPoints;
-                
-                // Show combo text
-                messageEl.textContent = `${comboPoints} pts! ${ghostComboCount > 1 ? 'x' + ghostComboCount + ' COMBO!' : ''}`;
-                setTimeout(() => {
-                    if (gameState === 'playing' && !waitingForRespawn) messageEl.textContent = '';
-                }, 1000);
-                
-                audioManager.playSound('eatGhost');
-                updateUI();
-                
-                // Start respawn timer
-                ghost.isRespawning = true;
-                ghost.respawnTimer = GHOST_RESPAWN_DELAY;
-                
-                // Create particle effect at eaten location
-                particleSystem.createExplosion(ghost.x, ghost.y, 15, TILE_SIZE);
-            } else if (!ghost.scared && deathAnimationTimer === 0) {
-                // Only trigger death once
-                // Create explosion effect on collision
-                particleSystem.createExplosion(kiro.x, kiro.y, 20, TILE_SIZE);
-                audioManager.playSound('death');
-                
-                // Lose life
-                lives--;
-                updateUI();
-                
-                // Screen shake effect
-                screenShake(10, 300);
-                
-                // Start death animation timer
-                deathAnimationTimer = DEATH_ANIMATION_DELAY;
-                
-                if (lives <= 0) {
-                    gameState = 'gameOver';
-                    gameOverTransition = true; // Prevent input during transition
-                    // Save session will be called after animation
-                }
-            }
-        }
-    });
+function handleScoreSynced(clientId, data) {
+    const session = playerSessions.find(s => s.pendingClientId === clientId);
+    if (!session) return;
+    session.pendingClientId = null;
+    session.scoreId = data.id;
+    leaderboardView.setPlayerScore(getBestScoreId());
+    gameOverLeaderboardView.setPlayerScore(getBestScoreId());
+    if (!playerSessions.some(s => s.pendingClientId)) {
+        setSyncStatus('synced');
+    }
 }
 
-function checkWin() {
-    // Only check for regular dots (2), not power pellets (3)
-    // Power pellets respawn, so they shouldn't prevent level completion
-    for (let row of maze) {
-        for (let tile of row) {
-            if (tile === 2) return false;
+function updateUI() {
+    // In co-op the main stats are player 1's, with player 2's alongside
+    const [kiro, partner] = game.players;
+    scoreEl.textContent = kiro.score;
+    livesEl.textContent = kiro.lives;
+    if (playerTwoStatsEl) {
+        playerTwoStatsEl.classList.toggle('hidden', !partner);
+        if (partner) {
+            playerTwoScoreEl.textContent = partner.score;
+            playerTwoLivesEl.textContent = partner.lives;
         }
     }
-    return true;
+    const levelEl = document.getElementById('level');
+    if (levelEl) {
+        levelEl.textContent = game.endlessMode ? '∞' : game.currentLevel;
+    }
 }
 
-function drawGhost(ctx, x, y, color, scared, direction, frameCount) {
+
+function drawGhost(ctx, x, y, color, scared, direction, frameCount, eyesOnly = false) {
     const centerX = x * TILE_SIZE + TILE_SIZE / 2;
     const centerY = y * TILE_SIZE + TILE_SIZE / 2;
     const radius = TILE_SIZE / 2 - 2;
     
+    if (eyesOnly) {
+        drawGhostEyes(ctx, centerX, centerY, direction);
+        return;
+    }
+    
     // Ghost body color
     if (scared) {
         // Flashing effect when power pellet is about to end
-        const timeLeft = powerPelletTimer;
+        const timeLeft = game.powerPelletTimer;
         if (timeLeft < 100 && Math.floor(frameCount / 10) % 2 === 0) {
             ctx.fillStyle = '#FFFFFF'; // Flash white
         } else {
@@ -725,37 +431,41 @@ function drawGhost(ctx, x, y, color, scared, direction, frameCount) {
         ctx.arc(centerX + 5, centerY - 2, 2, 0, Math.PI * 2);
         ctx.fill();
     } else {
-        // Normal eyes - white with pupils
-        ctx.fillStyle = '#ffffff';
-        
-        // Eye direction based on movement
-        let eyeOffsetX = 0;
-        let eyeOffsetY = 0;
-        if (direction === 'left') eyeOffsetX = -2;
-        if (direction === 'right') eyeOffsetX = 2;
-        if (direction === 'up') eyeOffsetY = -2;
-        if (direction === 'down') eyeOffsetY = 2;
-        
-        // Left eye white
-        ctx.beginPath();
-        ctx.arc(centerX - 5, centerY - 2, 4, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Right eye white
-        ctx.beginPath();
-        ctx.arc(centerX + 5, centerY - 2, 4, 0, Math.PI * 2);
-        ctx.fill();
-        
-        // Pupils
-        ctx.fillStyle = '#0000FF';
-        ctx.beginPath();
-        ctx.arc(centerX - 5 + eyeOffsetX, centerY - 2 + eyeOffsetY, 2, 0, Math.PI * 2);
-        ctx.arc(centerX + 5 + eyeOffsetX, centerY - 2 + eyeOffsetY, 2, 0, Math.PI * 2);
-        ctx.fill();
+        drawGhostEyes(ctx, centerX, centerY, direction);
     }
 }
 
-function drawAlligatorHead(ctx, x, y, frameCount, mouthOpen, rotation) {
+function drawGhostEyes(ctx, centerX, centerY, direction) {
+    // Normal eyes - white with pupils
+    ctx.fillStyle = '#ffffff';
+    
+    // Eye direction based on movement
+    let eyeOffsetX = 0;
+    let eyeOffsetY = 0;
+    if (direction === 'left') eyeOffsetX = -2;
+    if (direction === 'right') eyeOffsetX = 2;
+    if (direction === 'up') eyeOffsetY = -2;
+    if (direction === 'down') eyeOffsetY = 2;
+    
+    // Left eye white
+    ctx.beginPath();
+    ctx.arc(centerX - 5, centerY - 2, 4, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Right eye white
+    ctx.beginPath();
+    ctx.arc(centerX + 5, centerY - 2, 4, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Pupils
+    ctx.fillStyle = '#0000FF';
+    ctx.beginPath();
+    ctx.arc(centerX - 5 + eyeOffsetX, centerY - 2 + eyeOffsetY, 2, 0, Math.PI * 2);
+    ctx.arc(centerX + 5 + eyeOffsetX, centerY - 2 + eyeOffsetY, 2, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function drawAlligatorHead(ctx, x, y, frameCount, mouthOpen, rotation, gatorGreen = PLAYER_COLORS[0]) {
     const centerX = x;
     const centerY = y;
     const size = 50;
@@ -765,7 +475,6 @@ function drawAlligatorHead(ctx, x, y, frameCount, mouthOpen, rotation) {
     ctx.rotate(rotation);
     
     // Alligator colors (matching the image)
-    const gatorGreen = '#5CB54D';
     const darkOutline = '#2a4a3a';
     
     // Draw outline/shadow first
@@ -894,13 +603,13 @@ function drawAlligatorHead(ctx, x, y, frameCount, mouthOpen, rotation) {
     ctx.restore();
 }
 
-function drawKiroWithPowerEffect(ctx, x, y, frameCount) {
+function drawKiroWithPowerEffect(ctx, kiro, x, y, frameCount) {
     const centerX = x * TILE_SIZE + TILE_SIZE / 2;
     const centerY = y * TILE_SIZE + TILE_SIZE / 2;
     const radius = TILE_SIZE / 2 - 2;
     
     // Draw pulsing border when powered
-    if (powerPelletActive) {
+    if (game.powerPelletActive) {
         const pulseSpeed = 0.05;
         const pulseSize = 3 + Math.sin(frameCount * pulseSpeed) * 2;
         
@@ -935,31 +644,57 @@ function drawKiroWithPowerEffect(ctx, x, y, frameCount) {
     ctx.save();
     ctx.translate(centerX, centerY);
     ctx.scale(0.4 * flipX, 0.4 * flipY);
-    drawAlligatorHead(ctx, 0, 0, frameCount, mouthOpen, rotation);
+    drawAlligatorHead(ctx, 0, 0, frameCount, mouthOpen, rotation, PLAYER_COLORS[kiro.index]);
     ctx.restore();
 }
 
-function draw() {
+// Progress (0-1) of an entity's current tile-to-tile move, including the
+// fraction of the next tick that has already elapsed
+function getMoveProgress(entity, speed, alpha) {
+    if (entity.moveTimer <= 0) return 1;
+    const progress = (speed - entity.moveTimer + alpha) / speed;
+    return Math.max(0, Math.min(1, progress));
+}
+
+// alpha: fraction of a tick elapsed since the last update (0-1)
+// frameTime: ms since the previous draw, used to keep camera smoothing refresh-rate independent
+function draw(alpha = 0, frameTime = TICK_DURATION) {
     ctx.fillStyle = '#1a1a1a';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
+    const { maze } = game;
+    const players = game.activePlayers();
+
+    // Smooth interpolation for the gators (done before the camera so it follows the rendered position)
+    const playerRenders = players.map(player => {
+        const progress = getMoveProgress(player, game.getSpeed('kiro'), alpha);
+        return {
+            player,
+            x: player.prevX + (player.x - player.prevX) * progress,
+            y: player.prevY + (player.y - player.prevY) * progress
+        };
+    });
+
     // Calculate camera position for mobile zoom
-    if (isMobile) {
-        // Center camera on Kiro's render position for smooth following
-        const targetCameraX = kiro.renderX - ZOOM_TILES / 2;
-        const targetCameraY = kiro.renderY - ZOOM_TILES / 2;
+    if (isMobile && playerRenders.length > 0) {
+        // Center camera on the gators' render position (midway between them in co-op) for smooth following
+        const focusX = playerRenders.reduce((sum, render) => sum + render.x, 0) / playerRenders.length;
+        const focusY = playerRenders.reduce((sum, render) => sum + render.y, 0) / playerRenders.length;
+        const targetCameraX = focusX - ZOOM_TILES / 2;
+        const targetCameraY = focusY - ZOOM_TILES / 2;
         
         // Clamp target camera to maze bounds
         const clampedTargetX = Math.max(0, Math.min(COLS - ZOOM_TILES, targetCameraX));
         const clampedTargetY = Math.max(0, Math.min(ROWS - ZOOM_TILES, targetCameraY));
         
-        // Smooth camera interpolation
-        smoothCameraX += (clampedTargetX - smoothCameraX) * CAMERA_SMOOTHING;
-        smoothCameraY += (clampedTargetY - smoothCameraY) * CAMERA_SMOOTHING;
+        // Smooth camera interpolation (CAMERA_SMOOTHING is per tick, scaled to the frame length)
+        const smoothing = 1 - Math.pow(1 - CAMERA_SMOOTHING, frameTime / TICK_DURATION);
+        smoothCameraX += (clampedTargetX - smoothCameraX) * smoothing;
+        smoothCameraY += (clampedTargetY - smoothCameraY) * smoothing;
         
         cameraX = smoothCameraX;
         cameraY = smoothCameraY;
-    } else {
+    } else if (!isMobile) {
         cameraX = 0;
         cameraY = 0;
         smoothCameraX = 0;
@@ -1011,26 +746,19 @@ function draw() {
         }
     }
 
-    // Smooth interpolation for Kiro
-    const kiroSpeed = getSpeed('kiro');
-    const kiroProgress = kiro.moveTimer > 0 ? 1 - (kiro.moveTimer / kiroSpeed) : 1;
-    kiro.renderX = kiro.prevX + (kiro.x - kiro.prevX) * kiroProgress;
-    kiro.renderY = kiro.prevY + (kiro.y - kiro.prevY) * kiroProgress;
-    
-    // Draw Kiro with power-up effect if active
-    drawKiroWithPowerEffect(ctx, kiro.renderX, kiro.renderY, frameCount);
-
-    // Draw ghosts (skip if respawning)
-    ghosts.forEach(ghost => {
-        if (!ghost.isRespawning) {
-            // Smooth interpolation for ghosts
-            const ghostSpeed = ghost.scared ? getSpeed('scared') : getSpeed('ghost');
-            const ghostProgress = ghost.moveTimer > 0 ? 1 - (ghost.moveTimer / ghostSpeed) : 1;
-            ghost.renderX = ghost.prevX + (ghost.x - ghost.prevX) * ghostProgress;
-            ghost.renderY = ghost.prevY + (ghost.y - ghost.prevY) * ghostProgress;
-            
-            drawGhost(ctx, ghost.renderX, ghost.renderY, ghost.color, ghost.scared, ghost.direction, frameCount);
-        }
+    // Draw the gators with power-up effect if active
+    playerRenders.forEach(render => {
+        drawKiroWithPowerEffect(ctx, render.player, render.x, render.y, game.frameCount);
+    });
+
+    // Draw ghosts (eaten ghosts are drawn as eyes only)
+    game.ghosts.forEach(ghost => {
+        // Smooth interpolation for ghosts
+        const ghostProgress = getMoveProgress(ghost, game.getGhostSpeed(ghost), alpha);
+        const renderX = ghost.prevX + (ghost.x - ghost.prevX) * ghostProgress;
+        const renderY = ghost.prevY + (ghost.y - ghost.prevY) * ghostProgress;
+        
+        drawGhost(ctx, renderX, renderY, ghost.color, ghost.scared, ghost.direction, game.frameCount, ghost.isEyes);
     });
     
     // Draw particles
@@ -1045,6 +773,7 @@ function draw() {
 }
 
 function drawMinimap() {
+    const { maze } = game;
     const minimapWidth = 120;
     const minimapHeight = 120;
     const tileWidth = minimapWidth / COLS;
@@ -1076,9 +805,9 @@ function drawMinimap() {
         }
     }
     
-    // Draw ghosts on minimap (skip if respawning)
-    ghosts.forEach(ghost => {
-        if (ghost.isRespawning) return;
+    // Draw ghosts on minimap (skip eaten ghosts)
+    game.ghosts.forEach(ghost => {
+        if (ghost.isEyes) return;
         
         if (ghost.scared) {
             // Scared ghosts: bright cyan with white outline
@@ -1103,19 +832,21 @@ function drawMinimap() {
         minimapCtx.stroke();
     });
     
-    // Draw Kiro on minimap (on top)
-    minimapCtx.fillStyle = '#5CB54D';
-    minimapCtx.strokeStyle = '#FFD700';
-    minimapCtx.lineWidth = 1;
-    minimapCtx.beginPath();
-    minimapCtx.arc(
-        kiro.x * tileWidth + tileWidth/2, 
-        kiro.y * tileHeight + tileHeight/2, 
-        Math.max(tileWidth, tileHeight) * 0.7, 
-        0, Math.PI * 2
-    );
-    minimapCtx.fill();
-    minimapCtx.stroke();
+    // Draw the gators on minimap (on top)
+    game.activePlayers().forEach(kiro => {
+        minimapCtx.fillStyle = PLAYER_COLORS[kiro.index];
+        minimapCtx.strokeStyle = '#FFD700';
+        minimapCtx.lineWidth = 1;
+        minimapCtx.beginPath();
+        minimapCtx.arc(
+            kiro.x * tileWidth + tileWidth/2, 
+            kiro.y * tileHeight + tileHeight/2, 
+            Math.max(tileWidth, tileHeight) * 0.7, 
+            0, Math.PI * 2
+        );
+        minimapCtx.fill();
+        minimapCtx.stroke();
+    });
     
     // Draw camera view rectangle
     minimapCtx.strokeStyle = '#FFD700';
@@ -1128,365 +859,160 @@ function drawMinimap() {
     );
 }
 
-function update() {
-    // Always update particles even during death animation
-    particleSystem.updateParticles();
-    
-    // Handle death animation delay
-    if (deathAnimationTimer > 0) {
-        deathAnimationTimer--;
-        if (deathAnimationTimer === 0) {
-            // Animation finished, now pause for respawn
-            if (gameState === 'gameOver') {
-                // Save session first, then show game over screen with updated leaderboard
-                saveGameSession().then(() => {
-                    showGameOver();
-                });
-            } else {
-                waitingForRespawn = true;
-                messageEl.textContent = 'Press any arrow key to continue';
-                // Reset positions
-                kiro.x = 14;
-                kiro.y = 23;
-                kiro.direction = null;
-                kiro.moveTimer = 0;
-                initGhosts();
-            }
-        }
-        return; // Don't update game logic during death animation
-    }
-    
-    if (gameState !== 'playing' || isPaused || waitingForRespawn) return;
-
-    frameCount++;
-    
-    // Create power effect particles around Kiro when powered
-    if (powerPelletActive && frameCount % 5 === 0) {
-        particleSystem.createPowerEffect(kiro.x, kiro.y, TILE_SIZE);
-    }
-    
-    // Update power pellet timer
-    if (powerPelletActive) {
-        powerPelletTimer--;
-        if (powerPelletTimer <= 0) {
-            powerPelletActive = false;
-            ghostComboCount = 0; // Reset combo when power pellet ends
-            ghosts.forEach(g => g.scared = false);
-        }
-    }
-    
-    // Update power pellet respawn timers
-    let activePellets = 0;
-    powerPelletPositions.forEach((pos) => {
-        if (maze[pos.y][pos.x] === 3) {
-            activePellets++;
-        }
-    });
-    
-    // Respawn power pellets if under max
-    if (activePellets < MAX_POWER_PELLETS) {
-        powerPelletPositions.forEach((pos, index) => {
-            if (maze[pos.y][pos.x] !== 3) {
-                powerPelletRespawnTimers[index]++;
-                if (powerPelletRespawnTimers[index] >= POWER_PELLET_RESPAWN_TIME) {
-                    maze[pos.y][pos.x] = 3; // Respawn power pellet
-                    powerPelletRespawnTimers[index] = 0;
-                }
-            }
-        });
-    }
-
-    // Endless mode: spawn random dots
-    if (endlessMode) {
-        randomDotTimer++;
-        if (randomDotTimer >= RANDOM_DOT_SPAWN_INTERVAL) {
-            spawnRandomDot();
-            randomDotTimer = 0;
-        }
-    }
-
-    // Move Kiro and ghosts independently
-    moveKiro();
-    moveGhosts(); // Ghosts always move, regardless of Kiro
-    checkCollisions();
-}
-
-function gameLoop() {
-    update();
-    draw();
-    requestAnimationFrame(gameLoop);
-}
-
 // Pause menu functions
 function togglePause() {
     // Allow pause in both 'playing' and 'start' states
-    if (gameState !== 'playing' && gameState !== 'start') return;
+    if (game.state !== 'playing' && game.state !== 'start') return;
     
-    isPaused = !isPaused;
     const pauseMenu = document.getElementById('pauseMenu');
     
-    if (isPaused) {
-        pauseMenu.classList.remove('hidden');
-    } else {
+    if (game.isPaused) {
+        game.resume();
         pauseMenu.classList.add('hidden');
+    } else {
+        game.pause();
+        pauseMenu.classList.remove('hidden');
     }
 }
 
 function resumeGame() {
-    isPaused = false;
+    game.resume();
     document.getElementById('pauseMenu').classList.add('hidden');
 }
 
 function restartGame() {
-    isPaused = false;
-    waitingForRespawn = false;
     document.getElementById('pauseMenu').classList.add('hidden');
     init();
-    gameState = 'playing';
+    game.state = 'playing';
     messageEl.textContent = '';
 }
 
 function quitToStart() {
-    isPaused = false;
-    waitingForRespawn = false;
     document.getElementById('pauseMenu').classList.add('hidden');
     document.getElementById('startScreen').classList.remove('hidden');
-    init();
-    gameState = 'menu';
+    startAttractMode();
     messageEl.textContent = '';
 }
 
-// Keyboard controls
-document.addEventListener('keydown', (e) => {
-    const key = e.key;
-    
-    // Escape key for pause menu - works in any state
-    if (key === 'Escape') {
-        if (gameState === 'playing') {
-            if (isPaused) {
-                resumeGame();
-            } else {
-                // Clear waiting for respawn state if active
-                if (waitingForRespawn) {
-                    waitingForRespawn = false;
-                    messageEl.textContent = '';
-                }
-                togglePause();
-            }
-            e.preventDefault();
-        } else if (gameState === 'start') {
-            // Allow escape to open pause menu from start state too
-            togglePause();
-            e.preventDefault();
-        }
-        return;
-    }
-    
-    if (gameState === 'start') {
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key)) {
-            gameState = 'playing';
-            messageEl.textContent = '';
-            audioManager.playSound('gameStart');
-            e.preventDefault();
-        }
-    } else if (gameState === 'gameOver') {
-        // Don't allow restart during game over transition
-        if (gameOverTransition) {
-            e.preventDefault();
-            return;
-        }
-        
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key)) {
-            init();
-            gameState = 'playing';
-            messageEl.textContent = '';
-            e.preventDefault();
-        }
-    } else if (gameState === 'levelComplete') {
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key)) {
-            currentLevel++;
-            
-            // Reset character positions
-            kiro.x = 14;
-            kiro.y = 23;
-            kiro.direction = null;
-            kiro.nextDirection = null;
-            kiro.moveTimer = 0;
-            initGhosts();
-            
-            // Clear power pellet state
-            powerPelletActive = false;
-            powerPelletTimer = 0;
-            
-            if (currentLevel <= ENDLESS_MODE_LEVEL) {
-                // Restore the dots but keep score and lives
-                copyMaze();
-                
-                // Increase difficulty: make ghosts faster
-                const speedMultiplier = 1 - (currentLevel * 0.1); // 10% faster each level
-                // This will be applied through the getSpeed function
-            }
-            
-            if (currentLevel > ENDLESS_MODE_LEVEL) {
-                // Enter endless mode
-                endlessMode = true;
-                randomDotTimer = 0;
-                // Clear all dots, they'll spawn randomly
-                for (let y = 0; y < ROWS; y++) {
-                    for (let x = 0; x < COLS; x++) {
-                        if (maze[y][x] === 2) {
-                            maze[y][x] = 0;
-                        }
-                    }
-                }
-            }
-            
-            gameState = 'playing';
-            messageEl.textContent = endlessMode ? 'Endless Mode Active!' : `Level ${currentLevel}`;
-            updateUI(); // Make sure UI updates with new level
-            setTimeout(() => {
-                if (gameState === 'playing') messageEl.textContent = '';
-            }, 2000);
-            e.preventDefault();
-        }
-    } else if (gameState === 'playing') {
-        // Resume from death pause
-        if (waitingForRespawn && ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key)) {
-            waitingForRespawn = false;
-            messageEl.textContent = '';
-            e.preventDefault();
-            return;
-        }
-        
-        // Don't process movement if paused
-        if (isPaused) return;
-        
-        if (key === 'ArrowUp') {
-            kiro.nextDirection = 'up';
-            e.preventDefault();
-        } else if (key === 'ArrowDown') {
-            kiro.nextDirection = 'down';
-            e.preventDefault();
-        } else if (key === 'ArrowLeft') {
-            kiro.nextDirection = 'left';
-            e.preventDefault();
-        } else if (key === 'ArrowRight') {
-            kiro.nextDirection = 'right';
-            e.preventDefault();
-        }
-    }
+// Input (keyboard, on-screen buttons and gamepads, see shared/input-manager.js)
+const inputManager = new InputManager({
+    actions: ['up', 'down', 'left', 'right', 'pause', 'confirm'],
+    storageKey: PAC_CONFIG.KEY_BINDINGS_STORAGE_KEY
+});
+const controlsSettings = new ControlsSettings(document.getElementById('controlsSettings'), inputManager);
+
+// Player 2 in co-op: their own keys (WASD by default) and the second gamepad
+const playerTwoInputManager = new InputManager({
+    actions: ['up', 'down', 'left', 'right'],
+    keyBindings: PAC_CONFIG.PLAYER_TWO_KEY_BINDINGS,
+    storageKey: PAC_CONFIG.PLAYER_TWO_KEY_BINDINGS_STORAGE_KEY,
+    gamepadIndex: 1
+});
+const playerTwoControlsSettings = new ControlsSettings(document.getElementById('playerTwoControlsSettings'), playerTwoInputManager);
+
+// Paged leaderboards for the menu and the game over screen
+const leaderboardView = new LeaderboardView(document.getElementById('leaderboardView'), apiClient, 'pac-gator');
+const gameOverLeaderboardView = new LeaderboardView(document.getElementById('gameOverLeaderboardView'), apiClient, 'pac-gator', {
+    pageSize: 5,
+    showWindows: false
+});
+
+['up', 'down', 'left', 'right'].forEach(direction => {
+    inputManager.on(direction, ({ event }) => {
+        // In co-op, player 2's keys only steer player 2
+        if (game.playerCount > 1 && event && event.code &&
+            playerTwoInputManager.getActionsForKey(event.code).length > 0) return;
+        handleDirectionInput(direction);
+    });
+    playerTwoInputManager.on(direction, () => {
+        if (game.playerCount > 1) handleDirectionInput(direction, 1);
+    });
 });
+inputManager.on('pause', handlePauseInput);
+inputManager.on('confirm', handleConfirmInput);
 
-// Mobile touch controls
 function setupMobileControls() {
-    const upBtn = document.getElementById('upBtn');
-    const downBtn = document.getElementById('downBtn');
-    const leftBtn = document.getElementById('leftBtn');
-    const rightBtn = document.getElementById('rightBtn');
-    
-    if (upBtn) {
-        upBtn.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            handleDirectionInput('up');
-        });
-        upBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            handleDirectionInput('up');
-        });
-    }
-    
-    if (downBtn) {
-        downBtn.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            handleDirectionInput('down');
-        });
-        downBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            handleDirectionInput('down');
-        });
-    }
-    
-    if (leftBtn) {
-        leftBtn.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            handleDirectionInput('left');
-        });
-        leftBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            handleDirectionInput('left');
-        });
-    }
-    
-    if (rightBtn) {
-        rightBtn.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            handleDirectionInput('right');
-        });
-        rightBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            handleDirectionInput('right');
-        });
-    }
+    inputManager.bindButton(document.getElementById('upBtn'), 'up');
+    inputManager.bindButton(document.getElementById('downBtn'), 'down');
+    inputManager.bindButton(document.getElementById('leftBtn'), 'left');
+    inputManager.bindButton(document.getElementById('rightBtn'), 'right');
+    inputManager.bindButton(document.getElementById('mobilePauseBtn'), 'pause');
 }
 
-function handleDirectionInput(direction) {
-    if (gameState === 'start') {
-        gameState = 'playing';
+// Move on to the next level and announce it
+function advanceLevel() {
+    game.advanceLevel();
+    messageEl.textContent = game.endlessMode ? 'Endless Mode Active!' : `Level ${game.currentLevel}`;
+    updateUI(); // Make sure UI updates with new level
+    setTimeout(() => {
+        if (game.state === 'playing') messageEl.textContent = '';
+    }, 2000);
+}
+
+/**
+ * A direction from either player: starts or carries on the game, or steers their gator
+ * @param {string|null} direction - Direction, or null for confirm
+ * @param {number} playerIndex - 0 for Kiro, 1 for player 2 in co-op
+ */
+function handleDirectionInput(direction, playerIndex = 0) {
+    // The attract mode demo isn't playable
+    if (attractMode) return;
+
+    if (game.state === 'start') {
+        game.state = 'playing';
         messageEl.textContent = '';
         audioManager.playSound('gameStart');
-    } else if (gameState === 'gameOver') {
+    } else if (game.state === 'gameOver') {
         // Don't restart automatically - let the game over screen show
         return;
-    } else if (gameState === 'levelComplete') {
-        currentLevel++;
-        
-        // Reset character positions
-        kiro.x = 14;
-        kiro.y = 23;
-        kiro.direction = null;
-        kiro.nextDirection = null;
-        kiro.moveTimer = 0;
-        initGhosts();
-        
-        // Clear power pellet state
-        powerPelletActive = false;
-        powerPelletTimer = 0;
-        
-        if (currentLevel <= ENDLESS_MODE_LEVEL) {
-            copyMaze();
-        }
-        
-        if (currentLevel > ENDLESS_MODE_LEVEL) {
-            endlessMode = true;
-            randomDotTimer = 0;
-            for (let y = 0; y < ROWS; y++) {
-                for (let x = 0; x < COLS; x++) {
-                    if (maze[y][x] === 2) {
-                        maze[y][x] = 0;
-                    }
-                }
-            }
-        }
-        
-        gameState = 'playing';
-        messageEl.textContent = endlessMode ? 'Endless Mode Active!' : `Level ${currentLevel}`;
-        updateUI();
-        setTimeout(() => {
-            if (gameState === 'playing') messageEl.textContent = '';
-        }, 2000);
-    } else if (gameState === 'playing') {
-        if (waitingForRespawn) {
-            waitingForRespawn = false;
+    } else if (game.state === 'levelComplete') {
+        advanceLevel();
+    } else if (game.state === 'playing') {
+        // Resume from death pause
+        if (game.waitingForRespawn) {
+            game.waitingForRespawn = false;
             messageEl.textContent = '';
             return;
         }
-        
-        if (!isPaused) {
-            if (direction === 'up') kiro.nextDirection = 'up';
-            else if (direction === 'down') kiro.nextDirection = 'down';
-            else if (direction === 'left') kiro.nextDirection = 'left';
-            else if (direction === 'right') kiro.nextDirection = 'right';
+
+        // Ignored while paused
+        game.steer(direction, playerIndex);
+    }
+}
+
+// Pause works in any state where the game is on screen
+function handlePauseInput() {
+    if (attractMode) return;
+
+    if (game.state === 'playing') {
+        if (game.isPaused) {
+            resumeGame();
+        } else {
+            // Clear waiting for respawn state if active
+            if (game.waitingForRespawn) {
+                game.waitingForRespawn = false;
+                messageEl.textContent = '';
+            }
+            togglePause();
         }
+    } else if (game.state === 'start') {
+        // Allow pause to open pause menu from start state too
+        togglePause();
+    }
+}
+
+// Confirm (Enter / gamepad A) takes the obvious next step on each screen
+function handleConfirmInput() {
+    const modalOpen = document.querySelector('.modal-screen:not(.hidden)');
+
+    if (game.state === 'menu' || attractMode) {
+        if (!modalOpen) document.getElementById('startGameBtn').click();
+    } else if (game.state === 'gameOver') {
+        if (!gameOverTransition) document.getElementById('backToMenuBtn').click();
+    } else if (game.isPaused) {
+        resumeGame();
+    } else {
+        handleDirectionInput(null);
     }
 }
 
@@ -1555,39 +1081,42 @@ function setupDraggableMinimap() {
     minimap.addEventListener("mousemove", drag, false);
 }
 
-// Mobile pause button
-const mobilePauseBtn = document.getElementById('mobilePauseBtn');
-if (mobilePauseBtn) {
-    const handlePause = (e) => {
-        e.preventDefault();
-        
-        if (gameState === 'playing') {
-            if (isPaused) {
-                resumeGame();
-            } else {
-                // Clear waiting for respawn state if active
-                if (waitingForRespawn) {
-                    waitingForRespawn = false;
-                    messageEl.textContent = '';
-                }
-                togglePause();
-            }
-        } else if (gameState === 'start') {
-            // Allow pause to open pause menu from start state too
-            togglePause();
-        }
-    };
-    
-    mobilePauseBtn.addEventListener('click', handlePause);
-    mobilePauseBtn.addEventListener('touchstart', handlePause);
-}
-
-// Initialize and start
-init();
+// Initialize and start once the levels have loaded
+loadLevels().then(() => {
+    startAttractMode();
+    game.start();
+}).catch(error => {
+    console.error('Failed to load levels:', error);
+    messageEl.textContent = 'Could not load the maze. Please refresh the page.';
+});
 initAudio(); // Load sounds asynchronously
+NameSanitizer.loadRules().then(rules => {
+    nameSanitizer.setRules(rules);
+}).catch(error => {
+    console.warn('Could not load name rules:', error);
+});
+AchievementManager.loadDefinitions().then(definitions => {
+    achievements.setDefinitions(definitions);
+    achievements.sync(); // Send unlocks an earlier visit couldn't
+}).catch(error => {
+    console.warn('Could not load achievements:', error);
+});
 setupMobileControls();
 setupDraggableMinimap();
 
+// Stop the loop and cancel the page's requests when leaving the page
+window.addEventListener('beforeunload', () => {
+    game.destroy();
+});
+
+// Cancel the leaderboards' requests and every other API request in flight
+// (a score still being sent stays queued for the next visit)
+function cancelPageRequests() {
+    leaderboardView.destroy();
+    gameOverLeaderboardView.destroy();
+    apiClient.destroy();
+}
+
 // Show start screen on load
 document.getElementById('startScreen').classList.remove('hidden');
 
@@ -1620,19 +1149,37 @@ document.addEventListener('click', function startMusicOnInteraction() {
 
 
 // Start screen handlers
-document.getElementById('startGameBtn').addEventListener('click', () => {
+function startGame(playerCount) {
     document.getElementById('startScreen').classList.add('hidden');
-    gameState = 'start';
-    messageEl.textContent = 'Use arrow keys to move! Press any arrow key to start';
-});
+    stopAttractMode();
+    // Player 1 keeps the first gamepad to themselves in co-op
+    inputManager.gamepadIndex = playerCount > 1 ? 0 : null;
+    game.playerCount = playerCount;
+    init();
+    game.state = 'start';
+    messageEl.textContent = playerCount > 1 ?
+        'Player 1: arrow keys, Player 2: WASD! Press any direction key to start' :
+        'Use arrow keys to move! Press any arrow key to start';
+}
+
+document.getElementById('startGameBtn').addEventListener('click', () => startGame(1));
+document.getElementById('startCoopBtn').addEventListener('click', () => startGame(2));
 
 document.getElementById('leaderboardBtn').addEventListener('click', showLeaderboard);
 document.getElementById('howToPlayBtn').addEventListener('click', showHowToPlay);
 document.getElementById('settingsBtn').addEventListener('click', showSettings);
 document.getElementById('mainMenuBtn').addEventListener('click', () => {
-    window.location.href = '/';
+    window.location.href = playtestMode ? '/pac-gator/level-editor.html' : '/';
 });
 
+document.getElementById('levelEditorBtn').addEventListener('click', () => {
+    window.location.href = '/pac-gator/level-editor.html';
+});
+
+if (playtestMode) {
+    document.getElementById('mainMenuBtn').textContent = '← Back to Editor';
+}
+
 // Modal close handlers
 document.getElementById('closeLeaderboardBtn').addEventListener('click', () => {
     document.getElementById('leaderboardScreen').classList.add('hidden');
@@ -1643,9 +1190,11 @@ document.getElementById('closeHowToPlayBtn').addEventListener('click', () => {
 });
 
 document.getElementById('closeSettingsBtn').addEventListener('click', () => {
+    controlsSettings.cancel();
+    playerTwoControlsSettings.cancel();
     document.getElementById('settingsScreen').classList.add('hidden');
     // If game is paused, show pause menu again
-    if (isPaused && gameState === 'playing') {
+    if (game.isPaused && game.state === 'playing') {
         document.getElementById('pauseMenu').classList.remove('hidden');
     }
 });
@@ -1654,34 +1203,82 @@ document.getElementById('closeSettingsBtn').addEventListener('click', () => {
 document.getElementById('backToMenuBtn').addEventListener('click', () => {
     document.getElementById('gameOverScreen').classList.add('hidden');
     document.getElementById('startScreen').classList.remove('hidden');
-    init();
-    gameState = 'menu';
+    startAttractMode();
     messageEl.textContent = '';
 });
 
-// Save name button
+// Save name button (one name per gator in co-op)
 document.getElementById('saveNameBtn').addEventListener('click', async () => {
-    const nameInput = document.getElementById('playerNameInput');
-    const newName = nameInput.value.trim() || 'Player';
-    
-    if (newName !== playerName) {
-        playerName = newName;
-        
-        // If we have a score ID, update the existing score
-        if (currentScoreId) {
-            await apiClient.updateScoreName(currentScoreId, playerName);
-            // Reload leaderboard to show updated name
-            showGameOver();
-        } else {
-            // Fallback: save as new score if no ID (shouldn't happen)
-            await saveGameSession();
-            showGameOver();
-        }
+    const nameInputs = [document.getElementById('playerNameInput'), document.getElementById('playerTwoNameInput')];
+    const nameError = document.getElementById('nameError');
+    let reload = false;
+
+    // Check every name first, so nothing is saved while one of them can't be used
+    const checked = game.players.map(player => nameSanitizer.check(nameInputs[player.index].value));
+    const blocked = checked.findIndex(result => result.error === 'blocked');
+    nameError.classList.toggle('hidden', blocked === -1);
+    if (blocked !== -1) {
+        nameError.textContent = game.players.length > 1 ?
+            `Player ${blocked + 1}'s name isn't allowed. Try another one.` :
+            "That name isn't allowed. Try another one.";
+        return;
+    }
+
+    for (const player of game.players) {
+        const session = playerSessions[player.index];
+        const { name, error } = checked[player.index];
+        const newName = error ? (player.index === 0 ? nameSanitizer.rules.defaultName : 'Player 2') : name;
+        nameInputs[player.index].value = newName;
+        if (newName === session.name) continue;
+        session.name = session.profile ? session.profile.setName(newName) : newName;
+
+        reload = await updatePlayerScore(session, player.score) || reload;
+    }
+
+    if (reload) {
+        // Reload leaderboard to show updated names
+        showGameOver();
     }
-    
     document.getElementById('nameInputSection').style.display = 'none';
 });
 
+/**
+ * Show a session's new name (or avatar colour) on the score it already submitted
+ * @param {Object} session - Entry in playerSessions
+ * @param {number} score - The gator's score, resubmitted if it was never saved
+ * @returns {Promise<boolean>} True if the leaderboards need reloading
+ */
+async function updatePlayerScore(session, score) {
+    const player = session.profile || session.name;
+
+    // If we have a score ID, update the existing score
+    if (session.scoreId) {
+        try {
+            await apiClient.updateScoreName(session.scoreId, player);
+        } catch (error) {
+            console.error('Error updating score name:', error);
+        }
+        return true;
+    }
+    if (session.pendingClientId) {
+        // Not on the server yet; the queued score will be sent with the new name
+        apiClient.updateQueuedScoreName(session.pendingClientId, player);
+        return false;
+    }
+    // Fallback: save as new score if no ID (shouldn't happen)
+    await submitPlayerScore(session, score);
+    return true;
+}
+
+// Avatar colour swatches under the name input; a new colour shows on the score right away
+const avatarColorPicker = new AvatarColorPicker(document.getElementById('avatarColors'), playerProfile, async () => {
+    const kiro = game.players[0];
+    if (playtestMode || game.state !== 'gameOver' || !kiro) return;
+    if (await updatePlayerScore(playerSessions[0], kiro.score)) {
+        await gameOverLeaderboardView.show({ jumpToPlayer: true });
+    }
+});
+
 // Settings handlers
 document.getElementById('soundToggle').addEventListener('click', function() {
     soundEnabled = !soundEnabled;
@@ -1703,7 +1300,7 @@ document.getElementById('musicToggle').addEventListener('click', function() {
 });
 
 document.getElementById('difficultySelect').addEventListener('change', function() {
-    difficulty = this.value;
+    game.difficulty = this.value;
 });
 
 // Pause menu button handlers
@@ -1717,20 +1314,8 @@ document.getElementById('quitBtn').addEventListener('click', quitToStart);
 
 // Menu functions
 async function showLeaderboard() {
-    const scores = await apiClient.getHighScores('pac-gator');
-    const leaderboardList = document.getElementById('leaderboardList');
-    if (scores.length === 0) {
-        leaderboardList.innerHTML = '<p class="no-history">No scores yet. Be the first!</p>';
-    } else {
-        leaderboardList.innerHTML = scores.map((entry, index) => `
-            <div class="leaderboard-entry ${index < 3 ? 'top-3' : ''}">
-                <span class="leaderboard-rank">#${index + 1}</span>
-                <span class="leaderboard-name">${entry.name}</span>
-                <span class="leaderboard-score">${entry.score}</span>
-            </div>
-        `).join('');
-    }
     document.getElementById('leaderboardScreen').classList.remove('hidden');
+    await leaderboardView.show();
 }
 
 function showHowToPlay() {
@@ -1745,41 +1330,23 @@ async function showGameOver() {
     // Clear transition flag - now safe to accept input
     gameOverTransition = false;
     
-    // Display final score
-    document.getElementById('finalScore').textContent = score;
-    
-    // Show name input
-    document.getElementById('playerNameInput').value = playerName;
-    document.getElementById('nameInputSection').style.display = 'block';
-    
-    // Load and display leaderboard
-    const scores = await apiClient.getHighScores('pac-gator');
-    const leaderboardList = document.getElementById('gameOverLeaderboardList');
-    if (scores.length === 0) {
-        leaderboardList.innerHTML = '<p class="no-history">No scores yet</p>';
-    } else {
-        // Find current score's rank
-        let currentRank = scores.findIndex(entry => entry.score === score) + 1;
-        if (currentRank === 0) {
-            // Score not in list yet, find where it would be
-            currentRank = scores.filter(entry => entry.score > score).length + 1;
-        }
-        
-        leaderboardList.innerHTML = scores.slice(0, 5).map((entry, index) => {
-            const rank = index + 1;
-            const isCurrentScore = entry.score === score && rank === currentRank;
-            const highlightClass = isCurrentScore ? 'current-score' : (index < 3 ? 'top-3' : '');
-            
-            return `
-                <div class="leaderboard-entry ${highlightClass}">
-                    <span class="leaderboard-rank">#${rank}</span>
-                    <span class="leaderboard-name">${entry.name}${isCurrentScore ? ' (You)' : ''}</span>
-                    <span class="leaderboard-score">${entry.score}</span>
-                </div>
-            `;
-        }).join('');
-    }
+    // Display final scores (player 2's only in co-op)
+    const [kiro, partner] = game.players;
+    document.getElementById('finalScoreLabel').textContent = partner ? 'Player 1 Score' : 'Your Score';
+    document.getElementById('finalScore').textContent = kiro.score;
+    document.getElementById('finalScoreTwoSection').classList.toggle('hidden', !partner);
+    document.getElementById('finalScoreTwo').textContent = partner ? partner.score : 0;
+    
+    // Show name inputs
+    document.getElementById('playerNameInput').value = playerSessions[0].name;
+    document.getElementById('nameError').classList.add('hidden');
+    avatarColorPicker.render();
+    document.getElementById('playerTwoNameInput').value = playerSessions[1].name;
+    document.getElementById('playerTwoNameField').classList.toggle('hidden', !partner);
+    document.getElementById('nameInputSection').style.display = playtestMode ? 'none' : 'block';
+    
+    // Show the page of the leaderboard with the best score on it
     document.getElementById('gameOverScreen').classList.remove('hidden');
+    gameOverLeaderboardView.setPlayerScore(getBestScoreId());
+    await gameOverLeaderboardView.show({ jumpToPlayer: true });
 }
-
-gameLoop();
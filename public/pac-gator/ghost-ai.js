@@ -0,0 +1,167 @@
+// Ghost AI module
+// Arcade-style ghost personalities and the scatter/chase phase schedule.
+// This module can be used both in the browser and in tests
+
+// Each personality picks a target tile; ghosts then step towards it one tile at a time
+const GHOST_PERSONALITIES = ['blinky', 'pinky', 'inky', 'clyde'];
+
+const PINKY_LOOKAHEAD = 4; // tiles ahead of Kiro
+const INKY_PIVOT_LOOKAHEAD = 2; // tiles ahead of Kiro used as the pivot for Inky's vector
+const CLYDE_SHY_DISTANCE = 8; // tiles - Clyde retreats when closer than this
+
+// Tie-break order when two moves are equally close to the target (same as the arcade)
+const DIRECTION_PRIORITY = ['up', 'left', 'down', 'right'];
+
+const DIRECTION_DELTAS = {
+    up: { dx: 0, dy: -1 },
+    down: { dx: 0, dy: 1 },
+    left: { dx: -1, dy: 0 },
+    right: { dx: 1, dy: 0 }
+};
+
+class GhostAI {
+    /**
+     * @param {Object} options
+     * @param {number} options.cols - Maze width in tiles
+     * @param {number} options.rows - Maze height in tiles
+     * @param {number} options.scatterDuration - Ticks per scatter phase
+     * @param {number} options.chaseDuration - Ticks per chase phase
+     * @param {number} options.scatterWaves - Scatter phases before ghosts chase for good
+     */
+    constructor(options = {}) {
+        this.cols = options.cols || 28;
+        this.rows = options.rows || 31;
+        this.scatterDuration = options.scatterDuration || 420;
+        this.chaseDuration = options.chaseDuration || 1200;
+        this.scatterWaves = options.scatterWaves || 4;
+
+        // Scatter corners, just outside the maze so ghosts circle the nearest block
+        this.scatterTargets = {
+            blinky: { x: this.cols - 3, y: -3 },
+            pinky: { x: 2, y: -3 },
+            inky: { x: this.cols - 1, y: this.rows },
+            clyde: { x: 0, y: this.rows }
+        };
+
+        this.resetSchedule();
+    }
+
+    /**
+     * Restart the phase schedule (new life or new level)
+     */
+    resetSchedule() {
+        this.mode = 'scatter';
+        this.phaseTimer = this.scatterDuration;
+        this.wave = 1;
+    }
+
+    /**
+     * Advance the phase schedule by one tick
+     * @returns {boolean} True if the phase changed this tick (ghosts should reverse)
+     */
+    tick() {
+        // After the last scatter wave, ghosts chase indefinitely
+        if (this.mode === 'chase' && this.wave > this.scatterWaves) return false;
+
+        this.phaseTimer--;
+        if (this.phaseTimer > 0) return false;
+
+        if (this.mode === 'scatter') {
+            this.mode = 'chase';
+            this.phaseTimer = this.chaseDuration;
+            this.wave++;
+        } else {
+            this.mode = 'scatter';
+            this.phaseTimer = this.scatterDuration;
+        }
+        return true;
+    }
+
+    /**
+     * Get the current phase
+     * @returns {string} 'scatter' or 'chase'
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * Get the tile a ghost is heading for
+     * @param {Object} ghost - Ghost with x, y and personality
+     * @param {Object} kiro - Kiro with x, y and direction
+     * @param {Object} blinky - Blinky's position (used by Inky)
+     * @returns {{x: number, y: number}} Target tile (may be outside the maze)
+     */
+    getTargetTile(ghost, kiro, blinky) {
+        if (this.mode === 'scatter') {
+            return this.scatterTargets[ghost.personality] || { x: kiro.x, y: kiro.y };
+        }
+
+        switch (ghost.personality) {
+            case 'pinky':
+                return GhostAI.tileAhead(kiro, PINKY_LOOKAHEAD);
+            case 'inky': {
+                // Double the vector from Blinky to the tile two ahead of Kiro
+                const pivot = GhostAI.tileAhead(kiro, INKY_PIVOT_LOOKAHEAD);
+                const anchor = blinky || kiro;
+                return {
+                    x: pivot.x + (pivot.x - anchor.x),
+                    y: pivot.y + (pivot.y - anchor.y)
+                };
+            }
+            case 'clyde': {
+                const distance = Math.hypot(ghost.x - kiro.x, ghost.y - kiro.y);
+                return distance > CLYDE_SHY_DISTANCE ? { x: kiro.x, y: kiro.y } : this.scatterTargets.clyde;
+            }
+            case 'blinky':
+            default:
+                return { x: kiro.x, y: kiro.y };
+        }
+    }
+
+    /**
+     * Pick the move that gets closest to the target
+     * @param {Array<{dir: string, x: number, y: number}>} moves - Candidate moves
+     * @param {{x: number, y: number}} target - Target tile
+     * @param {Function} distanceTo - (move) => distance; defaults to straight-line distance.
+     *                                Moves at Infinity (unreachable) are never picked
+     * @returns {Object|null} Best move, ties broken up > left > down > right
+     */
+    static chooseMove(moves, target, distanceTo = null) {
+        const measure = distanceTo || (move => (move.x - target.x) ** 2 + (move.y - target.y) ** 2);
+        let best = null;
+        let bestDistance = Infinity;
+
+        DIRECTION_PRIORITY.forEach(dir => {
+            const move = moves.find(m => m.dir === dir);
+            if (!move) return;
+
+            const distance = measure(move);
+            if (distance < bestDistance) {
+                best = move;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Get the tile a number of tiles ahead of an entity in its current direction
+     * @param {Object} entity - Object with x, y and direction
+     * @param {number} tiles - Distance ahead
+     * @returns {{x: number, y: number}} Tile position
+     */
+    static tileAhead(entity, tiles) {
+        const delta = DIRECTION_DELTAS[entity.direction] || { dx: 0, dy: 0 };
+        return {
+            x: entity.x + delta.dx * tiles,
+            y: entity.y + delta.dy * tiles
+        };
+    }
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GhostAI, GHOST_PERSONALITIES };
+}
@@ -0,0 +1,450 @@
+// Level editor
+// Paint mazes on the TILE_SIZE grid, check that they are playable and
+// export/import them in the level JSON format read by level-loader.js.
+// Uses LevelLoader and Pathfinder, loaded before this script
+
+const EDITOR_TOOLS = ['wall', 'dot', 'pellet', 'empty', 'kiro', 'house', 'tunnel'];
+
+// Tiles painted by the brush tools (same values as the game's maze)
+const TOOL_TILES = { empty: 0, wall: 1, dot: 2, pellet: 3 };
+
+// Size of the ghost house stamped by the house tool (same as the classic maze)
+const HOUSE_WIDTH = 8;
+const HOUSE_HEIGHT = 5;
+
+class LevelEditor {
+    /**
+     * @param {Object} options
+     * @param {number} options.cols - Maze width in tiles
+     * @param {number} options.rows - Maze height in tiles
+     * @param {number} options.ghostCount - Ghost spawns placed in the house
+     */
+    constructor(options = {}) {
+        this.cols = options.cols || 28;
+        this.rows = options.rows || 31;
+        this.ghostCount = options.ghostCount || 4;
+        this.loader = new LevelLoader({ cols: this.cols, rows: this.rows, ghostCount: this.ghostCount });
+        this.tool = 'wall';
+        this.newLevel();
+    }
+
+    /**
+     * Start from an empty maze with border walls, a ghost house and a spawn point
+     */
+    newLevel() {
+        this.level = {
+            name: 'Untitled',
+            tiles: Array.from({ length: this.rows }, (_, y) =>
+                Array.from({ length: this.cols }, (_, x) =>
+                    (x === 0 || y === 0 || x === this.cols - 1 || y === this.rows - 1) ? 1 : 0)),
+            spawns: { kiro: { x: Math.floor(this.cols / 2), y: this.rows - 8 }, ghosts: [] },
+            house: null,
+            tunnels: []
+        };
+        this.placeHouse(Math.floor((this.cols - HOUSE_WIDTH) / 2), Math.floor((this.rows - HOUSE_HEIGHT) / 2) - 1);
+    }
+
+    /**
+     * Replace the level being edited
+     * @param {Object} level - Level as returned by LevelLoader.parse()
+     */
+    loadLevel(level) {
+        const data = LevelLoader.serialize(level);
+        this.level = this.loader.parse(data);
+    }
+
+    /**
+     * Load a level from JSON
+     * @param {string} json - Level JSON
+     * @throws {Error} If the JSON is not a valid level
+     */
+    importJSON(json) {
+        this.level = this.loader.parse(json);
+    }
+
+    /**
+     * Get the level as JSON
+     * @returns {string} Level JSON (one tile row per line)
+     */
+    exportJSON() {
+        return JSON.stringify(LevelLoader.serialize(this.level), null, 2);
+    }
+
+    setTool(tool) {
+        if (!EDITOR_TOOLS.includes(tool)) {
+            throw new Error(`Unknown tool: ${tool}`);
+        }
+        this.tool = tool;
+    }
+
+    /**
+     * Apply the current tool to a tile
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {boolean} True if the level changed
+     */
+    applyTool(x, y) {
+        if (x < 0 || x >= this.cols || y < 0 || y >= this.rows) return false;
+
+        switch (this.tool) {
+            case 'kiro':
+                this.level.spawns.kiro = { x, y };
+                if (this.level.tiles[y][x] === 1) this.level.tiles[y][x] = 0;
+                return true;
+            case 'house':
+                this.placeHouse(x, y);
+                return true;
+            case 'tunnel':
+                this.toggleTunnel(y);
+                return true;
+            default: {
+                const tile = TOOL_TILES[this.tool];
+                if (this.level.tiles[y][x] === tile) return false;
+                this.level.tiles[y][x] = tile;
+                return true;
+            }
+        }
+    }
+
+    /**
+     * Stamp a ghost house with its top-left corner at a tile
+     * The previous house is cleared; the door is the two centre tiles of the top wall
+     * @param {number} x - Left column
+     * @param {number} y - Top row
+     */
+    placeHouse(x, y) {
+        const tiles = this.level.tiles;
+        const houseX = Math.max(1, Math.min(this.cols - HOUSE_WIDTH - 1, x));
+        const houseY = Math.max(1, Math.min(this.rows - HOUSE_HEIGHT - 1, y));
+
+        const oldHouse = this.level.house;
+        if (oldHouse) {
+            for (let row = oldHouse.y; row < oldHouse.y + oldHouse.height; row++) {
+                for (let col = oldHouse.x; col < oldHouse.x + oldHouse.width; col++) {
+                    tiles[row][col] = 0;
+                }
+            }
+        }
+
+        const doorLeft = houseX + HOUSE_WIDTH / 2 - 1;
+        const door = [{ x: doorLeft, y: houseY }, { x: doorLeft + 1, y: houseY }];
+
+        for (let row = houseY; row < houseY + HOUSE_HEIGHT; row++) {
+            for (let col = houseX; col < houseX + HOUSE_WIDTH; col++) {
+                const isEdge = row === houseY || row === houseY + HOUSE_HEIGHT - 1 ||
+                    col === houseX || col === houseX + HOUSE_WIDTH - 1;
+                const isDoor = door.some(tile => tile.x === col && tile.y === row);
+                tiles[row][col] = isEdge && !isDoor ? 1 : 0;
+            }
+        }
+
+        const spawnRow = houseY + Math.floor(HOUSE_HEIGHT / 2);
+        const firstSpawn = houseX + Math.floor((HOUSE_WIDTH - this.ghostCount) / 2);
+        this.level.house = { x: houseX, y: houseY, width: HOUSE_WIDTH, height: HOUSE_HEIGHT, door };
+        this.level.spawns.ghosts = Array.from({ length: this.ghostCount }, (_, i) => ({ x: firstSpawn + i, y: spawnRow }));
+    }
+
+    /**
+     * Add or remove a wrap-around tunnel on a row (opens or closes both edge tiles)
+     * @param {number} y - Row
+     */
+    toggleTunnel(y) {
+        const tiles = this.level.tiles;
+        const index = this.level.tunnels.indexOf(y);
+
+        if (index === -1) {
+            this.level.tunnels.push(y);
+            this.level.tunnels.sort((a, b) => a - b);
+            tiles[y][0] = 0;
+            tiles[y][this.cols - 1] = 0;
+        } else {
+            this.level.tunnels.splice(index, 1);
+            tiles[y][0] = 1;
+            tiles[y][this.cols - 1] = 1;
+        }
+    }
+
+    /**
+     * Check that the level loads and that every dot can be reached from the gator's spawn
+     * @returns {{valid: boolean, errors: string[], unreachable: Array<{x: number, y: number}>}}
+     */
+    validate() {
+        const errors = [];
+        const unreachable = [];
+
+        try {
+            this.loader.parse(LevelLoader.serialize(this.level));
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        const { tiles, spawns, tunnels } = this.level;
+        const dots = [];
+        tiles.forEach((row, y) => row.forEach((tile, x) => {
+            if (tile === TOOL_TILES.dot || tile === TOOL_TILES.pellet) dots.push({ x, y });
+        }));
+
+        if (!dots.some(dot => tiles[dot.y][dot.x] === TOOL_TILES.dot)) {
+            errors.push('Add at least one dot');
+        }
+
+        const pathfinder = new Pathfinder({ cols: this.cols, rows: this.rows, tunnelRows: tunnels });
+        const distances = pathfinder.distanceMap(spawns.kiro, (x, y) => tiles[y][x] !== 1);
+        dots.forEach(dot => {
+            if (pathfinder.distanceAt(distances, dot.x, dot.y) === Infinity) unreachable.push(dot);
+        });
+        if (unreachable.length > 0) {
+            errors.push(`${unreachable.length} dot${unreachable.length === 1 ? '' : 's'} can't be reached from the gator's spawn`);
+        }
+
+        return { valid: errors.length === 0, errors, unreachable };
+    }
+}
+
+/**
+ * Draw a level on the editor canvas
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} level - Level being edited
+ * @param {number} tileSize - Tile size in pixels
+ * @param {Array<{x: number, y: number}>} unreachable - Dots to highlight
+ */
+function drawEditorLevel(ctx, level, tileSize, unreachable = []) {
+    const rows = level.tiles.length;
+    const cols = level.tiles[0].length;
+
+    ctx.fillStyle = '#1a1a1a';
+    ctx.fillRect(0, 0, cols * tileSize, rows * tileSize);
+
+    // Tunnel rows
+    ctx.fillStyle = 'rgba(92, 181, 77, 0.15)';
+    level.tunnels.forEach(row => ctx.fillRect(0, row * tileSize, cols * tileSize, tileSize));
+
+    // Ghost house
+    if (level.house) {
+        const { house } = level;
+        ctx.fillStyle = 'rgba(255, 184, 255, 0.15)';
+        ctx.fillRect(house.x * tileSize, house.y * tileSize, house.width * tileSize, house.height * tileSize);
+    }
+
+    level.tiles.forEach((row, y) => row.forEach((tile, x) => {
+        const centerX = x * tileSize + tileSize / 2;
+        const centerY = y * tileSize + tileSize / 2;
+        if (tile === 1) {
+            ctx.fillStyle = '#2563eb';
+            ctx.fillRect(x * tileSize, y * tileSize, tileSize, tileSize);
+        } else if (tile === 2 || tile === 3) {
+            ctx.fillStyle = '#5CB54D';
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, tile === 3 ? 5 : 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }));
+
+    // House door
+    if (level.house) {
+        ctx.fillStyle = '#FFB8FF';
+        level.house.door.forEach(door => {
+            ctx.fillRect(door.x * tileSize, door.y * tileSize + tileSize / 2 - 2, tileSize, 4);
+        });
+    }
+
+    // Spawn points
+    const ghostColors = ['#FF0000', '#FFB8FF', '#00FFFF', '#FFB852'];
+    level.spawns.ghosts.forEach((spawn, i) => {
+        ctx.fillStyle = ghostColors[i % ghostColors.length];
+        ctx.beginPath();
+        ctx.arc(spawn.x * tileSize + tileSize / 2, spawn.y * tileSize + tileSize / 2, tileSize / 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    const kiro = level.spawns.kiro;
+    ctx.fillStyle = '#5CB54D';
+    ctx.fillRect(kiro.x * tileSize + 3, kiro.y * tileSize + 3, tileSize - 6, tileSize - 6);
+
+    // Unreachable dots
+    ctx.strokeStyle = '#FF0000';
+    ctx.lineWidth = 2;
+    unreachable.forEach(dot => {
+        ctx.strokeRect(dot.x * tileSize + 2, dot.y * tileSize + 2, tileSize - 4, tileSize - 4);
+    });
+
+    // Grid
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+    ctx.lineWidth = 1;
+    for (let x = 0; x <= cols; x++) {
+        ctx.beginPath();
+        ctx.moveTo(x * tileSize, 0);
+        ctx.lineTo(x * tileSize, rows * tileSize);
+        ctx.stroke();
+    }
+    for (let y = 0; y <= rows; y++) {
+        ctx.beginPath();
+        ctx.moveTo(0, y * tileSize);
+        ctx.lineTo(cols * tileSize, y * tileSize);
+        ctx.stroke();
+    }
+}
+
+// Wire up the editor page
+if (typeof document !== 'undefined' && document.getElementById('editorCanvas')) {
+    const canvas = document.getElementById('editorCanvas');
+    const ctx = canvas.getContext('2d');
+    const tileSize = PAC_CONFIG.TILE_SIZE;
+    const editor = new LevelEditor({ cols: PAC_CONFIG.COLS, rows: PAC_CONFIG.ROWS });
+    const levelNameInput = document.getElementById('levelName');
+    const statusEl = document.getElementById('validationStatus');
+    const jsonInput = document.getElementById('levelJson');
+    let unreachable = [];
+    let painting = false;
+
+    const showStatus = (messages, ok) => {
+        statusEl.replaceChildren(...messages.map(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            return item;
+        }));
+        statusEl.classList.toggle('valid', ok);
+        statusEl.classList.toggle('invalid', !ok);
+    };
+
+    const validate = () => {
+        const result = editor.validate();
+        unreachable = result.unreachable;
+        showStatus(result.valid ? ['Level is valid'] : result.errors, result.valid);
+        return result;
+    };
+
+    // Keep a draft so play-testing and reloading don't lose work
+    const refresh = () => {
+        drawEditorLevel(ctx, editor.level, tileSize, unreachable);
+        levelNameInput.value = editor.level.name;
+        localStorage.setItem(PAC_CONFIG.EDITOR_LEVEL_STORAGE_KEY, editor.exportJSON());
+    };
+
+    const tileAt = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: Math.floor((event.clientX - rect.left) * (canvas.width / rect.width) / tileSize),
+            y: Math.floor((event.clientY - rect.top) * (canvas.height / rect.height) / tileSize)
+        };
+    };
+
+    // Brush tools paint while dragging; the others act once per click
+    canvas.addEventListener('pointerdown', (event) => {
+        const { x, y } = tileAt(event);
+        painting = editor.tool in TOOL_TILES;
+        if (editor.applyTool(x, y)) {
+            unreachable = [];
+            refresh();
+        }
+        event.preventDefault();
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!painting) return;
+        const { x, y } = tileAt(event);
+        if (editor.applyTool(x, y)) refresh();
+    });
+    window.addEventListener('pointerup', () => {
+        painting = false;
+    });
+
+    document.querySelectorAll('[data-tool]').forEach(button => {
+        button.addEventListener('click', () => {
+            editor.setTool(button.dataset.tool);
+            document.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('active', b === button));
+        });
+    });
+
+    levelNameInput.addEventListener('input', () => {
+        editor.level.name = levelNameInput.value.trim() || 'Untitled';
+        localStorage.setItem(PAC_CONFIG.EDITOR_LEVEL_STORAGE_KEY, editor.exportJSON());
+    });
+
+    document.getElementById('newLevelBtn').addEventListener('click', () => {
+        editor.newLevel();
+        unreachable = [];
+        refresh();
+        showStatus(['New level'], true);
+    });
+
+    document.getElementById('loadLevelBtn').addEventListener('click', async () => {
+        const url = document.getElementById('levelSelect').value;
+        try {
+            editor.loadLevel(await editor.loader.load(url));
+            unreachable = [];
+            refresh();
+            validate();
+        } catch (error) {
+            showStatus([error.message], false);
+        }
+    });
+
+    document.getElementById('validateBtn').addEventListener('click', () => {
+        validate();
+        refresh();
+    });
+
+    document.getElementById('exportBtn').addEventListener('click', () => {
+        const json = editor.exportJSON();
+        jsonInput.value = json;
+
+        const blob = new Blob([json + '\n'], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${editor.level.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'level'}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    document.getElementById('importBtn').addEventListener('click', () => {
+        try {
+            editor.importJSON(jsonInput.value);
+            unreachable = [];
+            refresh();
+            validate();
+        } catch (error) {
+            showStatus([`Import failed: ${error.message}`], false);
+        }
+    });
+
+    document.getElementById('importFile').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        jsonInput.value = await file.text();
+        document.getElementById('importBtn').click();
+        event.target.value = '';
+    });
+
+    document.getElementById('playtestBtn').addEventListener('click', () => {
+        const result = validate();
+        refresh();
+        if (result.valid) {
+            window.location.href = '/pac-gator/pac-gator.html?playtest=1';
+        }
+    });
+
+    // Offer the shipped levels as starting points
+    const levelSelect = document.getElementById('levelSelect');
+    PAC_CONFIG.LEVEL_FILES.forEach((url, i) => {
+        const option = document.createElement('option');
+        option.value = url;
+        option.textContent = `Level ${i + 1}`;
+        levelSelect.appendChild(option);
+    });
+
+    // Restore the last draft if there is one
+    const draft = localStorage.getItem(PAC_CONFIG.EDITOR_LEVEL_STORAGE_KEY);
+    if (draft) {
+        try {
+            editor.importJSON(draft);
+        } catch (error) {
+            console.warn('Ignoring invalid editor draft:', error.message);
+        }
+    }
+    refresh();
+}
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelEditor, EDITOR_TOOLS };
+}
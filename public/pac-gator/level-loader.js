@@ -0,0 +1,214 @@
+// Level loader module
+// Parses and validates Pac-Gator level files (see levels/level-1.json).
+// This module can be used both in the browser and in tests
+//
+// Level format (version 1):
+// {
+//   "version": 1,
+//   "name": "Classic",
+//   "tiles": ["####...", ...],          // One string per row: '#' wall, '.' dot, ' ' empty
+//   "spawns": {
+//     "kiro": { "x": 14, "y": 23 },
+//     "ghosts": [{ "x": 12, "y": 14 }, ...] // One per ghost, in Blinky/Pinky/Inky/Clyde order
+//   },
+//   "house": { "x": 10, "y": 12, "width": 8, "height": 5, "door": [{ "x": 13, "y": 12 }, ...] },
+//   "tunnels": [14],                     // Rows that wrap from one side to the other
+//   "powerPellets": [{ "x": 1, "y": 3 }, ...]
+// }
+
+const LEVEL_FORMAT_VERSION = 1;
+
+// Tile characters in level files and the maze values they map to
+const LEVEL_TILES = {
+    ' ': 0, // Empty
+    '#': 1, // Wall
+    '.': 2  // Dot
+};
+const POWER_PELLET_TILE = 3;
+
+class LevelLoader {
+    /**
+     * @param {Object} options
+     * @param {number} options.cols - Required maze width in tiles
+     * @param {number} options.rows - Required maze height in tiles
+     * @param {number} options.ghostCount - Required number of ghost spawns
+     */
+    constructor(options = {}) {
+        this.cols = options.cols || 28;
+        this.rows = options.rows || 31;
+        this.ghostCount = options.ghostCount || 4;
+    }
+
+    /**
+     * Fetch and parse a level file
+     * @param {string} url - Level JSON URL
+     * @returns {Promise<Object>} Parsed level
+     * @throws {Error} If the file can't be fetched or is invalid
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load level ${url}: ${response.status}`);
+        }
+        return this.parse(await response.json());
+    }
+
+    /**
+     * Parse and validate level data
+     * @param {Object|string} data - Level object or JSON string
+     * @returns {Object} Level with tiles converted to a maze grid (power pellets placed)
+     * @throws {Error} If the level is malformed
+     */
+    parse(data) {
+        const level = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!level || typeof level !== 'object') {
+            throw new Error('Level must be an object');
+        }
+        if (level.version !== LEVEL_FORMAT_VERSION) {
+            throw new Error(`Unsupported level version: ${level.version}`);
+        }
+
+        const tiles = this.parseTiles(level.tiles);
+        const isOpen = (point) => this.isPoint(point) && tiles[point.y][point.x] !== 1;
+
+        const spawns = level.spawns || {};
+        if (!isOpen(spawns.kiro)) {
+            throw new Error('Kiro spawn must be an open tile inside the maze');
+        }
+        if (!Array.isArray(spawns.ghosts) || spawns.ghosts.length !== this.ghostCount || !spawns.ghosts.every(isOpen)) {
+            throw new Error(`Level needs ${this.ghostCount} ghost spawns on open tiles`);
+        }
+
+        const house = this.parseHouse(level.house, isOpen);
+        if (!spawns.ghosts.every(spawn => LevelLoader.isInHouse(house, spawn.x, spawn.y))) {
+            throw new Error('Ghost spawns must be inside the ghost house');
+        }
+
+        const tunnels = level.tunnels || [];
+        tunnels.forEach(row => {
+            if (!Number.isInteger(row) || row < 0 || row >= this.rows ||
+                tiles[row][0] === 1 || tiles[row][this.cols - 1] === 1) {
+                throw new Error(`Tunnel row ${row} must be open at both edges`);
+            }
+        });
+
+        const powerPellets = level.powerPellets || [];
+        powerPellets.forEach(pellet => {
+            if (!isOpen(pellet)) {
+                throw new Error(`Power pellet at ${JSON.stringify(pellet)} must be on an open tile`);
+            }
+            tiles[pellet.y][pellet.x] = POWER_PELLET_TILE;
+        });
+
+        return {
+            name: level.name || 'Untitled',
+            tiles: tiles,
+            spawns: {
+                kiro: { x: spawns.kiro.x, y: spawns.kiro.y },
+                ghosts: spawns.ghosts.map(spawn => ({ x: spawn.x, y: spawn.y }))
+            },
+            house: house,
+            tunnels: [...tunnels],
+            powerPellets: powerPellets.map(pellet => ({ x: pellet.x, y: pellet.y }))
+        };
+    }
+
+    parseTiles(rows) {
+        if (!Array.isArray(rows) || rows.length !== this.rows) {
+            throw new Error(`Level tiles must have ${this.rows} rows`);
+        }
+
+        return rows.map((row, y) => {
+            if (typeof row !== 'string' || row.length !== this.cols) {
+                throw new Error(`Level row ${y} must be ${this.cols} characters`);
+            }
+            return [...row].map((char, x) => {
+                if (!(char in LEVEL_TILES)) {
+                    throw new Error(`Unknown tile '${char}' at ${x},${y}`);
+                }
+                return LEVEL_TILES[char];
+            });
+        });
+    }
+
+    parseHouse(house, isOpen) {
+        if (!house || !this.isPoint(house) || !(house.width > 0) || !(house.height > 0) ||
+            house.x + house.width > this.cols || house.y + house.height > this.rows) {
+            throw new Error('Ghost house must be a rectangle inside the maze');
+        }
+        if (!Array.isArray(house.door) || house.door.length === 0) {
+            throw new Error('Ghost house needs a door');
+        }
+        house.door.forEach(door => {
+            if (!isOpen(door) || door.y !== house.y || !LevelLoader.isInHouse(house, door.x, door.y)) {
+                throw new Error('Ghost house door must be an open tile on the top edge of the house');
+            }
+        });
+
+        return {
+            x: house.x,
+            y: house.y,
+            width: house.width,
+            height: house.height,
+            door: house.door.map(door => ({ x: door.x, y: door.y }))
+        };
+    }
+
+    isPoint(point) {
+        return !!point && Number.isInteger(point.x) && Number.isInteger(point.y) &&
+            point.x >= 0 && point.x < this.cols && point.y >= 0 && point.y < this.rows;
+    }
+
+    /**
+     * Convert a parsed level back to the JSON file format
+     * @param {Object} level - Level as returned by parse()
+     * @returns {Object} Level data ready for JSON.stringify
+     */
+    static serialize(level) {
+        const chars = Object.keys(LEVEL_TILES);
+        const powerPellets = [];
+        const tiles = level.tiles.map((row, y) => row.map((tile, x) => {
+            if (tile === POWER_PELLET_TILE) {
+                powerPellets.push({ x, y });
+                return ' ';
+            }
+            return chars.find(char => LEVEL_TILES[char] === tile);
+        }).join(''));
+
+        return {
+            version: LEVEL_FORMAT_VERSION,
+            name: level.name,
+            tiles: tiles,
+            spawns: {
+                kiro: { ...level.spawns.kiro },
+                ghosts: level.spawns.ghosts.map(spawn => ({ ...spawn }))
+            },
+            house: {
+                x: level.house.x,
+                y: level.house.y,
+                width: level.house.width,
+                height: level.house.height,
+                door: level.house.door.map(door => ({ ...door }))
+            },
+            tunnels: [...level.tunnels],
+            powerPellets: powerPellets
+        };
+    }
+
+    /**
+     * Check whether a tile is inside a ghost house (walls included)
+     * @param {Object} house - Parsed house
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {boolean} True if inside the house rectangle
+     */
+    static isInHouse(house, x, y) {
+        return x >= house.x && x < house.x + house.width && y >= house.y && y < house.y + house.height;
+    }
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LevelLoader, LEVEL_TILES, POWER_PELLET_TILE };
+}
@@ -0,0 +1,212 @@
+// Pac-Gator bot module
+// Plays a PacGatorGame on its own: it plans routes to dots over the maze with the
+// game's pathfinder and runs from ghosts that get too close. Used for the attract
+// mode behind the start screen and for headless benchmarks
+// (scripts/benchmark-pac-gator.js). It steers with game.steer() like a player would.
+// This module can be used both in the browser and in tests
+
+const BOT_DANGER_DISTANCE = 5; // tiles - run away from ghosts closer than this
+const BOT_GHOST_BUFFER = 2; // tiles around ghosts that dot routes avoid
+const BOT_CHASE_TIME_LEFT = 90; // ticks - only chase frightened ghosts with at least this much power left
+const BOT_FRIGHTENED_SAFE_TIME = 30; // ticks - frightened ghosts about to recover count as threats
+
+class PacGatorBot {
+    /**
+     * @param {PacGatorGame} game - Game to play
+     * @param {Object} options
+     * @param {number} options.playerIndex - Gator to steer (defaults to Kiro)
+     */
+    constructor(game, options = {}) {
+        this.game = game;
+        this.playerIndex = options.playerIndex || 0;
+    }
+
+    get player() {
+        return this.game.players[this.playerIndex];
+    }
+
+    /**
+     * Take this tick's turn: carry on after a lost life or finished level, and
+     * steer whenever the gator is about to move. Call once per tick
+     */
+    update() {
+        const game = this.game;
+        if (game.state === 'levelComplete') {
+            game.advanceLevel();
+            return;
+        }
+        if (game.state !== 'playing' || game.isPaused) return;
+        if (game.waitingForRespawn) {
+            game.waitingForRespawn = false;
+        }
+
+        const player = this.player;
+        if (!player || player.lives <= 0 || player.moveTimer > 0) return;
+
+        const direction = this.decide();
+        if (direction) {
+            game.steer(direction, this.playerIndex);
+        }
+    }
+
+    /**
+     * Pick the direction for the gator's next move
+     * @returns {string|null} 'up', 'down', 'left' or 'right', or null to keep going
+     */
+    decide() {
+        const game = this.game;
+        const player = this.player;
+        const pathfinder = game.pathfinder;
+        const isWalkable = (x, y) => game.canMove(x, y) && !game.isInGhostHouse(x, y);
+
+        const threats = this.getThreats();
+        const fromPlayer = pathfinder.distanceMap(player, isWalkable);
+        const threatDistance = Math.min(Infinity, ...threats.map(ghost => this.distanceTo(fromPlayer, ghost)));
+
+        if (threatDistance <= BOT_DANGER_DISTANCE) {
+            return this.flee(threats, isWalkable);
+        }
+
+        // Frightened ghosts are worth more than dots while there's time to catch them
+        if (game.powerPelletActive && game.powerPelletTimer >= BOT_CHASE_TIME_LEFT) {
+            const prey = game.ghosts.filter(ghost => ghost.scared && !ghost.isEyes && !ghost.inHouse);
+            const nearest = this.nearest(prey, fromPlayer);
+            if (nearest) {
+                return pathfinder.nextDirection(player, nearest, isWalkable);
+            }
+        }
+
+        // Nearest dot along a route that keeps clear of the ghosts, or any route if there isn't one
+        const isSafe = (x, y) => isWalkable(x, y) &&
+            threats.every(ghost => Math.abs(ghost.x - x) + Math.abs(ghost.y - y) > BOT_GHOST_BUFFER);
+        return this.routeToDot(isSafe) || this.routeToDot(isWalkable);
+    }
+
+    /**
+     * Ghosts that can catch the gator: out of the house, not eaten and not safely frightened
+     * @returns {Array<Object>}
+     */
+    getThreats() {
+        const game = this.game;
+        return game.ghosts.filter(ghost => !ghost.isEyes && !ghost.inHouse &&
+            (!ghost.scared || game.powerPelletTimer < BOT_FRIGHTENED_SAFE_TIME));
+    }
+
+    /**
+     * Step to the neighbouring tile farthest (along the maze) from the closest ghost
+     * @param {Array<Object>} threats - Dangerous ghosts
+     * @param {Function} isWalkable - (x, y) => boolean
+     * @returns {string|null}
+     */
+    flee(threats, isWalkable) {
+        const game = this.game;
+        const player = this.player;
+        const pathfinder = game.pathfinder;
+        const fromThreats = threats.map(ghost => pathfinder.distanceMap(ghost, isWalkable));
+
+        let best = null;
+        let bestDistance = -1;
+        pathfinder.neighbors(player.x, player.y).forEach(move => {
+            if (!isWalkable(move.x, move.y)) return;
+
+            // Ghosts standing off the walkable tiles (e.g. the house door) are measured directly
+            const distance = Math.min(...threats.map((ghost, i) => {
+                const walked = pathfinder.distanceAt(fromThreats[i], move.x, move.y);
+                return walked === Infinity ? Math.abs(ghost.x - move.x) + Math.abs(ghost.y - move.y) : walked;
+            }));
+            // Prefer tiles with a dot on them when the escape routes are equally good
+            const hasDot = game.maze[move.y][move.x] === 2 || game.maze[move.y][move.x] === 3;
+            if (distance > bestDistance || (distance === bestDistance && hasDot)) {
+                best = move;
+                bestDistance = distance;
+            }
+        });
+        return best ? best.dir : null;
+    }
+
+    /**
+     * First step towards the closest dot or power pellet
+     * @param {Function} isWalkable - (x, y) => boolean
+     * @returns {string|null} Direction, or null if no dot can be reached
+     */
+    routeToDot(isWalkable) {
+        const game = this.game;
+        const pathfinder = game.pathfinder;
+        const distances = pathfinder.distanceMap(this.player, isWalkable);
+
+        let goal = null;
+        let goalDistance = Infinity;
+        for (let y = 0; y < game.rows; y++) {
+            for (let x = 0; x < game.cols; x++) {
+                const tile = game.maze[y][x];
+                if (tile !== 2 && tile !== 3) continue;
+                const distance = pathfinder.distanceAt(distances, x, y);
+                if (distance < goalDistance) {
+                    goal = { x, y };
+                    goalDistance = distance;
+                }
+            }
+        }
+
+        return goal ? pathfinder.nextDirection(this.player, goal, isWalkable) : null;
+    }
+
+    /**
+     * The entity closest along the maze
+     * @param {Array<Object>} entities - Candidates with x and y
+     * @param {Int32Array} distances - Distance map from the gator
+     * @returns {Object|null}
+     */
+    nearest(entities, distances) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        entities.forEach(entity => {
+            const distance = this.game.pathfinder.distanceAt(distances, entity.x, entity.y);
+            if (distance < nearestDistance) {
+                nearest = entity;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Walking distance to an entity, or the straight grid distance if it's off the walkable tiles
+    distanceTo(distances, entity) {
+        const walked = this.game.pathfinder.distanceAt(distances, entity.x, entity.y);
+        const player = this.player;
+        return walked === Infinity ? Math.abs(entity.x - player.x) + Math.abs(entity.y - player.y) : walked;
+    }
+
+    /**
+     * Play until the game is over or maxTicks have run (headless, no loop or drawing)
+     * @param {number} maxTicks - Tick limit
+     * @returns {Object} { score, level, endlessMode, ticks, gameOver }
+     */
+    playToEnd(maxTicks) {
+        const game = this.game;
+        let ticks = 0;
+        while (game.state !== 'gameOver' && ticks < maxTicks) {
+            this.update();
+            game.tick();
+            ticks++;
+        }
+        // Run out the death animation so the final gameOver tick is counted
+        while (game.deathAnimationTimer > 0 && ticks < maxTicks) {
+            game.tick();
+            ticks++;
+        }
+
+        return {
+            score: game.score,
+            level: game.currentLevel,
+            endlessMode: game.endlessMode,
+            ticks,
+            gameOver: game.state === 'gameOver'
+        };
+    }
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PacGatorBot };
+}
@@ -0,0 +1,940 @@
+/**
+ * Pac-Gator Game
+ * One game of Pac-Gator: the maze, Kiro (and a second gator in two-player co-op), the ghosts,
+ * scoring, lives and level progress,
+ * advanced one fixed logic tick at a time. tick() needs no canvas, DOM or audio, so tests,
+ * bots and benchmarks run it directly in Node; in the browser start() runs the fixed-timestep
+ * loop and game.js draws the state and plays sounds for the events each tick returns.
+ *
+ * Loads as a browser <script> (defines the global PacGatorGame; load config.js, ghost-ai.js,
+ * pathfinding.js and level-loader.js first) or as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory({
+            config: require('./config.js'),
+            GhostAI: require('./ghost-ai.js').GhostAI,
+            GHOST_PERSONALITIES: require('./ghost-ai.js').GHOST_PERSONALITIES,
+            Pathfinder: require('./pathfinding.js').Pathfinder,
+            LevelLoader: require('./level-loader.js').LevelLoader
+        });
+    } else {
+        root.PacGatorGame = factory({
+            config: PAC_CONFIG,
+            GhostAI,
+            GHOST_PERSONALITIES,
+            Pathfinder,
+            LevelLoader
+        });
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    const { config, GhostAI, GHOST_PERSONALITIES, Pathfinder, LevelLoader } = deps;
+
+    const POWER_PELLET_RESPAWN_TIME = 600; // ticks (10 seconds)
+    const MAX_POWER_PELLETS = 4;
+    const DEATH_ANIMATION_DELAY = 60; // ticks (~1 second)
+    const RANDOM_DOT_SPAWN_INTERVAL = 120; // ticks (2 seconds)
+    const ENDLESS_MODE_LEVEL = 4; // Switch to endless mode after level 3
+    const EYES_SPEED = 4; // ticks between moves while an eaten ghost returns to the house
+
+    // Ticks between moves for each difficulty
+    const DIFFICULTY_SETTINGS = {
+        easy: { kiroSpeed: 6, ghostSpeed: 20, scaredSpeed: 28 },
+        normal: { kiroSpeed: 8, ghostSpeed: 18, scaredSpeed: 24 },
+        hard: { kiroSpeed: 10, ghostSpeed: 14, scaredSpeed: 18 }
+    };
+
+    // Ghost colors using Kiro brand palette
+    const GHOST_COLORS = ['#FF0000', '#FFB8FF', '#00FFFF', '#FFB852'];
+
+    const OPPOSITE_DIRECTIONS = {
+        'up': 'down',
+        'down': 'up',
+        'left': 'right',
+        'right': 'left'
+    };
+
+    class PacGatorGame {
+        /**
+         * @param {Object} options
+         * @param {Array<Object>} options.levels - Parsed levels (see level-loader.js), played in order then repeated
+         * @param {number} options.playerCount - 1, or 2 for local co-op (applied by reset())
+         * @param {string} options.difficulty - 'easy', 'normal' or 'hard' (default 'normal')
+         * @param {Function} options.random - Source of random numbers in [0, 1) (default Math.random)
+         * @param {Function} options.onTick - Called with the events of each tick the loop runs
+         * @param {Function} options.onFrame - Called once per display frame with (alpha, frameTime) to draw
+         * @param {Function} options.onDestroy - Called once by destroy(), to tear down what the page built
+         *                                       around the game (e.g. cancel its requests)
+         * @param {Object} options.config - Game configuration (defaults to config.js)
+         */
+        constructor(options = {}) {
+            this.config = options.config || config;
+            this.cols = this.config.COLS;
+            this.rows = this.config.ROWS;
+            this.levels = options.levels || [];
+            this.playerCount = options.playerCount || 1;
+            this.difficulty = options.difficulty || 'normal';
+            this.random = options.random || Math.random;
+            this.onTick = options.onTick || null;
+            this.onFrame = options.onFrame || null;
+            this.onDestroy = options.onDestroy || null;
+
+            this.ghostAI = new GhostAI({
+                cols: this.cols,
+                rows: this.rows,
+                scatterDuration: this.config.SCATTER_DURATION,
+                chaseDuration: this.config.CHASE_DURATION,
+                scatterWaves: this.config.SCATTER_WAVES
+            });
+            this.pathfinder = new Pathfinder({ cols: this.cols, rows: this.rows });
+
+            // Fixed-timestep loop: movement and game timers count logic ticks, not display frames
+            this.tickDuration = 1000 / this.config.TICK_RATE; // ms per tick
+            this.maxFrameTime = this.config.MAX_FRAME_TIME;
+            this.tickAccumulator = 0;
+            this.lastFrameTime = null;
+            this.animationFrameId = null;
+            this.running = false;
+            this.gameLoop = this.gameLoop.bind(this);
+
+            this.state = 'menu'; // 'menu', 'start', 'playing', 'levelComplete' or 'gameOver'
+            this.isPaused = false;
+            this.waitingForRespawn = false; // Lost a life, waiting for the player to carry on
+            this.deathAnimationTimer = 0;
+
+            this.frameCount = 0;
+            this.powerPelletActive = false;
+            this.powerPelletTimer = 0;
+            this.ghostComboCount = 0;
+            this.currentLevel = 1;
+            this.levelDeaths = 0; // Lives lost on the current level
+            this.endlessMode = false;
+            this.randomDotTimer = 0;
+
+            this.level = null; // Level currently being played
+            this.maze = []; // Working copy of the level's tiles (dots get eaten)
+            this.powerPelletPositions = [];
+            this.powerPelletRespawnTimers = [];
+
+            // The gators; each has its own score and lives, and is out of the game once they run out
+            this.players = [this.createPlayer(0)];
+            this.ghosts = [];
+        }
+
+        // Kiro is player 1
+        get kiro() {
+            return this.players[0];
+        }
+
+        // Team score and lives left (the same as Kiro's in a one-player game)
+        get score() {
+            return this.players.reduce((total, player) => total + player.score, 0);
+        }
+
+        get lives() {
+            return this.players.reduce((total, player) => total + player.lives, 0);
+        }
+
+        createPlayer(index) {
+            return {
+                index,
+                x: 14,
+                y: 23,
+                direction: null,
+                nextDirection: null,
+                moveTimer: 0,
+                prevX: 14, // Tile at the previous move (for interpolated rendering)
+                prevY: 23,
+                score: 0,
+                lives: this.config.STARTING_LIVES
+            };
+        }
+
+        /**
+         * Gators still in the game
+         * @returns {Array<Object>}
+         */
+        activePlayers() {
+            return this.players.filter(player => player.lives > 0);
+        }
+
+        /**
+         * The active gator closest to a tile (ghosts chase or flee whoever is nearer)
+         * @param {Object} tile - { x, y }
+         * @returns {Object} Player
+         */
+        nearestPlayer(tile) {
+            let nearest = null;
+            let nearestDistance = Infinity;
+            this.activePlayers().forEach(player => {
+                const distance = Math.abs(player.x - tile.x) + Math.abs(player.y - tile.y);
+                if (distance < nearestDistance) {
+                    nearest = player;
+                    nearestDistance = distance;
+                }
+            });
+            return nearest || this.kiro;
+        }
+
+        /**
+         * Start a new game on level 1 with playerCount gators (the state is left for the caller to set)
+         */
+        reset() {
+            this.currentLevel = 1;
+            this.loadLevel(this.currentLevel);
+            this.players = Array.from({ length: this.playerCount }, (_, index) => this.createPlayer(index));
+            this.placePlayersAtSpawn();
+            this.initGhosts();
+            this.frameCount = 0;
+            this.powerPelletActive = false;
+            this.powerPelletTimer = 0;
+            this.ghostComboCount = 0;
+            this.levelDeaths = 0;
+            this.endlessMode = false;
+            this.randomDotTimer = 0;
+            this.deathAnimationTimer = 0;
+            this.waitingForRespawn = false;
+            this.isPaused = false;
+        }
+
+        /**
+         * Run the loop: fixed ticks at config.TICK_RATE, onFrame once per display frame
+         */
+        start() {
+            if (this.running) return;
+            this.running = true;
+            this.lastFrameTime = null;
+            this.tickAccumulator = 0;
+            this.gameLoop();
+        }
+
+        /**
+         * Freeze Kiro, the ghosts and the game timers (the loop keeps drawing)
+         */
+        pause() {
+            this.isPaused = true;
+        }
+
+        resume() {
+            this.isPaused = false;
+        }
+
+        /**
+         * Stop the loop and drop the callbacks
+         */
+        destroy() {
+            this.running = false;
+            if (this.animationFrameId !== null) {
+                cancelAnimationFrame(this.animationFrameId);
+                this.animationFrameId = null;
+            }
+            this.onTick = null;
+            this.onFrame = null;
+
+            const onDestroy = this.onDestroy;
+            this.onDestroy = null;
+            if (onDestroy) onDestroy();
+        }
+
+        /**
+         * Runs tick() at a fixed rate and draws once per display frame,
+         * so gameplay speed is the same on 60Hz, 120Hz and 144Hz screens
+         * @param {number} timestamp - Frame timestamp from requestAnimationFrame (ms)
+         */
+        gameLoop(timestamp = performance.now()) {
+            if (this.lastFrameTime === null) {
+                this.lastFrameTime = timestamp;
+            }
+            const frameTime = Math.min(Math.max(timestamp - this.lastFrameTime, 0), this.maxFrameTime);
+            this.lastFrameTime = timestamp;
+
+            this.tickAccumulator += frameTime;
+            while (this.tickAccumulator >= this.tickDuration) {
+                const events = this.tick();
+                if (this.onTick) this.onTick(events);
+                this.tickAccumulator -= this.tickDuration;
+            }
+
+            // Only blend towards the next tick while the world is actually moving
+            const alpha = this.isWorldTicking() ? this.tickAccumulator / this.tickDuration : 0;
+            if (this.onFrame) this.onFrame(alpha, frameTime);
+
+            // Stopped from one of the callbacks
+            if (!this.running) return;
+            this.animationFrameId = requestAnimationFrame(this.gameLoop);
+        }
+
+        /**
+         * Advance one logic tick
+         * @returns {Array<Object>} What happened this tick, in order:
+         *   { type: 'dot', player, x, y }, { type: 'powerPellet', player, x, y }, { type: 'dotSpawned', x, y },
+         *   { type: 'levelComplete', level, endless, deaths }, { type: 'ghostEaten', player, x, y, points, combo },
+         *   { type: 'death', player, x, y, lives }, and once the death animation ends either
+         *   { type: 'respawn' } or { type: 'gameOver', score }
+         *   (player is the index of the gator involved; lives and score on death/gameOver are that
+         *   gator's lives and the team score)
+         */
+        tick() {
+            const events = [];
+
+            // Death animation delay
+            if (this.deathAnimationTimer > 0) {
+                this.deathAnimationTimer--;
+                if (this.deathAnimationTimer === 0) {
+                    if (this.state === 'gameOver') {
+                        events.push({ type: 'gameOver', score: this.score });
+                    } else {
+                        // Reset positions and wait for the player to carry on
+                        this.waitingForRespawn = true;
+                        this.placePlayersAtSpawn();
+                        this.initGhosts();
+                        events.push({ type: 'respawn' });
+                    }
+                }
+                return events; // Don't update game logic during death animation
+            }
+
+            if (!this.isWorldTicking()) return events;
+
+            this.frameCount++;
+
+            // Update power pellet timer
+            if (this.powerPelletActive) {
+                this.powerPelletTimer--;
+                if (this.powerPelletTimer <= 0) {
+                    this.powerPelletActive = false;
+                    this.ghostComboCount = 0; // Reset combo when power pellet ends
+                    this.ghosts.forEach(g => g.scared = false);
+                }
+            }
+
+            // Scatter/chase schedule (paused while ghosts are frightened, like the arcade)
+            if (!this.powerPelletActive && this.ghostAI.tick()) {
+                this.reverseGhosts();
+            }
+
+            this.updatePowerPellets();
+
+            // Endless mode: spawn random dots
+            if (this.endlessMode) {
+                this.randomDotTimer++;
+                if (this.randomDotTimer >= RANDOM_DOT_SPAWN_INTERVAL) {
+                    this.spawnRandomDot(events);
+                    this.randomDotTimer = 0;
+                }
+            }
+
+            // Move the gators and ghosts independently
+            this.activePlayers().forEach(player => this.movePlayer(player, events));
+            this.moveGhosts(); // Ghosts always move, regardless of the gators
+            this.checkCollisions(events);
+
+            return events;
+        }
+
+        /**
+         * True while Kiro, ghosts and game timers advance each tick
+         * @returns {boolean}
+         */
+        isWorldTicking() {
+            return this.state === 'playing' && !this.isPaused && !this.waitingForRespawn && this.deathAnimationTimer === 0;
+        }
+
+        /**
+         * Queue a gator's next turn; it is taken as soon as the maze allows
+         * @param {string} direction - 'up', 'down', 'left' or 'right'
+         * @param {number} playerIndex - 0 for Kiro, 1 for the second gator in co-op
+         */
+        steer(direction, playerIndex = 0) {
+            const player = this.players[playerIndex];
+            if (player && player.lives > 0 && this.state === 'playing' && !this.isPaused && direction) {
+                player.nextDirection = direction;
+            }
+        }
+
+        /**
+         * Switch to the maze for a level number (levels repeat once they run out)
+         * @param {number} levelNumber - 1-based level number
+         */
+        loadLevel(levelNumber) {
+            this.level = this.levels[(levelNumber - 1) % this.levels.length];
+            this.maze = this.level.tiles.map(row => [...row]);
+            this.powerPelletPositions = this.level.powerPellets;
+            this.powerPelletRespawnTimers = this.powerPelletPositions.map(() => 0);
+            this.pathfinder.tunnelRows = this.level.tunnels;
+        }
+
+        /**
+         * Load the next level's maze (fresh dots, keep score and lives)
+         * Ghosts get faster each level through getSpeed()
+         */
+        advanceLevel() {
+            this.currentLevel++;
+            this.levelDeaths = 0;
+            this.loadLevel(this.currentLevel);
+
+            // Reset character positions
+            this.placePlayersAtSpawn();
+            this.initGhosts();
+
+            // Clear power pellet state
+            this.powerPelletActive = false;
+            this.powerPelletTimer = 0;
+
+            if (this.currentLevel > ENDLESS_MODE_LEVEL) {
+                // Enter endless mode
+                this.endlessMode = true;
+                this.randomDotTimer = 0;
+                // Clear all dots, they'll spawn randomly
+                for (let y = 0; y < this.rows; y++) {
+                    for (let x = 0; x < this.cols; x++) {
+                        if (this.maze[y][x] === 2) {
+                            this.maze[y][x] = 0;
+                        }
+                    }
+                }
+            }
+
+            this.state = 'playing';
+        }
+
+        placePlayersAtSpawn() {
+            this.players.forEach(player => {
+                const spawn = player.index === 0 ? this.level.spawns.kiro : this.getPartnerSpawn();
+                player.x = spawn.x;
+                player.y = spawn.y;
+                player.prevX = spawn.x;
+                player.prevY = spawn.y;
+                player.direction = null;
+                player.nextDirection = null;
+                player.moveTimer = 0;
+            });
+        }
+
+        /**
+         * Where the second gator starts: the first open tile beside Kiro's spawn
+         * (levels only define one spawn)
+         * @returns {Object} { x, y }
+         */
+        getPartnerSpawn() {
+            const spawn = this.level.spawns.kiro;
+            for (const direction of ['left', 'right', 'up', 'down']) {
+                const { dx, dy } = PacGatorGame.directionDelta(direction);
+                const x = spawn.x + dx;
+                const y = spawn.y + dy;
+                if (this.canMove(x, y) && !this.isInGhostHouse(x, y)) {
+                    return { x, y };
+                }
+            }
+            return { x: spawn.x, y: spawn.y };
+        }
+
+        initGhosts() {
+            // Spawn ghosts at the level's spawn points inside the ghost house
+            this.ghosts = this.level.spawns.ghosts.map((spawn, i) => ({
+                x: spawn.x,
+                y: spawn.y,
+                direction: 'up',
+                moveTimer: i * 40, // Staggered release from the house
+                color: GHOST_COLORS[i],
+                personality: GHOST_PERSONALITIES[i],
+                scared: false,
+                startX: spawn.x,
+                startY: spawn.y,
+                inHouse: true,
+                isEyes: false,
+                prevX: spawn.x,
+                prevY: spawn.y
+            }));
+            // Every new life or level starts with a scatter phase
+            this.ghostAI.resetSchedule();
+        }
+
+        // Ghosts turn around whenever the scatter/chase phase changes
+        reverseGhosts() {
+            this.ghosts.forEach(ghost => {
+                if (!ghost.inHouse && !ghost.isEyes && !ghost.scared && ghost.direction) {
+                    ghost.direction = OPPOSITE_DIRECTIONS[ghost.direction];
+                }
+            });
+        }
+
+        /**
+         * Ticks between moves
+         * @param {string} type - 'kiro', 'ghost', 'scared' or 'eyes'
+         * @returns {number}
+         */
+        getSpeed(type) {
+            const settings = DIFFICULTY_SETTINGS[this.difficulty];
+            let speed;
+
+            if (type === 'kiro') {
+                speed = settings.kiroSpeed;
+            } else if (type === 'ghost') {
+                speed = settings.ghostSpeed;
+            } else if (type === 'scared') {
+                speed = settings.scaredSpeed;
+            } else if (type === 'eyes') {
+                return EYES_SPEED;
+            } else {
+                return this.config.GATOR_SPEED;
+            }
+
+            // Apply level-based speed increase (ghosts get faster each level)
+            if (type === 'ghost' || type === 'scared') {
+                const levelMultiplier = Math.max(0.5, 1 - ((this.currentLevel - 1) * 0.08)); // Max 50% faster
+                speed = Math.floor(speed * levelMultiplier);
+            }
+
+            return speed;
+        }
+
+        getGhostSpeed(ghost) {
+            if (ghost.isEyes) return this.getSpeed('eyes');
+            return ghost.scared ? this.getSpeed('scared') : this.getSpeed('ghost');
+        }
+
+        isTunnelRow(y) {
+            return this.level.tunnels.includes(y);
+        }
+
+        isInGhostHouse(x, y) {
+            return LevelLoader.isInHouse(this.level.house, x, y);
+        }
+
+        canMove(x, y, isGhost = false, ghostObj = null) {
+            if (x < 0 || x >= this.cols || y < 0 || y >= this.rows) return false;
+            const tile = this.maze[y][x];
+
+            // Kiro cannot move through walls
+            if (!isGhost) {
+                return tile !== 1;
+            }
+
+            // Ghosts can move anywhere except walls
+            if (tile === 1) return false;
+
+            // Prevent ghosts from re-entering the ghost house once they've exited
+            // (eaten ghosts are allowed back in to revive)
+            if (ghostObj && !ghostObj.inHouse && !ghostObj.isEyes) {
+                if (this.isInGhostHouse(x, y)) {
+                    return false; // Can't go back into ghost house
+                }
+            }
+
+            return true;
+        }
+
+        // Wrap an x position through the level's tunnel rows
+        wrapTunnel(x, y, fromY) {
+            if (this.isTunnelRow(y) || this.isTunnelRow(fromY)) {
+                if (x < 0) {
+                    return this.cols - 1; // Wrap to right side
+                } else if (x >= this.cols) {
+                    return 0; // Wrap to left side
+                }
+            }
+            return x;
+        }
+
+        movePlayer(kiro, events) {
+            if (kiro.moveTimer > 0) {
+                kiro.moveTimer--;
+                return;
+            }
+
+            // Try to change direction
+            if (kiro.nextDirection) {
+                const { dx, dy } = PacGatorGame.directionDelta(kiro.nextDirection);
+                if (this.canMove(kiro.x + dx, kiro.y + dy)) {
+                    kiro.direction = kiro.nextDirection;
+                    kiro.nextDirection = null;
+                }
+            }
+
+            // Move in current direction
+            if (!kiro.direction) return;
+
+            const { dx, dy } = PacGatorGame.directionDelta(kiro.direction);
+            const newY = kiro.y + dy;
+            const newX = this.wrapTunnel(kiro.x + dx, newY, kiro.y);
+            if (!this.canMove(newX, newY)) return;
+
+            kiro.prevX = kiro.x;
+            kiro.prevY = kiro.y;
+            kiro.x = newX;
+            kiro.y = newY;
+            kiro.moveTimer = this.getSpeed('kiro');
+
+            // Collect dots
+            const tile = this.maze[kiro.y][kiro.x];
+            if (tile === 2) {
+                this.maze[kiro.y][kiro.x] = 0;
+                kiro.score += this.config.DOT_POINTS;
+                events.push({ type: 'dot', player: kiro.index, x: kiro.x, y: kiro.y });
+            } else if (tile === 3) { // Power pellet
+                this.maze[kiro.y][kiro.x] = 0;
+                kiro.score += this.config.POWER_PELLET_POINTS;
+                this.powerPelletActive = true;
+                this.powerPelletTimer = this.config.POWER_PELLET_DURATION;
+                this.ghostComboCount = 0; // Reset combo for new power pellet
+                this.ghosts.forEach(g => {
+                    if (!g.isEyes) g.scared = true;
+                });
+
+                // Start respawn timer for this pellet
+                this.powerPelletPositions.forEach((pos, index) => {
+                    if (pos.x === kiro.x && pos.y === kiro.y) {
+                        this.powerPelletRespawnTimers[index] = 0;
+                    }
+                });
+                events.push({ type: 'powerPellet', player: kiro.index, x: kiro.x, y: kiro.y });
+            }
+
+            // Check win condition (once, if both gators move this tick)
+            if (this.state === 'playing' && this.checkWin()) {
+                if (this.currentLevel < ENDLESS_MODE_LEVEL) {
+                    // Structured levels 1-3
+                    this.state = 'levelComplete';
+                    events.push({ type: 'levelComplete', level: this.currentLevel, endless: false, deaths: this.levelDeaths });
+                } else if (this.currentLevel === ENDLESS_MODE_LEVEL && !this.endlessMode) {
+                    // Transition to endless mode
+                    this.state = 'levelComplete';
+                    events.push({ type: 'levelComplete', level: this.currentLevel, endless: true, deaths: this.levelDeaths });
+                } else {
+                    // Already in endless mode, shouldn't happen but just in case
+                    this.endlessMode = true;
+                }
+            }
+        }
+
+        isGhostAt(x, y, excludeIndex) {
+            return this.ghosts.some((g, i) => i !== excludeIndex && !g.isEyes && g.x === x && g.y === y);
+        }
+
+        moveGhosts() {
+            this.ghosts.forEach((ghost, index) => {
+                // Always decrement timer
+                if (ghost.moveTimer > 0) {
+                    ghost.moveTimer--;
+                }
+
+                // Only move when timer reaches 0
+                if (ghost.moveTimer > 0) {
+                    return;
+                }
+
+                const speed = this.getGhostSpeed(ghost);
+
+                // Eaten ghosts head straight back to the house
+                if (ghost.isEyes) {
+                    this.moveEyesHome(ghost, speed);
+                    return;
+                }
+
+                // Special logic for exiting ghost house
+                if (ghost.inHouse) {
+                    const doorXs = this.level.house.door.map(door => door.x);
+                    const doorMinX = Math.min(...doorXs);
+                    const doorMaxX = Math.max(...doorXs);
+
+                    // Step 1: Move horizontally to the door columns
+                    if (ghost.x < doorMinX) {
+                        ghost.prevX = ghost.x;
+                        ghost.prevY = ghost.y;
+                        ghost.x++;
+                        ghost.direction = 'right';
+                        ghost.moveTimer = speed;
+                        return;
+                    } else if (ghost.x > doorMaxX) {
+                        ghost.prevX = ghost.x;
+                        ghost.prevY = ghost.y;
+                        ghost.x--;
+                        ghost.direction = 'left';
+                        ghost.moveTimer = speed;
+                        return;
+                    }
+
+                    // Step 2: Now below the door, move up to exit
+                    if (ghost.y < this.level.house.y) {
+                        // Successfully exited the house
+                        ghost.inHouse = false;
+                        // Don't return, let normal AI take over
+                    } else {
+                        // Still inside, move up
+                        ghost.prevX = ghost.x;
+                        ghost.prevY = ghost.y;
+                        ghost.y--;
+                        ghost.direction = 'up';
+                        ghost.moveTimer = speed;
+                        return;
+                    }
+                }
+
+                // Chase (or flee) whichever gator is nearer
+                const kiro = this.nearestPlayer(ghost);
+
+                // Get opposite direction to avoid immediate backtracking
+                const oppositeDir = OPPOSITE_DIRECTIONS[ghost.direction];
+
+                // Try all directions
+                const directions = ['up', 'down', 'left', 'right'];
+                const validMoves = [];
+
+                directions.forEach(dir => {
+                    // Skip going backwards unless it's the only option
+                    if (dir === oppositeDir) return;
+
+                    const { dx, dy } = PacGatorGame.directionDelta(dir);
+                    const newX = ghost.x + dx;
+                    const newY = ghost.y + dy;
+
+                    // Check if move is valid
+                    if (this.canMove(newX, newY, true, ghost)) {
+                        validMoves.push({
+                            dir: dir,
+                            x: newX,
+                            y: newY,
+                            dist: Math.abs(newX - kiro.x) + Math.abs(newY - kiro.y),
+                            hasGhost: this.isGhostAt(newX, newY, index)
+                        });
+                    }
+                });
+
+                // If no valid moves (dead end), allow going backwards
+                if (validMoves.length === 0) {
+                    const { dx, dy } = PacGatorGame.directionDelta(oppositeDir);
+                    const newX = ghost.x + dx;
+                    const newY = ghost.y + dy;
+                    if (this.canMove(newX, newY, true, ghost)) {
+                        validMoves.push({
+                            dir: oppositeDir,
+                            x: newX,
+                            y: newY,
+                            dist: Math.abs(newX - kiro.x) + Math.abs(newY - kiro.y),
+                            hasGhost: this.isGhostAt(newX, newY, index)
+                        });
+                    }
+                }
+
+                if (validMoves.length === 0) return;
+
+                // Prefer moves without other ghosts
+                let movesWithoutGhosts = validMoves.filter(m => !m.hasGhost);
+                if (movesWithoutGhosts.length === 0) {
+                    movesWithoutGhosts = validMoves; // Use all moves if all have ghosts
+                }
+
+                let chosenMove;
+                if (ghost.scared) {
+                    // Flee: farthest from Kiro, with some randomness (80% best move, 20% random valid move)
+                    movesWithoutGhosts.sort((a, b) => b.dist - a.dist);
+                    if (this.random() < 0.8) {
+                        chosenMove = movesWithoutGhosts[0]; // Best move
+                    } else {
+                        chosenMove = movesWithoutGhosts[Math.floor(this.random() * movesWithoutGhosts.length)]; // Random
+                    }
+                } else {
+                    // Head for this ghost's personality target (scatter corner or chase target),
+                    // measuring distance along the maze so walls don't trap the ghost
+                    const blinky = this.ghosts.find(g => g.personality === 'blinky');
+                    const target = this.ghostAI.getTargetTile(ghost, kiro, blinky);
+                    const isWalkable = (x, y) => this.canMove(x, y, true, ghost);
+                    const goal = this.pathfinder.nearestWalkable(target, isWalkable);
+                    if (goal) {
+                        const distances = this.pathfinder.distanceMap(goal, isWalkable);
+                        chosenMove = GhostAI.chooseMove(movesWithoutGhosts, target, move => this.pathfinder.distanceAt(distances, move.x, move.y));
+                    }
+                    if (!chosenMove) {
+                        chosenMove = GhostAI.chooseMove(movesWithoutGhosts, target);
+                    }
+                }
+
+                // Double-check the move is still valid with ghost house restriction
+                if (this.canMove(chosenMove.x, chosenMove.y, true, ghost)) {
+                    ghost.direction = chosenMove.dir;
+                    ghost.prevX = ghost.x;
+                    ghost.prevY = ghost.y;
+                    ghost.x = this.wrapTunnel(chosenMove.x, chosenMove.y, ghost.y);
+                    ghost.y = chosenMove.y;
+                    ghost.moveTimer = speed;
+                }
+            });
+        }
+
+        // Move an eaten ghost one step along the shortest path to its spot in the house
+        moveEyesHome(ghost, speed) {
+            const home = { x: ghost.startX, y: ghost.startY };
+            const path = this.pathfinder.findPath(ghost, home, (x, y) => this.canMove(x, y, true, ghost));
+
+            if (path && path.length > 0) {
+                const step = path[0];
+                ghost.prevX = ghost.x;
+                ghost.prevY = ghost.y;
+                ghost.x = step.x;
+                ghost.y = step.y;
+                ghost.direction = step.dir;
+                ghost.moveTimer = speed;
+            } else if (!path) {
+                // No route home (shouldn't happen in a valid maze) - fall back to placing the ghost directly
+                ghost.prevX = home.x;
+                ghost.prevY = home.y;
+                ghost.x = home.x;
+                ghost.y = home.y;
+            }
+
+            // Back in the house: revive and leave again through the normal exit logic
+            if (ghost.x === home.x && ghost.y === home.y) {
+                ghost.isEyes = false;
+                ghost.scared = false;
+                ghost.inHouse = true;
+                ghost.direction = 'up';
+                ghost.moveTimer = this.getSpeed('ghost');
+            }
+        }
+
+        checkCollisions(events) {
+            let died = false;
+            this.activePlayers().forEach(kiro => {
+                let caught = false;
+                this.ghosts.forEach((ghost) => {
+                    // Eaten ghosts (eyes) can't hurt or be eaten by the gators
+                    if (ghost.isEyes) return;
+                    if (ghost.x !== kiro.x || ghost.y !== kiro.y) return;
+
+                    if (this.powerPelletActive && ghost.scared) {
+                        // Combo system: 200, 400, 800, 1600 (shared by both gators)
+                        this.ghostComboCount++;
+                        const points = this.config.GHOST_BASE_POINTS * Math.pow(this.config.GHOST_MULTIPLIER, this.ghostComboCount - 1);
+                        kiro.score += points;
+
+                        // Send the ghost's eyes back to the house
+                        ghost.isEyes = true;
+                        ghost.scared = false;
+                        ghost.moveTimer = 0;
+                        events.push({ type: 'ghostEaten', player: kiro.index, x: ghost.x, y: ghost.y, points, combo: this.ghostComboCount });
+                    } else if (!ghost.scared && !caught) {
+                        // Only lose one life per gator
+                        caught = true;
+                        kiro.lives--;
+                        this.levelDeaths++;
+                        events.push({ type: 'death', player: kiro.index, x: kiro.x, y: kiro.y, lives: kiro.lives });
+                    }
+                });
+                died = died || caught;
+            });
+
+            if (!died) return;
+            // Everyone goes back to their spawn after the death animation
+            this.deathAnimationTimer = DEATH_ANIMATION_DELAY;
+            if (this.activePlayers().length === 0) {
+                this.state = 'gameOver'; // gameOver event follows the death animation
+            }
+        }
+
+        checkWin() {
+            // Only check for regular dots (2), not power pellets (3)
+            // Power pellets respawn, so they shouldn't prevent level completion
+            return !this.maze.some(row => row.includes(2));
+        }
+
+        // Respawn eaten power pellets while fewer than MAX_POWER_PELLETS are on the board
+        updatePowerPellets() {
+            const activePellets = this.powerPelletPositions.filter(pos => this.maze[pos.y][pos.x] === 3).length;
+            if (activePellets >= MAX_POWER_PELLETS) return;
+
+            this.powerPelletPositions.forEach((pos, index) => {
+                if (this.maze[pos.y][pos.x] !== 3) {
+                    this.powerPelletRespawnTimers[index]++;
+                    if (this.powerPelletRespawnTimers[index] >= POWER_PELLET_RESPAWN_TIME) {
+                        this.maze[pos.y][pos.x] = 3; // Respawn power pellet
+                        this.powerPelletRespawnTimers[index] = 0;
+                    }
+                }
+            });
+        }
+
+        // Endless mode: drop a dot on a random empty tile away from Kiro and the ghosts
+        spawnRandomDot(events) {
+            const emptySpaces = [];
+            for (let y = 0; y < this.rows; y++) {
+                for (let x = 0; x < this.cols; x++) {
+                    // Only spawn in empty spaces (not walls, not existing dots/pellets)
+                    if (this.maze[y][x] !== 0) continue;
+
+                    // Don't spawn too close to the gators or ghosts
+                    const tooCloseToPlayer = this.activePlayers().some(p => Math.abs(x - p.x) < 3 && Math.abs(y - p.y) < 3);
+                    const tooCloseToGhost = this.ghosts.some(g => Math.abs(x - g.x) < 2 && Math.abs(y - g.y) < 2);
+                    if (!tooCloseToPlayer && !tooCloseToGhost) {
+                        emptySpaces.push({ x, y });
+                    }
+                }
+            }
+
+            if (emptySpaces.length > 0) {
+                const space = emptySpaces[Math.floor(this.random() * emptySpaces.length)];
+                this.maze[space.y][space.x] = 2; // Spawn a regular dot
+                events.push({ type: 'dotSpawned', x: space.x, y: space.y });
+            }
+        }
+
+        /**
+         * Get a copy of the game state
+         * @returns {Object} { state, score, lives, level, endlessMode, frameCount, powerPelletActive,
+         *                   powerPelletTimer, ghostComboCount, isPaused, waitingForRespawn, kiro, players, ghosts, maze }
+         */
+        getState() {
+            return {
+                state: this.state,
+                score: this.score,
+                lives: this.lives,
+                level: this.currentLevel,
+                endlessMode: this.endlessMode,
+                frameCount: this.frameCount,
+                powerPelletActive: this.powerPelletActive,
+                powerPelletTimer: this.powerPelletTimer,
+                ghostComboCount: this.ghostComboCount,
+                isPaused: this.isPaused,
+                waitingForRespawn: this.waitingForRespawn,
+                kiro: {
+                    x: this.kiro.x,
+                    y: this.kiro.y,
+                    direction: this.kiro.direction,
+                    nextDirection: this.kiro.nextDirection
+                },
+                players: this.players.map(player => ({
+                    x: player.x,
+                    y: player.y,
+                    direction: player.direction,
+                    nextDirection: player.nextDirection,
+                    score: player.score,
+                    lives: player.lives
+                })),
+                ghosts: this.ghosts.map(ghost => ({
+                    x: ghost.x,
+                    y: ghost.y,
+                    direction: ghost.direction,
+                    personality: ghost.personality,
+                    scared: ghost.scared,
+                    isEyes: ghost.isEyes,
+                    inHouse: ghost.inHouse
+                })),
+                maze: this.maze.map(row => [...row])
+            };
+        }
+
+        static directionDelta(dir) {
+            switch (dir) {
+                case 'up': return { dx: 0, dy: -1 };
+                case 'down': return { dx: 0, dy: 1 };
+                case 'left': return { dx: -1, dy: 0 };
+                case 'right': return { dx: 1, dy: 0 };
+                default: return { dx: 0, dy: 0 };
+            }
+        }
+    }
+
+    PacGatorGame.DIFFICULTY_SETTINGS = DIFFICULTY_SETTINGS;
+
+    return PacGatorGame;
+});
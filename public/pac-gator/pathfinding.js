@@ -0,0 +1,183 @@
+// Pathfinding module
+// Breadth-first search over the tile maze. Every step costs the same, so BFS
+// gives shortest paths without the bookkeeping of A*.
+// This module can be used both in the browser and in tests
+
+const PATH_DIRECTIONS = [
+    { dir: 'up', dx: 0, dy: -1 },
+    { dir: 'left', dx: -1, dy: 0 },
+    { dir: 'down', dx: 0, dy: 1 },
+    { dir: 'right', dx: 1, dy: 0 }
+];
+
+class Pathfinder {
+    /**
+     * @param {Object} options
+     * @param {number} options.cols - Maze width in tiles
+     * @param {number} options.rows - Maze height in tiles
+     * @param {number[]} options.tunnelRows - Rows that wrap from one side of the maze to the other
+     */
+    constructor(options = {}) {
+        this.cols = options.cols || 28;
+        this.rows = options.rows || 31;
+        this.tunnelRows = options.tunnelRows || [];
+    }
+
+    /**
+     * Get the tiles next to a tile, wrapping through tunnels
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {Array<{x: number, y: number, dir: string}>} Neighbouring tiles inside the maze
+     */
+    neighbors(x, y) {
+        const result = [];
+        PATH_DIRECTIONS.forEach(({ dir, dx, dy }) => {
+            let nx = x + dx;
+            const ny = y + dy;
+
+            if (this.tunnelRows.includes(ny)) {
+                nx = (nx + this.cols) % this.cols;
+            }
+            if (nx < 0 || nx >= this.cols || ny < 0 || ny >= this.rows) return;
+
+            result.push({ x: nx, y: ny, dir });
+        });
+        return result;
+    }
+
+    /**
+     * Find the shortest path between two tiles
+     * @param {{x: number, y: number}} start - Starting tile
+     * @param {{x: number, y: number}} goal - Goal tile
+     * @param {Function} isWalkable - (x, y) => boolean
+     * @returns {Array<{x: number, y: number, dir: string}>|null} Steps after start up to and
+     *          including goal (empty if already there), or null if the goal can't be reached
+     */
+    findPath(start, goal, isWalkable) {
+        if (start.x === goal.x && start.y === goal.y) return [];
+
+        const startIndex = this.index(start.x, start.y);
+        const goalIndex = this.index(goal.x, goal.y);
+        const cameFrom = new Map([[startIndex, null]]);
+        const queue = [{ x: start.x, y: start.y }];
+
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+
+            for (const next of this.neighbors(current.x, current.y)) {
+                const nextIndex = this.index(next.x, next.y);
+                if (cameFrom.has(nextIndex) || !isWalkable(next.x, next.y)) continue;
+
+                cameFrom.set(nextIndex, { index: this.index(current.x, current.y), step: next });
+                if (nextIndex === goalIndex) {
+                    return this.buildPath(cameFrom, goalIndex);
+                }
+                queue.push(next);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the direction of the first step on the shortest path
+     * @param {{x: number, y: number}} start - Starting tile
+     * @param {{x: number, y: number}} goal - Goal tile
+     * @param {Function} isWalkable - (x, y) => boolean
+     * @returns {string|null} 'up', 'down', 'left' or 'right', or null if there's no path
+     */
+    nextDirection(start, goal, isWalkable) {
+        const path = this.findPath(start, goal, isWalkable);
+        return path && path.length > 0 ? path[0].dir : null;
+    }
+
+    /**
+     * Get the walking distance from every tile to a goal
+     * @param {{x: number, y: number}} goal - Goal tile
+     * @param {Function} isWalkable - (x, y) => boolean
+     * @returns {Int32Array} Distances indexed by y * cols + x, -1 where unreachable
+     */
+    distanceMap(goal, isWalkable) {
+        const distances = new Int32Array(this.cols * this.rows).fill(-1);
+        if (!this.inBounds(goal.x, goal.y)) return distances;
+
+        distances[this.index(goal.x, goal.y)] = 0;
+        const queue = [{ x: goal.x, y: goal.y }];
+
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            const distance = distances[this.index(current.x, current.y)];
+
+            for (const next of this.neighbors(current.x, current.y)) {
+                const nextIndex = this.index(next.x, next.y);
+                if (distances[nextIndex] !== -1 || !isWalkable(next.x, next.y)) continue;
+
+                distances[nextIndex] = distance + 1;
+                queue.push(next);
+            }
+        }
+
+        return distances;
+    }
+
+    /**
+     * Look up a tile in a distance map
+     * @param {Int32Array} distances - Map from distanceMap()
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {number} Walking distance, or Infinity if unreachable
+     */
+    distanceAt(distances, x, y) {
+        if (!this.inBounds(x, y)) return Infinity;
+        const distance = distances[this.index(x, y)];
+        return distance === -1 ? Infinity : distance;
+    }
+
+    /**
+     * Find the walkable tile closest to a target, which may be a wall or outside the maze
+     * @param {{x: number, y: number}} target - Target position
+     * @param {Function} isWalkable - (x, y) => boolean
+     * @returns {{x: number, y: number}|null} Closest walkable tile
+     */
+    nearestWalkable(target, isWalkable) {
+        if (this.inBounds(target.x, target.y) && isWalkable(target.x, target.y)) {
+            return { x: target.x, y: target.y };
+        }
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.cols; x++) {
+                const distance = (x - target.x) ** 2 + (y - target.y) ** 2;
+                if (distance < nearestDistance && isWalkable(x, y)) {
+                    nearest = { x, y };
+                    nearestDistance = distance;
+                }
+            }
+        }
+        return nearest;
+    }
+
+    inBounds(x, y) {
+        return x >= 0 && x < this.cols && y >= 0 && y < this.rows;
+    }
+
+    index(x, y) {
+        return y * this.cols + x;
+    }
+
+    buildPath(cameFrom, goalIndex) {
+        const path = [];
+        let entry = cameFrom.get(goalIndex);
+        while (entry) {
+            path.unshift(entry.step);
+            entry = cameFrom.get(entry.index);
+        }
+        return path;
+    }
+}
+
+// Export for both Node.js and browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Pathfinder };
+}
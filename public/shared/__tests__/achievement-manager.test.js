@@ -0,0 +1,199 @@
+/**
+ * Unit tests for AchievementManager (unlock rules, persistence, toasts and server sync)
+ * and the landing page's AchievementsPanel
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AchievementManager, ACHIEVEMENTS_STORAGE_KEY } = require('../achievement-manager.js');
+const { AchievementsPanel } = require('../achievements-panel.js');
+
+const DEFINITIONS = [
+    { id: 'snack', game: 'pac-gator', title: 'GHOST SNACK', description: 'Eat a ghost', event: 'ghostEaten' },
+    { id: 'combo', game: 'pac-gator', title: 'FULL COMBO', description: 'Eat 4 ghosts', event: 'ghostEaten', min: { combo: 4 } },
+    { id: 'hunter', game: 'pac-gator', title: 'GHOST HUNTER', description: 'Eat 3 ghosts', event: 'ghostEaten', count: 3 },
+    { id: 'lift-off', game: 'flappy-gator', title: 'LIFT OFF', description: 'Pass a pipe', event: 'pipePassed' }
+];
+
+function newManager(options = {}) {
+    return new AchievementManager({ gameType: 'pac-gator', definitions: DEFINITIONS, playerId: 'player-1', ...options });
+}
+
+// An APIClient stand-in that saves whatever is synced
+function fakeApiClient(saved = []) {
+    return {
+        saved,
+        syncAchievements: jest.fn(async (playerId, achievements) => {
+            achievements.forEach(({ id, unlocked_at }) => {
+                saved.push({ achievement_id: id, game_type: 'pac-gator', unlocked_at });
+            });
+            return saved.slice();
+        })
+    };
+}
+
+describe('AchievementManager', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        document.body.replaceChildren();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    test('an event unlocks the achievements it meets, once', () => {
+        const manager = newManager();
+
+        expect(manager.emit('ghostEaten', { combo: 1 }).map(a => a.id)).toEqual(['snack']);
+        expect(manager.emit('ghostEaten', { combo: 4 }).map(a => a.id)).toEqual(['combo']);
+        expect(manager.emit('ghostEaten', { combo: 4 }).map(a => a.id)).toEqual(['hunter']);
+        expect(manager.emit('ghostEaten', { combo: 4 })).toEqual([]);
+        expect(manager.isUnlocked('snack')).toBe(true);
+    });
+
+    test("only the manager's own game counts", () => {
+        const manager = newManager();
+        expect(manager.emit('pipePassed')).toEqual([]);
+        expect(manager.isUnlocked('lift-off')).toBe(false);
+    });
+
+    test('counted achievements keep their progress across reloads', () => {
+        newManager().emit('ghostEaten', { combo: 1 });
+        newManager().emit('ghostEaten', { combo: 1 });
+
+        const manager = newManager();
+        expect(manager.getAchievements().find(a => a.id === 'hunter')).toMatchObject({ unlocked: false, progress: 2 });
+        expect(manager.emit('ghostEaten', { combo: 1 }).map(a => a.id)).toEqual(['hunter']);
+        expect(newManager().isUnlocked('hunter')).toBe(true);
+    });
+
+    test("two tabs sharing the storage key keep each other's unlocks and progress", () => {
+        const pacTab = newManager();
+        const flappyTab = newManager({ gameType: 'flappy-gator' });
+
+        pacTab.emit('ghostEaten', { combo: 1 });
+        flappyTab.emit('pipePassed');
+        pacTab.emit('ghostEaten', { combo: 1 });
+
+        const saved = JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY));
+        expect(Object.keys(saved.unlocked).sort()).toEqual(['lift-off', 'snack']);
+        expect(saved.progress).toEqual({ hunter: 2 });
+
+        // The flappy tab last read the storage before the second ghost, with hunter at 1
+        flappyTab.save();
+        expect(JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY))).toEqual(saved);
+        expect(flappyTab.progress).toEqual({ hunter: 2 });
+    });
+
+    test('events emitted before the definitions load are counted when they arrive', () => {
+        const manager = new AchievementManager({ gameType: 'pac-gator', playerId: 'player-1' });
+        expect(manager.emit('ghostEaten', { combo: 1 })).toEqual([]);
+
+        manager.setDefinitions(DEFINITIONS);
+        expect(manager.isUnlocked('snack')).toBe(true);
+    });
+
+    test('unusable saved data is ignored', () => {
+        localStorage.setItem(ACHIEVEMENTS_STORAGE_KEY, '{"unlocked": {"snack": "yes"}, "progress": {"hunter": -1}}');
+        const manager = newManager();
+
+        expect(manager.isUnlocked('snack')).toBe(false);
+        expect(manager.getAchievements().find(a => a.id === 'hunter').progress).toBe(0);
+    });
+
+    test('an unlock pops up a toast that goes away', () => {
+        jest.useFakeTimers();
+        const onUnlock = jest.fn();
+        newManager({ onUnlock }).emit('ghostEaten', { combo: 1 });
+
+        const toast = document.querySelector('.achievement-toasts .achievement-toast');
+        expect(toast.textContent).toContain('GHOST SNACK');
+        expect(onUnlock).toHaveBeenCalledWith(DEFINITIONS[0]);
+
+        jest.runAllTimers();
+        expect(document.querySelector('.achievement-toast')).toBeNull();
+        jest.useRealTimers();
+    });
+
+    describe('sync', () => {
+        test('unlocks are sent once, and ones saved elsewhere are picked up', async () => {
+            const apiClient = fakeApiClient([{ achievement_id: 'lift-off', game_type: 'flappy-gator', unlocked_at: 100 }]);
+            const manager = newManager({ apiClient });
+
+            manager.emit('ghostEaten', { combo: 1 });
+            await manager.sync();
+
+            expect(apiClient.syncAchievements).toHaveBeenCalledWith('player-1', [
+                { id: 'snack', unlocked_at: expect.any(Number) }
+            ]);
+            expect(manager.isUnlocked('lift-off')).toBe(true);
+
+            await manager.sync();
+            expect(apiClient.syncAchievements).toHaveBeenLastCalledWith('player-1', []);
+        });
+
+        test('unlocks that could not be sent are sent on the next visit', async () => {
+            const offline = { syncAchievements: jest.fn(() => Promise.reject(new Error('offline'))) };
+            const manager = newManager({ apiClient: offline });
+            manager.emit('ghostEaten', { combo: 1 });
+            await expect(manager.sync()).resolves.toBe(false);
+
+            const apiClient = fakeApiClient();
+            await newManager({ apiClient }).sync();
+            expect(apiClient.syncAchievements.mock.calls[0][1].map(unlock => unlock.id)).toEqual(['snack']);
+        });
+    });
+});
+
+describe('AchievementsPanel', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('lists each game with its unlocked count, locked achievements and progress', () => {
+        const manager = newManager({ toasts: false });
+        manager.emit('ghostEaten', { combo: 1 });
+        const container = document.createElement('div');
+        const games = [{ id: 'pac-gator', title: 'PAC-GATOR' }, { id: 'flappy-gator', title: 'FLAPPY GATOR' }];
+
+        new AchievementsPanel(container, manager, games).render();
+
+        expect(container.querySelector('.achievements-heading').textContent).toBe('Achievements 1/4');
+        expect([...container.querySelectorAll('.achievements-game h3')].map(h => h.textContent))
+            .toEqual(['PAC-GATOR 1/3', 'FLAPPY GATOR 0/1']);
+        expect(container.querySelector('[data-id="snack"]').classList.contains('unlocked')).toBe(true);
+        expect(container.querySelector('[data-id="hunter"] .achievement-progress').textContent).toBe('1/3');
+    });
+
+    test('titles are shown as text', () => {
+        const manager = new AchievementManager({
+            definitions: [{ id: 'x', game: 'pac-gator', title: '<img src=x onerror=alert(1)>', description: '', event: 'e' }],
+            playerId: 'player-1'
+        });
+        const container = document.createElement('div');
+        new AchievementsPanel(container, manager).render();
+
+        expect(container.querySelector('img')).toBeNull();
+        expect(container.querySelector('.achievement-title').textContent).toBe('<img src=x onerror=alert(1)>');
+    });
+});
+
+describe('achievements.json', () => {
+    const { achievements } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'achievements.json'), 'utf8'));
+    const { games } = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'games.json'), 'utf8'));
+
+    test('every achievement has a unique id and belongs to a game in the manifest', () => {
+        expect(new Set(achievements.map(a => a.id)).size).toBe(achievements.length);
+        achievements.forEach(achievement => {
+            expect(achievement.id).toMatch(/^[a-z0-9-]+$/);
+            expect(games.map(game => game.id)).toContain(achievement.game);
+            expect(achievement).toEqual(expect.objectContaining({
+                title: expect.any(String),
+                description: expect.any(String),
+                event: expect.any(String)
+            }));
+        });
+    });
+});
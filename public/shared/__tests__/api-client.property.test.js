@@ -10,7 +10,7 @@ const fc = require('fast-check');
 global.fetch = jest.fn();
 
 // Import the APIClient class
-const APIClient = require('../api-client-node');
+const APIClient = require('../api-client');
 
 describe('APIClient Property-Based Tests', () => {
     let apiClient;
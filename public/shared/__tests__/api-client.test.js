@@ -0,0 +1,272 @@
+/**
+ * Unit tests for how APIClient loads in each environment and for its pluggable fetch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const APIClient = require('../api-client');
+const { ScoreQueue } = require('../score-queue');
+
+const jsonResponse = (data) => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(data) });
+
+describe('APIClient module', () => {
+    afterEach(() => {
+        delete globalThis.APIClient;
+    });
+
+    test('CommonJS export is the client class, queueing scores by default', () => {
+        const client = new APIClient();
+        expect(typeof APIClient).toBe('function');
+        expect(client.scoreQueue).toBeInstanceOf(ScoreQueue);
+    });
+
+    test('as a browser script it defines the global APIClient', () => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'api-client.js'), 'utf8');
+        class PageScoreQueue {
+            get size() { return 0; }
+        }
+
+        // Plain <script>: no module object, ScoreQueue is a page global from score-queue.js
+        new Function('module', 'ScoreQueue', source)(undefined, PageScoreQueue);
+
+        expect(typeof globalThis.APIClient).toBe('function');
+        expect(new globalThis.APIClient().scoreQueue).toBeInstanceOf(PageScoreQueue);
+    });
+
+    test('as a browser script without score-queue.js it sends scores without queueing', () => {
+        const source = fs.readFileSync(path.join(__dirname, '..', 'api-client.js'), 'utf8');
+        new Function('module', source)(undefined);
+
+        expect(new globalThis.APIClient().scoreQueue).toBeNull();
+    });
+});
+
+describe('APIClient fetch option', () => {
+    beforeEach(() => {
+        global.fetch = jest.fn(() => Promise.reject(new Error('global fetch should not be used')));
+    });
+
+    test('every request goes through the fetch passed in', async () => {
+        const fetch = jest.fn((url, init) => jsonResponse(init && init.method ? { success: true, id: 1 } : []));
+        const client = new APIClient('https://arcade.test', { fetch, scoreQueue: null });
+
+        await client.getHighScores('pac-gator');
+        await client.submitScore('pac-gator', 'Kiro', 10);
+        await client.updateScoreName(1, 'Kiro');
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(fetch.mock.calls.map(([url, init]) => `${(init && init.method) || 'GET'} ${url}`)).toEqual([
+            'GET https://arcade.test/api/highscores?game_type=pac-gator',
+            'POST https://arcade.test/api/highscores',
+            'PUT https://arcade.test/api/highscores/1'
+        ]);
+    });
+
+    test('a replay passed to submitScore is sent with the score', async () => {
+        const fetch = jest.fn(() => jsonResponse({ success: true, id: 1 }));
+        const client = new APIClient('', { fetch, scoreQueue: null });
+        const replay = { v: 1, game: 'flappy-gator', seed: 7, length: 90, score: 0, flaps: [12, 20] };
+
+        await client.submitScore('flappy-gator', 'Kiro', 0, { replay });
+        await client.submitScore('pac-gator', 'Kiro', 10);
+
+        expect(JSON.parse(fetch.mock.calls[0][1].body).replay).toEqual(replay);
+        expect(JSON.parse(fetch.mock.calls[1][1].body)).not.toHaveProperty('replay');
+    });
+
+    test("a player profile is sent as the score's name, player id and avatar colour", async () => {
+        const fetch = jest.fn(() => jsonResponse({ success: true, id: 1 }));
+        const client = new APIClient('', { fetch, scoreQueue: null });
+        const profile = { id: 'player-1', name: 'Kiro', color: '#ffcc00' };
+
+        await client.submitScore('pac-gator', profile, 10);
+        await client.updateScoreName(1, profile);
+        await client.updateScoreName(1, 'Kiro');
+
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject({ name: 'Kiro', player_id: 'player-1', color: '#ffcc00' });
+        expect(JSON.parse(fetch.mock.calls[1][1].body)).toEqual({ name: 'Kiro', color: '#ffcc00' });
+        expect(JSON.parse(fetch.mock.calls[2][1].body)).toEqual({ name: 'Kiro' });
+    });
+
+    test('without the option the global fetch is used, even one installed later', async () => {
+        const client = new APIClient('', { scoreQueue: null });
+        global.fetch = jest.fn(() => jsonResponse([{ name: 'Kiro', score: 10 }]));
+
+        await expect(client.getHighScores('pac-gator')).resolves.toEqual([{ name: 'Kiro', score: 10 }]);
+        expect(global.fetch.mock.calls[0][0]).toBe('/api/highscores?game_type=pac-gator');
+    });
+});
+
+describe('APIClient errors', () => {
+    const respond = (status, body) => () => Promise.resolve({
+        ok: status >= 200 && status < 300,
+        status,
+        json: () => (body === undefined ? Promise.reject(new SyntaxError('Unexpected end of JSON input')) : Promise.resolve(body))
+    });
+
+    test.each([
+        [400, 'ValidationError', 'validation'],
+        [404, 'NotFoundError', 'not_found'],
+        [500, 'ServerError', 'server'],
+        [503, 'ServerError', 'server'],
+        [403, 'APIError', 'http']
+    ])('a %i response rejects with %s', async (status, name, type) => {
+        const client = new APIClient('', { fetch: respond(status, { success: false, error: 'Nope' }), scoreQueue: null });
+
+        const error = await client.getHighScores('pac-gator').catch(e => e);
+
+        expect(error).toBeInstanceOf(APIClient.APIError);
+        expect(error).toBeInstanceOf(APIClient[name]);
+        expect(error).toMatchObject({ type, status, message: 'Nope' });
+    });
+
+    test('an empty list of scores is not an error', async () => {
+        const client = new APIClient('', { fetch: respond(200, []), scoreQueue: null });
+        await expect(client.getHighScores('pac-gator')).resolves.toEqual([]);
+    });
+
+    test('an unreachable server rejects with NetworkError', async () => {
+        const fetch = () => Promise.reject(new TypeError('Failed to fetch'));
+        const client = new APIClient('', { fetch, scoreQueue: null });
+
+        const error = await client.getHighScores('pac-gator').catch(e => e);
+
+        expect(error).toBeInstanceOf(APIClient.NetworkError);
+        expect(error).toMatchObject({ type: 'network', retryable: true, message: 'Failed to fetch' });
+    });
+
+    test('a response that is not JSON rejects with ServerError', async () => {
+        const client = new APIClient('', { fetch: respond(200), scoreQueue: null });
+        await expect(client.getHighScores('pac-gator')).rejects.toBeInstanceOf(APIClient.ServerError);
+    });
+
+    test('updating a missing score rejects with NotFoundError', async () => {
+        const client = new APIClient('', { fetch: respond(404, { success: false, error: 'Score not found' }), scoreQueue: null });
+        await expect(client.updateScoreName(99, 'Kiro')).rejects.toThrow(APIClient.NotFoundError);
+    });
+
+    describe('timeouts and cancellation', () => {
+        let fetch;
+        let client;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            // Never answers, like a hung connection
+            fetch = jest.fn(() => new Promise(() => {}));
+            client = new APIClient('', { fetch, scoreQueue: null, timeout: 5000 });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('a request with no answer rejects with TimeoutError and aborts the fetch', async () => {
+            const request = client.getHighScores('pac-gator').catch(e => e);
+            await jest.advanceTimersByTimeAsync(5000);
+
+            const error = await request;
+            expect(error).toBeInstanceOf(APIClient.TimeoutError);
+            expect(error).toBeInstanceOf(APIClient.NetworkError);
+            expect(error.type).toBe('timeout');
+            expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+        });
+
+        test('the timeout can be set per request', async () => {
+            const request = client.getHighScores('pac-gator', { timeout: 100 }).catch(e => e);
+            await jest.advanceTimersByTimeAsync(100);
+
+            await expect(request).resolves.toBeInstanceOf(APIClient.TimeoutError);
+        });
+
+        test("aborting the caller's signal rejects with CancelledError", async () => {
+            const controller = new AbortController();
+            const request = client.getHighScores('pac-gator', { signal: controller.signal }).catch(e => e);
+
+            controller.abort();
+
+            const error = await request;
+            expect(error).toBeInstanceOf(APIClient.CancelledError);
+            expect(error.retryable).toBe(false);
+            expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+        });
+
+        test('destroy() cancels every request in flight and any made afterwards', async () => {
+            const first = client.getHighScores('pac-gator').catch(e => e);
+            const second = client.updateScoreName(1, 'Kiro').catch(e => e);
+
+            client.destroy();
+
+            expect(await first).toBeInstanceOf(APIClient.CancelledError);
+            expect(await second).toBeInstanceOf(APIClient.CancelledError);
+            await expect(client.getHighScores('pac-gator')).rejects.toBeInstanceOf(APIClient.CancelledError);
+            expect(client.controllers.size).toBe(0);
+        });
+    });
+});
+
+describe('APIClient leaderboard paging', () => {
+    const pageResponse = (data, total) => Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: new Headers(total === undefined ? {} : { 'X-Total-Count': String(total) }),
+        json: () => Promise.resolve(data)
+    });
+
+    test('offset, limit and window are sent only when set', async () => {
+        const fetch = jest.fn(() => pageResponse([]));
+        const client = new APIClient('', { fetch, scoreQueue: null });
+
+        await client.getHighScores('pac-gator', { offset: 20, limit: 10, window: 'weekly' });
+        await client.getHighScores('flappy gator', { offset: 0 });
+
+        expect(fetch.mock.calls.map(call => call[0])).toEqual([
+            '/api/highscores?game_type=pac-gator&offset=20&limit=10&window=weekly',
+            '/api/highscores?game_type=flappy%20gator&offset=0'
+        ]);
+    });
+
+    test('a page carries the total from X-Total-Count', async () => {
+        const scores = [{ id: 4, name: 'Kiro', score: 50, rank: 11 }];
+        const client = new APIClient('', { fetch: () => pageResponse(scores, 42), scoreQueue: null });
+
+        await expect(client.getLeaderboardPage('pac-gator', { offset: 10 })).resolves.toEqual({ scores, total: 42 });
+    });
+
+    test('the total is null when the server does not send it', async () => {
+        const client = new APIClient('', { fetch: () => jsonResponse([]), scoreQueue: null });
+        await expect(client.getLeaderboardPage('pac-gator')).resolves.toEqual({ scores: [], total: null });
+    });
+
+    test("getScoreRank asks for the score's rank in a window", async () => {
+        const rank = { id: 7, game_type: 'pac-gator', score: 90, rank: 12, total: 30, window: 'daily' };
+        const fetch = jest.fn(() => jsonResponse(rank));
+        const client = new APIClient('', { fetch, scoreQueue: null });
+
+        await expect(client.getScoreRank(7, { window: 'daily' })).resolves.toEqual(rank);
+        expect(fetch.mock.calls[0][0]).toBe('/api/highscores/7/rank?window=daily');
+    });
+});
+
+describe('APIClient achievements', () => {
+    test("getAchievements asks for a player's unlocks", async () => {
+        const unlocks = [{ achievement_id: 'pac-ghost-snack', game_type: 'pac-gator', unlocked_at: 100 }];
+        const fetch = jest.fn(() => jsonResponse(unlocks));
+        const client = new APIClient('', { fetch, scoreQueue: null });
+
+        await expect(client.getAchievements('player-1')).resolves.toEqual(unlocks);
+        expect(fetch.mock.calls[0][0]).toBe('/api/achievements?player_id=player-1');
+    });
+
+    test('syncAchievements posts the new unlocks and returns all of them', async () => {
+        const unlocks = [{ achievement_id: 'pac-ghost-snack', game_type: 'pac-gator', unlocked_at: 100 }];
+        const fetch = jest.fn(() => jsonResponse({ success: true, achievements: unlocks }));
+        const client = new APIClient('', { fetch, scoreQueue: null });
+
+        await expect(client.syncAchievements('player-1', [{ id: 'pac-ghost-snack', unlocked_at: 100 }])).resolves.toEqual(unlocks);
+        expect(fetch.mock.calls[0][0]).toBe('/api/achievements');
+        expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({
+            player_id: 'player-1',
+            achievements: [{ id: 'pac-ghost-snack', unlocked_at: 100 }]
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit tests for ControlsSettings (the "Controls" section of the settings screens)
+ */
+
+global.InputManager = require('../input-manager.js').InputManager;
+const { ControlsSettings } = require('../controls-settings.js');
+
+describe('ControlsSettings', () => {
+    let container;
+    let inputManager;
+    let controls;
+
+    const press = (code) => document.dispatchEvent(new KeyboardEvent('keydown', { code, bubbles: true, cancelable: true }));
+    const keyButton = (action, slot) => container.querySelector(`.binding-key[data-action="${action}"][data-slot="${slot}"]`);
+    const message = () => container.querySelector('.binding-message').textContent;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="controls"></div>';
+        container = document.getElementById('controls');
+        inputManager = new InputManager({ actions: ['flap', 'pause', 'confirm'], storageKey: 'testControls' });
+        controls = new ControlsSettings(container, inputManager);
+    });
+
+    afterEach(() => {
+        inputManager.destroy();
+        localStorage.clear();
+    });
+
+    test('shows a row per action with its keys', () => {
+        const rows = container.querySelectorAll('.binding-row');
+        expect(Array.from(rows).map(row => row.querySelector('.binding-label').textContent)).toEqual(['Flap', 'Pause', 'Confirm']);
+        expect(keyButton('flap', 0).textContent).toBe('SPACE');
+        expect(keyButton('flap', 1).textContent).toBe('—');
+        expect(keyButton('pause', 1).textContent).toBe('P');
+    });
+
+    test('clicking a key then pressing another rebinds it', () => {
+        keyButton('flap', 0).click();
+        expect(keyButton('flap', 0).textContent).toBe('...');
+        expect(message()).toBe('Press a key for Flap');
+
+        press('KeyF');
+        expect(keyButton('flap', 0).textContent).toBe('F');
+        expect(inputManager.getKeyBindings().flap).toEqual(['KeyF']);
+        expect(JSON.parse(localStorage.getItem('testControls')).flap).toEqual(['KeyF']);
+    });
+
+    test('the key pressed while rebinding doesn\'t reach the game', () => {
+        const pauses = jest.fn();
+        inputManager.on('pause', pauses);
+
+        keyButton('pause', 1).click();
+        press('Escape');
+        expect(pauses).not.toHaveBeenCalled();
+    });
+
+    test('reports conflicts and keeps the old binding', () => {
+        keyButton('flap', 1).click();
+        press('Enter');
+
+        expect(message()).toBe('ENTER is already used for Confirm');
+        expect(container.querySelector('.binding-row.conflict .binding-label').textContent).toBe('Confirm');
+        expect(inputManager.getKeyBindings().flap).toEqual(['Space']);
+    });
+
+    test('Escape cancels and Backspace clears a slot', () => {
+        keyButton('pause', 0).click();
+        press('Escape');
+        expect(inputManager.getKeyBindings().pause).toEqual(['Escape', 'KeyP']);
+
+        keyButton('pause', 0).click();
+        press('Backspace');
+        expect(inputManager.getKeyBindings().pause).toEqual(['KeyP']);
+
+        keyButton('pause', 0).click();
+        press('Delete');
+        expect(message()).toBe('Pause needs at least one key');
+    });
+
+    test('reset restores the default keys', () => {
+        inputManager.bindKey('flap', 0, 'KeyF');
+        container.querySelector('.binding-reset').click();
+
+        expect(inputManager.getKeyBindings().flap).toEqual(['Space']);
+        expect(keyButton('flap', 0).textContent).toBe('SPACE');
+    });
+
+    test('cancel() stops waiting for a key', () => {
+        const flaps = jest.fn();
+        inputManager.on('flap', flaps);
+
+        keyButton('flap', 0).click();
+        controls.cancel();
+        press('Space');
+        expect(flaps).toHaveBeenCalledTimes(1);
+        expect(keyButton('flap', 0).textContent).toBe('SPACE');
+    });
+});
@@ -8,6 +8,7 @@
  */
 
 const fc = require('fast-check');
+global.InputManager = require('../input-manager.js').InputManager;
 const GameSelector = require('../game-selector.js');
 
 describe('GameSelector Property Tests', () => {
@@ -3,8 +3,14 @@
  * Requirements: 1.1, 1.3
  */
 
+const fs = require('fs');
+const path = require('path');
+global.InputManager = require('../input-manager.js').InputManager;
 const GameSelector = require('../game-selector.js');
 
+const PUBLIC_DIR = path.join(__dirname, '..', '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, 'games.json'), 'utf8'));
+
 describe('GameSelector', () => {
   let container;
   let gameSelector;
@@ -29,6 +35,7 @@ describe('GameSelector', () => {
   });
 
   afterEach(() => {
+    gameSelector.destroy();
     document.body.innerHTML = '';
   });
 
@@ -75,4 +82,211 @@ describe('GameSelector', () => {
     const backButton = document.getElementById('back-to-menu');
     expect(backButton.style.display).toBe('none');
   });
+
+  describe('game manifest', () => {
+    test('every game has the required fields and an entry page on disk', () => {
+      const ids = manifest.games.map(game => game.id);
+      expect(new Set(ids).size).toBe(ids.length);
+
+      manifest.games.forEach(game => {
+        expect(game.id).toMatch(/^[a-z0-9-]+$/);
+        ['title', 'description', 'thumbnail', 'entry'].forEach(field => {
+          expect(typeof game[field]).toBe('string');
+        });
+        expect(['points', 'time']).toContain(game.scoreType);
+        expect(fs.existsSync(path.join(PUBLIC_DIR, game.entry))).toBe(true);
+        expect(fs.existsSync(path.join(PUBLIC_DIR, game.thumbnail))).toBe(true);
+      });
+    });
+
+    test('renders one card per manifest entry', () => {
+      gameSelector = new GameSelector(container, manifest.games);
+
+      const gameCards = container.querySelectorAll('.game-card');
+      expect(gameCards.length).toBe(manifest.games.length);
+      manifest.games.forEach((game, i) => {
+        expect(gameCards[i].dataset.game).toBe(game.id);
+        expect(gameCards[i].querySelector('h2').textContent).toBe(game.title);
+        expect(gameCards[i].querySelector('p').textContent).toBe(game.description);
+        expect(gameCards[i].querySelector('img').getAttribute('src')).toBe(game.thumbnail);
+      });
+    });
+
+    test('renders manifest text as text, not markup', () => {
+      gameSelector = new GameSelector(container, [
+        { id: 'third-game', title: '<b>THIRD</b>', description: '<img src=x onerror=alert(1)>', entry: 'x.html', scoreType: 'points' }
+      ]);
+
+      const card = container.querySelector('[data-game="third-game"]');
+      expect(card.querySelector('h2').textContent).toBe('<b>THIRD</b>');
+      expect(card.querySelector('b')).toBeNull();
+      expect(card.querySelector('img')).toBeNull();
+    });
+
+    test('clicking a rendered card loads that game', () => {
+      gameSelector = new GameSelector(container, manifest.games);
+      const loadGame = jest.spyOn(gameSelector, 'loadGame').mockImplementation(() => {});
+
+      container.querySelector('[data-game="flappy-gator"]').click();
+      expect(loadGame).toHaveBeenCalledWith('flappy-gator');
+    });
+
+    test('loadManifest() fetches the games list', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(manifest) }));
+
+      await expect(GameSelector.loadManifest()).resolves.toEqual(manifest.games);
+      expect(global.fetch).toHaveBeenCalledWith('/games.json');
+    });
+
+    test('loadManifest() rejects when the manifest is missing or malformed', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+      await expect(GameSelector.loadManifest()).rejects.toThrow('404');
+
+      global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve({}) }));
+      await expect(GameSelector.loadManifest()).rejects.toThrow('games list');
+    });
+
+    test('showError() replaces the cards with a message', () => {
+      gameSelector.showError('Could not load the games');
+      expect(container.querySelectorAll('.game-card').length).toBe(0);
+      expect(container.querySelector('.games-error').textContent).toBe('Could not load the games');
+    });
+  });
+
+  describe('keyboard and gamepad navigation', () => {
+    let loadGame;
+
+    const press = (code) => document.dispatchEvent(new KeyboardEvent('keydown', { code, bubbles: true }));
+    const focusedGame = () => {
+      const focused = container.querySelectorAll('.game-card.focused');
+      return focused.length === 1 ? focused[0].dataset.game : null;
+    };
+
+    beforeEach(() => {
+      gameSelector.destroy();
+      gameSelector = new GameSelector(container, [
+        { id: 'one', title: 'ONE' },
+        { id: 'two', title: 'TWO' },
+        { id: 'three', title: 'THREE' },
+        { id: 'four', title: 'FOUR' }
+      ]);
+      loadGame = jest.spyOn(gameSelector, 'loadGame').mockImplementation(() => {});
+    });
+
+    test('cards can take focus', () => {
+      container.querySelectorAll('.game-card').forEach(card => expect(card.tabIndex).toBe(0));
+    });
+
+    test('the first key press focuses the first card without launching it', () => {
+      expect(focusedGame()).toBeNull();
+      press('Enter');
+      expect(focusedGame()).toBe('one');
+      expect(document.activeElement.dataset.game).toBe('one');
+      expect(loadGame).not.toHaveBeenCalled();
+    });
+
+    test('arrow keys and WASD move the focus ring between cards', () => {
+      jest.spyOn(gameSelector, 'getColumnCount').mockReturnValue(2);
+
+      press('ArrowRight');
+      press('ArrowRight');
+      expect(focusedGame()).toBe('two');
+      press('KeyS');
+      expect(focusedGame()).toBe('four');
+      press('KeyA');
+      expect(focusedGame()).toBe('three');
+      press('KeyW');
+      expect(focusedGame()).toBe('one');
+      press('ArrowUp');
+      press('ArrowLeft');
+      expect(focusedGame()).toBe('one');
+    });
+
+    test('Enter and Space launch the focused game', () => {
+      press('ArrowRight');
+      press('ArrowRight');
+      press('Enter');
+      expect(loadGame).toHaveBeenLastCalledWith('two');
+      press('Space');
+      expect(loadGame).toHaveBeenCalledTimes(2);
+    });
+
+    test('focusing a card with Tab or the mouse moves the focus ring', () => {
+      container.querySelector('[data-game="three"]').focus();
+      expect(focusedGame()).toBe('three');
+      press('Enter');
+      expect(loadGame).toHaveBeenCalledWith('three');
+    });
+
+    test('ignores keys typed into form fields and unrelated keys', () => {
+      const input = document.createElement('input');
+      document.body.appendChild(input);
+      input.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowRight', bubbles: true }));
+      press('KeyX');
+      expect(focusedGame()).toBeNull();
+    });
+
+    test('stops listening after destroy()', () => {
+      gameSelector.destroy();
+      press('ArrowRight');
+      expect(focusedGame()).toBeNull();
+    });
+
+    describe('gamepad', () => {
+      let gamepad;
+
+      const setButtons = (...pressed) => {
+        gamepad.buttons = Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) }));
+      };
+
+      beforeEach(() => {
+        gamepad = { axes: [0, 0], buttons: [] };
+        setButtons();
+        navigator.getGamepads = jest.fn(() => [gamepad, null]);
+        global.requestAnimationFrame = jest.fn(() => 1);
+        global.cancelAnimationFrame = jest.fn();
+      });
+
+      afterEach(() => {
+        delete navigator.getGamepads;
+      });
+
+      test('d-pad moves the focus and A launches the game', () => {
+        gameSelector.input.pollGamepads();
+        setButtons(15);
+        gameSelector.input.pollGamepads(); // first press shows the focus
+        setButtons();
+        gameSelector.input.pollGamepads();
+        setButtons(15);
+        gameSelector.input.pollGamepads();
+        expect(focusedGame()).toBe('two');
+
+        setButtons(0);
+        gameSelector.input.pollGamepads();
+        expect(loadGame).toHaveBeenCalledWith('two');
+      });
+
+      test('holding a button acts once', () => {
+        setButtons(15);
+        for (let i = 0; i < 10; i++) gameSelector.input.pollGamepads();
+        expect(focusedGame()).toBe('one');
+      });
+
+      test('the left stick moves the focus', () => {
+        gameSelector.focusCard(0);
+        gamepad.axes = [0.9, 0];
+        gameSelector.input.pollGamepads();
+        expect(focusedGame()).toBe('two');
+      });
+
+      test('polls every frame while a gamepad is connected', () => {
+        window.dispatchEvent(new Event('gamepadconnected'));
+        expect(requestAnimationFrame).toHaveBeenCalledWith(gameSelector.input.pollGamepads);
+
+        navigator.getGamepads = jest.fn(() => [null]);
+        gameSelector.input.pollGamepads();
+        expect(gameSelector.input.gamepadFrame).toBeNull();
+      });
+    });
+  });
 });
@@ -0,0 +1,297 @@
+/**
+ * Unit tests for InputManager (keyboard, touch, mouse and gamepad → actions)
+ */
+
+const { InputManager, INPUT_ACTIONS, DEFAULT_KEY_BINDINGS } = require('../input-manager.js');
+
+describe('InputManager', () => {
+    let inputManager;
+    let triggered;
+
+    const press = (code, options = {}) => {
+        const event = new KeyboardEvent('keydown', { code, bubbles: true, cancelable: true, ...options });
+        (options.target || document).dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        inputManager = new InputManager();
+        triggered = [];
+        INPUT_ACTIONS.forEach(action => {
+            inputManager.on(action, ({ source }) => triggered.push(`${action}:${source}`));
+        });
+    });
+
+    afterEach(() => {
+        inputManager.destroy();
+        document.body.innerHTML = '';
+    });
+
+    describe('keyboard', () => {
+        test('every default key triggers its action', () => {
+            Object.entries(DEFAULT_KEY_BINDINGS).forEach(([action, codes]) => {
+                codes.forEach(code => {
+                    triggered = [];
+                    press(code);
+                    expect(triggered).toEqual([`${action}:keyboard`]);
+                });
+            });
+        });
+
+        test('handled keys don\'t scroll the page', () => {
+            expect(press('Space').defaultPrevented).toBe(true);
+            expect(press('KeyQ').defaultPrevented).toBe(false);
+        });
+
+        test('ignores key repeat, shortcuts and typing in form fields', () => {
+            press('Space', { repeat: true });
+            press('KeyW', { ctrlKey: true });
+
+            const input = document.createElement('input');
+            document.body.appendChild(input);
+            press('Enter', { target: input });
+
+            expect(triggered).toEqual([]);
+        });
+
+        test('only listens for the actions a game asks for', () => {
+            inputManager.destroy();
+            inputManager = new InputManager({ actions: ['flap', 'pause'] });
+            const flaps = jest.fn();
+            inputManager.on('flap', flaps);
+
+            press('Space');
+            press('ArrowUp');
+            expect(flaps).toHaveBeenCalledTimes(1);
+            expect(() => inputManager.on('up', jest.fn())).toThrow('Unknown action: up');
+        });
+
+        test('accepts custom key bindings', () => {
+            inputManager.destroy();
+            inputManager = new InputManager({ actions: ['flap'], keyBindings: { flap: ['KeyF'] } });
+            const flaps = jest.fn();
+            inputManager.on('flap', flaps);
+
+            press('Space');
+            press('KeyF');
+            expect(flaps).toHaveBeenCalledTimes(1);
+            expect(inputManager.getActionsForKey('KeyF')).toEqual(['flap']);
+        });
+    });
+
+    describe('touch and mouse', () => {
+        let button;
+
+        beforeEach(() => {
+            button = document.createElement('button');
+            document.body.appendChild(button);
+            inputManager.bindButton(button, 'up');
+        });
+
+        test('touching or clicking a bound element triggers its action', () => {
+            button.dispatchEvent(new Event('touchstart', { cancelable: true }));
+            button.click();
+            expect(triggered).toEqual(['up:touch', 'up:mouse']);
+        });
+
+        test('touches cancel the click the browser would send afterwards', () => {
+            const touch = new Event('touchstart', { cancelable: true });
+            button.dispatchEvent(touch);
+            expect(touch.defaultPrevented).toBe(true);
+        });
+
+        test('ignores missing elements', () => {
+            expect(() => inputManager.bindButton(null, 'up')).not.toThrow();
+        });
+    });
+
+    describe('gamepad', () => {
+        let gamepad;
+
+        const setButtons = (...pressed) => {
+            gamepad.buttons = Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) }));
+        };
+
+        beforeEach(() => {
+            gamepad = { axes: [0, 0], buttons: [] };
+            setButtons();
+            navigator.getGamepads = jest.fn(() => [null, gamepad]);
+            global.requestAnimationFrame = jest.fn(() => 7);
+            global.cancelAnimationFrame = jest.fn();
+        });
+
+        afterEach(() => {
+            delete navigator.getGamepads;
+        });
+
+        test('maps the A button, Start and the d-pad', () => {
+            [[0, ['flap:gamepad', 'confirm:gamepad']], [9, ['pause:gamepad']], [12, ['up:gamepad']],
+                [13, ['down:gamepad']], [14, ['left:gamepad']], [15, ['right:gamepad']]].forEach(([button, expected]) => {
+                triggered = [];
+                setButtons(button);
+                inputManager.pollGamepads();
+                setButtons();
+                inputManager.pollGamepads();
+                expect(triggered).toEqual(expected);
+            });
+        });
+
+        test('maps the left stick to directions', () => {
+            gamepad.axes = [-0.8, 0.9];
+            inputManager.pollGamepads();
+            expect(triggered.sort()).toEqual(['down:gamepad', 'left:gamepad']);
+        });
+
+        test('holding a button triggers its action once', () => {
+            setButtons(12);
+            for (let i = 0; i < 5; i++) inputManager.pollGamepads();
+            expect(triggered).toEqual(['up:gamepad']);
+        });
+
+        test('gamepadIndex limits input to one gamepad', () => {
+            const other = { index: 0, axes: [0, 0], buttons: gamepad.buttons };
+            gamepad.index = 1;
+            navigator.getGamepads = jest.fn(() => [other, gamepad]);
+            inputManager.gamepadIndex = 1;
+
+            other.axes = [-0.8, 0];
+            inputManager.pollGamepads();
+            expect(triggered).toEqual([]);
+
+            gamepad.axes = [0, 0.9];
+            inputManager.pollGamepads();
+            expect(triggered).toEqual(['down:gamepad']);
+        });
+
+        test('polls every frame while a gamepad is connected', () => {
+            window.dispatchEvent(new Event('gamepadconnected'));
+            expect(requestAnimationFrame).toHaveBeenCalledWith(inputManager.pollGamepads);
+            expect(inputManager.gamepadFrame).toBe(7);
+
+            navigator.getGamepads = jest.fn(() => [null]);
+            inputManager.pollGamepads();
+            expect(inputManager.gamepadFrame).toBeNull();
+        });
+
+        test('destroy() stops polling', () => {
+            inputManager.pollGamepads();
+            inputManager.destroy();
+            expect(cancelAnimationFrame).toHaveBeenCalledWith(7);
+        });
+    });
+
+    test('unsubscribing stops callbacks', () => {
+        const callback = jest.fn();
+        const unsubscribe = inputManager.on('confirm', callback);
+        unsubscribe();
+        press('Enter');
+        expect(callback).not.toHaveBeenCalled();
+    });
+
+    test('destroy() stops listening to the keyboard and bound elements', () => {
+        const button = document.createElement('button');
+        inputManager.bindButton(button, 'pause');
+        inputManager.destroy();
+
+        press('Enter');
+        button.click();
+        expect(triggered).toEqual([]);
+    });
+
+    describe('key bindings', () => {
+        const STORAGE_KEY = 'testKeyBindings';
+
+        beforeEach(() => {
+            inputManager.destroy();
+            inputManager = new InputManager({ actions: ['up', 'down', 'pause'], storageKey: STORAGE_KEY });
+        });
+
+        afterEach(() => {
+            localStorage.clear();
+        });
+
+        test('rebinding a key changes what triggers the action', () => {
+            const ups = jest.fn();
+            inputManager.on('up', ups);
+
+            expect(inputManager.bindKey('up', 0, 'KeyI')).toBeNull();
+            press('ArrowUp');
+            press('KeyI');
+            expect(ups).toHaveBeenCalledTimes(1);
+            expect(inputManager.getKeyBindings().up).toEqual(['KeyI', 'KeyW']);
+        });
+
+        test('rejects a key already bound to another action', () => {
+            expect(inputManager.bindKey('up', 1, 'ArrowDown')).toBe('down');
+            expect(inputManager.getKeyBindings().up).toEqual(['ArrowUp', 'KeyW']);
+            expect(inputManager.findConflict('KeyP', 'up')).toBe('pause');
+            expect(inputManager.findConflict('KeyP', 'pause')).toBeNull();
+        });
+
+        test('binding a key the action already has swaps slots', () => {
+            inputManager.bindKey('up', 0, 'KeyW');
+            expect(inputManager.getKeyBindings().up).toEqual(['KeyW', 'ArrowUp']);
+        });
+
+        test('empty slots fill up and the last key can\'t be removed', () => {
+            expect(inputManager.unbindKey('pause', 0)).toBe(true);
+            expect(inputManager.getKeyBindings().pause).toEqual(['KeyP']);
+            expect(inputManager.unbindKey('pause', 0)).toBe(false);
+
+            inputManager.bindKey('pause', 1, 'Escape');
+            expect(inputManager.getKeyBindings().pause).toEqual(['KeyP', 'Escape']);
+            expect(() => inputManager.bindKey('pause', 2, 'KeyQ')).toThrow('Unknown binding');
+        });
+
+        test('bindings persist for the next session', () => {
+            inputManager.bindKey('up', 0, 'KeyI');
+            inputManager.destroy();
+
+            inputManager = new InputManager({ actions: ['up', 'down', 'pause'], storageKey: STORAGE_KEY });
+            expect(inputManager.getKeyBindings().up).toEqual(['KeyI', 'KeyW']);
+
+            inputManager.resetKeyBindings();
+            expect(JSON.parse(localStorage.getItem(STORAGE_KEY)).up).toEqual(['ArrowUp', 'KeyW']);
+        });
+
+        test('ignores saved bindings that are corrupt or conflicting', () => {
+            [
+                'not json',
+                JSON.stringify({ up: ['KeyI'] }),
+                JSON.stringify({ up: ['KeyI'], down: ['KeyI'], pause: ['KeyP'] }),
+                JSON.stringify({ up: [], down: ['KeyK'], pause: ['KeyP'] })
+            ].forEach(saved => {
+                localStorage.setItem(STORAGE_KEY, saved);
+                inputManager.destroy();
+                inputManager = new InputManager({ actions: ['up', 'down', 'pause'], storageKey: STORAGE_KEY });
+                expect(inputManager.getKeyBindings()).toEqual({
+                    up: ['ArrowUp', 'KeyW'],
+                    down: ['ArrowDown', 'KeyS'],
+                    pause: ['Escape', 'KeyP']
+                });
+            });
+        });
+
+        test('a captured key goes to the callback instead of triggering actions', () => {
+            const pauses = jest.fn();
+            const captured = jest.fn();
+            inputManager.on('pause', pauses);
+
+            inputManager.captureNextKey(captured);
+            press('Escape');
+            expect(captured).toHaveBeenCalledWith('Escape');
+            expect(pauses).not.toHaveBeenCalled();
+
+            press('Escape');
+            expect(pauses).toHaveBeenCalledTimes(1);
+        });
+
+        test('describes keys for display', () => {
+            expect(InputManager.describeKey('KeyW')).toBe('W');
+            expect(InputManager.describeKey('Digit7')).toBe('7');
+            expect(InputManager.describeKey('ArrowLeft')).toBe('←');
+            expect(InputManager.describeKey('Space')).toBe('SPACE');
+            expect(InputManager.describeKey('Numpad8')).toBe('NUMPAD8');
+        });
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for the paged leaderboard view
+ */
+
+const { LeaderboardView } = require('../leaderboard-view');
+
+/**
+ * Fake client serving a leaderboard of `count` scores, ranked by id
+ */
+function createClient(count, options = {}) {
+    const all = Array.from({ length: count }, (_, i) => ({ id: i + 1, name: `Player ${i + 1}`, score: 1000 - i, rank: i + 1 }));
+    return {
+        getLeaderboardPage: jest.fn((gameType, { offset, limit }) => (options.fail ?
+            Promise.reject(new Error('Server down')) :
+            Promise.resolve({ scores: all.slice(offset, offset + limit), total: count }))),
+        getScoreRank: jest.fn((id, { window }) => Promise.resolve({
+            id, rank: window === 'daily' ? null : id, total: count, window
+        }))
+    };
+}
+
+const names = (container) => Array.from(container.querySelectorAll('.leaderboard-name')).map(el => el.textContent);
+const button = (container, className) => container.querySelector(`.${className}`);
+
+describe('LeaderboardView', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('shows the first page with its position in the board', async () => {
+        const view = new LeaderboardView(container, createClient(23), 'pac-gator', { pageSize: 10 });
+
+        await view.show();
+
+        expect(names(container)).toHaveLength(10);
+        expect(names(container)[0]).toBe('Player 1');
+        expect(container.querySelector('.leaderboard-position').textContent).toBe('1-10 of 23');
+        expect(button(container, 'leaderboard-prev').disabled).toBe(true);
+        expect(button(container, 'leaderboard-next').disabled).toBe(false);
+    });
+
+    test('next and previous move a page at a time and stop at the ends', async () => {
+        const client = createClient(23);
+        const view = new LeaderboardView(container, client, 'pac-gator', { pageSize: 10 });
+        await view.show();
+
+        await view.nextPage();
+        await view.nextPage();
+        expect(container.querySelector('.leaderboard-position').textContent).toBe('21-23 of 23');
+        expect(button(container, 'leaderboard-next').disabled).toBe(true);
+
+        await view.nextPage();
+        expect(client.getLeaderboardPage).toHaveBeenCalledTimes(3);
+
+        await view.previousPage();
+        expect(names(container)[0]).toBe('Player 11');
+    });
+
+    test('switching window reloads from the first page', async () => {
+        const client = createClient(23);
+        const view = new LeaderboardView(container, client, 'pac-gator');
+        await view.show();
+        await view.nextPage();
+
+        button(container, 'leaderboard-window[data-window="weekly"]').click();
+        await Promise.resolve();
+
+        const lastCall = client.getLeaderboardPage.mock.calls.at(-1);
+        expect(lastCall[1]).toMatchObject({ offset: 0, window: 'weekly' });
+        expect(() => view.setWindow('yearly')).toThrow('Unknown leaderboard window');
+    });
+
+    test("jumping to the player's score opens its page and highlights it", async () => {
+        const view = new LeaderboardView(container, createClient(40), 'pac-gator', { pageSize: 5 });
+        view.setPlayerScore(17);
+
+        await view.show({ jumpToPlayer: true });
+
+        expect(container.querySelector('.leaderboard-position').textContent).toBe('16-20 of 40');
+        const highlighted = container.querySelector('.leaderboard-entry.current-score');
+        expect(highlighted.querySelector('.leaderboard-name').textContent).toBe('Player 17 (You)');
+        expect(highlighted.querySelector('.leaderboard-rank').textContent).toBe('#17');
+    });
+
+    test('a score outside the window shows the first page with a note', async () => {
+        const view = new LeaderboardView(container, createClient(40), 'pac-gator');
+        view.setPlayerScore(17);
+        view.window = 'daily';
+
+        await view.jumpToPlayer();
+
+        expect(names(container)[0]).toBe('Player 1');
+        expect(container.querySelector('.leaderboard-message').textContent).toBe("Your score isn't on the Today board");
+    });
+
+    test('a failed rank lookup shows the load error, not a missing score', async () => {
+        const client = createClient(40);
+        client.getScoreRank.mockImplementation(() => Promise.reject(new Error('Server down')));
+        const view = new LeaderboardView(container, client, 'pac-gator');
+        view.setPlayerScore(17);
+
+        await view.jumpToPlayer();
+
+        expect(container.querySelector('.leaderboard-error').textContent).toBe("Couldn't load scores. Try again later.");
+        expect(container.textContent).not.toContain("isn't on the");
+        expect(client.getLeaderboardPage).not.toHaveBeenCalled();
+    });
+
+    test('"My Score" is disabled until the player has a saved score', async () => {
+        const view = new LeaderboardView(container, createClient(3), 'pac-gator');
+        await view.show();
+        expect(button(container, 'leaderboard-me').disabled).toBe(true);
+
+        view.setPlayerScore(2);
+        view.render();
+        expect(button(container, 'leaderboard-me').disabled).toBe(false);
+    });
+
+    test('load errors and empty boards show a notice', async () => {
+        const failing = new LeaderboardView(container, createClient(5, { fail: true }), 'pac-gator');
+        await failing.show();
+        expect(container.querySelector('.leaderboard-error').textContent).toBe("Couldn't load scores. Try again later.");
+
+        const empty = new LeaderboardView(container, createClient(0), 'pac-gator');
+        await empty.show();
+        expect(container.querySelector('.no-history').textContent).toBe('No scores yet. Be the first!');
+    });
+
+    test('names are rendered as text, not markup', async () => {
+        const client = {
+            getLeaderboardPage: () => Promise.resolve({ scores: [{ id: 1, name: '<img src=x onerror=alert(1)>', score: 5 }], total: 1 })
+        };
+        const view = new LeaderboardView(container, client, 'pac-gator');
+
+        await view.show();
+
+        expect(container.querySelector('img')).toBeNull();
+        expect(names(container)).toEqual(['<img src=x onerror=alert(1)>']);
+    });
+
+    test("entries show an avatar in the profile's colour", async () => {
+        const client = {
+            getLeaderboardPage: () => Promise.resolve({
+                scores: [
+                    { id: 1, name: 'kiro', score: 5, color: '#ffcc00' },
+                    { id: 2, name: 'Guest', score: 4, color: null },
+                    { id: 3, name: 'Odd', score: 3, color: 'red; background: url(x)' }
+                ],
+                total: 3
+            })
+        };
+        const view = new LeaderboardView(container, client, 'pac-gator');
+
+        await view.show();
+
+        const avatars = Array.from(container.querySelectorAll('.leaderboard-avatar'));
+        expect(avatars.map(avatar => avatar.textContent)).toEqual(['K', 'G', 'O']);
+        expect(avatars[0].style.backgroundColor).toBe('rgb(255, 204, 0)');
+        expect(avatars[1].style.backgroundColor).toBe('');
+        expect(avatars[2].style.backgroundColor).toBe('');
+    });
+
+    test('scores are shown through formatScore', async () => {
+        const client = {
+            getLeaderboardPage: () => Promise.resolve({ scores: [{ id: 1, name: 'kiro', score: 95 }], total: 1 })
+        };
+        const view = new LeaderboardView(container, client, 'flappy-gator', { formatScore: score => String(score / 10) });
+
+        await view.show();
+
+        expect(container.querySelector('.leaderboard-score').textContent).toBe('9.5');
+    });
+
+    test('a newer request cancels the one in flight', async () => {
+        const signals = [];
+        const client = {
+            getLeaderboardPage: jest.fn((gameType, { signal }) => {
+                signals.push(signal);
+                return new Promise(() => {});
+            })
+        };
+        const view = new LeaderboardView(container, client, 'pac-gator');
+
+        view.show();
+        view.setWindow('weekly');
+
+        expect(signals[0].aborted).toBe(true);
+        expect(signals[1].aborted).toBe(false);
+        view.destroy();
+        expect(signals[1].aborted).toBe(true);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for NameSanitizer (cleaning, length limit, blocklist) and /name-rules.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fc = require('fast-check');
+const { NameSanitizer, DEFAULT_NAME_RULES } = require('../name-sanitizer.js');
+
+const RULES = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'name-rules.json'), 'utf8'));
+
+describe('NameSanitizer', () => {
+    const sanitizer = new NameSanitizer({ blocklist: ['gross', 'rude'], substitutions: { '0': 'o', '3': 'e' } });
+
+    test('markup and other disallowed characters are removed', () => {
+        expect(sanitizer.clean('<img src=x onerror=alert(1)>')).toBe('img srcx onerro');
+        expect(sanitizer.clean('  Kiro\u0000\n the   Gator ')).toBe('Kiro the Gator');
+    });
+
+    test('accents and full-width letters are kept as plain letters', () => {
+        expect(sanitizer.clean('Zoë')).toBe('Zoe');
+        expect(sanitizer.clean('ＫＩＲＯ')).toBe('KIRO');
+    });
+
+    test('names are cut to the length limit', () => {
+        expect(sanitizer.clean('Swampy Gator The Great')).toBe('Swampy Gator Th');
+        expect(new NameSanitizer({ maxLength: 4 }).clean('Kiro Gator')).toBe('Kiro');
+    });
+
+    test('blocklisted words are caught through case, punctuation and look-alikes', () => {
+        ['Rude', 'r.u.d.e', 'GR0SS gator', 'Kiro-rud3', 'r u d e', 'Kiro R_U_D_E'].forEach(name => {
+            expect(sanitizer.check(name)).toEqual({ name: sanitizer.clean(name), error: 'blocked' });
+        });
+        expect(sanitizer.check('Kiro')).toEqual({ name: 'Kiro', error: null });
+    });
+
+    test('blocklisted words are caught inside a word, with digits and words stuck on', () => {
+        const strict = new NameSanitizer(RULES);
+        ['fuck1', 'Hitler88', 'fuckyou', 'shithead', 'shit2', 'Kiro the r4pist'].forEach(name => {
+            expect(strict.check(name).error).toBe('blocked');
+        });
+        expect(sanitizer.check('grossly').error).toBe('blocked');
+    });
+
+    test('blocklisted words are not matched across words or inside allowlisted ones', () => {
+        const strict = new NameSanitizer(RULES);
+        ['Sushi Tom', 'Anna Sluther', 'Cass Lut', 'Mass Hit', 'Therapist', 'Scunthorpe', 'Penistone FC'].forEach(name => {
+            expect(strict.check(name)).toEqual({ name, error: null });
+        });
+        expect(sanitizer.check('Grr Ude')).toEqual({ name: 'Grr Ude', error: null });
+        expect(strict.check('Scunthorpe shit').error).toBe('blocked');
+        expect(strict.check('therapistfuck').error).toBe('blocked');
+    });
+
+    test('sanitize falls back to the default name for empty and blocked names', () => {
+        expect(sanitizer.sanitize('Kiro')).toBe('Kiro');
+        expect(sanitizer.sanitize('<>')).toBe('Player');
+        expect(sanitizer.sanitize('rude')).toBe('Player');
+        expect(sanitizer.sanitize(null, 'Player 2')).toBe('Player 2');
+        expect(sanitizer.check(42)).toEqual({ name: '', error: 'empty' });
+    });
+
+    test('cleaned names stay within the limit and the allowed characters', () => {
+        const strict = new NameSanitizer(RULES);
+        const allowed = new RegExp(`^[${RULES.allowedCharacters}]*$`);
+
+        fc.assert(fc.property(fc.fullUnicodeString({ maxLength: 40 }), name => {
+            const cleaned = strict.clean(name);
+            return cleaned.length <= RULES.maxLength &&
+                allowed.test(cleaned) &&
+                cleaned === cleaned.trim() &&
+                strict.clean(cleaned) === cleaned;
+        }));
+    });
+});
+
+describe('name-rules.json', () => {
+    test('matches the built-in rules apart from the blocklist', () => {
+        expect(RULES).toMatchObject({
+            maxLength: DEFAULT_NAME_RULES.maxLength,
+            allowedCharacters: DEFAULT_NAME_RULES.allowedCharacters,
+            defaultName: DEFAULT_NAME_RULES.defaultName
+        });
+    });
+
+    test('the default name is allowed by its own rules', () => {
+        expect(new NameSanitizer(RULES).check(RULES.defaultName).error).toBeNull();
+        expect(RULES.blocklist.every(word => /^[a-z]+$/.test(word))).toBe(true);
+    });
+
+    test('every allowlisted word excuses a blocklisted one', () => {
+        RULES.allowlist.forEach(word => {
+            expect(word).toMatch(/^[a-z]+$/);
+            expect(RULES.blocklist.some(blocked => word.includes(blocked))).toBe(true);
+        });
+    });
+});
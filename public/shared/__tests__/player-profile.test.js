@@ -0,0 +1,99 @@
+/**
+ * Unit tests for PlayerProfile (creation, persistence, name rules) and AvatarColorPicker
+ */
+
+const {
+    PlayerProfile,
+    AvatarColorPicker,
+    AVATAR_COLORS,
+    PROFILE_STORAGE_KEY,
+    PLAYER_ID_STORAGE_KEY
+} = require('../player-profile.js');
+const { NameSanitizer } = require('../name-sanitizer.js');
+
+describe('PlayerProfile', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('is created once per browser, with a default name and an avatar colour', () => {
+        const profile = PlayerProfile.load();
+
+        expect(profile.id).toBeTruthy();
+        expect(profile.name).toBe('Player');
+        expect(AVATAR_COLORS).toContain(profile.color);
+        expect(PlayerProfile.load().toJSON()).toEqual(profile.toJSON());
+        expect(localStorage.getItem(PLAYER_ID_STORAGE_KEY)).toBe(profile.id);
+    });
+
+    test('keeps a player id saved before profiles existed', () => {
+        localStorage.setItem(PLAYER_ID_STORAGE_KEY, 'older-id');
+
+        expect(PlayerProfile.load().id).toBe('older-id');
+    });
+
+    test('name and colour changes are remembered', () => {
+        const profile = PlayerProfile.load();
+        expect(profile.setName('  Kiro  ')).toBe('Kiro');
+        expect(profile.setColor(AVATAR_COLORS[3])).toBe(true);
+
+        expect(PlayerProfile.load()).toMatchObject({ id: profile.id, name: 'Kiro', color: AVATAR_COLORS[3] });
+    });
+
+    test('names are trimmed to 15 characters and blank ones fall back to Player', () => {
+        const profile = PlayerProfile.load();
+
+        expect(profile.setName('A very long gator name')).toBe('A very long gat');
+        expect(profile.setName('   ')).toBe('Player');
+        expect(profile.setName(undefined)).toBe('Player');
+    });
+
+    test('names go through the sanitizer it is given', () => {
+        const profile = PlayerProfile.load({ sanitizer: new NameSanitizer({ blocklist: ['rude'] }) });
+
+        expect(profile.setName('<b>Kiro</b>')).toBe('bKirob');
+        expect(profile.setName('so rude')).toBe('Player');
+    });
+
+    test('only avatar colours are accepted', () => {
+        const profile = PlayerProfile.load();
+        const color = profile.color;
+
+        expect(profile.setColor('red')).toBe(false);
+        expect(profile.color).toBe(color);
+    });
+
+    test('unusable saved data is replaced', () => {
+        localStorage.setItem(PROFILE_STORAGE_KEY, '{"name": 42, "color": "url(x)"}');
+        const profile = PlayerProfile.load();
+
+        expect(profile.name).toBe('Player');
+        expect(AVATAR_COLORS).toContain(profile.color);
+        expect(JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY))).toEqual({ name: 'Player', color: profile.color });
+    });
+});
+
+describe('AvatarColorPicker', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('shows a swatch per colour and picks the one clicked', () => {
+        const profile = new PlayerProfile({ id: 'player-1', color: AVATAR_COLORS[0] });
+        const onChange = jest.fn();
+        const container = document.createElement('div');
+        new AvatarColorPicker(container, profile, onChange).render();
+
+        const swatches = container.querySelectorAll('.avatar-swatch');
+        expect(swatches).toHaveLength(AVATAR_COLORS.length);
+        expect(swatches[0].getAttribute('aria-pressed')).toBe('true');
+
+        swatches[2].click();
+        expect(profile.color).toBe(AVATAR_COLORS[2]);
+        expect(onChange).toHaveBeenCalledWith(AVATAR_COLORS[2]);
+        expect(container.querySelector('[aria-pressed="true"]').dataset.color).toBe(AVATAR_COLORS[2]);
+
+        container.querySelector(`[data-color="${AVATAR_COLORS[2]}"]`).click();
+        expect(onChange).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,255 @@
+/**
+ * Unit tests for the offline score queue and APIClient's retry of queued scores
+ */
+
+const { ScoreQueue, SCORE_QUEUE_STORAGE_KEY } = require('../score-queue.js');
+const APIClient = require('../api-client');
+
+const jsonResponse = (status, data = {}) => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(data)
+});
+
+describe('ScoreQueue', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('queued scores survive a reload', () => {
+        const queue = new ScoreQueue();
+        queue.add({ clientId: 'a', payload: { game_type: 'pac-gator', name: 'Player', score: 10 } });
+
+        const reloaded = new ScoreQueue();
+        expect(reloaded.size).toBe(1);
+        expect(reloaded.getAll()[0]).toEqual({
+            clientId: 'a',
+            payload: { game_type: 'pac-gator', name: 'Player', score: 10 },
+            attempts: 0
+        });
+    });
+
+    test('a client id is only queued once', () => {
+        const queue = new ScoreQueue();
+        queue.add({ clientId: 'a', payload: { score: 1 } });
+        queue.add({ clientId: 'a', payload: { score: 2 } });
+
+        expect(queue.size).toBe(1);
+        expect(queue.getAll()[0].payload.score).toBe(1);
+    });
+
+    test('update changes the payload of a queued score only', () => {
+        const queue = new ScoreQueue();
+        queue.add({ clientId: 'a', payload: { name: 'Player', score: 5 } });
+
+        expect(queue.update('a', { name: 'Kiro' })).toBe(true);
+        expect(queue.update('missing', { name: 'Kiro' })).toBe(false);
+        expect(new ScoreQueue().getAll()[0].payload).toEqual({ name: 'Kiro', score: 5 });
+    });
+
+    test('retry delay doubles per failed attempt up to the maximum', () => {
+        const queue = new ScoreQueue({ baseDelay: 1000, maxDelay: 5000 });
+        queue.add({ clientId: 'a', payload: {} });
+
+        const delays = [];
+        for (let i = 0; i < 5; i++) {
+            delays.push(queue.getRetryDelay());
+            queue.recordFailure('a');
+        }
+        expect(delays).toEqual([1000, 2000, 4000, 5000, 5000]);
+    });
+
+    test('a submission is dropped once it has failed maxAttempts times', () => {
+        const queue = new ScoreQueue({ maxAttempts: 3 });
+        queue.add({ clientId: 'a', payload: {} });
+        queue.add({ clientId: 'b', payload: {} });
+
+        expect(queue.recordFailure('a')).toBe(false);
+        expect(queue.recordFailure('a')).toBe(false);
+        expect(queue.recordFailure('a')).toBe(true);
+        expect(new ScoreQueue().getAll().map(entry => entry.clientId)).toEqual(['b']);
+        expect(queue.recordFailure('missing')).toBe(false);
+    });
+
+    test('corrupt saved data gives an empty queue', () => {
+        localStorage.setItem(SCORE_QUEUE_STORAGE_KEY, '{not json');
+        expect(new ScoreQueue().size).toBe(0);
+
+        localStorage.setItem(SCORE_QUEUE_STORAGE_KEY, JSON.stringify([{ clientId: 1 }, null, { clientId: 'ok', payload: {} }]));
+        expect(new ScoreQueue().getAll().map(entry => entry.clientId)).toEqual(['ok']);
+    });
+});
+
+describe('APIClient offline queue', () => {
+    let queue;
+    let client;
+    let onSync;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        localStorage.clear();
+        global.fetch = jest.fn();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        queue = new ScoreQueue({ baseDelay: 1000, maxDelay: 8000 });
+        onSync = jest.fn();
+        client = new APIClient('', { scoreQueue: queue, onSync });
+    });
+
+    afterEach(() => {
+        clearTimeout(client.retryTimer);
+        jest.useRealTimers();
+        console.error.mockRestore();
+        console.warn.mockRestore();
+    });
+
+    test('submissions carry a client id', async () => {
+        global.fetch.mockImplementation(() => jsonResponse(200, { success: true, id: 1 }));
+
+        const result = await client.submitScore('pac-gator', 'Kiro', 100);
+
+        expect(result).toEqual({ success: true, id: 1 });
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body).toMatchObject({ game_type: 'pac-gator', name: 'Kiro', score: 100 });
+        expect(typeof body.client_id).toBe('string');
+        expect(queue.size).toBe(0);
+    });
+
+    test('network errors and 5xx responses are queued and reported as pending', async () => {
+        global.fetch
+            .mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')))
+            .mockImplementationOnce(() => jsonResponse(503));
+
+        const offline = await client.submitScore('pac-gator', 'Kiro', 100);
+        const serverDown = await client.submitScore('flappy-gator', 'Kiro', 7);
+
+        expect(offline).toMatchObject({ success: false, pending: true });
+        expect(serverDown).toMatchObject({ success: false, pending: true });
+        expect(queue.getAll().map(entry => entry.clientId)).toEqual([offline.clientId, serverDown.clientId]);
+        expect(client.getPendingCount()).toBe(2);
+    });
+
+    test('rejected scores (4xx) are not queued', async () => {
+        global.fetch.mockImplementation(() => jsonResponse(400, { success: false, error: 'Score must be a non-negative integer' }));
+
+        await expect(client.submitScore('pac-gator', 'Kiro', -1)).rejects.toBeInstanceOf(APIClient.ValidationError);
+        expect(queue.size).toBe(0);
+    });
+
+    test('a submission cancelled by destroy() is queued for the next visit', async () => {
+        global.fetch.mockImplementation(() => new Promise(() => {}));
+
+        const submission = client.submitScore('pac-gator', 'Kiro', 100);
+        client.destroy();
+
+        await expect(submission).resolves.toMatchObject({ pending: true });
+        expect(queue.size).toBe(1);
+        expect(client.retryTimer).toBeNull();
+    });
+
+    test('queued scores are retried with exponential backoff', async () => {
+        global.fetch.mockImplementation(() => Promise.reject(new TypeError('Failed to fetch')));
+        const { clientId } = await client.submitScore('pac-gator', 'Kiro', 100);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+
+        // 1s, then 2s, then 4s
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+
+        global.fetch.mockImplementation(() => jsonResponse(200, { success: true, id: 42 }));
+        await jest.advanceTimersByTimeAsync(4000);
+
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+        expect(queue.size).toBe(0);
+        expect(onSync).toHaveBeenCalledWith(clientId, { success: true, id: 42 });
+
+        // Every attempt sent the same client id, so the server can drop repeats
+        const ids = global.fetch.mock.calls.map(call => JSON.parse(call[1].body).client_id);
+        expect(new Set(ids)).toEqual(new Set([clientId]));
+    });
+
+    test('coming back online sends the queue straight away', async () => {
+        global.fetch.mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')));
+        await client.submitScore('pac-gator', 'Kiro', 100);
+
+        global.fetch.mockImplementation(() => jsonResponse(200, { success: true, id: 5 }));
+        window.dispatchEvent(new Event('online'));
+        await client.flushing;
+
+        expect(queue.size).toBe(0);
+        expect(onSync).toHaveBeenCalledTimes(1);
+    });
+
+    test('a queued score can be renamed before it is sent', async () => {
+        global.fetch.mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')));
+        const { clientId } = await client.submitScore('pac-gator', 'Player', 100);
+
+        expect(client.updateQueuedScoreName(clientId, 'Kiro')).toBe(true);
+
+        global.fetch.mockImplementation(() => jsonResponse(200, { success: true, id: 5 }));
+        await client.flushQueue();
+        expect(JSON.parse(global.fetch.mock.calls[1][1].body).name).toBe('Kiro');
+        expect(client.updateQueuedScoreName(clientId, 'Late')).toBe(false);
+    });
+
+    test('a queued score the server rejects is dropped', async () => {
+        global.fetch.mockImplementationOnce(() => jsonResponse(500));
+        await client.submitScore('pac-gator', 'Kiro', 100);
+
+        global.fetch.mockImplementation(() => jsonResponse(400, { success: false }));
+        await expect(client.flushQueue()).resolves.toBe(0);
+
+        expect(queue.size).toBe(0);
+        expect(onSync).not.toHaveBeenCalled();
+    });
+
+    test('a score the server keeps failing on does not hold back the ones after it', async () => {
+        global.fetch.mockImplementation(() => jsonResponse(503));
+        const stuck = await client.submitScore('pac-gator', 'Kiro', 100);
+        const next = await client.submitScore('pac-gator', 'Kiro', 200);
+        clearTimeout(client.retryTimer);
+        client.retryTimer = null;
+
+        global.fetch.mockImplementation((url, options) => (JSON.parse(options.body).score === 100 ?
+            jsonResponse(500) :
+            jsonResponse(200, { success: true, id: 9 })));
+        await expect(client.flushQueue()).resolves.toBe(1);
+
+        expect(onSync).toHaveBeenCalledWith(next.clientId, { success: true, id: 9 });
+        expect(queue.getAll()).toEqual([expect.objectContaining({ clientId: stuck.clientId, attempts: 1 })]);
+    });
+
+    test('a queued score is given up on after too many failed retries', async () => {
+        client.destroy();
+        queue = new ScoreQueue({ baseDelay: 1000, maxAttempts: 3 });
+        client = new APIClient('', { scoreQueue: queue, onSync });
+        global.fetch.mockImplementation(() => jsonResponse(503));
+        await client.submitScore('pac-gator', 'Kiro', 100);
+
+        // Retries after 1s, 2s and 4s, then no more
+        await jest.advanceTimersByTimeAsync(7000);
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+        expect(queue.size).toBe(0);
+        expect(client.retryTimer).toBeNull();
+        expect(console.error).toHaveBeenCalledWith('Gave up on queued score after repeated failures:', expect.any(APIClient.ServerError));
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    test('scores queued on an earlier visit are retried by a new client', async () => {
+        global.fetch.mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')));
+        await client.submitScore('pac-gator', 'Kiro', 100);
+        clearTimeout(client.retryTimer);
+
+        global.fetch.mockImplementation(() => jsonResponse(200, { success: true, id: 3 }));
+        const nextVisit = new APIClient('', { scoreQueue: new ScoreQueue({ baseDelay: 1000 }) });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(nextVisit.getPendingCount()).toBe(0);
+    });
+});
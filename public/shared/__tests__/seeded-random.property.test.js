@@ -0,0 +1,96 @@
+/**
+ * Property-Based Tests for SeededRandom
+ * Feature: game-enhancements, deterministic seeded runs
+ */
+
+const fc = require('fast-check');
+const SeededRandom = require('../seeded-random.js');
+
+describe('SeededRandom Property-Based Tests', () => {
+    /**
+     * Property: Same seed produces the same sequence
+     * For any seed, two generators created from it should return identical numbers
+     */
+    test('same seed produces identical sequences', () => {
+        fc.assert(
+            fc.property(
+                fc.oneof(fc.integer({ min: 0, max: 0xFFFFFFFF }), fc.string()),
+                (seed) => {
+                    const a = new SeededRandom(seed);
+                    const b = new SeededRandom(seed);
+
+                    for (let i = 0; i < 50; i++) {
+                        if (a.next() !== b.next()) return false;
+                    }
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    /**
+     * Property: Output stays within [0, 1)
+     */
+    test('next() always returns a value in [0, 1)', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 0, max: 0xFFFFFFFF }),
+                (seed) => {
+                    const rng = new SeededRandom(seed);
+                    for (let i = 0; i < 100; i++) {
+                        const value = rng.next();
+                        if (value < 0 || value >= 1) return false;
+                    }
+                    return true;
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    /**
+     * Property: reset() rewinds to the start of the sequence
+     */
+    test('reset() replays the sequence from the beginning', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 0, max: 0xFFFFFFFF }),
+                (seed) => {
+                    const rng = new SeededRandom(seed);
+                    const first = [rng.next(), rng.next(), rng.next()];
+                    rng.reset();
+                    const second = [rng.next(), rng.next(), rng.next()];
+                    return first.every((value, i) => value === second[i]);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+
+    test('numeric URL seeds match the equivalent number', () => {
+        expect(new SeededRandom('12345').getSeed()).toBe(12345);
+        expect(new SeededRandom(' 42 ').next()).toBe(new SeededRandom(42).next());
+    });
+
+    test('forked streams are deterministic and independent of the parent', () => {
+        const parent = new SeededRandom(7);
+        const pipesA = parent.fork('pipes');
+        parent.next();
+        parent.next();
+        const pipesB = new SeededRandom(7).fork('pipes');
+
+        expect(pipesA.next()).toBe(pipesB.next());
+        expect(parent.fork('pipes').getSeed()).not.toBe(parent.fork('particles').getSeed());
+    });
+
+    test('nextInt() returns integers in [min, max)', () => {
+        const rng = new SeededRandom(99);
+        for (let i = 0; i < 200; i++) {
+            const value = rng.nextInt(3, 8);
+            expect(Number.isInteger(value)).toBe(true);
+            expect(value).toBeGreaterThanOrEqual(3);
+            expect(value).toBeLessThan(8);
+        }
+    });
+});
@@ -0,0 +1,294 @@
+/**
+ * Achievement Manager
+ * Unlocks achievements from the events a game emits (ghostEaten, pipePassed, levelCleared...)
+ * and pops up a toast for each one. Achievements are defined in /achievements.json:
+ *   id          - Unique id (also what the server stores)
+ *   game        - Game type whose events count towards it
+ *   title       - Toast and panel heading
+ *   description - What to do
+ *   event       - Event that counts
+ *   min         - Optional { field: minimum } the event's data must reach (e.g. { "combo": 4 })
+ *   count       - Optional number of matching events needed, across runs (default 1)
+ * Unlocks and progress are kept in localStorage (shared by every game on the site, and merged
+ * with what other tabs saved whenever they are written) and
+ * synced to the server under the player's profile id (see player-profile.js), so the landing
+ * page can list them all.
+ */
+const ACHIEVEMENTS_URL = '/achievements.json';
+const ACHIEVEMENTS_STORAGE_KEY = 'arcadeAchievements';
+const ACHIEVEMENT_TOAST_DURATION = 4000; // ms a toast stays up
+
+class AchievementManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.gameType - Game whose achievements events count towards (null on the landing page)
+     * @param {Array<Object>} options.definitions - Achievement definitions (see setDefinitions())
+     * @param {APIClient|null} options.apiClient - Client used to sync unlocks; null keeps them local
+     * @param {string} options.playerId - Profile id unlocks are synced under (none keeps them local)
+     * @param {Function} options.onUnlock - Called with each achievement as it unlocks
+     * @param {boolean} options.toasts - Show a toast for each unlock (default true)
+     * @param {string} options.storageKey - localStorage key for unlocks and progress
+     */
+    constructor(options = {}) {
+        this.gameType = options.gameType || null;
+        this.apiClient = options.apiClient || null;
+        this.playerId = options.playerId || null;
+        this.onUnlock = options.onUnlock || null;
+        this.toasts = options.toasts !== false;
+        this.storageKey = options.storageKey || ACHIEVEMENTS_STORAGE_KEY;
+
+        this.definitions = null;
+        this.pendingEvents = []; // Emitted before the definitions arrived
+        this.syncing = null;
+        this.toastContainer = null;
+
+        const saved = this.load();
+        this.unlocked = saved.unlocked; // id -> { unlockedAt, synced }
+        this.progress = saved.progress; // id -> matching events so far
+
+        if (options.definitions) {
+            this.setDefinitions(options.definitions);
+        }
+    }
+
+    /**
+     * Fetch the achievement definitions
+     * @param {string} url - Definitions URL
+     * @returns {Promise<Array<Object>>} Definitions
+     * @throws {Error} If they can't be fetched
+     */
+    static async loadDefinitions(url = ACHIEVEMENTS_URL) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load achievements: ${response.status}`);
+        }
+        const data = await response.json();
+        return Array.isArray(data.achievements) ? data.achievements : [];
+    }
+
+    /**
+     * Set the achievement definitions and count the events emitted while waiting for them
+     * @param {Array<Object>} definitions - { id, game, title, description, event, min, count }
+     */
+    setDefinitions(definitions) {
+        this.definitions = definitions;
+        const pending = this.pendingEvents;
+        this.pendingEvents = [];
+        pending.forEach(({ event, data }) => this.emit(event, data));
+    }
+
+    /**
+     * Count an event towards this game's achievements
+     * @param {string} event - Event name, e.g. 'ghostEaten'
+     * @param {Object} data - Event details the definitions' minimums are checked against
+     * @returns {Array<Object>} Achievements it unlocked
+     */
+    emit(event, data = {}) {
+        if (!this.definitions) {
+            this.pendingEvents.push({ event, data });
+            return [];
+        }
+
+        // Count on from what other tabs have saved
+        this.merge(this.load());
+
+        const unlocked = [];
+        this.definitions.forEach(definition => {
+            if (definition.game !== this.gameType || definition.event !== event) return;
+            if (this.isUnlocked(definition.id) || !AchievementManager.meetsMinimums(definition, data)) return;
+
+            const needed = definition.count || 1;
+            if (needed > 1) {
+                this.progress[definition.id] = (this.progress[definition.id] || 0) + 1;
+                if (this.progress[definition.id] < needed) return;
+                delete this.progress[definition.id];
+            }
+
+            this.unlocked[definition.id] = { unlockedAt: Math.floor(Date.now() / 1000), synced: false };
+            unlocked.push(definition);
+        });
+        this.save();
+
+        unlocked.forEach(definition => {
+            if (this.toasts) this.showToast(definition);
+            if (this.onUnlock) this.onUnlock(definition);
+        });
+        if (unlocked.length > 0) {
+            this.sync();
+        }
+        return unlocked;
+    }
+
+    isUnlocked(id) {
+        return Object.prototype.hasOwnProperty.call(this.unlocked, id);
+    }
+
+    /**
+     * Every achievement with the player's standing (all games, or gameType's)
+     * @param {string} gameType - Only this game's achievements
+     * @returns {Array<Object>} Definitions plus { unlocked, unlockedAt, progress }
+     */
+    getAchievements(gameType = null) {
+        return (this.definitions || [])
+            .filter(definition => !gameType || definition.game === gameType)
+            .map(definition => {
+                const unlock = this.unlocked[definition.id];
+                return {
+                    ...definition,
+                    unlocked: !!unlock,
+                    unlockedAt: unlock ? unlock.unlockedAt : null,
+                    progress: unlock ? (definition.count || 1) : (this.progress[definition.id] || 0)
+                };
+            });
+    }
+
+    /**
+     * Send unlocks the server hasn't seen and pick up ones saved from elsewhere
+     * (another game's page, or an earlier visit). Failures are left for the next sync.
+     * @returns {Promise<boolean>} True if the server was reached
+     */
+    sync() {
+        if (!this.apiClient || !this.playerId) return Promise.resolve(false);
+
+        if (!this.syncing) {
+            this.syncing = this.sendUnlocks().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async sendUnlocks() {
+        const unsynced = Object.entries(this.unlocked)
+            .filter(([, unlock]) => !unlock.synced)
+            .map(([id, unlock]) => ({ id, unlocked_at: unlock.unlockedAt }));
+
+        let saved;
+        try {
+            saved = await this.apiClient.syncAchievements(this.playerId, unsynced);
+        } catch (error) {
+            console.warn('Could not sync achievements:', error);
+            return false;
+        }
+
+        // Anything unlocked while the request was out is sent next time
+        unsynced.forEach(({ id }) => {
+            this.unlocked[id].synced = true;
+        });
+        saved.forEach(entry => {
+            if (!this.isUnlocked(entry.achievement_id)) {
+                this.unlocked[entry.achievement_id] = { unlockedAt: entry.unlocked_at, synced: true };
+            }
+        });
+        this.save();
+        return true;
+    }
+
+    /**
+     * Pop up "Achievement unlocked" for a few seconds
+     * @param {Object} definition - Unlocked achievement
+     */
+    showToast(definition) {
+        if (typeof document === 'undefined') return;
+
+        if (!this.toastContainer || !this.toastContainer.isConnected) {
+            this.toastContainer = document.createElement('div');
+            this.toastContainer.className = 'achievement-toasts';
+            this.toastContainer.setAttribute('role', 'status');
+            document.body.appendChild(this.toastContainer);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+
+        const label = document.createElement('span');
+        label.className = 'achievement-toast-label';
+        label.textContent = 'Achievement unlocked';
+
+        const title = document.createElement('strong');
+        title.className = 'achievement-toast-title';
+        title.textContent = definition.title;
+
+        const description = document.createElement('p');
+        description.className = 'achievement-toast-description';
+        description.textContent = definition.description;
+
+        toast.append(label, title, description);
+        this.toastContainer.appendChild(toast);
+        setTimeout(() => toast.remove(), ACHIEVEMENT_TOAST_DURATION);
+    }
+
+    /**
+     * Save unlocks and progress, keeping what other tabs saved since this one last read them
+     */
+    save() {
+        this.merge(this.load());
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ unlocked: this.unlocked, progress: this.progress }));
+        } catch (error) {
+            console.warn('Could not save achievements:', error);
+        }
+    }
+
+    /**
+     * Fold saved unlocks and progress into this manager's: every unlock either side has
+     * (the earliest time, synced if either sent it) and the higher count of each progress
+     * @param {Object} saved - { unlocked, progress } as from load()
+     */
+    merge(saved) {
+        Object.entries(saved.unlocked).forEach(([id, unlock]) => {
+            const own = this.unlocked[id];
+            this.unlocked[id] = own ? {
+                unlockedAt: Math.min(own.unlockedAt, unlock.unlockedAt),
+                synced: own.synced || unlock.synced
+            } : unlock;
+        });
+        Object.entries(saved.progress).forEach(([id, count]) => {
+            this.progress[id] = Math.max(this.progress[id] || 0, count);
+        });
+        Object.keys(this.unlocked).forEach(id => delete this.progress[id]);
+    }
+
+    /**
+     * Read the saved unlocks and progress
+     * @returns {Object} { unlocked, progress }, empty if nothing usable is saved
+     */
+    load() {
+        const empty = { unlocked: {}, progress: {} };
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return empty;
+        }
+        if (!saved || typeof saved !== 'object') return empty;
+
+        const unlocked = {};
+        Object.entries(saved.unlocked || {}).forEach(([id, unlock]) => {
+            if (unlock && Number.isInteger(unlock.unlockedAt)) {
+                unlocked[id] = { unlockedAt: unlock.unlockedAt, synced: unlock.synced === true };
+            }
+        });
+        const progress = {};
+        Object.entries(saved.progress || {}).forEach(([id, count]) => {
+            if (Number.isInteger(count) && count > 0) progress[id] = count;
+        });
+        return { unlocked, progress };
+    }
+
+    /**
+     * Whether an event's data reaches a definition's minimums
+     * @param {Object} definition - Achievement definition
+     * @param {Object} data - Event data
+     * @returns {boolean}
+     */
+    static meetsMinimums(definition, data) {
+        return Object.entries(definition.min || {}).every(([field, minimum]) =>
+            typeof data[field] === 'number' && data[field] >= minimum);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AchievementManager, ACHIEVEMENTS_STORAGE_KEY };
+}
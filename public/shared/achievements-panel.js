@@ -0,0 +1,90 @@
+/**
+ * Achievements Panel
+ * Lists every game's achievements on the landing page: a heading per game with how
+ * many are unlocked, then each achievement (locked ones greyed out, with progress for
+ * the ones that count events across runs).
+ */
+class AchievementsPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is rendered into
+     * @param {AchievementManager} manager - Where the achievements and unlocks come from
+     * @param {Array<Object>} games - Game manifest entries (for the game titles)
+     */
+    constructor(container, manager, games = []) {
+        this.container = container;
+        this.manager = manager;
+        this.games = games;
+    }
+
+    render() {
+        const achievements = this.manager.getAchievements();
+        const unlockedCount = achievements.filter(achievement => achievement.unlocked).length;
+
+        const heading = document.createElement('h2');
+        heading.className = 'achievements-heading';
+        heading.textContent = `Achievements ${unlockedCount}/${achievements.length}`;
+
+        const groups = [];
+        achievements.forEach(achievement => {
+            let group = groups.find(entry => entry.game === achievement.game);
+            if (!group) {
+                group = { game: achievement.game, achievements: [] };
+                groups.push(group);
+            }
+            group.achievements.push(achievement);
+        });
+
+        this.container.replaceChildren(heading, ...groups.map(group => this.renderGroup(group)));
+    }
+
+    renderGroup(group) {
+        const section = document.createElement('section');
+        section.className = 'achievements-game';
+        section.dataset.game = group.game;
+
+        const unlocked = group.achievements.filter(achievement => achievement.unlocked).length;
+        const title = document.createElement('h3');
+        title.textContent = `${this.gameTitle(group.game)} ${unlocked}/${group.achievements.length}`;
+
+        const list = document.createElement('ul');
+        list.className = 'achievements-list';
+        list.append(...group.achievements.map(achievement => this.renderAchievement(achievement)));
+
+        section.append(title, list);
+        return section;
+    }
+
+    renderAchievement(achievement) {
+        const item = document.createElement('li');
+        item.className = 'achievement';
+        item.classList.toggle('unlocked', achievement.unlocked);
+        item.dataset.id = achievement.id;
+
+        const title = document.createElement('strong');
+        title.className = 'achievement-title';
+        title.textContent = achievement.title;
+
+        const description = document.createElement('span');
+        description.className = 'achievement-description';
+        description.textContent = achievement.description;
+        item.append(title, description);
+
+        if (!achievement.unlocked && achievement.count > 1) {
+            const progress = document.createElement('span');
+            progress.className = 'achievement-progress';
+            progress.textContent = `${achievement.progress}/${achievement.count}`;
+            item.appendChild(progress);
+        }
+        return item;
+    }
+
+    gameTitle(gameType) {
+        const game = this.games.find(entry => entry.id === gameType);
+        return game ? game.title : gameType;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AchievementsPanel };
+}
@@ -1,97 +1,575 @@
 /**
  * Shared API Client for multi-game system
  * Handles communication with the backend for high scores and game history
+ *
+ * The same file is used everywhere:
+ *   - Browser <script>: defines the global APIClient (load score-queue.js first to queue
+ *     scores while offline)
+ *   - CommonJS: const APIClient = require('./api-client')
+ *   - ES module: import APIClient from './api-client.mjs'
+ * Pass options.fetch to use something other than the global fetch.
+ *
+ * Failed requests reject with one of the error classes below (APIClient.NetworkError etc.),
+ * so callers can tell "no scores" from "server down".
  */
-class APIClient {
-    constructor(baseURL = '') {
-        this.baseURL = baseURL;
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require('./score-queue').ScoreQueue);
+    } else {
+        root.APIClient = factory(typeof ScoreQueue !== 'undefined' ? ScoreQueue : null);
     }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (ScoreQueue) {
+    const DEFAULT_TIMEOUT = 10000; // ms before a request is abandoned
 
     /**
-     * Get high scores for a specific game type
-     * @param {string} gameType - The game type identifier (e.g., 'pac-gator', 'flappy-gator')
-     * @returns {Promise<Array>} Array of high score objects
+     * Base class for request failures
+     * type is one of 'network', 'timeout', 'cancelled', 'validation', 'not_found', 'server' or 'http'
      */
-    async getHighScores(gameType) {
-        try {
-            // Build URL with game_type parameter if provided
-            let url = `${this.baseURL}/api/highscores`;
-            if (gameType) {
-                url += `?game_type=${encodeURIComponent(gameType)}`;
+    class APIError extends Error {
+        /**
+         * @param {string} message - What went wrong
+         * @param {number|null} status - HTTP status, if the server answered
+         */
+        constructor(message, status = null) {
+            super(message);
+            this.name = 'APIError';
+            this.type = 'http';
+            this.status = status;
+        }
+
+        /**
+         * Whether the same request could succeed later
+         * @returns {boolean}
+         */
+        get retryable() {
+            return false;
+        }
+    }
+
+    // The server couldn't be reached
+    class NetworkError extends APIError {
+        constructor(message) {
+            super(message);
+            this.name = 'NetworkError';
+            this.type = 'network';
+        }
+
+        get retryable() {
+            return true;
+        }
+    }
+
+    // No answer within the timeout
+    class TimeoutError extends NetworkError {
+        constructor(timeout) {
+            super(`Request timed out after ${timeout}ms`);
+            this.name = 'TimeoutError';
+            this.type = 'timeout';
+        }
+    }
+
+    // Aborted by the caller's signal or destroy()
+    class CancelledError extends APIError {
+        constructor() {
+            super('Request cancelled');
+            this.name = 'CancelledError';
+            this.type = 'cancelled';
+        }
+    }
+
+    // 400: the server rejected the data
+    class ValidationError extends APIError {
+        constructor(message, status = 400) {
+            super(message, status);
+            this.name = 'ValidationError';
+            this.type = 'validation';
+        }
+    }
+
+    // 404
+    class NotFoundError extends APIError {
+        constructor(message, status = 404) {
+            super(message, status);
+            this.name = 'NotFoundError';
+            this.type = 'not_found';
+        }
+    }
+
+    // 5xx, or a response that isn't valid JSON
+    class ServerError extends APIError {
+        constructor(message, status = null) {
+            super(message, status);
+            this.name = 'ServerError';
+            this.type = 'server';
+        }
+
+        get retryable() {
+            return true;
+        }
+    }
+
+    class APIClient {
+        /**
+         * @param {string} baseURL - Server origin ('' for the page's own)
+         * @param {Object} options
+         * @param {ScoreQueue|null} options.scoreQueue - Where submissions that fail (offline or 5xx)
+         *                                              wait to be retried; null turns queueing off
+         * @param {Function} options.onSync - Called with (clientId, data) when a queued score reaches the server
+         * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+         * @param {number} options.timeout - Milliseconds before a request fails with TimeoutError (0 = never)
+         */
+        constructor(baseURL = '', options = {}) {
+            this.baseURL = baseURL;
+            this.fetchImpl = options.fetch || null;
+            this.timeout = options.timeout !== undefined ? options.timeout : DEFAULT_TIMEOUT;
+            if (options.scoreQueue !== undefined) {
+                this.scoreQueue = options.scoreQueue;
+            } else {
+                this.scoreQueue = ScoreQueue ? new ScoreQueue() : null;
             }
-            
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            this.onSync = options.onSync || null;
+            this.retryTimer = null;
+            this.flushing = null;
+            this.controllers = new Set(); // One per request in flight
+            this.destroyed = false;
+
+            this.flushQueue = this.flushQueue.bind(this);
+
+            if (this.scoreQueue && typeof window !== 'undefined') {
+                // Retry as soon as the connection is back, and pick up scores queued on an earlier visit
+                window.addEventListener('online', this.flushQueue);
+                if (this.scoreQueue.size > 0) {
+                    this.scheduleRetry();
+                }
+            }
+        }
+
+        /**
+         * Make a request with the configured fetch
+         * @param {string} url - Request URL
+         * @param {Object} init - fetch options
+         * @returns {Promise<Response>} Response
+         */
+        fetch(url, init) {
+            // Looked up per request so a fetch installed after construction (e.g. a test mock) is used
+            const fetchImpl = this.fetchImpl || globalThis.fetch;
+            return fetchImpl(url, init);
+        }
+
+        /**
+         * Make an API request and parse the JSON response
+         * @param {string} path - Path below baseURL
+         * @param {Object} init - fetch options
+         * @param {Object} options
+         * @param {AbortSignal} options.signal - Cancels the request
+         * @param {number} options.timeout - Overrides the client's timeout
+         * @returns {Promise<*>} Response body
+         * @throws {APIError} NetworkError, TimeoutError, CancelledError, ValidationError,
+         *                    NotFoundError, ServerError, or APIError for other statuses
+         */
+        async request(path, init = {}, options = {}) {
+            const { body } = await this.send(path, init, options);
+            return body;
+        }
+
+        /**
+         * Make an API request, keeping the response headers (see request())
+         * @returns {Promise<Object>} { body, headers }
+         */
+        async send(path, init = {}, options = {}) {
+            if (this.destroyed) {
+                throw new CancelledError();
+            }
+
+            const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+            const controller = new AbortController();
+            let timedOut = false;
+            const timer = timeout > 0 ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout) : null;
+
+            const cancel = () => controller.abort();
+            if (options.signal) {
+                if (options.signal.aborted) controller.abort();
+                options.signal.addEventListener('abort', cancel);
             }
-            const scores = await response.json();
-            
+            this.controllers.add(controller);
+
+            // Not every fetch implementation honours signals, so the abort settles the request itself
+            const aborted = new Promise((resolve, reject) => {
+                const fail = () => reject(timedOut ? new TimeoutError(timeout) : new CancelledError());
+                if (controller.signal.aborted) fail();
+                controller.signal.addEventListener('abort', fail);
+            });
+            aborted.catch(() => {});
+
+            try {
+                let response;
+                try {
+                    response = await Promise.race([
+                        this.fetch(`${this.baseURL}${path}`, { ...init, signal: controller.signal }),
+                        aborted
+                    ]);
+                } catch (error) {
+                    if (error instanceof APIError) throw error;
+                    if (controller.signal.aborted) throw timedOut ? new TimeoutError(timeout) : new CancelledError();
+                    throw new NetworkError(error.message);
+                }
+
+                if (!response.ok) {
+                    throw await APIClient.errorFromResponse(response);
+                }
+
+                try {
+                    const body = await Promise.race([response.json(), aborted]);
+                    return { body, headers: response.headers || null };
+                } catch (error) {
+                    if (error instanceof APIError) throw error;
+                    throw new ServerError('Invalid response from server', response.status);
+                }
+            } finally {
+                clearTimeout(timer);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', cancel);
+                }
+                this.controllers.delete(controller);
+            }
+        }
+
+        /**
+         * Get high scores for a specific game type, best first
+         * @param {string} gameType - The game type identifier (e.g., 'pac-gator', 'flappy-gator')
+         * @param {Object} options
+         * @param {number} options.offset - Entries to skip (default 0)
+         * @param {number} options.limit - Page size (server default 10, at most 50)
+         * @param {string} options.window - 'all' (default), 'weekly' or 'daily'
+         * @param {AbortSignal} options.signal - Cancels the request
+         * @param {number} options.timeout - Overrides the client's timeout
+         * @returns {Promise<Array>} Array of high score objects, each with its rank
+         * @throws {APIError} If the scores couldn't be loaded
+         */
+        async getHighScores(gameType, options = {}) {
+            const { scores } = await this.getLeaderboardPage(gameType, options);
             return scores;
-        } catch (error) {
-            console.error('Error fetching high scores:', error);
-            return [];
         }
-    }
 
-    /**
-     * Submit a score for a specific game type
-     * @param {string} gameType - The game type identifier (e.g., 'pac-gator', 'flappy-gator')
-     * @param {string} playerName - The player's name
-     * @param {number} score - The score to submit
-     * @returns {Promise<Object>} Response object with success status and isNewHighScore flag
-     */
-    async submitScore(gameType, playerName, score) {
-        try {
-            const payload = { 
+        /**
+         * Get a page of high scores along with the number of entries in the window
+         * @param {string} gameType - The game type identifier
+         * @param {Object} options - Same as getHighScores()
+         * @returns {Promise<Object>} { scores, total } (total is null if the server didn't say)
+         * @throws {APIError} If the scores couldn't be loaded
+         */
+        async getLeaderboardPage(gameType, options = {}) {
+            const path = '/api/highscores' + APIClient.queryString({
                 game_type: gameType,
-                name: playerName, 
-                score: score 
+                offset: options.offset,
+                limit: options.limit,
+                window: options.window
+            });
+
+            const { body, headers } = await this.send(path, {}, options);
+            const total = headers && headers.get ? parseInt(headers.get('X-Total-Count'), 10) : NaN;
+            return { scores: body, total: Number.isNaN(total) ? null : total };
+        }
+
+        /**
+         * Get a score's position on the leaderboard
+         * @param {number} scoreId - The ID of the score
+         * @param {Object} options
+         * @param {string} options.window - 'all' (default), 'weekly' or 'daily'
+         * @param {AbortSignal} options.signal - Cancels the request
+         * @param {number} options.timeout - Overrides the client's timeout
+         * @returns {Promise<Object>} { id, game_type, score, rank, total, window }; rank is null
+         *                            if the score is outside the window
+         * @throws {APIError} e.g. NotFoundError if the score doesn't exist
+         */
+        async getScoreRank(scoreId, options = {}) {
+            const path = `/api/highscores/${scoreId}/rank` + APIClient.queryString({ window: options.window });
+            return this.request(path, {}, options);
+        }
+
+        /**
+         * Submit a score for a specific game type. If the server can't be reached, fails (5xx)
+         * or the request is cancelled, the score is queued and retried with exponential backoff
+         * until it gets through.
+         * @param {string} gameType - The game type identifier (e.g., 'pac-gator', 'flappy-gator')
+         * @param {string|Object} player - The player's name, or their profile ({ id, name, color },
+         *                                 see PlayerProfile) to show their avatar with the score
+         * @param {number} score - The score to submit
+         * @param {Object} options - { signal, timeout } (see request()), plus replay: the run's
+         *                          replay for games whose scores the server verifies (Flappy Gator)
+         * @returns {Promise<Object>} Response object with success status and isNewHighScore flag;
+         *                            queued scores return { success: false, pending: true, clientId, error }
+         * @throws {APIError} If the server rejected the score (e.g. ValidationError), or it failed
+         *                    and queueing is off
+         */
+        async submitScore(gameType, player, score, options = {}) {
+            // The server ignores a client id it has already saved, so retries never duplicate a score
+            const clientId = APIClient.generateClientId();
+            const payload = {
+                game_type: gameType,
+                ...APIClient.playerFields(player),
+                score: score,
+                client_id: clientId
             };
+            if (options.replay) {
+                payload.replay = options.replay;
+            }
+
+            try {
+                return await this.postScore(payload, options);
+            } catch (error) {
+                if (!this.scoreQueue || !APIClient.shouldQueue(error)) {
+                    throw error;
+                }
+
+                console.warn('Score queued for retry:', error);
+                this.scoreQueue.add({ clientId, payload });
+                this.scheduleRetry();
+                return { success: false, pending: true, clientId, error };
+            }
+        }
 
-            
-            const response = await fetch(`${this.baseURL}/api/highscores`, {
+        postScore(payload, options = {}) {
+            return this.request('/api/highscores', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(payload)
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            }, options);
+        }
+
+        /**
+         * Send every queued score, oldest first, and schedule another attempt for
+         * any that still can't get through. A server error only holds back its own
+         * score; anything else (offline, cancelled) stops the run, since the rest would
+         * fail the same way.
+         * @returns {Promise<number>} Number of scores saved
+         */
+        flushQueue() {
+            if (!this.scoreQueue || this.destroyed) return Promise.resolve(0);
+
+            if (!this.flushing) {
+                this.flushing = this.sendQueuedScores().finally(() => {
+                    this.flushing = null;
+                });
             }
-            
-            const data = await response.json();
-            return data;
-        } catch (error) {
-            console.error('Error submitting score:', error);
-            return { success: false, error: error.message };
+            return this.flushing;
         }
-    }
 
+        async sendQueuedScores() {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
 
+            let sent = 0;
+            for (const entry of this.scoreQueue.getAll()) {
+                let data;
+                try {
+                    data = await this.postScore(entry.payload);
+                } catch (error) {
+                    if (APIClient.shouldQueue(error)) {
+                        if (this.scoreQueue.recordFailure(entry.clientId)) {
+                            console.error('Gave up on queued score after repeated failures:', error);
+                        }
+                        if (error instanceof ServerError) continue;
+                        break;
+                    }
 
-    /**
-     * Update player name for an existing score
-     * @param {number} scoreId - The ID of the score to update
-     * @param {string} playerName - The new player name
-     * @returns {Promise<Object>} Response object with success status
-     */
-    async updateScoreName(scoreId, playerName) {
-        try {
-            const response = await fetch(`${this.baseURL}/api/highscores/${scoreId}`, {
+                    // Rejected (a 4xx won't succeed on retry either), so it leaves the queue
+                    console.error('Queued score was rejected:', error);
+                    this.scoreQueue.remove(entry.clientId);
+                    continue;
+                }
+
+                this.scoreQueue.remove(entry.clientId);
+                sent++;
+                if (this.onSync) {
+                    this.onSync(entry.clientId, data);
+                }
+            }
+
+            if (this.scoreQueue.size > 0) {
+                this.scheduleRetry();
+            }
+            return sent;
+        }
+
+        /**
+         * Retry the queue after the backoff delay (no-op if a retry is already scheduled)
+         */
+        scheduleRetry() {
+            if (this.retryTimer !== null || this.destroyed) return;
+
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                // While the browser knows it's offline, wait for the online event instead
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+                this.flushQueue();
+            }, this.scoreQueue.getRetryDelay());
+        }
+
+        /**
+         * Get the number of scores waiting to be sent
+         * @returns {number} Queued score count
+         */
+        getPendingCount() {
+            return this.scoreQueue ? this.scoreQueue.size : 0;
+        }
+
+        /**
+         * Change the name (and avatar colour, given a profile) on a score that is still queued
+         * @param {string} clientId - Client id returned by submitScore
+         * @param {string|Object} player - The new player name, or the player's profile
+         * @returns {boolean} True if the score was still queued
+         */
+        updateQueuedScoreName(clientId, player) {
+            return !!this.scoreQueue && this.scoreQueue.update(clientId, APIClient.playerFields(player));
+        }
+
+        /**
+         * Update player name (and avatar colour, given a profile) for an existing score
+         * @param {number} scoreId - The ID of the score to update
+         * @param {string|Object} player - The new player name, or the player's profile
+         * @param {Object} options - { signal, timeout } (see request())
+         * @returns {Promise<Object>} Response object with success status
+         * @throws {APIError} e.g. NotFoundError if the score doesn't exist
+         */
+        async updateScoreName(scoreId, player, options = {}) {
+            const { name, color } = APIClient.playerFields(player);
+            return this.request(`/api/highscores/${scoreId}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name: playerName })
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                body: JSON.stringify(color ? { name, color } : { name })
+            }, options);
+        }
+
+        /**
+         * Get the achievements a player has unlocked
+         * @param {string} playerId - Player id (see PlayerProfile)
+         * @param {Object} options - { signal, timeout } (see request())
+         * @returns {Promise<Array>} [{ achievement_id, game_type, unlocked_at }]
+         * @throws {APIError} If they couldn't be loaded
+         */
+        async getAchievements(playerId, options = {}) {
+            return this.request('/api/achievements' + APIClient.queryString({ player_id: playerId }), {}, options);
+        }
+
+        /**
+         * Save newly unlocked achievements (ones the server already has, or doesn't
+         * know, are ignored)
+         * @param {string} playerId - Player id
+         * @param {Array<Object>} achievements - [{ id, unlocked_at }] (unix seconds)
+         * @param {Object} options - { signal, timeout } (see request())
+         * @returns {Promise<Array>} Everything the player has unlocked, as getAchievements()
+         * @throws {APIError} e.g. ValidationError for a bad player id
+         */
+        async syncAchievements(playerId, achievements, options = {}) {
+            const data = await this.request('/api/achievements', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ player_id: playerId, achievements })
+            }, options);
+            return data.achievements || [];
+        }
+
+        /**
+         * Cancel every request in flight (they reject with CancelledError)
+         */
+        abortAll() {
+            this.controllers.forEach(controller => controller.abort());
+            this.controllers.clear();
+        }
+
+        /**
+         * Cancel requests in flight and stop retrying. Scores still queued stay saved
+         * and are sent by the next client (e.g. on the next visit).
+         */
+        destroy() {
+            this.destroyed = true;
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+            if (typeof window !== 'undefined') {
+                window.removeEventListener('online', this.flushQueue);
             }
-            
-            const data = await response.json();
-            return data;
-        } catch (error) {
-            console.error('Error updating score name:', error);
-            return { success: false, error: error.message };
+            this.abortAll();
+        }
+
+        /**
+         * Build a query string from the parameters that are set
+         * @param {Object} params - Parameter values (undefined, null and '' are skipped)
+         * @returns {string} '?a=1&b=2', or '' if nothing is set
+         */
+        static queryString(params) {
+            const pairs = Object.entries(params)
+                .filter(([, value]) => value !== undefined && value !== null && value !== '')
+                .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+            return pairs.length > 0 ? `?${pairs.join('&')}` : '';
+        }
+
+        /**
+         * Build the error for a failed response, using the server's error message when it sent one
+         * @param {Response} response - Response with a non-2xx status
+         * @returns {Promise<APIError>} Typed error
+         */
+        static async errorFromResponse(response) {
+            let message = `HTTP error! status: ${response.status}`;
+            try {
+                const body = await response.json();
+                if (body && typeof body.error === 'string') {
+                    message = body.error;
+                }
+            } catch (error) {
+                // No JSON body; keep the status message
+            }
+
+            if (response.status === 400) return new ValidationError(message, response.status);
+            if (response.status === 404) return new NotFoundError(message, response.status);
+            if (response.status >= 500) return new ServerError(message, response.status);
+            return new APIError(message, response.status);
+        }
+
+        /**
+         * Whether a failed submission should be queued. A cancelled one may or may not have
+         * reached the server, which is safe to retry because the server ignores repeated client ids.
+         * @param {Error} error - Submission error
+         * @returns {boolean} True for network, timeout, server and cancellation errors
+         */
+        static shouldQueue(error) {
+            return error instanceof CancelledError || (error instanceof APIError && error.retryable);
+        }
+
+        /**
+         * The score fields that say who scored it
+         * @param {string|Object} player - Player name, or profile { id, name, color }
+         * @returns {Object} { name }, plus player_id and color for a profile
+         */
+        static playerFields(player) {
+            if (player && typeof player === 'object') {
+                return { name: player.name, player_id: player.id, color: player.color };
+            }
+            return { name: player };
+        }
+
+        /**
+         * Generate an id for a score submission
+         * @returns {string} Random id
+         */
+        static generateClientId() {
+            if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+                return crypto.randomUUID();
+            }
+            return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
         }
     }
-}
+
+    APIClient.APIError = APIError;
+    APIClient.NetworkError = NetworkError;
+    APIClient.TimeoutError = TimeoutError;
+    APIClient.CancelledError = CancelledError;
+    APIClient.ValidationError = ValidationError;
+    APIClient.NotFoundError = NotFoundError;
+    APIClient.ServerError = ServerError;
+
+    return APIClient;
+});
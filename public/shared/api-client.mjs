@@ -0,0 +1,21 @@
+/**
+ * ES module entry for the shared API client (see api-client.js)
+ *   import APIClient, { NetworkError } from '/shared/api-client.mjs';
+ * Node loads api-client.js as CommonJS; browsers run it as a plain script,
+ * which leaves APIClient on the global object.
+ */
+import * as universal from './api-client.js';
+
+const APIClient = universal.default || globalThis.APIClient;
+
+export const {
+    APIError,
+    NetworkError,
+    TimeoutError,
+    CancelledError,
+    ValidationError,
+    NotFoundError,
+    ServerError
+} = APIClient;
+export { APIClient };
+export default APIClient;
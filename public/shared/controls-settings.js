@@ -0,0 +1,136 @@
+/**
+ * Controls Settings
+ * Renders the "Controls" section of a settings screen: one row per InputManager
+ * action with a button per key slot. Click a slot, then press the new key.
+ */
+const ACTION_LABELS = {
+    up: 'Up',
+    down: 'Down',
+    left: 'Left',
+    right: 'Right',
+    flap: 'Flap',
+    pause: 'Pause',
+    confirm: 'Confirm'
+};
+
+class ControlsSettings {
+    /**
+     * @param {HTMLElement} container - Element the controls are rendered into
+     * @param {InputManager} inputManager - Input manager whose bindings are edited
+     */
+    constructor(container, inputManager) {
+        this.container = container;
+        this.inputManager = inputManager;
+        this.capturing = null; // { action, slot } while waiting for a key
+        this.message = '';
+        this.conflict = null; // Action highlighted after a rejected key
+        this.render();
+    }
+
+    render() {
+        const bindings = this.inputManager.getKeyBindings();
+
+        const rows = this.inputManager.actions.map(action => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+            row.classList.toggle('conflict', action === this.conflict);
+
+            const label = document.createElement('span');
+            label.className = 'binding-label';
+            label.textContent = ControlsSettings.label(action);
+            row.appendChild(label);
+
+            for (let slot = 0; slot < this.inputManager.keySlots; slot++) {
+                const code = bindings[action][slot];
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'binding-key';
+                button.dataset.action = action;
+                button.dataset.slot = slot;
+
+                const isCapturing = this.capturing && this.capturing.action === action && this.capturing.slot === slot;
+                button.classList.toggle('capturing', isCapturing);
+                button.textContent = isCapturing ? '...' : (code ? InputManager.describeKey(code) : '—');
+                button.addEventListener('click', () => this.startCapture(action, slot));
+                row.appendChild(button);
+            }
+            return row;
+        });
+
+        const message = document.createElement('p');
+        message.className = 'binding-message';
+        message.textContent = this.message || 'Click a key to change it. ESC cancels, BACKSPACE clears.';
+
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.className = 'binding-reset';
+        resetButton.textContent = 'Reset Controls';
+        resetButton.addEventListener('click', () => this.reset());
+
+        this.container.replaceChildren(...rows, message, resetButton);
+    }
+
+    /**
+     * Wait for the next key press and bind it to a slot
+     * @param {string} action - Action name
+     * @param {number} slot - Slot index
+     */
+    startCapture(action, slot) {
+        this.capturing = { action, slot };
+        this.conflict = null;
+        this.message = `Press a key for ${ControlsSettings.label(action)}`;
+        this.inputManager.captureNextKey(code => this.handleCapturedKey(code));
+        this.render();
+    }
+
+    handleCapturedKey(code) {
+        const { action, slot } = this.capturing;
+        this.capturing = null;
+        this.message = '';
+
+        if (code === 'Escape') {
+            // Cancelled
+        } else if (code === 'Backspace' || code === 'Delete') {
+            if (!this.inputManager.unbindKey(action, slot)) {
+                this.message = `${ControlsSettings.label(action)} needs at least one key`;
+            }
+        } else {
+            const conflict = this.inputManager.bindKey(action, slot, code);
+            if (conflict) {
+                this.conflict = conflict;
+                this.message = `${InputManager.describeKey(code)} is already used for ${ControlsSettings.label(conflict)}`;
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Stop waiting for a key (e.g. when the settings screen closes)
+     */
+    cancel() {
+        if (!this.capturing) return;
+        this.inputManager.cancelKeyCapture();
+        this.capturing = null;
+        this.message = '';
+        this.render();
+    }
+
+    reset() {
+        this.inputManager.cancelKeyCapture();
+        this.inputManager.resetKeyBindings();
+        this.capturing = null;
+        this.conflict = null;
+        this.message = 'Controls reset to defaults';
+        this.render();
+    }
+
+    static label(action) {
+        return ACTION_LABELS[action] || action;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ControlsSettings, ACTION_LABELS };
+}
@@ -1,25 +1,138 @@
 /**
  * GameSelector - Manages game selection and navigation between games
  * Simple navigation-based approach (no iframes)
+ *
+ * Games are listed in /games.json (the game manifest). Each entry has:
+ *   id          - Game type used for routes and scores (e.g. 'pac-gator')
+ *   title       - Card heading
+ *   description - Card text
+ *   thumbnail   - Card image URL
+ *   entry       - Game page, relative to public/ (served at /<id>)
+ *   scoreType   - 'points' (higher is better) or 'time' (lower is better)
+ * Adding a game only needs a manifest entry; the server reads the same file.
  */
+const GAME_MANIFEST_URL = '/games.json';
+
+// Menu navigation through InputManager (load /shared/input-manager.js first): arrows or
+// WASD to move, Enter or Space to launch; gamepads use InputManager's d-pad, stick and A button
+const NAVIGATION_ACTIONS = ['up', 'down', 'left', 'right', 'confirm'];
+const NAVIGATION_KEY_BINDINGS = {
+  up: ['ArrowUp', 'KeyW'],
+  down: ['ArrowDown', 'KeyS'],
+  left: ['ArrowLeft', 'KeyA'],
+  right: ['ArrowRight', 'KeyD'],
+  confirm: ['Enter', 'Space']
+};
+
 class GameSelector {
-  constructor(containerElement) {
+  /**
+   * @param {HTMLElement} containerElement - Selector container with a .games-grid
+   * @param {Array<Object>} games - Manifest entries to render as cards; when omitted,
+   *                                cards already in the page are used as they are
+   */
+  constructor(containerElement, games = null) {
     this.container = containerElement;
+    this.games = games;
+    this.focusedIndex = -1; // No card focused until the first keyboard/gamepad input
+    this.input = null;
+
     this.init();
   }
 
   init() {
+    if (this.games) {
+      this.renderGameCards(this.games);
+    }
+
     // Set up click handlers for game cards
     this.setupGameCards();
+    this.setupNavigation();
+  }
+
+  /**
+   * Fetch the game manifest
+   * @param {string} url - Manifest URL
+   * @returns {Promise<Array<Object>>} Manifest entries
+   * @throws {Error} If the manifest can't be fetched or has no games
+   */
+  static async loadManifest(url = GAME_MANIFEST_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load game manifest: ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    if (!manifest || !Array.isArray(manifest.games)) {
+      throw new Error('Game manifest must have a games list');
+    }
+    return manifest.games;
+  }
+
+  /**
+   * Replace the contents of the games grid with one card per game
+   * @param {Array<Object>} games - Manifest entries
+   */
+  renderGameCards(games) {
+    const grid = this.container.querySelector('.games-grid');
+    grid.replaceChildren(...games.map(game => this.createGameCard(game)));
+  }
+
+  /**
+   * Build the card for a manifest entry
+   * @param {Object} game - Manifest entry
+   * @returns {HTMLElement} Card element
+   */
+  createGameCard(game) {
+    const card = document.createElement('div');
+    card.className = 'game-card';
+    card.dataset.game = game.id;
+
+    if (game.thumbnail) {
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'game-thumbnail';
+      thumbnail.src = game.thumbnail;
+      thumbnail.alt = '';
+      card.appendChild(thumbnail);
+    }
+
+    const title = document.createElement('h2');
+    title.textContent = game.title;
+    card.appendChild(title);
+
+    const description = document.createElement('p');
+    description.textContent = game.description;
+    card.appendChild(description);
+
+    const badge = document.createElement('span');
+    badge.className = 'badge';
+    badge.textContent = 'PLAY NOW';
+    card.appendChild(badge);
+
+    return card;
+  }
+
+  /**
+   * Show a message in place of the game cards
+   * @param {string} message - Message text
+   */
+  showError(message) {
+    const grid = this.container.querySelector('.games-grid');
+    const error = document.createElement('p');
+    error.className = 'games-error';
+    error.textContent = message;
+    grid.replaceChildren(error);
   }
 
   setupGameCards() {
     // Find all game cards that are not "coming soon"
     const gameCards = this.container.querySelectorAll('.game-card:not(.coming-soon)');
-    
-    gameCards.forEach(card => {
+
+    gameCards.forEach((card, index) => {
       const gameName = card.dataset.game;
-      
+      card.tabIndex = 0;
+      card.setAttribute('role', 'button');
+
+      card.addEventListener('focus', () => this.setFocusedIndex(index));
       card.addEventListener('click', (e) => {
         e.preventDefault();
         this.loadGame(gameName);
@@ -27,6 +140,84 @@ class GameSelector {
     });
   }
 
+  /**
+   * Listen for keyboard and gamepad input so the page works without a mouse
+   */
+  setupNavigation() {
+    this.input = new InputManager({ actions: NAVIGATION_ACTIONS, keyBindings: NAVIGATION_KEY_BINDINGS });
+    NAVIGATION_ACTIONS.forEach(action => this.input.on(action, () => this.handleAction(action)));
+  }
+
+  /**
+   * Stop listening for input
+   */
+  destroy() {
+    if (this.input) {
+      this.input.destroy();
+      this.input = null;
+    }
+  }
+
+  getCards() {
+    return Array.from(this.container.querySelectorAll('.game-card:not(.coming-soon)'));
+  }
+
+  /**
+   * Count the cards on the first row of the grid (the layout reflows with screen width)
+   * @returns {number} Number of columns
+   */
+  getColumnCount() {
+    const cards = this.getCards();
+    if (cards.length === 0) return 1;
+
+    const firstRowTop = cards[0].getBoundingClientRect().top;
+    return Math.max(1, cards.filter(card => card.getBoundingClientRect().top === firstRowTop).length);
+  }
+
+  /**
+   * Move the focus or launch the focused game
+   * @param {string} action - 'up', 'down', 'left', 'right' or 'confirm'
+   */
+  handleAction(action) {
+    const cards = this.getCards();
+    if (cards.length === 0) return;
+
+    // The first input just shows where the focus is
+    if (this.focusedIndex === -1) {
+      this.focusCard(0);
+      return;
+    }
+
+    if (action === 'confirm') {
+      this.loadGame(cards[this.focusedIndex].dataset.game);
+      return;
+    }
+
+    const columns = this.getColumnCount();
+    const offsets = { up: -columns, down: columns, left: -1, right: 1 };
+    const index = this.focusedIndex + offsets[action];
+    if (index >= 0 && index < cards.length) {
+      this.focusCard(index);
+    }
+  }
+
+  /**
+   * Focus a card and draw the focus ring around it
+   * @param {number} index - Card index
+   */
+  focusCard(index) {
+    const card = this.getCards()[index];
+    if (!card) return;
+
+    this.setFocusedIndex(index);
+    card.focus();
+  }
+
+  setFocusedIndex(index) {
+    this.focusedIndex = index;
+    this.getCards().forEach((card, i) => card.classList.toggle('focused', i === index));
+  }
+
   /**
    * Navigate to the selected game
    * @param {string} gameName - The name of the game to load (e.g., 'pac-gator', 'flappy-gator')
@@ -0,0 +1,372 @@
+/**
+ * Shared Input Manager
+ * Maps keyboard, touch, mouse and gamepad input to abstract actions
+ * (up, down, left, right, flap, pause, confirm) so games never read devices directly
+ */
+const INPUT_ACTIONS = ['up', 'down', 'left', 'right', 'flap', 'pause', 'confirm'];
+
+// Default keys for each action (KeyboardEvent.code, so layouts don't matter)
+const DEFAULT_KEY_BINDINGS = {
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    flap: ['Space'],
+    pause: ['Escape', 'KeyP'],
+    confirm: ['Enter']
+};
+
+// Standard gamepad mapping: A flaps and confirms, Start pauses, d-pad moves
+const DEFAULT_GAMEPAD_BUTTONS = {
+    0: ['flap', 'confirm'],
+    9: ['pause'],
+    12: ['up'],
+    13: ['down'],
+    14: ['left'],
+    15: ['right']
+};
+const GAMEPAD_AXIS_THRESHOLD = 0.5; // left stick deflection treated as a d-pad press
+
+const KEY_SLOTS = 2; // Keys each action can be bound to
+
+// Short names for keys shown in the controls settings
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'SPACE',
+    Escape: 'ESC',
+    Enter: 'ENTER',
+    ShiftLeft: 'L-SHIFT',
+    ShiftRight: 'R-SHIFT',
+    ControlLeft: 'L-CTRL',
+    ControlRight: 'R-CTRL'
+};
+
+class InputManager {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.actions - Actions the game uses (defaults to all)
+     * @param {Object} options.keyBindings - Keys per action (defaults to DEFAULT_KEY_BINDINGS)
+     * @param {string} options.storageKey - localStorage key for the player's own bindings;
+     *                                      saved bindings replace keyBindings when present
+     * @param {EventTarget} options.keyboardTarget - Element receiving key events (defaults to document)
+     * @param {number} options.gamepadIndex - Only read this gamepad (Gamepad.index), e.g. one per
+     *                                        player in local multiplayer; defaults to every gamepad
+     */
+    constructor(options = {}) {
+        this.actions = options.actions || INPUT_ACTIONS;
+        this.keyboardTarget = options.keyboardTarget || document;
+        this.gamepadButtons = DEFAULT_GAMEPAD_BUTTONS;
+        this.keyBindings = {};
+        this.listeners = {};
+        this.heldActions = new Set(); // Actions held on the previous gamepad poll
+        this.gamepadFrame = null;
+        this.buttonBindings = [];
+        this.keyCapture = null;
+        this.keySlots = KEY_SLOTS;
+        this.storageKey = options.storageKey || null;
+        this.gamepadIndex = options.gamepadIndex !== undefined ? options.gamepadIndex : null;
+
+        this.defaultKeyBindings = {};
+        const keyBindings = options.keyBindings || DEFAULT_KEY_BINDINGS;
+        this.actions.forEach(action => {
+            this.defaultKeyBindings[action] = (keyBindings[action] || []).slice(0, this.keySlots);
+            this.listeners[action] = [];
+        });
+        this.keyBindings = this.loadKeyBindings() || InputManager.copyBindings(this.defaultKeyBindings);
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
+        this.pollGamepads = this.pollGamepads.bind(this);
+
+        this.keyboardTarget.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+    }
+
+    /**
+     * Subscribe to an action
+     * @param {string} action - Action name
+     * @param {Function} callback - Called with { action, source, event }; source is
+     *                              'keyboard', 'touch', 'mouse' or 'gamepad'
+     * @returns {Function} Unsubscribe function
+     */
+    on(action, callback) {
+        if (!this.listeners[action]) {
+            throw new Error(`Unknown action: ${action}`);
+        }
+        this.listeners[action].push(callback);
+        return () => this.off(action, callback);
+    }
+
+    off(action, callback) {
+        if (!this.listeners[action]) return;
+        this.listeners[action] = this.listeners[action].filter(listener => listener !== callback);
+    }
+
+    /**
+     * Trigger an action
+     * @param {string} action - Action name
+     * @param {string} source - Input device
+     * @param {Event} event - Original DOM event, if any
+     */
+    emit(action, source, event = null) {
+        if (!this.listeners[action]) return;
+        this.listeners[action].forEach(callback => callback({ action, source, event }));
+    }
+
+    /**
+     * Get the actions a key triggers
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string[]} Actions bound to the key
+     */
+    getActionsForKey(code) {
+        return this.actions.filter(action => this.keyBindings[action].includes(code));
+    }
+
+    /**
+     * Get a copy of the current key bindings
+     * @returns {Object} Keys per action
+     */
+    getKeyBindings() {
+        return InputManager.copyBindings(this.keyBindings);
+    }
+
+    /**
+     * Find the action (other than the given one) a key is already bound to
+     * @param {string} code - KeyboardEvent.code
+     * @param {string} action - Action being rebound
+     * @returns {string|null} Conflicting action
+     */
+    findConflict(code, action) {
+        return this.actions.find(other => other !== action && this.keyBindings[other].includes(code)) || null;
+    }
+
+    /**
+     * Bind a key to one of an action's slots
+     * @param {string} action - Action name
+     * @param {number} slot - Slot index (0 = primary)
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string|null} The action already using the key (nothing is changed), or null on success
+     */
+    bindKey(action, slot, code) {
+        if (!this.keyBindings[action] || slot < 0 || slot >= this.keySlots) {
+            throw new Error(`Unknown binding: ${action} slot ${slot}`);
+        }
+
+        const conflict = this.findConflict(code, action);
+        if (conflict) return conflict;
+
+        // Keys already bound to this action swap slots; empty slots fill from the front
+        const keys = this.keyBindings[action];
+        const existing = keys.indexOf(code);
+        if (slot < keys.length) {
+            if (existing !== -1) keys[existing] = keys[slot];
+            keys[slot] = code;
+        } else if (existing === -1) {
+            keys.push(code);
+        }
+        this.saveKeyBindings();
+        return null;
+    }
+
+    /**
+     * Remove the key in one of an action's slots (the last key can't be removed)
+     * @param {string} action - Action name
+     * @param {number} slot - Slot index
+     * @returns {boolean} True if a key was removed
+     */
+    unbindKey(action, slot) {
+        const keys = this.keyBindings[action];
+        if (!keys || keys.length <= 1 || slot >= keys.length) return false;
+
+        keys.splice(slot, 1);
+        this.saveKeyBindings();
+        return true;
+    }
+
+    resetKeyBindings() {
+        this.keyBindings = InputManager.copyBindings(this.defaultKeyBindings);
+        this.saveKeyBindings();
+    }
+
+    /**
+     * Send the next key press to a callback instead of triggering actions (for rebinding)
+     * @param {Function} callback - Called with the KeyboardEvent.code
+     */
+    captureNextKey(callback) {
+        this.keyCapture = callback;
+    }
+
+    cancelKeyCapture() {
+        this.keyCapture = null;
+    }
+
+    saveKeyBindings() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.keyBindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    /**
+     * Read the player's saved bindings
+     * @returns {Object|null} Keys per action, or null if none are saved or they are unusable
+     */
+    loadKeyBindings() {
+        if (!this.storageKey) return null;
+
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+        if (!saved || typeof saved !== 'object') return null;
+
+        const bindings = {};
+        const used = new Set();
+        for (const action of this.actions) {
+            const keys = saved[action];
+            if (!Array.isArray(keys) || keys.length === 0 || keys.length > this.keySlots ||
+                !keys.every(key => typeof key === 'string' && !used.has(key))) {
+                return null;
+            }
+            keys.forEach(key => used.add(key));
+            bindings[action] = [...keys];
+        }
+        return bindings;
+    }
+
+    static copyBindings(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach(action => {
+            copy[action] = [...bindings[action]];
+        });
+        return copy;
+    }
+
+    /**
+     * Get a short display name for a key
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string} e.g. 'W' for KeyW, '↑' for ArrowUp
+     */
+    static describeKey(code) {
+        if (KEY_NAMES[code]) return KEY_NAMES[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+        return code.toUpperCase();
+    }
+
+    handleKeyDown(e) {
+        if (this.keyCapture && !e.repeat) {
+            const capture = this.keyCapture;
+            this.keyCapture = null;
+            e.preventDefault();
+            capture(e.code);
+            return;
+        }
+
+        // Held keys repeat; one press is one action
+        if (e.repeat || e.altKey || e.ctrlKey || e.metaKey) return;
+        // Let form fields (e.g. the name input) keep their keys
+        if (e.target && e.target.matches && e.target.matches('input, textarea, select')) return;
+
+        const actions = this.getActionsForKey(e.code);
+        if (actions.length === 0) return;
+
+        e.preventDefault();
+        actions.forEach(action => this.emit(action, 'keyboard', e));
+    }
+
+    /**
+     * Trigger an action when an element is touched or clicked (on-screen buttons, the canvas)
+     * @param {HTMLElement} element - Element to listen on
+     * @param {string} action - Action to trigger
+     */
+    bindButton(element, action) {
+        if (!element) return;
+
+        // preventDefault on touchstart stops the browser sending a click as well
+        const onTouch = (e) => {
+            e.preventDefault();
+            this.emit(action, 'touch', e);
+        };
+        const onClick = (e) => {
+            e.preventDefault();
+            this.emit(action, 'mouse', e);
+        };
+
+        element.addEventListener('touchstart', onTouch, { passive: false });
+        element.addEventListener('click', onClick);
+        this.buttonBindings.push({ element, onTouch, onClick });
+    }
+
+    handleGamepadConnected() {
+        if (this.gamepadFrame === null) {
+            this.pollGamepads();
+        }
+    }
+
+    /**
+     * Read connected gamepads once per frame and trigger newly pressed actions
+     */
+    pollGamepads() {
+        const held = new Set();
+        let connected = false;
+
+        Array.from(navigator.getGamepads()).forEach(gamepad => {
+            if (!gamepad) return;
+            connected = true;
+            if (this.gamepadIndex !== null && gamepad.index !== this.gamepadIndex) return;
+
+            Object.entries(this.gamepadButtons).forEach(([button, actions]) => {
+                if (gamepad.buttons[button] && gamepad.buttons[button].pressed) {
+                    actions.forEach(action => held.add(action));
+                }
+            });
+
+            const [stickX = 0, stickY = 0] = gamepad.axes;
+            if (stickX < -GAMEPAD_AXIS_THRESHOLD) held.add('left');
+            if (stickX > GAMEPAD_AXIS_THRESHOLD) held.add('right');
+            if (stickY < -GAMEPAD_AXIS_THRESHOLD) held.add('up');
+            if (stickY > GAMEPAD_AXIS_THRESHOLD) held.add('down');
+        });
+
+        // Only act on the press, not while the button is held
+        held.forEach(action => {
+            if (!this.heldActions.has(action)) this.emit(action, 'gamepad');
+        });
+        this.heldActions = held;
+
+        // Keep polling while a gamepad is connected; gamepadconnected restarts it
+        this.gamepadFrame = connected ? requestAnimationFrame(this.pollGamepads) : null;
+    }
+
+    /**
+     * Stop listening to every device
+     */
+    destroy() {
+        this.keyboardTarget.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+
+        this.buttonBindings.forEach(({ element, onTouch, onClick }) => {
+            element.removeEventListener('touchstart', onTouch);
+            element.removeEventListener('click', onClick);
+        });
+        this.buttonBindings = [];
+
+        if (this.gamepadFrame !== null) {
+            cancelAnimationFrame(this.gamepadFrame);
+            this.gamepadFrame = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputManager, INPUT_ACTIONS, DEFAULT_KEY_BINDINGS, KEY_SLOTS };
+}
@@ -0,0 +1,317 @@
+/**
+ * Leaderboard View
+ * Renders a paged leaderboard into a container: time window tabs (all time, this
+ * week, today), one page of entries, previous/next buttons and a button that
+ * jumps to the page holding the player's own score. Scores submitted with a player
+ * profile show its avatar colour next to the name.
+ */
+const LEADERBOARD_WINDOWS = {
+    all: 'All Time',
+    weekly: 'This Week',
+    daily: 'Today'
+};
+const LEADERBOARD_MEDALS = ['🥇', '🥈', '🥉'];
+const LEADERBOARD_AVATAR_COLOR = /^#[0-9a-f]{6}$/i;
+
+class LeaderboardView {
+    /**
+     * @param {HTMLElement} container - Element the leaderboard is rendered into
+     * @param {APIClient} apiClient - Client used to load scores
+     * @param {string} gameType - Game whose scores are shown
+     * @param {Object} options
+     * @param {number} options.pageSize - Entries per page (default 10)
+     * @param {boolean} options.showWindows - Show the time window tabs (default true)
+     * @param {boolean} options.medals - Show medals next to the top 3 ranks
+     * @param {Function} options.formatScore - Turns a stored score into the text shown
+     */
+    constructor(container, apiClient, gameType, options = {}) {
+        this.container = container;
+        this.apiClient = apiClient;
+        this.gameType = gameType;
+        this.pageSize = options.pageSize || 10;
+        this.showWindows = options.showWindows !== false;
+        this.medals = !!options.medals;
+        this.formatScore = options.formatScore || (score => score);
+
+        this.window = 'all';
+        this.offset = 0;
+        this.scores = [];
+        this.total = null;
+        this.status = 'loading'; // 'loading', 'loaded' or 'error'
+        this.message = '';
+        this.playerScoreId = null; // The player's own score, highlighted and reachable via "My Score"
+        this.requestController = null;
+    }
+
+    /**
+     * Set the score the "My Score" button jumps to
+     * @param {number|null} scoreId - Score ID, or null if the player has no saved score
+     */
+    setPlayerScore(scoreId) {
+        this.playerScoreId = scoreId || null;
+    }
+
+    /**
+     * Load and show a page
+     * @param {Object} options
+     * @param {boolean} options.jumpToPlayer - Open on the page with the player's score (if any)
+     * @returns {Promise<void>}
+     */
+    async show(options = {}) {
+        if (options.jumpToPlayer && this.playerScoreId) {
+            return this.jumpToPlayer();
+        }
+        return this.load(0);
+    }
+
+    /**
+     * Load the page starting at an offset
+     * @param {number} offset - Entries to skip
+     * @returns {Promise<void>}
+     */
+    async load(offset) {
+        const signal = this.startRequest();
+        this.offset = Math.max(0, offset);
+        this.status = 'loading';
+        this.message = '';
+        this.render();
+
+        try {
+            const page = await this.apiClient.getLeaderboardPage(this.gameType, {
+                offset: this.offset,
+                limit: this.pageSize,
+                window: this.window,
+                signal
+            });
+            this.scores = page.scores;
+            this.total = page.total;
+            this.status = 'loaded';
+        } catch (error) {
+            if (signal.aborted) return; // Replaced by a newer request
+            console.error('Error loading leaderboard:', error);
+            this.status = 'error';
+        }
+        this.render();
+    }
+
+    /**
+     * Show the page holding the player's score
+     * @returns {Promise<void>}
+     */
+    async jumpToPlayer() {
+        if (!this.playerScoreId) return;
+
+        const signal = this.startRequest();
+        let result;
+        try {
+            result = await this.apiClient.getScoreRank(this.playerScoreId, { window: this.window, signal });
+        } catch (error) {
+            if (signal.aborted) return;
+            console.error('Error finding score rank:', error);
+            this.status = 'error';
+            this.message = '';
+            this.render();
+            return;
+        }
+
+        if (result.rank === null) {
+            await this.load(0);
+            this.message = `Your score isn't on the ${LeaderboardView.windowLabel(this.window)} board`;
+            this.render();
+            return;
+        }
+        await this.load(Math.floor((result.rank - 1) / this.pageSize) * this.pageSize);
+    }
+
+    /**
+     * Switch time window and go back to the first page
+     * @param {string} windowName - 'all', 'weekly' or 'daily'
+     * @returns {Promise<void>}
+     */
+    setWindow(windowName) {
+        if (!LEADERBOARD_WINDOWS[windowName]) {
+            throw new Error(`Unknown leaderboard window: ${windowName}`);
+        }
+        this.window = windowName;
+        return this.load(0);
+    }
+
+    previousPage() {
+        if (!this.hasPreviousPage()) return Promise.resolve();
+        return this.load(this.offset - this.pageSize);
+    }
+
+    nextPage() {
+        if (!this.hasNextPage()) return Promise.resolve();
+        return this.load(this.offset + this.pageSize);
+    }
+
+    hasPreviousPage() {
+        return this.status === 'loaded' && this.offset > 0;
+    }
+
+    hasNextPage() {
+        if (this.status !== 'loaded') return false;
+        // Without a total, a full page means there may be more
+        return this.total === null ? this.scores.length === this.pageSize : this.offset + this.pageSize < this.total;
+    }
+
+    /**
+     * Cancel the request in flight (if any) and start tracking a new one
+     * @returns {AbortSignal} Signal for the new request
+     */
+    startRequest() {
+        if (this.requestController) {
+            this.requestController.abort();
+        }
+        this.requestController = new AbortController();
+        return this.requestController.signal;
+    }
+
+    /**
+     * Cancel any request in flight
+     */
+    destroy() {
+        if (this.requestController) {
+            this.requestController.abort();
+            this.requestController = null;
+        }
+    }
+
+    render() {
+        const children = [];
+
+        if (this.showWindows) {
+            const tabs = document.createElement('div');
+            tabs.className = 'leaderboard-windows';
+            Object.entries(LEADERBOARD_WINDOWS).forEach(([windowName, label]) => {
+                const tab = document.createElement('button');
+                tab.type = 'button';
+                tab.className = 'leaderboard-window';
+                tab.dataset.window = windowName;
+                tab.classList.toggle('active', windowName === this.window);
+                tab.textContent = label;
+                tab.addEventListener('click', () => this.setWindow(windowName));
+                tabs.appendChild(tab);
+            });
+            children.push(tabs);
+        }
+
+        const list = document.createElement('div');
+        list.className = 'leaderboard-list';
+        list.append(...this.renderEntries());
+        children.push(list);
+
+        if (this.message) {
+            const message = document.createElement('p');
+            message.className = 'leaderboard-message';
+            message.textContent = this.message;
+            children.push(message);
+        }
+
+        children.push(this.renderPager());
+        this.container.replaceChildren(...children);
+    }
+
+    renderEntries() {
+        const notice = (text, className) => {
+            const p = document.createElement('p');
+            p.className = className;
+            p.textContent = text;
+            return [p];
+        };
+
+        if (this.status === 'loading') {
+            return notice('Loading...', 'no-history');
+        }
+        if (this.status === 'error') {
+            return notice("Couldn't load scores. Try again later.", 'no-history leaderboard-error');
+        }
+        if (this.scores.length === 0) {
+            return notice(this.offset === 0 ? 'No scores yet. Be the first!' : 'No more scores', 'no-history');
+        }
+
+        return this.scores.map((entry, index) => {
+            const rank = entry.rank || this.offset + index + 1;
+            const isPlayer = this.playerScoreId !== null && entry.id === this.playerScoreId;
+
+            const row = document.createElement('div');
+            row.className = 'leaderboard-entry';
+            row.classList.toggle('top-3', rank <= 3 && !isPlayer);
+            row.classList.toggle('current-score', isPlayer);
+
+            const rankEl = document.createElement('span');
+            rankEl.className = 'leaderboard-rank';
+            const medal = this.medals && rank <= 3 ? `${LEADERBOARD_MEDALS[rank - 1]} ` : '';
+            rankEl.textContent = `${medal}#${rank}`;
+
+            const name = document.createElement('span');
+            name.className = 'leaderboard-name';
+            name.textContent = isPlayer ? `${entry.name} (You)` : entry.name;
+
+            const score = document.createElement('span');
+            score.className = 'leaderboard-score';
+            score.textContent = this.formatScore(entry.score);
+
+            row.append(rankEl, this.renderAvatar(entry), name, score);
+            return row;
+        });
+    }
+
+    /**
+     * The entry's avatar: the first letter of the name on the profile's colour
+     * (scores saved without a profile get the default colour)
+     * @param {Object} entry - Leaderboard entry
+     * @returns {HTMLElement}
+     */
+    renderAvatar(entry) {
+        const avatar = document.createElement('span');
+        avatar.className = 'leaderboard-avatar';
+        avatar.setAttribute('aria-hidden', 'true');
+        avatar.textContent = Array.from(String(entry.name || '?'))[0].toUpperCase();
+        if (LEADERBOARD_AVATAR_COLOR.test(entry.color || '')) {
+            avatar.style.backgroundColor = entry.color;
+        }
+        return avatar;
+    }
+
+    renderPager() {
+        const pager = document.createElement('div');
+        pager.className = 'leaderboard-pager';
+
+        const button = (className, text, enabled, onClick) => {
+            const el = document.createElement('button');
+            el.type = 'button';
+            el.className = className;
+            el.textContent = text;
+            el.disabled = !enabled;
+            el.addEventListener('click', onClick);
+            return el;
+        };
+
+        const position = document.createElement('span');
+        position.className = 'leaderboard-position';
+        if (this.status === 'loaded' && this.scores.length > 0) {
+            const last = this.offset + this.scores.length;
+            position.textContent = this.total === null ?
+                `${this.offset + 1}-${last}` : `${this.offset + 1}-${last} of ${this.total}`;
+        }
+
+        pager.append(
+            button('leaderboard-prev', '◀', this.hasPreviousPage(), () => this.previousPage()),
+            position,
+            button('leaderboard-next', '▶', this.hasNextPage(), () => this.nextPage()),
+            button('leaderboard-me', 'My Score', !!this.playerScoreId, () => this.jumpToPlayer())
+        );
+        return pager;
+    }
+
+    static windowLabel(windowName) {
+        return LEADERBOARD_WINDOWS[windowName] || windowName;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LeaderboardView, LEADERBOARD_WINDOWS };
+}
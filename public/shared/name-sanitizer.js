@@ -0,0 +1,130 @@
+/**
+ * Name Sanitizer
+ * Cleans player names before they go on a leaderboard, with the rules in /name-rules.json
+ * (app.rb applies the same rules to every name it saves):
+ *   maxLength         - Longest name kept
+ *   allowedCharacters - Regex character class body; anything else is removed
+ *   defaultName       - Used for names that end up empty or blocked
+ *   substitutions     - Look-alike characters read as letters when checking the blocklist
+ *   blocklist         - Words no name may contain, found anywhere inside each word of the
+ *                       name (after lowercasing and substitutions, with letters spelled
+ *                       out one at a time rejoined), so "F.u.c.k", "fuck1" and "shithead"
+ *                       match but "Mass Hit" doesn't
+ *   allowlist         - Ordinary words that contain a blocklisted one ("Scunthorpe");
+ *                       they are skipped over when checking
+ * Until the file has loaded the built-in rules below apply, without a blocklist.
+ */
+const NAME_RULES_URL = '/name-rules.json';
+const DEFAULT_NAME_RULES = {
+    maxLength: 15,
+    allowedCharacters: "A-Za-z0-9 _.!'-",
+    defaultName: 'Player',
+    substitutions: {},
+    blocklist: [],
+    allowlist: []
+};
+
+class NameSanitizer {
+    /**
+     * @param {Object} rules - Rules as in /name-rules.json (missing ones use the defaults)
+     */
+    constructor(rules = {}) {
+        this.setRules(rules);
+    }
+
+    /**
+     * Fetch the name rules
+     * @param {string} url - Rules URL
+     * @returns {Promise<Object>} Rules
+     * @throws {Error} If they can't be fetched
+     */
+    static async loadRules(url = NAME_RULES_URL) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load name rules: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    setRules(rules) {
+        this.rules = { ...DEFAULT_NAME_RULES, ...rules };
+        this.disallowed = new RegExp(`[^${this.rules.allowedCharacters}]`, 'g');
+        this.blocklist = this.rules.blocklist.flatMap(word => this.blocklistWords(word));
+        this.allowlist = this.rules.allowlist.flatMap(word => this.blocklistWords(word));
+    }
+
+    /**
+     * Clean a typed name and say whether it can be used
+     * @param {*} name - Typed name
+     * @returns {Object} { name, error }: the cleaned name, and error 'empty' or 'blocked'
+     *                   (null if the name is fine)
+     */
+    check(name) {
+        const cleaned = this.clean(name);
+        if (!cleaned) return { name: cleaned, error: 'empty' };
+        if (this.isBlocked(cleaned)) return { name: cleaned, error: 'blocked' };
+        return { name: cleaned, error: null };
+    }
+
+    /**
+     * The name to save: cleaned, or the default name if nothing usable is left
+     * @param {*} name - Typed name
+     * @param {string} fallback - Used instead of the default name
+     * @returns {string}
+     */
+    sanitize(name, fallback = this.rules.defaultName) {
+        const result = this.check(name);
+        return result.error ? fallback : result.name;
+    }
+
+    /**
+     * Drop accents, remove disallowed characters, collapse spaces and cut to the length limit
+     * @param {*} name - Typed name (anything but a string counts as empty)
+     * @returns {string}
+     */
+    clean(name) {
+        if (typeof name !== 'string') return '';
+        return name.normalize('NFKD')
+            .replace(/\p{Mn}/gu, '')
+            .replace(this.disallowed, '')
+            .replace(/ +/g, ' ')
+            .trim()
+            .slice(0, this.rules.maxLength)
+            .trim();
+    }
+
+    isBlocked(name) {
+        return this.blocklistWords(name).some(word => {
+            const unexcused = this.allowlist.reduce((rest, allowed) => rest.split(allowed).join(' '), word);
+            return this.blocklist.some(blocked => unexcused.includes(blocked));
+        });
+    }
+
+    // The words of a name as the blocklist sees them: lowercase, look-alikes substituted,
+    // split on anything but letters, with runs of single letters ("f.u.c.k") joined up
+    blocklistWords(text) {
+        const parts = Array.from(String(text).toLowerCase(), char => this.rules.substitutions[char] || char)
+            .join('')
+            .split(/[^a-z]+/)
+            .filter(Boolean);
+
+        const words = [];
+        let spelled = '';
+        parts.forEach(part => {
+            if (part.length === 1) {
+                spelled += part;
+                return;
+            }
+            if (spelled) words.push(spelled);
+            spelled = '';
+            words.push(part);
+        });
+        if (spelled) words.push(spelled);
+        return words;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NameSanitizer, DEFAULT_NAME_RULES };
+}
@@ -0,0 +1,162 @@
+/**
+ * Player Profile
+ * Who is playing in this browser: a generated id, a display name and an avatar colour,
+ * remembered in localStorage and shared by every game on the site. Scores are submitted
+ * with the profile (see APIClient.submitScore()) so the leaderboards show the same name
+ * and avatar in both games, and achievements are synced under its id.
+ */
+const PROFILE_STORAGE_KEY = 'arcadePlayerProfile';
+const PLAYER_ID_STORAGE_KEY = 'arcadePlayerId'; // Kept apart so ids created before profiles carry over
+const DEFAULT_PLAYER_NAME = 'Player';
+const MAX_PLAYER_NAME_LENGTH = 15; // Same as the name inputs' maxlength
+const AVATAR_COLORS = ['#5cb54d', '#ffcc00', '#ff6b6b', '#4dabf7', '#b197fc', '#ff922b', '#20c997', '#f06595'];
+
+class PlayerProfile {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Player id
+     * @param {string} options.name - Display name (defaults to 'Player')
+     * @param {string} options.color - Avatar colour, one of AVATAR_COLORS (defaults to a random one)
+     * @param {Function} options.random - Returns a number in [0, 1) for the default colour
+     * @param {NameSanitizer} options.sanitizer - Cleans the name (default: trim and cut to length)
+     */
+    constructor(options = {}) {
+        this.sanitizer = options.sanitizer || null;
+        this.id = options.id || PlayerProfile.generateId();
+        this.name = this.normalizeName(options.name);
+        this.color = PlayerProfile.isAvatarColor(options.color) ?
+            options.color :
+            AVATAR_COLORS[Math.floor((options.random || Math.random)() * AVATAR_COLORS.length)];
+    }
+
+    /**
+     * This browser's profile, created (and saved) on first use
+     * @param {Object} options
+     * @param {NameSanitizer} options.sanitizer - Cleans the name (see the constructor)
+     * @returns {PlayerProfile}
+     */
+    static load(options = {}) {
+        let id = null;
+        let saved = null;
+        try {
+            id = localStorage.getItem(PLAYER_ID_STORAGE_KEY);
+            saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+        } catch (error) {
+            // Storage unavailable or unreadable: start a new profile for this page
+        }
+        if (!saved || typeof saved !== 'object') saved = {};
+
+        const profile = new PlayerProfile({ id, name: saved.name, color: saved.color, sanitizer: options.sanitizer });
+        if (profile.id !== id || profile.name !== saved.name || profile.color !== saved.color) {
+            profile.save();
+        }
+        return profile;
+    }
+
+    /**
+     * Change the display name (blank falls back to 'Player'; check names with a
+     * NameSanitizer first to tell the player why one can't be used)
+     * @param {string} name - New name
+     * @returns {string} The name as saved
+     */
+    setName(name) {
+        this.name = this.normalizeName(name);
+        this.save();
+        return this.name;
+    }
+
+    /**
+     * Change the avatar colour
+     * @param {string} color - One of AVATAR_COLORS
+     * @returns {boolean} False if it isn't an avatar colour
+     */
+    setColor(color) {
+        if (!PlayerProfile.isAvatarColor(color)) return false;
+        this.color = color;
+        this.save();
+        return true;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(PLAYER_ID_STORAGE_KEY, this.id);
+            localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ name: this.name, color: this.color }));
+        } catch (error) {
+            console.warn('Could not save player profile:', error);
+        }
+    }
+
+    /**
+     * What is sent with a score
+     * @returns {Object} { id, name, color }
+     */
+    toJSON() {
+        return { id: this.id, name: this.name, color: this.color };
+    }
+
+    /**
+     * Clean a name the way the leaderboards show it
+     * @param {*} name - Typed name
+     * @returns {string} The sanitizer's name, else the trimmed name cut to
+     *                   MAX_PLAYER_NAME_LENGTH characters; 'Player' if nothing is left
+     */
+    normalizeName(name) {
+        if (this.sanitizer) return this.sanitizer.sanitize(name);
+
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_PLAYER_NAME_LENGTH).trim() : '';
+        return trimmed || DEFAULT_PLAYER_NAME;
+    }
+
+    static isAvatarColor(color) {
+        return AVATAR_COLORS.includes(color);
+    }
+
+    static generateId() {
+        return typeof crypto !== 'undefined' && crypto.randomUUID ?
+            crypto.randomUUID() :
+            `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+}
+
+/**
+ * Avatar Colour Picker
+ * A row of colour swatches that sets a profile's avatar colour.
+ */
+class AvatarColorPicker {
+    /**
+     * @param {HTMLElement} container - Element the swatches are rendered into
+     * @param {PlayerProfile} profile - Profile whose colour is picked
+     * @param {Function} onChange - Called with the new colour
+     */
+    constructor(container, profile, onChange = null) {
+        this.container = container;
+        this.profile = profile;
+        this.onChange = onChange;
+    }
+
+    render() {
+        const swatches = AVATAR_COLORS.map(color => {
+            const swatch = document.createElement('button');
+            swatch.type = 'button';
+            swatch.className = 'avatar-swatch';
+            swatch.dataset.color = color;
+            swatch.style.backgroundColor = color;
+            swatch.setAttribute('aria-label', `Avatar colour ${color}`);
+            swatch.setAttribute('aria-pressed', String(color === this.profile.color));
+            swatch.addEventListener('click', () => this.select(color));
+            return swatch;
+        });
+        this.container.replaceChildren(...swatches);
+    }
+
+    select(color) {
+        if (color === this.profile.color || !this.profile.setColor(color)) return;
+        this.render();
+        if (this.onChange) this.onChange(color);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlayerProfile, AvatarColorPicker, AVATAR_COLORS, PROFILE_STORAGE_KEY, PLAYER_ID_STORAGE_KEY };
+}
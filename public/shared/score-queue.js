@@ -0,0 +1,137 @@
+/**
+ * Score Queue
+ * Keeps score submissions that couldn't reach the server (offline or a 5xx) in
+ * localStorage so they survive a reload, and works out when to retry them.
+ * Each entry carries the client-generated id the server de-duplicates on, and is
+ * given up on after maxAttempts failed retries.
+ */
+const SCORE_QUEUE_STORAGE_KEY = 'arcadeScoreQueue';
+const SCORE_QUEUE_BASE_DELAY = 2000;      // ms before the first retry
+const SCORE_QUEUE_MAX_DELAY = 5 * 60000;  // retries never wait longer than this
+const SCORE_QUEUE_MAX_ATTEMPTS = 10;      // failed retries before a score is dropped
+
+class ScoreQueue {
+    /**
+     * @param {Object} options
+     * @param {string} options.storageKey - localStorage key for the queue
+     * @param {number} options.baseDelay - Delay before the first retry (ms); doubles per failed attempt
+     * @param {number} options.maxDelay - Longest delay between retries (ms)
+     * @param {number} options.maxAttempts - Failed retries before a submission is dropped
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || SCORE_QUEUE_STORAGE_KEY;
+        this.baseDelay = options.baseDelay || SCORE_QUEUE_BASE_DELAY;
+        this.maxDelay = options.maxDelay || SCORE_QUEUE_MAX_DELAY;
+        this.maxAttempts = options.maxAttempts || SCORE_QUEUE_MAX_ATTEMPTS;
+        this.entries = this.load();
+    }
+
+    /**
+     * Queue a submission (ignored if one with the same client id is already queued)
+     * @param {Object} entry - { clientId, payload }
+     */
+    add(entry) {
+        if (this.has(entry.clientId)) return;
+        this.entries.push({ clientId: entry.clientId, payload: entry.payload, attempts: 0 });
+        this.save();
+    }
+
+    has(clientId) {
+        return this.entries.some(entry => entry.clientId === clientId);
+    }
+
+    remove(clientId) {
+        this.entries = this.entries.filter(entry => entry.clientId !== clientId);
+        this.save();
+    }
+
+    /**
+     * Change part of a queued submission's payload (e.g. the name typed after game over)
+     * @param {string} clientId - Client id of the submission
+     * @param {Object} changes - Payload fields to replace
+     * @returns {boolean} True if the submission was still queued
+     */
+    update(clientId, changes) {
+        const entry = this.entries.find(queued => queued.clientId === clientId);
+        if (!entry) return false;
+
+        entry.payload = { ...entry.payload, ...changes };
+        this.save();
+        return true;
+    }
+
+    /**
+     * Count a failed retry, dropping the submission once it has failed maxAttempts times
+     * @param {string} clientId - Client id of the submission
+     * @returns {boolean} True if the submission was dropped
+     */
+    recordFailure(clientId) {
+        const entry = this.entries.find(queued => queued.clientId === clientId);
+        if (!entry) return false;
+
+        entry.attempts++;
+        if (entry.attempts >= this.maxAttempts) {
+            this.remove(clientId);
+            return true;
+        }
+        this.save();
+        return false;
+    }
+
+    /**
+     * Get copies of the queued submissions, oldest first
+     * @returns {Array<Object>} Queued entries
+     */
+    getAll() {
+        return this.entries.map(entry => ({ ...entry, payload: { ...entry.payload } }));
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Work out how long to wait before the next retry: baseDelay doubled for
+     * every failed attempt of the most-retried entry, capped at maxDelay
+     * @returns {number} Delay in ms
+     */
+    getRetryDelay() {
+        const attempts = this.entries.reduce((most, entry) => Math.max(most, entry.attempts), 0);
+        return Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempts));
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save score queue:', error);
+        }
+    }
+
+    /**
+     * Read the saved queue
+     * @returns {Array<Object>} Entries, or an empty queue if none are saved or they are unusable
+     */
+    load() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(saved)) return [];
+
+        return saved.filter(entry => entry && typeof entry.clientId === 'string' &&
+            entry.payload && typeof entry.payload === 'object')
+            .map(entry => ({
+                clientId: entry.clientId,
+                payload: entry.payload,
+                attempts: Number.isInteger(entry.attempts) ? entry.attempts : 0
+            }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoreQueue, SCORE_QUEUE_STORAGE_KEY, SCORE_QUEUE_MAX_ATTEMPTS };
+}
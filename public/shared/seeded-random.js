@@ -0,0 +1,106 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic PRNG (mulberry32) so game runs can be reproduced from a seed
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Numeric seed or any string (hashed to 32 bits).
+     *                               A random seed is generated when omitted.
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the next random number
+     * @returns {number} Float in the range [0, 1), same contract as Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer in the range [min, max)
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Random integer
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min));
+    }
+
+    /**
+     * Create an independent generator derived from this seed
+     * Lets separate systems (pipes, particles) draw numbers without affecting each other
+     * @param {string} streamName - Name of the derived stream
+     * @returns {SeededRandom} New generator
+     */
+    fork(streamName) {
+        return new SeededRandom(SeededRandom.hashString(`${this.seed}:${streamName}`));
+    }
+
+    /**
+     * Rewind the generator to its initial seed
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed this generator was created with
+     * @returns {number} 32-bit unsigned seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Convert a numeric or string seed to a 32-bit unsigned integer
+     * Numeric strings (e.g. from a URL) map to the same seed as the number itself
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) {
+            seed = Number(seed.trim());
+        }
+
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        return SeededRandom.hashString(String(seed));
+    }
+
+    /**
+     * Hash a string to a 32-bit unsigned integer (FNV-1a)
+     * @param {string} str - String to hash
+     * @returns {number} 32-bit unsigned hash
+     */
+    static hashString(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generate a fresh seed for runs that were not given one
+     * @returns {number} 32-bit unsigned seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Analyze Flappy Gator's difficulty curve
+ * Plays N seeded runs headlessly with a perfect FlappyGatorBot and a noisy, human-like one
+ * and reports how many runs survive to each pipe next to the gap size and pipe speed there.
+ * Difficulty follows pipes passed. Whenever the perfect bot crashes, the pipes it crashed at
+ * are checked for a way through: every height and velocity the gator could have had in the
+ * previous gap is played forward through both inputs. If none gets through, the config can
+ * produce an impossible gap sequence; it is reported and the script exits with status 1.
+ *
+ * Usage: node scripts/analyze-flappy-difficulty.js [--runs=1000] [--seed=1] [--max-pipes=100]
+ *                                                  [--step=5] [--aim-error=35] [--reaction-ticks=3]
+ *                                                  [--config=overrides.json] [--json]
+ */
+const fs = require('fs');
+const FLAPPY_CONFIG = require('../public/flappy-gator/config.js');
+const FlappyGatorSimulation = require('../public/flappy-gator/flappy-gator-simulation.js');
+const FlappyGatorBot = require('../public/flappy-gator/flappy-gator-bot.js');
+const SeededRandom = require('../public/shared/seeded-random.js');
+
+const BAND_LOG_TICKS = 600;     // Ticks of gap history kept to check a crash against
+const START_VELOCITY_STEP = 0.05;   // Between the velocities tried in the previous gap
+const STATE_VELOCITY_STEP = 0.01;   // Gator velocities closer than this are treated as one
+
+/**
+ * Gap size and pipe speed after a number of pipes (PipeGenerator.updateDifficulty)
+ * @param {Object} config - Game configuration
+ * @param {number} pipes - Pipes passed
+ * @returns {Object} { gapHeight, scrollSpeed }
+ */
+function difficultyAt(config, pipes) {
+    return {
+        gapHeight: Math.max(config.MIN_PIPE_GAP, config.INITIAL_PIPE_GAP - pipes * config.GAP_REDUCTION_RATE),
+        scrollSpeed: Math.min(config.MAX_PIPE_SPEED, config.INITIAL_PIPE_SPEED + pipes * config.SPEED_INCREASE_RATE)
+    };
+}
+
+/**
+ * Heights the gator's centre can be at without hitting anything, for pipes at given positions
+ * @param {FlappyGatorSimulation} sim - Simulation (for the gator and the boundaries)
+ * @param {Array<Object>} pipes - Pipes with x, width, gapY and gapHeight
+ * @returns {Object} { low, high, pipe } (pipe is the pipe the gator is inside, if any)
+ */
+function getBand(sim, pipes) {
+    const detector = sim.collisionDetector;
+    const radius = detector.getGatorHitbox(0, 0).radius;
+    const x = sim.gator.x;
+
+    const band = { low: detector.ceilingBoundary + radius, high: detector.groundBoundary - radius, pipe: null };
+    pipes.forEach(pipe => {
+        if (x + radius > pipe.x && x - radius < pipe.x + pipe.width) {
+            band.low = Math.max(band.low, pipe.gapY - pipe.gapHeight / 2 + radius);
+            band.high = Math.min(band.high, pipe.gapY + pipe.gapHeight / 2 - radius);
+            band.pipe = pipe;
+        }
+    });
+    return band;
+}
+
+/**
+ * Whether any input could have got the gator through the pipe it crashed at
+ * @param {FlappyGatorSimulation} sim - Simulation that just ended in a crash
+ * @param {Array<Object>} bands - getBand() for each tick of the run so far, oldest first
+ *                                (with the tick's frame), ending at the crash
+ * @returns {Object} { possible, pipe, previousPipe } (the pipes are null when there were none)
+ */
+function checkGapSequence(sim, bands) {
+    const radius = sim.collisionDetector.getGatorHitbox(0, 0).radius;
+    const x = sim.gator.x;
+    const pipe = sim.pipes.find(p => p.x + p.width > x - radius);
+    if (!pipe) return { possible: true, pipe: null, previousPipe: null };
+
+    // The pipes on screen keep moving at the current speed until the crash pipe is behind the gator
+    const speed = sim.pipeGenerator.currentScrollSpeed;
+    const ahead = bands.slice();
+    for (let tick = 1; pipe.x - speed * tick + pipe.width > x - radius; tick++) {
+        ahead.push(getBand(sim, sim.pipes.map(p => ({ ...p, x: p.x - speed * tick }))));
+    }
+
+    // Start from every state the gator could have had at its last tick in the previous gap
+    // (or from the start of the run if this was the first pipe)
+    let start = -1;
+    for (let i = bands.length - 1; i >= 0; i--) {
+        if (bands[i].pipe && bands[i].pipe !== pipe) {
+            start = i;
+            break;
+        }
+    }
+
+    // Velocity doesn't depend on height, so the heights the gator can be at with one
+    // velocity form a range: track { low, high, velocity } ranges instead of single states
+    const physics = sim.physicsEngine;
+    let states = [];
+    if (start === -1 && bands[0].frame === 1) {
+        states.push({ low: sim.height / 2, high: sim.height / 2, velocity: 0 });
+    } else {
+        start = Math.max(start, 0);
+        for (let v = physics.TERMINAL_VELOCITY_UP; v <= physics.TERMINAL_VELOCITY_DOWN; v += START_VELOCITY_STEP) {
+            states.push({ low: ahead[start].low, high: ahead[start].high, velocity: v });
+        }
+    }
+
+    for (let i = start + 1; i < ahead.length && states.length > 0; i++) {
+        const band = ahead[i];
+        const next = new Map();
+        states.forEach(state => {
+            [false, true].forEach(flap => {
+                const low = FlappyGatorBot.stepGator({ y: state.low, velocity: state.velocity }, flap, physics);
+                const high = FlappyGatorBot.stepGator({ y: state.high, velocity: state.velocity }, flap, physics);
+                const moved = { low: Math.max(low.y, band.low), high: Math.min(high.y, band.high), velocity: low.velocity };
+                if (moved.low > moved.high) return;
+
+                const key = Math.round(moved.velocity / STATE_VELOCITY_STEP);
+                const merged = next.get(key);
+                if (merged) {
+                    merged.low = Math.min(merged.low, moved.low);
+                    merged.high = Math.max(merged.high, moved.high);
+                } else {
+                    next.set(key, moved);
+                }
+            });
+        });
+        states = Array.from(next.values());
+    }
+
+    return {
+        possible: states.length > 0,
+        pipe,
+        previousPipe: start >= 0 && ahead[start].pipe ? ahead[start].pipe : null
+    };
+}
+
+/**
+ * Play one seeded run with a bot
+ * @param {Object} options
+ * @param {number} options.seed - Run seed
+ * @param {Object} options.config - Game configuration
+ * @param {number} options.maxPipes - Stop after this many pipes
+ * @param {Object} options.bot - FlappyGatorBot options (without the random source)
+ * @param {boolean} options.checkCrash - Check a crash for an impossible gap sequence
+ * @returns {Object} { seed, pipes, score, collision, impossible }
+ */
+function playRun(options) {
+    const sim = new FlappyGatorSimulation({ seed: options.seed, config: options.config });
+    const bot = new FlappyGatorBot(sim, { ...options.bot, random: new SeededRandom(options.seed).fork('bot') });
+
+    const bands = [];
+    const result = bot.playToEnd({
+        maxPipes: options.maxPipes,
+        onStep: () => {
+            if (!options.checkCrash) return;
+            bands.push({ frame: sim.frame, ...getBand(sim, sim.pipes) });
+            if (bands.length > BAND_LOG_TICKS) bands.shift();
+        }
+    });
+
+    let impossible = null;
+    if (result.collision && options.checkCrash) {
+        const check = checkGapSequence(sim, bands);
+        if (!check.possible) {
+            impossible = {
+                gapY: Math.round(check.pipe.gapY),
+                gapHeight: Math.round(check.pipe.gapHeight),
+                previousGapY: check.previousPipe ? Math.round(check.previousPipe.gapY) : null,
+                scrollSpeed: sim.pipeGenerator.currentScrollSpeed
+            };
+        }
+    }
+
+    return { seed: options.seed, pipes: result.pipes, score: result.score, collision: result.collision, impossible };
+}
+
+/**
+ * Play seeded runs with both bots and build the difficulty curve
+ * @param {Object} options
+ * @param {number} options.runs - Runs per bot (seeds seed .. seed + runs - 1)
+ * @param {number} options.seed - First seed
+ * @param {number} options.maxPipes - Pipes per run
+ * @param {number} options.step - Pipes between rows of the curve
+ * @param {number} options.aimError - Noisy bot aim error (px)
+ * @param {number} options.reactionTicks - Noisy bot reaction time (ticks)
+ * @param {Object} options.config - Config overrides (merged over config.js)
+ * @returns {Object} { runs, seed, maxPipes, speedMaxedAt, gapMinAt, curve, perfect, noisy, impossible }
+ */
+function runAnalysis(options = {}) {
+    const runs = options.runs || 1000;
+    const seed = options.seed !== undefined ? options.seed : 1;
+    const maxPipes = options.maxPipes || 100;
+    const step = options.step || 5;
+    const config = { ...FLAPPY_CONFIG, ...options.config };
+    const noisyBot = {
+        aimError: options.aimError !== undefined ? options.aimError : 35,
+        reactionTicks: options.reactionTicks !== undefined ? options.reactionTicks : 3
+    };
+
+    const perfect = [];
+    const noisy = [];
+    for (let i = 0; i < runs; i++) {
+        perfect.push(playRun({ seed: seed + i, config, maxPipes, bot: {}, checkCrash: true }));
+        noisy.push(playRun({ seed: seed + i, config, maxPipes, bot: noisyBot, checkCrash: false }));
+    }
+
+    const survival = (results, pipes) => results.filter(result => result.pipes >= pipes).length / runs;
+    const curve = [];
+    for (let pipes = 0; pipes <= maxPipes; pipes += step) {
+        curve.push({
+            pipes,
+            ...difficultyAt(config, pipes),
+            perfect: survival(perfect, pipes),
+            noisy: survival(noisy, pipes)
+        });
+    }
+
+    const summarize = results => ({
+        averagePipes: results.reduce((sum, result) => sum + result.pipes, 0) / runs,
+        crashes: results.filter(result => result.collision).length,
+        results
+    });
+
+    return {
+        runs,
+        seed,
+        maxPipes,
+        speedMaxedAt: Math.ceil((config.MAX_PIPE_SPEED - config.INITIAL_PIPE_SPEED) / config.SPEED_INCREASE_RATE),
+        gapMinAt: Math.ceil((config.INITIAL_PIPE_GAP - config.MIN_PIPE_GAP) / config.GAP_REDUCTION_RATE),
+        curve,
+        perfect: summarize(perfect),
+        noisy: { ...summarize(noisy), ...noisyBot },
+        impossible: perfect.filter(result => result.impossible)
+            .map(result => ({ seed: result.seed, pipe: result.pipes + 1, ...result.impossible }))
+    };
+}
+
+// --name=value flags
+function parseArgs(argv) {
+    const args = {};
+    argv.forEach(arg => {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+        if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+    });
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const analysis = runAnalysis({
+        runs: Number(args.runs) || 1000,
+        seed: args.seed !== undefined ? Number(args.seed) : 1,
+        maxPipes: Number(args['max-pipes']) || 100,
+        step: Number(args.step) || 5,
+        aimError: args['aim-error'] !== undefined ? Number(args['aim-error']) : undefined,
+        reactionTicks: args['reaction-ticks'] !== undefined ? Number(args['reaction-ticks']) : undefined,
+        config: args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {}
+    });
+    if (analysis.impossible.length > 0) {
+        process.exitCode = 1;
+    }
+
+    const print = line => process.stdout.write(line + '\n');
+    if (args.json) {
+        print(JSON.stringify(analysis, null, 2));
+        return;
+    }
+
+    const percent = share => `${(share * 100).toFixed(1)}%`.padStart(8);
+    print(`${analysis.runs} runs per bot (seeds ${analysis.seed}-${analysis.seed + analysis.runs - 1}), up to ${analysis.maxPipes} pipes`);
+    print(`  Speed maxes out at pipe ${analysis.speedMaxedAt}, the gap bottoms out at pipe ${analysis.gapMinAt}`);
+    print('');
+    print('  Pipes    Gap  Speed  Perfect    Noisy');
+    analysis.curve.forEach(row => {
+        print(`  ${String(row.pipes).padStart(5)}  ${String(Math.round(row.gapHeight)).padStart(5)}  ${row.scrollSpeed.toFixed(2).padStart(5)}` +
+            ` ${percent(row.perfect)} ${percent(row.noisy)}`);
+    });
+    print('');
+    print(`  Perfect bot: ${analysis.perfect.averagePipes.toFixed(1)} pipes on average, ${analysis.perfect.crashes} crashes` +
+        ` (${analysis.impossible.length} at impossible gaps, the rest had a way through)`);
+    print(`  Noisy bot (aim ±${analysis.noisy.aimError}px, ${analysis.noisy.reactionTicks} ticks late): ` +
+        `${analysis.noisy.averagePipes.toFixed(1)} pipes on average`);
+
+    if (analysis.impossible.length === 0) {
+        print('  No impossible gap sequences');
+        return;
+    }
+    print(`  ${analysis.impossible.length} impossible gap sequences:`);
+    analysis.impossible.forEach(found => {
+        print(`    seed ${found.seed}, pipe ${found.pipe}: ${found.gapHeight}px gap at y ${found.gapY}` +
+            (found.previousGapY !== null ? ` after one at y ${found.previousGapY}` : '') +
+            `, speed ${found.scrollSpeed.toFixed(2)}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { runAnalysis, playRun, checkGapSequence, difficultyAt };
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Benchmark Pac-Gator's ghosts against the bot
+ * Plays N seeded games headlessly with PacGatorBot and reports the average score,
+ * level reached and survival time, so ghost-AI and difficulty changes can be compared
+ * on the same seeds before and after.
+ *
+ * Usage: node scripts/benchmark-pac-gator.js [--runs=20] [--seed=1] [--difficulty=normal[,hard...]]
+ *                                            [--max-seconds=300] [--json]
+ */
+const fs = require('fs');
+const path = require('path');
+const PAC_CONFIG = require('../public/pac-gator/config.js');
+const PacGatorGame = require('../public/pac-gator/pac-gator-game.js');
+const { LevelLoader } = require('../public/pac-gator/level-loader.js');
+const { GHOST_PERSONALITIES } = require('../public/pac-gator/ghost-ai.js');
+const { PacGatorBot } = require('../public/pac-gator/pac-gator-bot.js');
+const SeededRandom = require('../public/shared/seeded-random.js');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const DIFFICULTIES = Object.keys(PacGatorGame.DIFFICULTY_SETTINGS);
+const USAGE = 'Usage: node scripts/benchmark-pac-gator.js [--runs=20] [--seed=1] [--difficulty=normal[,hard...]]\n' +
+    '                                            [--max-seconds=300] [--json]';
+
+/**
+ * Read the levels listed in PAC_CONFIG.LEVEL_FILES from disk
+ * @returns {Array<Object>} Parsed levels
+ */
+function loadLevels() {
+    const loader = new LevelLoader({ cols: PAC_CONFIG.COLS, rows: PAC_CONFIG.ROWS, ghostCount: GHOST_PERSONALITIES.length });
+    return PAC_CONFIG.LEVEL_FILES.map(url => loader.parse(fs.readFileSync(path.join(PUBLIC_DIR, url), 'utf8')));
+}
+
+/**
+ * Play seeded bot games and summarize them
+ * @param {Object} options
+ * @param {number} options.runs - Games to play (seeds seed .. seed + runs - 1)
+ * @param {number} options.seed - First seed
+ * @param {string} options.difficulty - 'easy', 'normal' or 'hard'
+ * @param {number} options.maxSeconds - Game time limit per run
+ * @param {Array<Object>} options.levels - Parsed levels (defaults to the game's levels)
+ * @returns {Object} { difficulty, runs, averageScore, averageLevel, bestLevel, averageSurvivalSeconds,
+ *                   timedOut, results }
+ * @throws {Error} For a difficulty the game doesn't have
+ */
+function runBenchmark(options = {}) {
+    const runs = options.runs || 20;
+    const seed = options.seed !== undefined ? options.seed : 1;
+    const difficulty = options.difficulty || 'normal';
+    if (!DIFFICULTIES.includes(difficulty)) {
+        throw new Error(`Unknown difficulty: ${difficulty} (expected ${DIFFICULTIES.join(', ')})`);
+    }
+    const maxTicks = (options.maxSeconds || 300) * PAC_CONFIG.TICK_RATE;
+    const levels = options.levels || loadLevels();
+
+    const results = [];
+    for (let i = 0; i < runs; i++) {
+        const rng = new SeededRandom(seed + i);
+        const game = new PacGatorGame({ levels, difficulty, random: () => rng.next() });
+        game.reset();
+        game.state = 'playing';
+
+        const result = new PacGatorBot(game).playToEnd(maxTicks);
+        results.push({ seed: seed + i, ...result, survivalSeconds: result.ticks / PAC_CONFIG.TICK_RATE });
+    }
+
+    const average = key => results.reduce((sum, result) => sum + result[key], 0) / runs;
+    return {
+        difficulty,
+        runs,
+        averageScore: average('score'),
+        averageLevel: average('level'),
+        bestLevel: Math.max(...results.map(result => result.level)),
+        averageSurvivalSeconds: average('survivalSeconds'),
+        timedOut: results.filter(result => !result.gameOver).length,
+        results
+    };
+}
+
+// --name=value flags
+function parseArgs(argv) {
+    const args = {};
+    argv.forEach(arg => {
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+        if (match) args[match[1]] = match[2] === undefined ? true : match[2];
+    });
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const difficulties = String(args.difficulty || 'normal').split(',');
+    const unknown = difficulties.filter(difficulty => !DIFFICULTIES.includes(difficulty));
+    if (unknown.length > 0) {
+        console.error(`Unknown difficulty: ${unknown.join(', ')} (expected ${DIFFICULTIES.join(', ')})`);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const levels = loadLevels();
+    const summaries = difficulties.map(difficulty => runBenchmark({
+        runs: Number(args.runs) || 20,
+        seed: args.seed !== undefined ? Number(args.seed) : 1,
+        difficulty,
+        maxSeconds: Number(args['max-seconds']) || 300,
+        levels
+    }));
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify(summaries, null, 2) + '\n');
+        return;
+    }
+
+    summaries.forEach(summary => {
+        const { results } = summary;
+        console.log(`${summary.difficulty}: ${summary.runs} runs (seeds ${results[0].seed}-${results[results.length - 1].seed})`);
+        console.log(`  Average score:    ${Math.round(summary.averageScore)}`);
+        console.log(`  Average level:    ${summary.averageLevel.toFixed(1)} (best ${summary.bestLevel})`);
+        console.log(`  Average survival: ${summary.averageSurvivalSeconds.toFixed(1)}s` +
+            (summary.timedOut > 0 ? ` (${summary.timedOut} hit the time limit)` : ''));
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { runBenchmark, loadLevels, DIFFICULTIES };
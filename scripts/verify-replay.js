@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Verify a Flappy Gator replay
+ * Reads { "replay": {...}, "score": 125 } from stdin (score in tenths of a point, as
+ * submitted) and writes the verdict ({ valid, score, frames, reason }) to stdout as
+ * JSON, with the re-simulated score in points. Used by app.rb before saving a Flappy
+ * Gator score.
+ *
+ * Usage: echo '{"replay": ..., "score": 125}' | node scripts/verify-replay.js
+ */
+const ReplayVerifier = require('../public/flappy-gator/replay-verifier.js');
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+    input += chunk;
+});
+process.stdin.on('end', () => {
+    let request;
+    try {
+        request = JSON.parse(input);
+    } catch (error) {
+        process.stdout.write(JSON.stringify({ valid: false, score: null, frames: null, reason: 'Input is not JSON' }) + '\n');
+        return;
+    }
+
+    const verdict = new ReplayVerifier().verify(request.replay, request.score);
+    process.stdout.write(JSON.stringify(verdict) + '\n');
+});
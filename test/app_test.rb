@@ -0,0 +1,79 @@
+# Tests for app.rb: API requests and the name rules
+# Run with: bundle exec ruby test/app_test.rb
+ENV['RACK_ENV'] = 'test'
+
+require 'minitest/autorun'
+require 'rack/mock'
+require_relative '../app'
+
+# A run recorded in the browser game (seed 1234): 9.5 points, submitted as 95 tenths
+# (the same run as public/flappy-gator/__tests__/replay-verifier.test.js)
+RECORDED_RUN = {
+  v: 1,
+  game: 'flappy-gator',
+  seed: 1234,
+  length: 1044,
+  score: 9.5,
+  flaps: [1, 30, 28, 28, 29, 26, 29, 28, 29, 28, 28, 29, 28, 29, 28, 31, 28, 28, 29, 13,
+          30, 29, 28, 22, 29, 28, 32, 28, 28, 30, 28, 29, 25, 24, 29, 28]
+}.freeze
+
+class HighScoresTest < Minitest::Test
+  def setup
+    DB[:high_scores].delete
+  end
+
+  def post_score(body)
+    response = Rack::MockRequest.new(Sinatra::Application).post(
+      '/api/highscores',
+      'CONTENT_TYPE' => 'application/json',
+      input: JSON.generate(body)
+    )
+    [response.status, JSON.parse(response.body)]
+  end
+
+  def test_flappy_score_sent_as_a_string_is_verified_as_a_number
+    status, body = post_score(game_type: 'flappy-gator', name: 'Kiro', score: '95', replay: RECORDED_RUN)
+
+    assert_equal 200, status
+    assert body['success']
+    assert_equal 95, DB[:high_scores].where(id: body['id']).get(:score)
+  end
+
+  def test_flappy_score_the_replay_does_not_earn_is_rejected
+    status, body = post_score(game_type: 'flappy-gator', name: 'Kiro', score: '96', replay: RECORDED_RUN)
+
+    assert_equal 400, status
+    assert_equal 'Score could not be verified: Replay scores 95, not 96', body['error']
+    assert_equal 0, DB[:high_scores].count
+  end
+
+  def test_flappy_score_is_refused_while_every_verifier_slot_is_taken
+    slots = Array.new(REPLAY_VERIFIER_MAX_RUNNING) { REPLAY_VERIFIER_SLOTS.pop }
+    status, body = post_score(game_type: 'flappy-gator', name: 'Kiro', score: 95, replay: RECORDED_RUN)
+
+    assert_equal 503, status
+    assert_equal 'Too many scores are being verified, try again shortly', body['error']
+    assert_equal 0, DB[:high_scores].count
+  ensure
+    Array(slots).each { |slot| REPLAY_VERIFIER_SLOTS.push(slot) }
+  end
+end
+
+class NameRulesTest < Minitest::Test
+  def app
+    Sinatra::Application.new!
+  end
+
+  def test_blocklisted_words_are_caught_inside_a_word
+    ['fuck1', 'Hitler88', 'fuckyou', 'shithead', 'shit2', 'therapistfuck'].each do |name|
+      assert app.name_blocked?(name), "#{name} should be blocked"
+    end
+  end
+
+  def test_blocklisted_words_are_not_matched_across_words_or_inside_allowlisted_ones
+    ['Sushi Tom', 'Anna Sluther', 'Cass Lut', 'Mass Hit', 'Therapist', 'Scunthorpe', 'Penistone FC'].each do |name|
+      refute app.name_blocked?(name), "#{name} should be allowed"
+    end
+  end
+end